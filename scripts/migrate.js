@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Database migration CLI
+ *
+ *   node scripts/migrate.js status                        - list migrations and their state
+ *   node scripts/migrate.js up [--to N] [--dry-run]       - apply pending migrations
+ *   node scripts/migrate.js down [--steps N] [--dry-run]  - roll back the latest migrations
+ */
+
+import dbManager from '../src/database/Database.js';
+import MigrationRunner from '../src/database/MigrationRunner.js';
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = { dryRun: false, to: null, steps: 1 };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--to') {
+      options.to = parseInt(rest[++i], 10);
+    } else if (arg === '--steps') {
+      options.steps = parseInt(rest[++i], 10);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (Number.isNaN(options.to) || Number.isNaN(options.steps) || options.steps < 1) {
+    throw new Error('--to and --steps expect a positive number');
+  }
+
+  return { command, options };
+}
+
+function printResults(results, dryRun) {
+  if (results.length === 0) {
+    console.log('✅ Nothing to do');
+    return;
+  }
+
+  for (const result of results) {
+    const label = `${String(result.version).padStart(3, '0')}_${result.name}`;
+    const action = result.direction === 'up' ? 'apply' : 'roll back';
+
+    if (dryRun) {
+      console.log(`\n🔍 Would ${action} ${label}:`);
+      for (const statement of result.statements) {
+        console.log(statement.split('\n').map(line => `    ${line}`).join('\n'));
+      }
+    } else {
+      console.log(`✅ ${result.direction === 'up' ? 'Applied' : 'Rolled back'} ${label}`);
+    }
+  }
+}
+
+try {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  await dbManager.initialize({ migrate: false });
+  const runner = new MigrationRunner(dbManager);
+
+  switch (command) {
+    case 'status': {
+      const migrations = await runner.status();
+      for (const migration of migrations) {
+        const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`${migration.applied ? '✅' : '⏳'} ${String(migration.version).padStart(3, '0')}_${migration.name} (${state}) - ${migration.description}`);
+      }
+      break;
+    }
+
+    case 'up':
+      printResults(await runner.migrate({ to: options.to, dryRun: options.dryRun }), options.dryRun);
+      break;
+
+    case 'down':
+      printResults(await runner.rollback({ steps: options.steps, dryRun: options.dryRun }), options.dryRun);
+      break;
+
+    default:
+      throw new Error(`Unknown command: ${command}. Use status, up or down`);
+  }
+
+  await dbManager.close();
+  process.exit(0);
+
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  await dbManager.close();
+  process.exit(1);
+}
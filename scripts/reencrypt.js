@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Re-encrypts sensitive columns with the current key (key rotation)
+ *
+ *   1. Move the old key to DATABASE_ENCRYPTION_PREVIOUS_KEYS ("k1:<old key>")
+ *   2. Set the new DATABASE_ENCRYPTION_KEY and DATABASE_ENCRYPTION_KEY_ID ("k2")
+ *   3. Run: node scripts/reencrypt.js [--dry-run]
+ *   4. Once it reports 0 rows left, the old key can be removed
+ *
+ * Plaintext rows left from before encryption are encrypted as well.
+ */
+
+import dbManager from '../src/database/Database.js';
+import securityManager from '../src/utils/security.js';
+import { ENCRYPTED_COLUMNS, transformColumns } from '../src/database/encryptedColumns.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+  await dbManager.initialize();
+
+  console.log(`🔐 Re-encrypting with key "${securityManager.currentKeyId}"${dryRun ? ' (dry run)' : ''}...`);
+
+  let updated;
+  if (dryRun) {
+    // Count only: the transform reports changes that are never written
+    const readOnlyDb = { all: (sql, params) => dbManager.all(sql, params), run: async () => ({ changes: 0 }) };
+    updated = await transformColumns(readOnlyDb, ENCRYPTED_COLUMNS, value => securityManager.reencryptField(value));
+  } else {
+    updated = await dbManager.transaction(() => (
+      transformColumns(dbManager, ENCRYPTED_COLUMNS, value => securityManager.reencryptField(value))
+    ));
+  }
+
+  for (const [column, count] of Object.entries(updated)) {
+    console.log(`${count > 0 ? '🔄' : '✅'} ${column}: ${count} rows ${dryRun ? 'to re-encrypt' : 're-encrypted'}`);
+  }
+
+  await dbManager.close();
+  process.exit(0);
+
+} catch (error) {
+  console.error('❌ Re-encryption failed:', error.message);
+  await dbManager.close();
+  process.exit(1);
+}
@@ -0,0 +1,669 @@
+#!/usr/bin/env node
+
+/**
+ * Offline end-to-end smoke run of the bot.
+ * Uses the mock LLM provider, an in-memory database and a fake Telegram bot,
+ * so it needs no network and no API keys (suitable for CI).
+ */
+
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'mock';
+process.env.DATABASE_PATH = process.env.DATABASE_PATH || ':memory:';
+process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'offline-smoke-token';
+process.env.DATABASE_ENCRYPTION_KEY = process.env.DATABASE_ENCRYPTION_KEY || 'offline-smoke-encryption-key-32c';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'offline-smoke-session-secret';
+process.env.STREAMING_ENABLED = process.env.STREAMING_ENABLED || 'true';
+process.env.STREAMING_EDIT_INTERVAL_MS = process.env.STREAMING_EDIT_INTERVAL_MS || '10';
+process.env.ADMIN_TELEGRAM_IDS = process.env.ADMIN_TELEGRAM_IDS || '424242';
+// The mock model is free; a price makes the cost ledger and budgets observable
+process.env.LLM_PRICE_INPUT = process.env.LLM_PRICE_INPUT || '3';
+process.env.LLM_PRICE_OUTPUT = process.env.LLM_PRICE_OUTPUT || '15';
+
+// Imports happen after the environment is prepared (config validates on load)
+const { default: config } = await import('../src/config/index.js');
+const { default: dbManager } = await import('../src/database/Database.js');
+const { default: commandHandler } = await import('../src/handlers/CommandHandler.js');
+const { default: messageHandler } = await import('../src/handlers/MessageHandler.js');
+const { default: sessionService } = await import('../src/services/SessionService.js');
+const { default: userService } = await import('../src/services/UserService.js');
+const { default: patientService } = await import('../src/services/PatientService.js');
+const { default: dialogueManager } = await import('../src/services/DialogueManager.js');
+const { default: templateService } = await import('../src/services/TemplateService.js');
+const { default: caseFileService } = await import('../src/services/CaseFileService.js');
+const { default: claudeService } = await import('../src/services/ClaudeService.js');
+const { default: summaryService } = await import('../src/services/SummaryService.js');
+
+// Minimal stand-in for node-telegram-bot-api that records outgoing messages
+class FakeBot {
+  constructor() {
+    this.sent = [];
+    this.files = {};
+    this.nextMessageId = 1;
+  }
+
+  async sendMessage(chatId, text, options = {}) {
+    const message = { message_id: this.nextMessageId++, chat: { id: chatId }, text };
+    this.sent.push({ type: 'send', chatId, text, options });
+    return message;
+  }
+
+  async editMessageText(text, options = {}) {
+    this.sent.push({ type: 'edit', chatId: options.chat_id, text, options });
+    return true;
+  }
+
+  async deleteMessage(chatId, messageId) {
+    this.sent.push({ type: 'delete', chatId, messageId });
+    return true;
+  }
+
+  async sendChatAction() {
+    return true;
+  }
+
+  async sendDocument(chatId, document, options = {}, fileOptions = {}) {
+    this.sent.push({ type: 'document', chatId, document, options, fileOptions });
+    return { message_id: this.nextMessageId++, chat: { id: chatId } };
+  }
+
+  // Serves files "uploaded" by the smoke run (see sendFile below)
+  getFileStream(fileId) {
+    return [Buffer.from(this.files[fileId])];
+  }
+
+  async answerCallbackQuery() {
+    return true;
+  }
+
+  async setMyCommands(commands, options = {}) {
+    this.sent.push({ type: 'commands', commands, options });
+    return true;
+  }
+
+  last() {
+    return this.sent[this.sent.length - 1];
+  }
+}
+
+const telegramUser = { id: 424242, first_name: 'Smoke', username: 'smoke_test', language_code: 'ru' };
+const chat = { id: 424242 };
+const bot = new FakeBot();
+
+function command(text) {
+  return commandHandler.handleCommand(bot, { chat, from: telegramUser, text });
+}
+
+function message(text) {
+  return messageHandler.handleMessage(bot, { chat, from: telegramUser, text });
+}
+
+function sendFile(fileName, content) {
+  const fileId = `smoke-file-${Object.keys(bot.files).length + 1}`;
+  bot.files[fileId] = content;
+  return messageHandler.handleMedia(bot, {
+    chat,
+    from: telegramUser,
+    document: { file_id: fileId, file_name: fileName, mime_type: 'application/json', file_size: content.length }
+  });
+}
+
+function templateCallback(data) {
+  return commandHandler.handleTemplateCallback(bot, {
+    id: 'smoke-template',
+    from: telegramUser,
+    data,
+    message: { message_id: 1, chat, text: '' }
+  });
+}
+
+function historyCallback(data) {
+  return commandHandler.handleHistoryCallback(bot, {
+    id: 'smoke-history',
+    from: telegramUser,
+    data,
+    message: { message_id: 1, chat, text: '' }
+  });
+}
+
+function patientAction(data) {
+  return messageHandler.handlePatientActionCallback(bot, {
+    id: 'smoke-patient',
+    from: telegramUser,
+    data,
+    message: { message_id: 1, chat, text: '' }
+  });
+}
+
+async function dialogueCallback(data) {
+  const userId = await userService.registerUser(telegramUser);
+  return dialogueManager.handleCallback(bot, {
+    id: 'smoke-dialogue',
+    from: telegramUser,
+    data,
+    message: { message_id: 1, chat, text: '' }
+  }, userId);
+}
+
+function assert(condition, description) {
+  if (!condition) {
+    throw new Error(`Smoke check failed: ${description}`);
+  }
+  console.log(`✅ ${description}`);
+}
+
+try {
+  await dbManager.initialize();
+  await templateService.syncCuratedTemplates();
+
+  await command('/start');
+  assert(bot.sent.length > 0, '/start replies');
+
+  await command('/new');
+  const invitation = bot.sent.find(entry => entry.options?.reply_markup?.inline_keyboard?.[0]?.[0]?.callback_data?.startsWith('invite_patient_'));
+  assert(invitation, 'patient generated and invitation offered');
+
+  const callbackData = invitation.options.reply_markup.inline_keyboard[0][0].callback_data;
+  await commandHandler.handlePatientInvitation(bot, {
+    id: 'smoke-callback',
+    from: telegramUser,
+    data: callbackData,
+    message: { message_id: 1, chat, text: invitation.text }
+  });
+
+  const userId = await userService.registerUser(telegramUser);
+  const activeSession = sessionService.getActiveSession(userId);
+  assert(activeSession, 'session started after invitation');
+
+  await message('Расскажите, что привело вас ко мне?');
+  await message('Что вы сейчас чувствуете?');
+  assert(activeSession.messages.length >= 6, 'patient replied to therapist messages');
+
+  const patientTurn = claudeService.provider.calls.filter(call => call.purpose === 'patient_turn').pop();
+  assert(patientTurn.params.system.at(-1).text.includes('ТВОЕ СОСТОЯНИЕ СЕЙЧАС'), 'patient state is injected into every turn');
+
+  await command('/end');
+  assert(!sessionService.getActiveSession(userId), 'session ended');
+  assert(bot.last().text.includes('Динамика клиента'), 'session end charts the patient state');
+  const endState = await sessionService.loadEmotionalState(activeSession.id);
+
+  await caseFileService.flushUpdates();
+  const caseFile = await caseFileService.getCaseFile(activeSession.patientId);
+  assert(caseFile?.sessionIds.join() === String(activeSession.id), 'completed session is merged into the case file');
+
+  // Two /analyze at once: only one of them may count the session
+  const updateUserStats = userService.updateUserStats;
+  let statsUpdates = 0;
+  userService.updateUserStats = (...args) => {
+    statsUpdates++;
+    return updateUserStats.apply(userService, args);
+  };
+  await Promise.all([command('/analyze'), command('/analyze')]);
+  userService.updateUserStats = updateUserStats;
+  assert(bot.sent.some(entry => entry.text?.includes('AI-супервизора')), 'supervisor analysis delivered');
+  assert(statsUpdates === 1, 'two /analyze at once count the session once');
+  const analysisCall = claudeService.provider.calls.filter(call => call.purpose === 'analysis').pop();
+  assert(analysisCall.params.messages[0].content.includes('ДИНАМИКА СОСТОЯНИЯ КЛИЕНТА'), 'supervisor sees the patient state dynamics');
+
+  await command('/review');
+  assert(bot.last().text.includes('Разбор сессии'), '/review shows the annotated transcript');
+
+  const statsBefore = await userService.getUserStats(userId);
+  await command('/analyze');
+  const statsAfter = await userService.getUserStats(userId);
+  assert(
+    statsAfter.total_sessions === statsBefore.total_sessions &&
+    statsAfter.completed_sessions === statsBefore.completed_sessions &&
+    statsAfter.average_session_rating === statsBefore.average_session_rating,
+    're-analyzing a session does not count it in the stats again'
+  );
+
+  await command('/stats');
+  assert(bot.last().text.includes('статистика'), '/stats replies');
+
+  await command('/sessions');
+  const viewData = bot.last().options.reply_markup.inline_keyboard[0][0].callback_data;
+  assert(viewData === `history:view:${activeSession.id}:0`, '/sessions lists sessions with buttons');
+
+  await historyCallback(viewData);
+  assert(bot.last().type === 'edit' && bot.last().text.includes('Транскрипт'), 'session opens with its transcript');
+
+  await historyCallback(`history:newweek:${activeSession.id}`);
+  const newWeekSession = sessionService.getActiveSession(userId);
+  assert(newWeekSession?.isNewWeek && newWeekSession.contextMessages.length >= 6, 'new week starts with the previous session as context');
+  assert(newWeekSession.patientMemory?.includes('КАРТА СЛУЧАЯ'), 'new week session carries the case file as patient memory');
+  const newWeekStart = (await sessionService.getEmotionalTrajectory(newWeekSession.id))[0].state;
+  assert(newWeekStart.trust === endState.trust, 'new week keeps the alliance of the previous session');
+
+  for (let turn = 1; turn <= 12; turn++) {
+    await message(`Что еще происходило на этой неделе? (${turn})`);
+  }
+  const summary = await summaryService.loadSummary(newWeekSession.id);
+  const longTurn = claudeService.provider.calls.filter(call => call.purpose === 'patient_turn').pop();
+  assert(
+    summary?.coveredCount > 0 && summary.coveredCount % summaryService.SUMMARY_STEP === 0 &&
+    longTurn.params.system[0].text.includes(summary.text),
+    'long session replaces early messages with a cached rolling summary'
+  );
+
+  await historyCallback(`history:continue:${activeSession.id}`);
+  const continuedSession = sessionService.getActiveSession(userId);
+  assert(continuedSession?.id === activeSession.id && continuedSession.messages.length >= 6, 'completed session can be continued');
+  await command('/end');
+  await historyCallback(`history:view:${newWeekSession.id}:0`);
+  assert(
+    bot.last().text.includes('Завершена при продолжении другой сессии') && !bot.last().text.includes('Заметки'),
+    'a session ended by the bot shows the reason in the user language'
+  );
+  await caseFileService.flushUpdates();
+  const continuedCaseFile = await caseFileService.getCaseFile(activeSession.patientId);
+  assert(
+    continuedCaseFile.sessionIds.join() === [activeSession.id, newWeekSession.id].join(),
+    'case file counts every session once, including the continued one'
+  );
+
+  await command('/patients');
+  const cardData = bot.last().options.reply_markup.inline_keyboard[0][0].callback_data;
+  assert(cardData === `patient_action:card:${activeSession.patientId}`, '/patients offers patient cards');
+
+  await message(String(activeSession.patientId));
+  assert(bot.last().text.includes('Карточка пациента'), 'patient ID opens the patient card');
+
+  await patientAction(`patient_action:profile:${activeSession.patientId}`);
+  assert(bot.last().text.includes('Профиль пациента'), 'patient card shows the profile');
+
+  await patientAction(`patient_action:casefile:${activeSession.patientId}`);
+  assert(bot.last().text.includes('Карта случая') && bot.last().text.includes('Альянс'), 'patient card shows the case file');
+
+  await patientAction(`patient_action:restore:${activeSession.patientId}`);
+  const restoredSession = sessionService.getActiveSession(userId);
+  assert(restoredSession && restoredSession.id !== activeSession.id, 'patient card restores the latest session');
+  await command('/end');
+
+  await patientAction(`patient_action:template_confirm:${activeSession.patientId}`);
+  assert(bot.last().text.includes('Пользовательский'), 'patient is promoted to a template');
+
+  await command('/templates');
+  assert(bot.last().text.includes('Анна, 34'), '/templates lists curated and promoted cases');
+  const curatedTemplate = await templateService.getLatestVersion('anna-panic-disorder');
+
+  await templateCallback(`template:use:${curatedTemplate.id}`);
+  const templatePatientId = parseInt(bot.last().options.reply_markup.inline_keyboard[0][0].callback_data.replace('invite_patient_', ''), 10);
+  const templatePatient = await patientService.getPatientById(templatePatientId);
+  assert(templatePatient.template_id === curatedTemplate.id && templatePatient.name === 'Анна Петрова', 'template creates a patient for the user');
+
+  await templateCallback(`template:export:${curatedTemplate.id}`);
+  const exported = JSON.parse(bot.last().document.toString('utf8'));
+  assert(bot.last().fileOptions.filename === 'anna-panic-disorder-v1.json', 'template is exported as a JSON file');
+
+  await sendFile('anna.json', JSON.stringify(exported));
+  assert(bot.last().text.includes('уже есть в библиотеке'), 'importing an existing version is a no-op');
+
+  exported.version = 2;
+  exported.patient.age = 35;
+  await sendFile('anna-v2.json', JSON.stringify(exported));
+  const latestTemplate = await templateService.getLatestVersion('anna-panic-disorder');
+  assert(bot.last().text.includes('добавлен') && latestTemplate.version === 2, 'imported file adds a new template version');
+
+  await patientAction(`patient_action:archive_confirm:${activeSession.patientId}`);
+  await command('/patients');
+  const patientCards = bot.last().options.reply_markup.inline_keyboard.map(row => row[0].callback_data);
+  assert(!patientCards.includes(`patient_action:card:${activeSession.patientId}`), 'archived patient leaves /patients');
+
+  await command('/custom');
+  await command('/cancel');
+  assert(bot.last().text.includes('отменено'), '/cancel stops the custom patient wizard');
+
+  // A session in progress is ended when the builder starts its own
+  await command('/new');
+  const interruptedInvitation = bot.last();
+  await commandHandler.handlePatientInvitation(bot, {
+    id: 'smoke-interrupted',
+    from: telegramUser,
+    data: interruptedInvitation.options.reply_markup.inline_keyboard[0][0].callback_data,
+    message: { message_id: 1, chat, text: interruptedInvitation.text }
+  });
+  const interruptedSession = sessionService.getActiveSession(userId);
+
+  await command('/custom');
+  await dialogueCallback('fsm:input:youth');
+  await dialogueCallback('fsm:input:male');
+  await dialogueCallback('fsm:input:depression');
+  await dialogueCallback('fsm:input:severe');
+  await dialogueCallback('fsm:input:any');
+  await dialogueCallback('fsm:input:denial');
+  await dialogueCallback('fsm:input:humor');
+  assert(bot.last().type === 'edit' && bot.last().text.includes('Защитные механизмы'), 'builder toggles defenses in place');
+  await dialogueCallback('fsm:input:done');
+  await dialogueCallback('fsm:input:hostile');
+  await message('Студент, недавно переехал в другой город');
+  assert(bot.last().text.includes('Тяжесть: Тяжелая'), 'builder summarizes the chosen parameters');
+  await dialogueCallback('fsm:back');
+  assert(bot.last().text.includes('Дополнительное описание'), 'builder goes back to the description step');
+  await dialogueCallback('fsm:input:skip');
+  await dialogueCallback('fsm:input:create');
+  const customSession = sessionService.getActiveSession(userId);
+  assert(customSession, 'builder creates the patient and starts a session');
+  const openSessions = await dbManager.all(`SELECT id FROM sessions WHERE user_id = ? AND status = 'active'`, [userId]);
+  const interrupted = await dbManager.get('SELECT status, end_reason FROM sessions WHERE id = ?', [interruptedSession.id]);
+  assert(
+    openSessions.map(row => row.id).join() === String(customSession.id) &&
+    interrupted.status === 'completed' && interrupted.end_reason === 'new_patient',
+    'the builder ends the session in progress before starting its own'
+  );
+
+  const customPatient = customSession.patient;
+  assert(
+    customPatient.gender === 'male' && customPatient.age <= 24 &&
+    customPatient.psychological_profile.severity === 'severe' &&
+    customPatient.personality_traits.defense_mechanisms.join() === 'отрицание,юмор',
+    'builder parameters are written into the patient profile'
+  );
+
+  await message('Здравствуйте, проходите.');
+  await command('/end');
+  const notesData = bot.last().options.reply_markup.inline_keyboard[0][0].callback_data;
+  await dialogueCallback(notesData);
+  await message('Клиентка тревожна, на следующей встрече исследовать отношения с матерью.');
+  const customDetails = await sessionService.getSessionDetails(customSession.id, userId);
+  assert(customDetails.session.therapist_notes?.includes('отношения с матерью'), 'session notes are saved through the dialogue');
+
+  const seededPatients = [];
+  for (let attempt = 0; attempt < 2; attempt++) {
+    await command('/new 123456');
+    const seededId = parseInt(bot.last().options.reply_markup.inline_keyboard[0][0].callback_data.replace('invite_patient_', ''), 10);
+    seededPatients.push(await patientService.getPatientById(seededId));
+  }
+  assert(
+    seededPatients[0].seed === 123456 && seededPatients[1].seed === 123456 &&
+    seededPatients[0].name === seededPatients[1].name && seededPatients[0].background === seededPatients[1].background,
+    '/new <seed> recreates the same patient'
+  );
+
+  await command(`/admin_regen ${customPatient.id}`);
+  const regenerated = bot.sent.slice(-2)[0].text;
+  assert(regenerated.includes('воспроизведен'), 'admin regenerates a builder patient from its seed and parameters');
+
+  const unattributed = await dbManager.get(`
+    SELECT COUNT(*) as count FROM api_usage
+    WHERE user_id IS NULL OR (purpose IN ('patient_turn', 'analysis', 'case_file', 'summary') AND session_id IS NULL)
+  `);
+  const ledgerPurposes = (await dbManager.all('SELECT DISTINCT purpose FROM api_usage')).map(row => row.purpose);
+  assert(
+    unattributed.count === 0 && ['patient_turn', 'generation', 'analysis', 'case_file', 'summary'].every(purpose => ledgerPurposes.includes(purpose)),
+    'every API call is billed to a user, a session and a purpose'
+  );
+
+  await command('/admin_costs day');
+  assert(bot.last().text.includes('Реплики пациента') && bot.last().text.includes('Карты случая'), '/admin_costs reports spend by feature');
+
+  const budgetInvitation = bot.sent.filter(entry => entry.options?.reply_markup?.inline_keyboard?.[0]?.[0]?.callback_data?.startsWith('invite_patient_')).pop();
+  await commandHandler.handlePatientInvitation(bot, {
+    id: 'smoke-budget',
+    from: telegramUser,
+    data: budgetInvitation.options.reply_markup.inline_keyboard[0][0].callback_data,
+    message: { message_id: 1, chat, text: budgetInvitation.text }
+  });
+  config.budget.userDailyUsd = 0.0001;
+  await command('/new');
+  assert(bot.last().text.includes('лимит расходов'), 'new patients are refused past the daily budget');
+  const turnsBefore = sessionService.getActiveSession(userId).messages.length;
+  await message('Как вы себя чувствуете сегодня?');
+  assert(sessionService.getActiveSession(userId).messages.length === turnsBefore + 2, 'the active session goes on past the budget');
+  config.budget.userDailyUsd = null;
+
+  const retrySession = sessionService.getActiveSession(userId);
+  claudeService.provider.failNext(1, 529, { 'retry-after': '0' });
+  await message('Что вы почувствовали в тот момент?');
+  assert(retrySession.messages.length === turnsBefore + 4, 'a transient API error is retried transparently');
+
+  claudeService.provider.failNext(3, 503, { 'retry-after': '0' });
+  await message('Расскажите об этом подробнее.');
+  const retryButton = bot.last().options?.reply_markup?.inline_keyboard?.[0]?.[0];
+  assert(retryButton?.callback_data === `turn_retry:${retrySession.id}`, 'a failed turn keeps the message and offers a retry button');
+
+  const retryCallback = {
+    id: 'smoke-retry',
+    from: telegramUser,
+    data: retryButton.callback_data,
+    message: { message_id: 1, chat, text: '' }
+  };
+  await messageHandler.handleTurnRetryCallback(bot, retryCallback);
+  await messageHandler.handleTurnRetryCallback(bot, retryCallback);
+  const retriedMessages = await dbManager.all('SELECT sender FROM messages WHERE session_id = ? ORDER BY id', [retrySession.id]);
+  assert(
+    retriedMessages.length === turnsBefore + 6 && retriedMessages.slice(-2).map(row => row.sender).join() === 'therapist,patient',
+    'retry answers the saved message once without duplicating it'
+  );
+
+  const patientTurnsBefore = claudeService.provider.calls.filter(call => call.purpose === 'patient_turn').length;
+  await Promise.all([message('Что вы сейчас чувствуете?'), message('И где это ощущается в теле?')]);
+  const burstMessages = await dbManager.all('SELECT sender FROM messages WHERE session_id = ? ORDER BY id', [retrySession.id]);
+  const burstTurns = claudeService.provider.calls.filter(call => call.purpose === 'patient_turn').slice(patientTurnsBefore);
+  assert(
+    burstMessages.slice(-4).map(row => row.sender).join() === 'therapist,patient,therapist,patient' &&
+    burstTurns.length === 2 && burstTurns[1].params.messages.slice(-2).map(turn => turn.role).join() === 'assistant,user',
+    'messages sent during a patient turn are answered one after another'
+  );
+  await command('/end');
+
+  await command('/modality');
+  await dialogueCallback('fsm:input:cbt');
+  assert(await userService.getModality(userId) === 'cbt', '/modality switches the training modality');
+
+  await command('/new');
+  const cbtInvitation = bot.last();
+  assert(cbtInvitation.text.includes('Подход: *КПТ*'), 'the invitation shows the modality of the session');
+  const cbtGeneration = claudeService.provider.calls.filter(call => call.purpose === 'generation').pop();
+  assert(cbtGeneration.params.messages[0].content.includes('ТЕРАПЕВТИЧЕСКИЙ ПОДХОД'), 'patients are generated for the modality');
+
+  await command('/new 123456');
+  const replayedGeneration = claudeService.provider.calls.filter(call => call.purpose === 'generation').pop();
+  const replayedId = parseInt(bot.last().options.reply_markup.inline_keyboard[0][0].callback_data.replace('invite_patient_', ''), 10);
+  const replayed = await patientService.getPatientById(replayedId);
+  assert(
+    !replayedGeneration.params.messages[0].content.includes('ТЕРАПЕВТИЧЕСКИЙ ПОДХОД') &&
+    replayed.generation_params.modality === 'general' && replayed.name === seededPatients[0].name,
+    '/new <seed> replays the modality the seed was first generated with'
+  );
+
+  await commandHandler.handlePatientInvitation(bot, {
+    id: 'smoke-cbt',
+    from: telegramUser,
+    data: cbtInvitation.options.reply_markup.inline_keyboard[0][0].callback_data,
+    message: { message_id: 1, chat, text: cbtInvitation.text }
+  });
+  assert(sessionService.getActiveSession(userId)?.modality === 'cbt', 'the session is run in the chosen modality');
+  await message('О чем бы вы хотели поговорить сегодня?');
+  await command('/end');
+  await command('/analyze');
+  const cbtAnalysisCall = claudeService.provider.calls.filter(call => call.purpose === 'analysis').pop();
+  assert(cbtAnalysisCall.params.messages[0].content.includes('ВЕРНОСТЬ ПОДХОДУ'), 'the supervisor gets the modality rubric');
+  assert(bot.sent.some(entry => entry.text?.includes('Верность подходу (КПТ)')), 'the analysis reports modality fidelity');
+
+  await command('/stats');
+  assert(bot.last().text.includes('По подходам') && bot.last().text.includes('КПТ'), '/stats breaks sessions down by modality');
+  await command('/stats cbt');
+  assert(bot.last().text.includes('Навыки терапевта (КПТ)'), '/stats <modality> shows the skills of one modality');
+
+  await dialogueCallback('fsm:start:session_modality:settings');
+  await dialogueCallback('fsm:input:general');
+  assert(bot.last().text.includes('Настройки'), 'the modality can be reset from /settings');
+
+  await command('/crisis suicidal_ideation');
+  const crisisInvitation = bot.last();
+  assert(crisisInvitation.text.includes('Кризисный сценарий'), '/crisis offers a crisis scenario patient');
+  const crisisGeneration = claudeService.provider.calls.filter(call => call.purpose === 'generation').pop();
+  assert(crisisGeneration.params.messages[0].content.includes('КРИЗИСНЫЙ СЦЕНАРИЙ'), 'the crisis patient is generated for the scenario');
+
+  const crisisPatientId = parseInt(crisisInvitation.options.reply_markup.inline_keyboard[0][0].callback_data.replace('invite_patient_', ''), 10);
+  const crisisPatient = await patientService.getPatientById(crisisPatientId);
+  await command(`/new ${crisisPatient.seed}`);
+  const crisisRepeat = await patientService.getPatientById(
+    parseInt(bot.last().options.reply_markup.inline_keyboard[0][0].callback_data.replace('invite_patient_', ''), 10)
+  );
+  assert(
+    crisisRepeat.crisis_scenario === 'suicidal_ideation' && crisisRepeat.name === crisisPatient.name,
+    '/new <seed> recreates a crisis patient with its scenario'
+  );
+
+  await commandHandler.handlePatientInvitation(bot, {
+    id: 'smoke-crisis',
+    from: telegramUser,
+    data: crisisInvitation.options.reply_markup.inline_keyboard[0][0].callback_data,
+    message: { message_id: 1, chat, text: crisisInvitation.text }
+  });
+  const crisisTurnStates = [];
+  for (const text of ['Что привело вас сегодня?', 'Как вы спите последнее время?', 'Что вы имеете в виду?']) {
+    await message(text);
+    crisisTurnStates.push(claudeService.provider.calls.filter(call => call.purpose === 'patient_turn').pop().params.system.at(-1).text);
+  }
+  assert(
+    crisisTurnStates[0].includes('СКРЫТЫЙ РИСК') && crisisTurnStates[0].includes('Пока не упоминай') && crisisTurnStates[2].includes('косвенные сигналы'),
+    'the hidden risk is disclosed at controlled points'
+  );
+  await command('/end');
+  await command('/analyze');
+  const crisisAnalysisCall = claudeService.provider.calls.filter(call => call.purpose === 'analysis').pop();
+  assert(crisisAnalysisCall.params.messages[0].content.includes('ПРОТОКОЛ БЕЗОПАСНОСТИ'), 'the supervisor gets the safety protocol');
+  assert(bot.sent.some(entry => entry.text?.includes('Протокол безопасности (Суицидальные мысли):* 38%')), 'the analysis shows the safety scorecard');
+  const crisisScore = await dbManager.get(`
+    SELECT sc.score FROM session_skill_scores sc
+    WHERE sc.skill = 'crisis_management' ORDER BY sc.id DESC LIMIT 1
+  `);
+  assert(crisisScore.score === 4, 'crisis scenarios score crisis_management');
+
+  await command('/stats');
+  assert(bot.last().text.includes('Кризисные сессии: 1, протокол безопасности в среднем 38%'), '/stats reports the safety protocol');
+
+  await command('/hint');
+  assert(bot.last().text.includes('только во время сессии'), '/hint needs an active session');
+
+  await command('/new');
+  const hintInvitation = bot.last();
+  await commandHandler.handlePatientInvitation(bot, {
+    id: 'smoke-hint',
+    from: telegramUser,
+    data: hintInvitation.options.reply_markup.inline_keyboard[0][0].callback_data,
+    message: { message_id: 1, chat, text: hintInvitation.text }
+  });
+  const hintSession = sessionService.getActiveSession(userId);
+  await message('Расскажите о вашей семье.');
+  await message('А как к этому относится ваш отец?');
+  await command('/hint');
+  assert(bot.last().text.includes('Супервизор шепчет') && bot.last().text.includes('отца'), '/hint whispers a hint for the next turn');
+  const hintCalls = claudeService.provider.calls.filter(call => call.purpose === 'hint');
+  assert(hintCalls.at(-1).params.messages[0].content.includes('Терапевт: А как к этому относится ваш отец?'), 'the hint looks at the last turns');
+  await command('/hint');
+  assert(
+    bot.last().text.includes('ничего не изменилось') &&
+      claudeService.provider.calls.filter(call => call.purpose === 'hint').length === hintCalls.length,
+    'asking again before the next turn repeats the stored hint'
+  );
+
+  await command('/hint on');
+  assert(await userService.getAutoHintsSetting(userId), '/hint on enables automatic hints');
+  await message('Что вы чувствуете, когда говорите о нем?');
+  assert(bot.last().text.includes('Автоподсказка супервизора'), 'automatic hints come every few therapist messages');
+  const storedHints = await dbManager.all('SELECT trigger FROM session_hints WHERE session_id = ? ORDER BY id', [hintSession.id]);
+  assert(storedHints.map(row => row.trigger).join() === 'manual,auto', 'hints are logged with the session');
+  await command('/hint off');
+
+  await command('/end');
+  await command('/analyze');
+  const hintAnalysisCall = claudeService.provider.calls.filter(call => call.purpose === 'analysis').pop();
+  assert(hintAnalysisCall.params.messages[0].content.includes('ПОДСКАЗКИ СУПЕРВИЗОРА ВО ВРЕМЯ СЕССИИ'), 'the supervisor knows which turns were assisted');
+  assert(bot.sent.some(entry => entry.text?.includes('Подсказок супервизора в сессии: 2')), 'the analysis reports the hints used');
+
+  await command('/undo');
+  assert(bot.last().text.includes('только во время сессии'), '/undo needs an active session');
+
+  await command('/new');
+  const branchInvitation = bot.last();
+  await commandHandler.handlePatientInvitation(bot, {
+    id: 'smoke-branch',
+    from: telegramUser,
+    data: branchInvitation.options.reply_markup.inline_keyboard[0][0].callback_data,
+    message: { message_id: 1, chat, text: branchInvitation.text }
+  });
+  const branchSession = sessionService.getActiveSession(userId);
+  await message('Что привело вас ко мне?');
+  const stateBeforeAdvice = sessionService.getActiveSession(userId).emotionalState;
+  await message('Вам просто нужно больше отдыхать.');
+  const lengthBeforeUndo = branchSession.messages.length;
+  await command('/undo');
+  assert(
+    bot.last().text.includes('Отменено обменов: 1') && branchSession.messages.length === lengthBeforeUndo - 2 &&
+      JSON.stringify(sessionService.getActiveSession(userId).emotionalState) === JSON.stringify(stateBeforeAdvice),
+    '/undo rolls back the last exchange and the patient state'
+  );
+  await message('Похоже, вы очень устали. Расскажите, как это проявляется?');
+  await command('/branches');
+  const branchesView = bot.last();
+  assert(
+    branchesView.text.includes('Основная линия') && branchesView.text.includes('Вариант 2*, другая реплика №3'),
+    '/branches lists the main line and the new branch'
+  );
+  const branchButtons = branchesView.options.reply_markup.inline_keyboard.flat();
+  const branchCallback = data => commandHandler.handleBranchCallback(bot, {
+    id: 'smoke-branches',
+    from: telegramUser,
+    data,
+    message: { message_id: 1, chat, text: '' }
+  });
+  await branchCallback(branchButtons.find(button => button.callback_data.startsWith('branch:compare:')).callback_data);
+  assert(
+    bot.last().text.includes('Варианты реплики №3') && bot.last().text.includes('Вам просто нужно больше отдыхать') &&
+      bot.last().text.includes('Похоже, вы очень устали') && bot.last().text.includes('Отражение | Дистресс'),
+    'the comparison shows the patient reaction to each alternative'
+  );
+  await branchCallback(`branch:switch:${branchSession.id}:0`);
+  assert(
+    bot.last().text.includes('Основная линия') &&
+      sessionService.getActiveSession(userId).messages.at(-2).content === 'Вам просто нужно больше отдыхать.',
+    'the session can continue in another branch'
+  );
+  await command('/undo 99');
+  assert(bot.last().text.includes('Отменено обменов: 3') && branchSession.messages.length === 0, '/undo n goes back several exchanges');
+  await branchCallback(`branch:switch:${branchSession.id}:0`);
+  await command('/end');
+  await command('/analyze');
+  const branchAnalysisCall = claudeService.provider.calls.filter(call => call.purpose === 'analysis').pop();
+  assert(
+    branchAnalysisCall.params.messages[0].content.includes('Вам просто нужно больше отдыхать') &&
+      !branchAnalysisCall.params.messages[0].content.includes('Похоже, вы очень устали'),
+    'the analysis reads the line the session ended in'
+  );
+
+  await dialogueCallback('fsm:start:settings_language');
+  await dialogueCallback('fsm:input:en');
+  const chatMenu = bot.sent.filter(entry => entry.type === 'commands').pop();
+  assert(
+    chatMenu?.options.scope?.chat_id === chat.id && chatMenu.commands.some(item => item.description === '👤 Create a new patient'),
+    'switching to English translates the replies and the chat menu'
+  );
+
+  await command('/new');
+  const englishInvitation = bot.last();
+  assert(englishInvitation.text.includes('Call from Kate'), 'the patient invitation follows the user language');
+  const generationCall = claudeService.provider.calls.filter(call => call.purpose === 'generation').pop();
+  assert(generationCall.params.messages[0].content.includes('English'), 'patients are generated in the user language');
+
+  await commandHandler.handlePatientInvitation(bot, {
+    id: 'smoke-english',
+    from: telegramUser,
+    data: englishInvitation.options.reply_markup.inline_keyboard[0][0].callback_data,
+    message: { message_id: 1, chat, text: englishInvitation.text }
+  });
+  await message('What brings you here today?');
+  const englishTurn = claudeService.provider.calls.filter(call => call.purpose === 'patient_turn').pop();
+  assert(englishTurn.params.system.at(-1).text.includes('English'), 'the patient is told to answer in the user language');
+  await command('/end');
+  assert(bot.sent.some(entry => entry.text?.includes('Session ended!')), 'session end is reported in English');
+
+  console.log(`\n🎉 Offline smoke run passed (${bot.sent.length} bot actions)`);
+  await dbManager.close();
+  process.exit(0);
+
+} catch (error) {
+  console.error('❌ Offline smoke run failed:', error.message);
+  process.exit(1);
+}
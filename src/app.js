@@ -6,10 +6,20 @@ import commandHandler from './handlers/CommandHandler.js';
 import messageHandler from './handlers/MessageHandler.js';
 import userService from './services/UserService.js';
 import sessionService from './services/SessionService.js';
+import dialogueManager from './services/DialogueManager.js';
+import templateService from './services/TemplateService.js';
+import caseFileService from './services/CaseFileService.js';
+import claudeService from './services/ClaudeService.js';
+import HttpServer from './server/HttpServer.js';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES, getTranslator } from './i18n/index.js';
+
+const ALLOWED_UPDATES = ['message', 'callback_query'];
 
 class PsychoTrainerBot {
   constructor() {
     this.bot = null;
+    this.botInfo = null;
+    this.httpServer = null;
     this.isRunning = false;
     this.restartAttempts = 0;
   }
@@ -22,17 +32,23 @@ class PsychoTrainerBot {
       await dbManager.initialize();
       logger.info('Database initialized successfully');
 
-      // Initialize Telegram bot
-      this.bot = new TelegramBot(config.telegram.token, { 
-        polling: {
-          interval: 300,
-          autoStart: false,
-          params: {
-            timeout: 10,
-            allowed_updates: ['message', 'callback_query']
+      // Publish curated case presets (data/templates) to the template library
+      await templateService.syncCuratedTemplates();
+
+      // Initialize Telegram bot (updates come from polling or from the webhook server)
+      this.bot = new TelegramBot(config.telegram.token, config.telegram.mode === 'webhook' ?
+        { polling: false } :
+        {
+          polling: {
+            interval: 300,
+            autoStart: false,
+            params: {
+              timeout: 10,
+              allowed_updates: ALLOWED_UPDATES
+            }
           }
-        }
-      });
+        });
+      this.botInfo = null;
 
       // Set up bot event handlers
       this.setupEventHandlers();
@@ -46,6 +62,10 @@ class PsychoTrainerBot {
       // Set up inactivity callbacks
       this.setupInactivityCallbacks();
 
+      // Resume sessions that were active before the restart
+      // (after callbacks, so overdue warnings/auto-ends can notify users)
+      await sessionService.restoreActiveSessions();
+
       // Set up bot commands menu
       await this.setupBotCommands();
 
@@ -91,13 +111,27 @@ class PsychoTrainerBot {
     // Handle callback queries (for inline keyboards)
     this.bot.on('callback_query', async (query) => {
       try {
-        // Route inactivity callbacks to messageHandler
-        if (query.data.includes('session') || query.data.includes('continue') || 
-            query.data.includes('pause') || query.data.includes('end')) {
-          await messageHandler.handleCallbackQuery(this.bot, query);
+        // Prefixed callbacks are routed before the substring checks below
+        if (query.data.startsWith('review:')) {
+          await commandHandler.handleReviewCallback(this.bot, query);
+        } else if (query.data.startsWith('branch:')) {
+          await commandHandler.handleBranchCallback(this.bot, query);
+        } else if (query.data.startsWith('history:')) {
+          await commandHandler.handleHistoryCallback(this.bot, query);
+        } else if (query.data.startsWith('template:')) {
+          await commandHandler.handleTemplateCallback(this.bot, query);
+        } else if (query.data.startsWith('fsm:')) {
+          const userId = await userService.registerUser(query.from);
+          await dialogueManager.handleCallback(this.bot, query, userId);
         } else if (query.data.startsWith('patient_action:')) {
           // Route patient action callbacks to messageHandler
           await messageHandler.handlePatientActionCallback(this.bot, query);
+        } else if (query.data.startsWith('turn_retry:')) {
+          await messageHandler.handleTurnRetryCallback(this.bot, query);
+        } else if (query.data.includes('session') || query.data.includes('continue') || 
+            query.data.includes('pause') || query.data.includes('end')) {
+          // Route inactivity callbacks to messageHandler
+          await messageHandler.handleCallbackQuery(this.bot, query);
         } else {
           await this.handleCallbackQuery(query);
         }
@@ -169,24 +203,15 @@ class PsychoTrainerBot {
 
   async setupBotCommands() {
     try {
-      const commands = [
-        { command: 'start', description: '🏠 Начать работу с ботом' },
-        { command: 'new', description: '👤 Создать нового пациента' },
-        { command: 'custom', description: '🎨 Создать пациента по описанию' },
-        { command: 'patients', description: '👥 Мои пациенты' },
-        { command: 'sessions', description: '📋 История сессий' },
-        { command: 'stats', description: '📊 Моя статистика' },
-        { command: 'settings', description: '⚙️ Настройки бота' },
-        { command: 'analyze', description: '🎓 Анализ сессии' },
-        { command: 'end', description: '🏁 Завершить сессию' },
-        { command: 'info', description: 'ℹ️ Информация о пациенте' },
-        { command: 'continue', description: '🔄 Продолжить сессию' },
-        { command: 'leaderboard', description: '🏆 Рейтинг терапевтов' },
-        { command: 'help', description: '❓ Помощь и команды' }
-      ];
-
+      // The default menu is Russian; clients in other supported languages get their own
+      const commands = commandHandler.getCommandMenu(getTranslator(DEFAULT_LOCALE));
       await this.bot.setMyCommands(commands);
-      logger.info('Bot commands menu set up', { commandCount: commands.length });
+
+      for (const locale of SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE)) {
+        await this.bot.setMyCommands(commandHandler.getCommandMenu(getTranslator(locale)), { language_code: locale });
+      }
+
+      logger.info('Bot commands menu set up', { commandCount: commands.length, locales: SUPPORTED_LOCALES });
     } catch (error) {
       logger.error('Error setting up bot commands', { error: error.message });
     }
@@ -257,6 +282,8 @@ class PsychoTrainerBot {
   }
 
   async handleSettingsCallback(chatId, data, telegramUserId) {
+    let t = getTranslator(DEFAULT_LOCALE);
+
     try {
       logger.info('Callback received', { data, telegramUserId, chatId });
       
@@ -264,14 +291,15 @@ class PsychoTrainerBot {
       const user = await userService.getUserByTelegramId(telegramUserId);
       if (!user) {
         logger.error('User not found', { telegramUserId });
-        await this.bot.sendMessage(chatId, '❌ Пользователь не найден.');
+        await this.bot.sendMessage(chatId, t('settings.userNotFound'));
         return;
       }
       
       const userId = user.id;
+      t = getTranslator(await userService.getLocale(userId));
       
       if (data === 'settings_close') {
-        await this.bot.sendMessage(chatId, '✅ Настройки закрыты. Используйте /help для списка команд.');
+        await this.bot.sendMessage(chatId, t('settings.closed'));
         return;
       }
       
@@ -280,22 +308,33 @@ class PsychoTrainerBot {
         const success = await userService.updateNonverbalSetting(userId, newValue);
         
         if (success) {
-          const status = newValue ? 'включена' : 'выключена';
-          await this.bot.sendMessage(chatId, `✅ Невербалика ${status}!`);
+          await this.bot.sendMessage(chatId, t(newValue ? 'settings.nonverbalEnabled' : 'settings.nonverbalDisabled'));
+          
+          // Refresh settings display
+          await commandHandler.handleSettings(this.bot, { chat: { id: chatId } }, userId);
+        } else {
+          await this.bot.sendMessage(chatId, t('settings.updateFailed'));
+        }
+        return;
+      }
+      
+      if (data.startsWith('settings_autohints_')) {
+        const newValue = data.split('_')[2] === 'true';
+        const success = await userService.updateAutoHintsSetting(userId, newValue);
+        
+        if (success) {
+          await this.bot.sendMessage(chatId, t(newValue ? 'settings.autoHintsEnabled' : 'settings.autoHintsDisabled'));
           
           // Refresh settings display
           await commandHandler.handleSettings(this.bot, { chat: { id: chatId } }, userId);
         } else {
-          await this.bot.sendMessage(chatId, '❌ Ошибка при обновлении настройки.');
+          await this.bot.sendMessage(chatId, t('settings.updateFailed'));
         }
         return;
       }
       
       if (data === 'settings_voice_disabled') {
-        await this.bot.sendMessage(chatId, 
-          '🚧 Голосовое общение находится в разработке.\n\n' +
-          'Скоро будет доступна возможность общения с AI-пациентами голосовыми сообщениями!'
-        );
+        await this.bot.sendMessage(chatId, t('settings.voiceComingSoon'));
         return;
       }
       
@@ -306,7 +345,7 @@ class PsychoTrainerBot {
         data, 
         telegramUserId 
       });
-      await this.bot.sendMessage(chatId, '❌ Ошибка при обработке настройки.');
+      await this.bot.sendMessage(chatId, t('settings.callbackFailed'));
     }
   }
 
@@ -422,6 +461,18 @@ class PsychoTrainerBot {
         logger.info('Bot polling stopped');
       }
 
+      // Stop accepting webhook and monitoring requests
+      if (this.httpServer) {
+        await this.httpServer.stop();
+      }
+
+      // Make sure the latest session state reaches the database
+      await sessionService.flushSessionState();
+      logger.info('Session state flushed');
+
+      // Let case files of just ended sessions finish updating
+      await caseFileService.flushUpdates();
+
       // Close database connection
       if (dbManager) {
         await dbManager.close();
@@ -445,14 +496,22 @@ class PsychoTrainerBot {
       }
 
       await this.initialize();
-      
-      // Start polling
-      this.bot.startPolling();
+
+      if (config.server.enabled) {
+        await this.startHttpServer();
+      }
+
+      if (config.telegram.mode === 'webhook') {
+        await this.startWebhook();
+      } else {
+        await this.startPolling();
+      }
       this.isRunning = true;
 
       logger.info('🤖 PsychoTrainer Bot v3.0 started successfully!', {
         nodeEnv: config.app.nodeEnv,
-        botUsername: (await this.bot.getMe()).username
+        mode: config.telegram.mode,
+        botUsername: (await this.getBotInfo()).username
       });
 
       // Log system stats periodically
@@ -464,6 +523,44 @@ class PsychoTrainerBot {
     }
   }
 
+  async startHttpServer() {
+    const isWebhook = config.telegram.mode === 'webhook';
+
+    this.httpServer = new HttpServer({
+      host: config.server.host,
+      port: config.telegram.webhook.port,
+      webhookPath: isWebhook ? config.telegram.webhook.path : null,
+      secretToken: config.telegram.webhook.secretToken,
+      onUpdate: (update) => this.bot.processUpdate(update),
+      healthCheck: () => this.healthCheck(),
+      collectMetrics: () => this.collectMetrics()
+    });
+
+    await this.httpServer.start();
+  }
+
+  async startWebhook() {
+    const webhookUrl = config.telegram.webhook.url.replace(/\/+$/, '') + config.telegram.webhook.path;
+
+    await this.bot.setWebHook(webhookUrl, {
+      secret_token: config.telegram.webhook.secretToken,
+      allowed_updates: JSON.stringify(ALLOWED_UPDATES)
+    });
+
+    logger.info('Webhook registered', { url: webhookUrl });
+  }
+
+  async startPolling() {
+    // getUpdates fails with 409 while a webhook is set (e.g. after switching modes)
+    try {
+      await this.bot.deleteWebHook();
+    } catch (error) {
+      logger.warn('Failed to delete webhook before polling', { error: error.message });
+    }
+
+    this.bot.startPolling();
+  }
+
   startSystemMonitoring() {
     // Log system stats every 10 minutes
     setInterval(async () => {
@@ -485,17 +582,30 @@ class PsychoTrainerBot {
     }, 10 * 60 * 1000);
   }
 
+  // The bot account does not change while it runs: getMe is called once
+  // (again only after a failure), not on every health probe
+  getBotInfo() {
+    if (!this.botInfo) {
+      this.botInfo = this.bot.getMe().catch((error) => {
+        this.botInfo = null;
+        throw error;
+      });
+    }
+    return this.botInfo;
+  }
+
   // Health check endpoint (for monitoring)
   async healthCheck() {
     try {
-      const botInfo = await this.bot.getMe();
+      const botInfo = await this.getBotInfo();
       const dbHealth = await dbManager.healthCheck();
       
       return {
-        status: 'healthy',
+        status: dbHealth && this.isRunning ? 'healthy' : 'unhealthy',
         bot: {
           username: botInfo.username,
-          running: this.isRunning
+          running: this.isRunning,
+          mode: config.telegram.mode
         },
         database: {
           connected: dbHealth
@@ -510,6 +620,63 @@ class PsychoTrainerBot {
       };
     }
   }
+
+  // Metrics for the /metrics endpoint (Prometheus text format)
+  async collectMetrics() {
+    const memUsage = process.memoryUsage();
+    const metrics = [
+      { name: 'psycho_trainer_up', help: 'Whether the bot is running', value: this.isRunning ? 1 : 0 },
+      { name: 'process_uptime_seconds', help: 'Process uptime in seconds', value: Math.round(process.uptime()) },
+      { name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes', value: memUsage.rss },
+      { name: 'nodejs_heap_used_bytes', help: 'Node.js heap used in bytes', value: memUsage.heapUsed },
+      { name: 'psycho_trainer_active_sessions', help: 'Therapy sessions currently in progress', value: sessionService.activeSessions.size },
+      { name: 'psycho_trainer_llm_circuit_open', help: 'Whether LLM calls currently fail fast (circuit breaker open)', value: claudeService.circuitBreaker.state === 'open' ? 1 : 0 }
+    ];
+
+    try {
+      const [users, patients, sessions, messages] = await Promise.all([
+        dbManager.get('SELECT COUNT(*) as count FROM users'),
+        dbManager.get('SELECT COUNT(*) as count FROM patients WHERE is_active = 1'),
+        dbManager.get('SELECT COUNT(*) as count FROM sessions'),
+        dbManager.get('SELECT COUNT(*) as count FROM messages')
+      ]);
+
+      metrics.push(
+        { name: 'psycho_trainer_users', help: 'Registered users', value: users?.count },
+        { name: 'psycho_trainer_patients', help: 'Active patients', value: patients?.count },
+        { name: 'psycho_trainer_sessions', help: 'Sessions ever started', value: sessions?.count },
+        { name: 'psycho_trainer_messages', help: 'Stored session messages', value: messages?.count }
+      );
+
+      // LLM usage over the last hour, from performance_metrics
+      const usage = await dbManager.all(`
+        SELECT metric_name, COUNT(*) as samples, SUM(metric_value) as total, AVG(metric_value) as average
+        FROM performance_metrics
+        WHERE metric_name LIKE 'claude_%' AND recorded_at > datetime('now', '-1 hour')
+        GROUP BY metric_name
+      `);
+
+      for (const row of usage) {
+        if (row.metric_name === 'claude_api_response_time') {
+          metrics.push(
+            { name: 'psycho_trainer_llm_requests_last_hour', help: 'LLM requests in the last hour', value: row.samples },
+            { name: 'psycho_trainer_llm_response_time_ms_last_hour', help: 'Average LLM response time in the last hour', value: Math.round(row.average) }
+          );
+        } else if (row.metric_name.endsWith('_tokens')) {
+          metrics.push({
+            name: 'psycho_trainer_llm_tokens_last_hour',
+            help: 'LLM tokens in the last hour, by kind',
+            labels: { kind: row.metric_name.replace(/^claude_(api_)?/, '').replace(/_tokens$/, '') },
+            value: row.total
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('Error collecting metrics', { error: error.message });
+    }
+
+    return metrics;
+  }
 }
 
 // Create and start bot instance
@@ -7,26 +7,85 @@ const __dirname = path.dirname(__filename);
 
 dotenv.config();
 
+// DATABASE_ENCRYPTION_PREVIOUS_KEYS="k1:<32 chars>,k2:<32 chars>" -> { k1: '...', k2: '...' }
+function parseKeyList(value) {
+  if (!value) {
+    return {};
+  }
+
+  return Object.fromEntries(value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return [entry.slice(0, separator), entry.slice(separator + 1)];
+    }));
+}
+
+// ADMIN_TELEGRAM_IDS="123,456" -> ['123', '456']
+function parseIdList(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// LLM_PRICE_INPUT="0.5" -> 0.5; unset -> null
+function parseAmount(value) {
+  return value === undefined || value === '' ? null : parseFloat(value);
+}
+
 const config = {
   telegram: {
     token: process.env.TELEGRAM_BOT_TOKEN,
+    mode: process.env.TELEGRAM_MODE || 'polling', // polling | webhook
     webhook: {
       port: parseInt(process.env.PORT, 10) || 3000,
-      url: process.env.WEBHOOK_URL
+      url: process.env.WEBHOOK_URL, // Public base URL, e.g. https://bot.example.com
+      path: process.env.WEBHOOK_PATH || '/telegram/webhook',
+      secretToken: process.env.WEBHOOK_SECRET_TOKEN
+    },
+    streaming: {
+      enabled: process.env.STREAMING_ENABLED !== 'false',
+      editIntervalMs: parseInt(process.env.STREAMING_EDIT_INTERVAL_MS, 10) || 1500
     }
   },
   
   anthropic: {
+    provider: process.env.LLM_PROVIDER || 'anthropic', // anthropic | openai | mock
     apiKey: process.env.ANTHROPIC_API_KEY,
-    model: 'claude-3-5-sonnet-20241022',
+    baseUrl: process.env.LLM_BASE_URL, // OpenAI-compatible endpoint, e.g. https://api.openai.com/v1
+    providerApiKey: process.env.LLM_API_KEY,
+    mockFixtures: process.env.LLM_MOCK_FIXTURES, // defaults to src/providers/fixtures/mock.json
+    model: process.env.LLM_MODEL || 'claude-3-5-sonnet-20241022',
+    // USD per million tokens; when both are set they replace src/data/modelPricing.js
+    pricing: {
+      input: parseAmount(process.env.LLM_PRICE_INPUT),
+      output: parseAmount(process.env.LLM_PRICE_OUTPUT)
+    },
     maxTokens: 2000,
-    temperature: 0.7
+    temperature: 0.7,
+    // Transient API failures are retried with jittered backoff (see utils/retry.js)
+    retry: {
+      maxAttempts: parseInt(process.env.LLM_RETRY_ATTEMPTS, 10) || 3,
+      baseDelayMs: 1000,
+      maxDelayMs: 20000 // A longer Retry-After fails the call instead of waiting
+    },
+    // Shared by all users: fail fast after consecutive failures, probe after the cooldown
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+      cooldownMs: parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS, 10) || 30000
+    }
   },
   
   database: {
     path: process.env.DATABASE_PATH || path.join(__dirname, '../../data/psycho_trainer.db'),
     encryptionKey: process.env.DATABASE_ENCRYPTION_KEY,
+    encryptionKeyId: process.env.DATABASE_ENCRYPTION_KEY_ID || 'k1',
+    previousEncryptionKeys: parseKeyList(process.env.DATABASE_ENCRYPTION_PREVIOUS_KEYS), // still accepted for decryption
     pragma: {
+      foreign_keys: 'ON',
       journal_mode: 'WAL',
       synchronous: 'NORMAL',
       cache_size: -64000,
@@ -48,14 +107,32 @@ const config = {
     maxFiles: 5
   },
   
+  server: {
+    // The HTTP server always runs in webhook mode; in polling mode it is opt-in
+    enabled: process.env.TELEGRAM_MODE === 'webhook' || process.env.HTTP_SERVER_ENABLED === 'true',
+    host: process.env.HTTP_HOST || '0.0.0.0'
+  },
+  
   security: {
     sessionSecret: process.env.SESSION_SECRET,
+    adminTelegramIds: parseIdList(process.env.ADMIN_TELEGRAM_IDS), // access to /admin_* commands
     rateLimit: {
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
       maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100
     }
   },
   
+  // Spending limits in USD (unset or 0 = unlimited). Days and months are counted in UTC.
+  // Past a limit new patients, sessions and analyses are refused while the
+  // active session can still be finished.
+  budget: {
+    userDailyUsd: parseAmount(process.env.BUDGET_USER_DAILY_USD),
+    userMonthlyUsd: parseAmount(process.env.BUDGET_USER_MONTHLY_USD),
+    globalDailyUsd: parseAmount(process.env.BUDGET_GLOBAL_DAILY_USD),
+    globalMonthlyUsd: parseAmount(process.env.BUDGET_GLOBAL_MONTHLY_USD),
+    warningRatio: 0.8 // Share of a limit after which admins see a warning
+  },
+
   app: {
     nodeEnv: process.env.NODE_ENV || 'development',
     isDevelopment: process.env.NODE_ENV === 'development',
@@ -64,12 +141,26 @@ const config = {
 };
 
 function validateConfig() {
+  const provider = process.env.LLM_PROVIDER || 'anthropic';
   const required = [
     'TELEGRAM_BOT_TOKEN',
-    'ANTHROPIC_API_KEY',
     'DATABASE_ENCRYPTION_KEY',
     'SESSION_SECRET'
   ];
+
+  if (provider === 'anthropic') {
+    required.push('ANTHROPIC_API_KEY');
+  } else if (provider === 'openai') {
+    required.push('LLM_BASE_URL');
+  }
+
+  if (!['polling', 'webhook'].includes(config.telegram.mode)) {
+    throw new Error('TELEGRAM_MODE must be either "polling" or "webhook"');
+  }
+
+  if (config.telegram.mode === 'webhook') {
+    required.push('WEBHOOK_URL', 'WEBHOOK_SECRET_TOKEN');
+  }
   
   const missing = required.filter(key => !process.env[key]);
   
@@ -80,6 +171,35 @@ function validateConfig() {
   if (process.env.DATABASE_ENCRYPTION_KEY && process.env.DATABASE_ENCRYPTION_KEY.length !== 32) {
     throw new Error('DATABASE_ENCRYPTION_KEY must be exactly 32 characters long');
   }
+
+  // Telegram only accepts A-Z, a-z, 0-9, _ and - in secret tokens
+  if (process.env.WEBHOOK_SECRET_TOKEN && !/^[A-Za-z0-9_-]{1,256}$/.test(process.env.WEBHOOK_SECRET_TOKEN)) {
+    throw new Error('WEBHOOK_SECRET_TOKEN must be 1-256 characters of A-Z, a-z, 0-9, "_" or "-"');
+  }
+
+  if (config.security.adminTelegramIds.some(id => !/^\d+$/.test(id))) {
+    throw new Error('ADMIN_TELEGRAM_IDS must be a comma-separated list of numeric Telegram user IDs');
+  }
+
+  const amounts = [
+    config.anthropic.pricing.input,
+    config.anthropic.pricing.output,
+    ...Object.entries(config.budget).filter(([key]) => key.endsWith('Usd')).map(([, value]) => value)
+  ];
+  if (amounts.some(amount => amount !== null && !(amount >= 0))) {
+    throw new Error('LLM_PRICE_* and BUDGET_*_USD must be non-negative numbers');
+  }
+
+  const keyIdPattern = /^[A-Za-z0-9_-]+$/;
+  if (!keyIdPattern.test(config.database.encryptionKeyId)) {
+    throw new Error('DATABASE_ENCRYPTION_KEY_ID may contain only letters, digits, "_" and "-"');
+  }
+
+  for (const [keyId, key] of Object.entries(config.database.previousEncryptionKeys)) {
+    if (!keyIdPattern.test(keyId) || key.length !== 32) {
+      throw new Error('DATABASE_ENCRYPTION_PREVIOUS_KEYS must be a comma-separated list of <keyId>:<32-character key>');
+    }
+  }
 }
 
 validateConfig();
@@ -0,0 +1,150 @@
+// Crisis and risk-assessment scenarios.
+//
+// A crisis patient (patients.crisis_scenario) hides a risk that comes out at
+// controlled points of every session, counted in therapist messages: nothing
+// before hintTurn, indirect signals from hintTurn and an explicit disclosure
+// from disclosureTurn (earlier if the therapist asks about the risk directly).
+// The supervisor then fills a safety scorecard against the scenario's
+// protocol and has to score crisis_management. User-facing texts:
+// labels.crisis and crisis.checks.
+
+// Protocol steps of every scenario, each scored 0 (not done), 1 (partly) or 2 (done)
+export const SAFETY_CHECKS = ['recognition', 'risk_assessment', 'safety_planning', 'escalation'];
+export const SAFETY_CHECK_MAX = 2;
+
+export const CRISIS_SCENARIOS = {
+  suicidal_ideation: {
+    hintTurn: 3,
+    disclosureTurn: 6,
+    generation: 'пациент с депрессивными переживаниями, у которого в последние недели появились ' +
+      'суицидальные мысли. Основная проблема (presenting_problem) - то, с чем он пришел открыто ' +
+      '(усталость, бессонница, проблемы на работе или в отношениях), о суицидальных мыслях он сам не говорит.',
+    risk: 'У тебя есть суицидальные мысли: последние недели ты думаешь, что всем было бы легче без тебя, ' +
+      'и пару раз представлял(а), как это сделать. Четкого плана и даты нет, но дома есть запас таблеток. ' +
+      'Удерживают близкие (например, ребенок или родитель) и страх. Раньше попыток не было.',
+    hint: 'Дай косвенные сигналы, но не называй мысли прямо: «иногда кажется, что нет смысла», ' +
+      '«устал(а) от всего», «было бы проще исчезнуть».',
+    disclosure: 'Скажи прямо, что думаешь о самоубийстве, если терапевт еще не спросил об этом сам.',
+    protocol: {
+      recognition: 'терапевт заметил сигналы риска и не прошел мимо них',
+      risk_assessment: 'прямо спросил о суицидальных мыслях и оценил план, средства, намерение, сроки, прошлые попытки и сдерживающие факторы',
+      safety_planning: 'вместе с клиентом составил план безопасности: признаки ухудшения, способы справиться, к кому обратиться, ограничение доступа к средствам',
+      escalation: 'соразмерно риску подключил помощь: телефон доверия, экстренные службы при высоком риске, психиатр, супервизия'
+    }
+  },
+  self_harm: {
+    hintTurn: 3,
+    disclosureTurn: 6,
+    generation: 'пациент, который наносит себе порезы, чтобы справиться с невыносимыми чувствами. ' +
+      'Основная проблема (presenting_problem) - то, с чем он пришел открыто (конфликты, тревога, ' +
+      'перепады настроения), о самоповреждении он сам не говорит и стыдится его.',
+    risk: 'Ты наносишь себе порезы на руках, когда эмоции становятся невыносимыми, последний раз - несколько дней назад. ' +
+      'Ты скрываешь это под длинными рукавами и стыдишься. Желания умереть нет, но порезы становятся глубже, ' +
+      'а один раз пришлось самому обрабатывать глубокую рану.',
+    hint: 'Дай косвенные сигналы: упомяни, что «иногда делаешь кое-что, чтобы стало легче», ' +
+      'одергиваешь рукав, уходишь от вопросов о том, как справляешься.',
+    disclosure: 'Признайся, что режешь себя, если терапевт еще не спросил об этом сам.',
+    protocol: {
+      recognition: 'терапевт заметил сигналы и принял признание без осуждения и паники',
+      risk_assessment: 'выяснил частоту, способ, тяжесть повреждений, нужна ли медицинская помощь, функцию самоповреждения и наличие суицидальных мыслей',
+      safety_planning: 'вместе с клиентом обсудил альтернативные способы справляться, действия при сильном импульсе и уход за ранами',
+      escalation: 'соразмерно риску предложил медицинскую помощь, телефон доверия, психиатра или супервизию'
+    }
+  },
+  abuse: {
+    hintTurn: 3,
+    disclosureTurn: 7,
+    generation: 'пациент, который живет с партнером, применяющим к нему психологическое и физическое насилие. ' +
+      'Основная проблема (presenting_problem) - то, с чем он пришел открыто (тревога, бессонница, ' +
+      '«проблемы в отношениях»), о насилии он сам не говорит и оправдывает партнера.',
+    risk: 'Партнер контролирует твои деньги и телефон, унижает тебя, а несколько раз толкал и бил, ' +
+      'последний раз на прошлой неделе. В доме живет ребенок, который видел ссоры. Ты боишься, что будет хуже, ' +
+      'если уйти, и стыдишься говорить об этом.',
+    hint: 'Дай косвенные сигналы: партнер «бывает вспыльчивым», ты «стараешься его не злить», ' +
+      'тебе нужно отчитываться, где ты, объясняешь синяк случайностью.',
+    disclosure: 'Расскажи, что партнер тебя бьет, если терапевт еще не спросил об этом сам.',
+    protocol: {
+      recognition: 'терапевт заметил сигналы насилия, поверил клиенту и не обвинял его',
+      risk_assessment: 'оценил опасность: частоту и тяжесть насилия, эскалацию, угрозы убийством, оружие, безопасность ребенка',
+      safety_planning: 'вместе с клиентом составил план безопасности: куда уйти, кому позвонить, документы и деньги, условный сигнал',
+      escalation: 'дал контакты кризисных служб и полиции, учел обязанность сообщить об угрозе ребенку, обсудил супервизию'
+    }
+  }
+};
+
+export const CRISIS_SCENARIO_IDS = Object.keys(CRISIS_SCENARIOS);
+
+export function isCrisisScenario(scenario) {
+  return Object.prototype.hasOwnProperty.call(CRISIS_SCENARIOS, scenario);
+}
+
+// hidden | hint | disclosure after the given number of therapist messages
+export function getDisclosureStage(scenario, therapistTurns) {
+  const { hintTurn, disclosureTurn } = CRISIS_SCENARIOS[scenario];
+
+  if (therapistTurns >= disclosureTurn) {
+    return 'disclosure';
+  }
+  return therapistTurns >= hintTurn ? 'hint' : 'hidden';
+}
+
+// Extra requirement for the patient generation prompt, '' for ordinary patients
+export function buildCrisisGenerationPrompt(scenario) {
+  return isCrisisScenario(scenario) ?
+    `КРИЗИСНЫЙ СЦЕНАРИЙ (учебный случай оценки риска): ${CRISIS_SCENARIOS[scenario].generation}` :
+    '';
+}
+
+// Per-turn instruction for the patient (added to the state block, so the
+// cached system prompt stays the same); null for ordinary patients
+export function describeCrisisForPrompt(scenario, therapistTurns) {
+  if (!isCrisisScenario(scenario)) {
+    return null;
+  }
+
+  const { risk, hint, disclosure } = CRISIS_SCENARIOS[scenario];
+  const stage = getDisclosureStage(scenario, therapistTurns);
+  const stageInstruction = {
+    hidden: 'Пока не упоминай это и не намекай, если терапевт сам не спросит прямо.',
+    hint,
+    disclosure
+  }[stage];
+
+  return `СКРЫТЫЙ РИСК (это учебная сессия, терапевт тренирует оценку риска):
+${risk}
+Если терапевт прямо и бережно спрашивает о риске, отвечай честно и подробно. Если он торопится, осуждает или пугается, закрывайся.
+Если риск уже обсуждался на прошлых встречах, говори о нем открыто, когда терапевт к нему возвращается.
+Сейчас: ${stageInstruction}`;
+}
+
+// Safety protocol appended to the supervisor prompt, '' for ordinary patients.
+// The answer goes into "safety_scorecard" (see supervisorAnalysisSchema).
+export function buildSafetyRubric(scenario) {
+  if (!isCrisisScenario(scenario)) {
+    return '';
+  }
+
+  const { risk, protocol } = CRISIS_SCENARIOS[scenario];
+  const checkLines = SAFETY_CHECKS.map(check => `- ${check}: ${protocol[check]}`);
+
+  return `ПРОТОКОЛ БЕЗОПАСНОСТИ:
+Это учебный кризисный сценарий. У клиента был скрытый риск, который он раскрывал постепенно:
+${risk}
+Оцени, как терапевт справился с кризисом. Навык "crisis_management" в этой сессии обязательно оценивается числом, не null.
+Добавь в JSON поле "safety_scorecard":
+{
+  "checks": {
+    "<шаг>": { "score": 0 - не выполнено, 1 - частично, 2 - выполнено, "evidence": "реплики, на которых основана оценка" }
+  },
+  "missed_signals": ["сигнал риска, который терапевт пропустил"],
+  "comment": "что было сделано для безопасности клиента и что нужно было сделать"
+}
+Шаги протокола (ключи "checks", оцени каждый):
+${checkLines.join('\n')}`;
+}
+
+// Share of the protocol performed, 0-100
+export function scoreSafetyChecks(checks) {
+  const total = SAFETY_CHECKS.reduce((sum, check) => sum + (checks[check]?.score || 0), 0);
+  return Math.round((total / (SAFETY_CHECKS.length * SAFETY_CHECK_MAX)) * 100);
+}
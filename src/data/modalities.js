@@ -0,0 +1,129 @@
+// Therapy modalities the trainee can practise.
+//
+// A session is run in one modality (sessions.modality, chosen before the
+// session starts). The modality primes patient generation with a case that
+// suits the approach, adds its own fidelity rubric to the supervisor prompt
+// and selects the in-session tips. "general" keeps the approach-neutral
+// rubric only. User-facing texts: labels.modality, modality.checks.<modality>
+// and modality.reminders.<modality>.
+
+export const DEFAULT_MODALITY = 'general';
+
+export const MODALITIES = {
+  general: {
+    generation: null,
+    rubric: null,
+    checks: {}
+  },
+  cbt: {
+    generation: 'Случай для практики когнитивно-поведенческой терапии (КПТ): ' +
+      'у пациента есть конкретные, наблюдаемые проблемы (тревога, избегание, сниженное настроение), ' +
+      'выраженные автоматические мысли и убеждения, которые можно исследовать и проверять, ' +
+      'и ситуации из жизни, подходящие для поведенческих экспериментов и домашних заданий.',
+    rubric: 'Терапевт практикует когнитивно-поведенческую терапию (КПТ). ' +
+      'Оцени структуру сессии и когнитивную работу, а не только общие навыки.',
+    checks: {
+      agenda: 'в начале сессии совместно с клиентом согласована повестка',
+      homework_review: 'обсуждено предыдущее домашнее задание (если это не первая встреча; иначе null)',
+      problem_focus: 'работа сфокусирована на конкретной проблеме или ситуации клиента',
+      cognitive_restructuring: 'выявлены автоматические мысли и проверены сократовскими вопросами или поиском альтернатив',
+      homework_assignment: 'согласовано новое домашнее задание, связанное с темой сессии',
+      summary_feedback: 'терапевт подвел итоги и запросил обратную связь клиента о сессии'
+    }
+  },
+  mi: {
+    generation: 'Случай для практики мотивационного интервьюирования (МИ): ' +
+      'у пациента выраженная амбивалентность к изменению поведения (алкоголь, курение, еда, ' +
+      'лечение, работа или отношения), он приходит по настоянию близких или сомневается, ' +
+      'что ему нужно меняться, и звучит как речь об изменениях, так и речь о сохранении.',
+    rubric: 'Терапевт практикует мотивационное интервьюирование (МИ). ' +
+      'Закодируй его реплики в духе MITI: простые и сложные отражения, вопросы, ' +
+      'МИ-согласованное (спрос разрешения, подтверждение, подчеркивание автономии) и ' +
+      'МИ-несогласованное поведение (непрошеные советы, конфронтация, указания).',
+    checks: {
+      reflection_ratio: 'отражений не меньше, чем вопросов (соотношение R:Q от 1:1)',
+      complex_reflections: 'не менее 40% отражений сложные (добавляют смысл или чувство)',
+      evoking_change_talk: 'терапевт вызывает и усиливает речь клиента об изменениях',
+      softening_sustain_talk: 'речь о сохранении не усилена спором, а смягчена отражением',
+      partnership: 'сотрудничество и поддержка автономии клиента, а не позиция эксперта',
+      no_mi_inconsistent: 'нет МИ-несогласованного поведения: непрошеных советов, конфронтации, указаний'
+    }
+  },
+  psychodynamic: {
+    generation: 'Случай для практики психодинамической терапии: ' +
+      'у пациента повторяющиеся паттерны в отношениях, истоки которых прослеживаются в ранних ' +
+      'отношениях с близкими, выраженные защиты и чувства, которые он избегает, ' +
+      'и готовность (пусть с сопротивлением) говорить о прошлом и о своих переживаниях.',
+    rubric: 'Терапевт практикует психодинамическую терапию. ' +
+      'Оцени работу с аффектом, защитами, паттернами отношений и переносом.',
+    checks: {
+      affect_focus: 'терапевт фокусируется на аффекте и помогает клиенту выражать избегаемые чувства',
+      defenses: 'замечены и бережно исследованы защиты и сопротивление',
+      relational_patterns: 'выявлены повторяющиеся паттерны в отношениях и их связь с прошлым',
+      transference: 'внимание к отношениям клиента с терапевтом здесь и сейчас (null, если материала не было)',
+      interpretation_timing: 'интерпретации своевременны, опираются на материал клиента и не навязаны',
+      therapist_stance: 'нейтральная, исследующая позиция терапевта без советов и оценок'
+    }
+  },
+  person_centred: {
+    generation: 'Случай для практики клиент-центрированной терапии: ' +
+      'у пациента проблемы самооценки, самопринятия или поиска себя, расхождение между ' +
+      'тем, каким он себя видит, и тем, каким «должен» быть, и потребность быть услышанным, ' +
+      'а не получить совет.',
+    rubric: 'Терапевт практикует клиент-центрированную терапию (К. Роджерс). ' +
+      'Оцени базовые условия терапии и следование за клиентом.',
+    checks: {
+      empathic_understanding: 'точное эмпатическое понимание: отражения передают переживание клиента',
+      unconditional_regard: 'безусловное позитивное принятие без оценок, советов и одобрения',
+      congruence: 'конгруэнтность: терапевт искренен, без фасада и профессиональной дистанции',
+      non_directiveness: 'терапевт следует за клиентом и не навязывает тему или решения',
+      frame_of_reference: 'работа в системе координат клиента: его словами и смыслами'
+    }
+  }
+};
+
+export const MODALITY_IDS = Object.keys(MODALITIES);
+
+export function isModality(modality) {
+  return Object.prototype.hasOwnProperty.call(MODALITIES, modality);
+}
+
+// Unknown or missing modalities (e.g. sessions stored before modalities
+// existed) are treated as the approach-neutral one
+export function resolveModality(modality) {
+  return isModality(modality) ? modality : DEFAULT_MODALITY;
+}
+
+export function getModalityChecks(modality) {
+  return Object.keys(MODALITIES[resolveModality(modality)].checks);
+}
+
+// Extra requirement for the patient generation prompt, '' for "general"
+export function buildModalityGenerationPrompt(modality) {
+  const { generation } = MODALITIES[resolveModality(modality)];
+  return generation ? `ТЕРАПЕВТИЧЕСКИЙ ПОДХОД: ${generation}` : '';
+}
+
+// Fidelity rubric appended to the supervisor prompt, '' for "general".
+// The answer goes into "modality_fidelity" (see supervisorAnalysisSchema).
+export function buildModalityRubric(modality) {
+  const { rubric, checks } = MODALITIES[resolveModality(modality)];
+  if (!rubric) {
+    return '';
+  }
+
+  const checkLines = Object.entries(checks).map(([id, description]) => `- ${id}: ${description}`);
+
+  return `ВЕРНОСТЬ ПОДХОДУ:
+${rubric}
+Добавь в JSON поле "modality_fidelity":
+{
+  "score": число от 1 до 10 - насколько сессия соответствует подходу (шкала как у skill_scores),
+  "checks": {
+    "<критерий>": { "met": true, false или null, если материала для оценки не было, "evidence": "реплики, на которых основан вывод" }
+  },
+  "comment": "что в сессии соответствует подходу, а что нет"
+}
+Критерии (ключи "checks", оцени каждый):
+${checkLines.join('\n')}`;
+}
@@ -0,0 +1,79 @@
+// Per-model API prices in USD per million tokens.
+//
+// input/output are the base prices; cacheWrite and cacheRead apply to the
+// cache_creation_input_tokens and cache_read_input_tokens of a response (the
+// providers report them separately from input_tokens). Models are matched by
+// the longest key that prefixes the model name, so dated snapshots such as
+// claude-3-5-sonnet-20241022 share the price of their family.
+export const MODEL_PRICING = {
+  'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  'claude-3-opus': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-3-haiku': { input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 },
+  // OpenAI caches automatically: no write premium, cached input at half price
+  'gpt-4o': { input: 2.5, output: 10, cacheWrite: 2.5, cacheRead: 1.25 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cacheWrite: 0.15, cacheRead: 0.075 },
+  'gpt-4.1': { input: 2, output: 8, cacheWrite: 2, cacheRead: 0.5 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6, cacheWrite: 0.4, cacheRead: 0.1 },
+  'mock-model': { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 }
+};
+
+// Unknown models are priced like a Sonnet-class model so that budgets still
+// apply; set LLM_PRICE_INPUT / LLM_PRICE_OUTPUT for self-hosted models
+export const DEFAULT_PRICING = MODEL_PRICING['claude-3-5-sonnet'];
+
+// Anthropic cache multipliers, used for prices given as input/output only
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+
+// Price of a model; override = { input, output } from the configuration wins
+export function getModelPricing(model, override = null) {
+  if (override && override.input !== null && override.output !== null) {
+    return {
+      input: override.input,
+      output: override.output,
+      cacheWrite: override.input * CACHE_WRITE_MULTIPLIER,
+      cacheRead: override.input * CACHE_READ_MULTIPLIER
+    };
+  }
+
+  const name = String(model || '').toLowerCase();
+  const key = Object.keys(MODEL_PRICING)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return key ? MODEL_PRICING[key] : null;
+}
+
+// Cost of one response in USD. cacheSavingsUsd is what the cache reads saved
+// against full-price input minus the premium paid for cache writes (negative
+// while a prompt is written to the cache but not yet reused).
+export function calculateCost(usage = {}, pricing = DEFAULT_PRICING) {
+  const inputTokens = usage.input_tokens || 0;
+  const outputTokens = usage.output_tokens || 0;
+  const cacheCreationTokens = usage.cache_creation_input_tokens || 0;
+  const cacheReadTokens = usage.cache_read_input_tokens || 0;
+
+  const costUsd = (
+    inputTokens * pricing.input +
+    outputTokens * pricing.output +
+    cacheCreationTokens * pricing.cacheWrite +
+    cacheReadTokens * pricing.cacheRead
+  ) / 1e6;
+
+  const cacheSavingsUsd = (
+    cacheReadTokens * (pricing.input - pricing.cacheRead) -
+    cacheCreationTokens * (pricing.cacheWrite - pricing.input)
+  ) / 1e6;
+
+  return { costUsd, cacheSavingsUsd };
+}
+
+// $0.0123 for small amounts, $12.35 otherwise
+export function formatUsd(amount) {
+  const value = amount || 0;
+  return `$${Math.abs(value) < 1 ? value.toFixed(4) : value.toFixed(2)}`;
+}
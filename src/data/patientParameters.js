@@ -0,0 +1,262 @@
+// Structured parameters of the guided custom-patient builder (/custom).
+//
+// Every choice has a Russian label for the keyboard and a prompt line for the
+// generator. After generation applyPatientParameters() writes the choices into
+// the psychological_profile / personality_traits fields the generator emits,
+// so the chosen clinical presentation holds even when the model drifts.
+// A parameter left undefined ("any") is decided by the generator.
+// Keyboard labels in other languages come from the i18n catalogs
+// (parameters.<field>.<key>); the Russian labels here stay the stored values.
+
+import { DEFAULT_LOCALE, t } from '../i18n/index.js';
+
+export const AGE_RANGES = {
+  youth: { label: '16–24', min: 16, max: 24 },
+  young_adult: { label: '25–34', min: 25, max: 34 },
+  adult: { label: '35–49', min: 35, max: 49 },
+  middle_aged: { label: '50–64', min: 50, max: 64 },
+  senior: { label: '65–90', min: 65, max: 90 }
+};
+
+export const GENDERS = {
+  male: { label: 'Мужской', prompt: 'мужской' },
+  female: { label: 'Женский', prompt: 'женский' },
+  other: { label: 'Другой', prompt: 'небинарная идентичность' }
+};
+
+export const PROBLEM_CATEGORIES = {
+  anxiety: {
+    label: 'Тревога и паника',
+    prompt: 'тревожное расстройство: генерализованная тревога, панические атаки или фобии'
+  },
+  depression: {
+    label: 'Депрессия',
+    prompt: 'депрессивное состояние: сниженное настроение, ангедония, потеря энергии'
+  },
+  relationships: {
+    label: 'Отношения',
+    prompt: 'трудности в отношениях: конфликты в паре или семье, зависимость, одиночество'
+  },
+  trauma: {
+    label: 'Травма',
+    prompt: 'последствия психологической травмы: навязчивые воспоминания, избегание, сверхбдительность'
+  },
+  grief: {
+    label: 'Утрата',
+    prompt: 'переживание утраты: смерть близкого, развод, потеря работы или здоровья'
+  },
+  addiction: {
+    label: 'Зависимость',
+    prompt: 'зависимое поведение: алкоголь, вещества, азартные игры или компульсивное поведение'
+  },
+  eating: {
+    label: 'Пищевое поведение',
+    prompt: 'нарушение пищевого поведения: ограничения, переедание, озабоченность весом и телом'
+  },
+  burnout: {
+    label: 'Выгорание',
+    prompt: 'профессиональное выгорание и хронический стресс'
+  },
+  self_esteem: {
+    label: 'Самооценка',
+    prompt: 'низкая самооценка, самокритика, трудности с самоопределением'
+  }
+};
+
+export const SEVERITY_LEVELS = {
+  mild: {
+    label: 'Легкая',
+    prompt: 'легкая: симптомы заметны, но человек справляется с работой и бытом'
+  },
+  moderate: {
+    label: 'Средняя',
+    prompt: 'средняя: симптомы заметно мешают работе, отношениям или сну'
+  },
+  severe: {
+    label: 'Тяжелая',
+    prompt: 'тяжелая: выраженное нарушение функционирования, но без острого кризиса'
+  }
+};
+
+export const MOTIVATION_LEVELS = {
+  low: {
+    label: 'Низкая',
+    prompt: 'низкая: пришел по настоянию других, сомневается в пользе терапии'
+  },
+  medium: {
+    label: 'Средняя',
+    prompt: 'средняя: хочет облегчения, но не готов к большим усилиям'
+  },
+  high: {
+    label: 'Высокая',
+    prompt: 'высокая: сам ищет помощи и готов работать'
+  }
+};
+
+export const DEFENSE_MECHANISMS = {
+  denial: { label: 'Отрицание' },
+  rationalization: { label: 'Рационализация' },
+  intellectualization: { label: 'Интеллектуализация' },
+  projection: { label: 'Проекция' },
+  avoidance: { label: 'Избегание' },
+  displacement: { label: 'Смещение' },
+  somatization: { label: 'Соматизация' },
+  humor: { label: 'Юмор' },
+  idealization: { label: 'Идеализация/обесценивание' }
+};
+
+export const MAX_DEFENSE_MECHANISMS = 3;
+
+export const RESISTANCE_STYLES = {
+  passive: {
+    label: 'Пассивное',
+    prompt: 'пассивное: короткие ответы, «не знаю», долгие паузы'
+  },
+  hostile: {
+    label: 'Враждебное',
+    prompt: 'враждебное: спорит с терапевтом, раздражается, ставит под сомнение его компетентность'
+  },
+  intellectualizing: {
+    label: 'Интеллектуальное',
+    prompt: 'интеллектуальное: рассуждает о проблеме отвлеченно, избегая чувств'
+  },
+  compliant: {
+    label: 'Псевдосогласие',
+    prompt: 'псевдосогласие: со всем соглашается, но ничего не меняет'
+  },
+  deflecting: {
+    label: 'Уход от темы',
+    prompt: 'уход от темы: переводит разговор на других людей или посторонние темы'
+  }
+};
+
+// Order of the single-choice builder steps and the catalog behind each
+export const PARAMETER_CATALOGS = {
+  age_range: AGE_RANGES,
+  gender: GENDERS,
+  problem_category: PROBLEM_CATEGORIES,
+  severity: SEVERITY_LEVELS,
+  motivation_level: MOTIVATION_LEVELS,
+  resistance_style: RESISTANCE_STYLES
+};
+
+const DESCRIBED_FIELDS = [
+  'age_range',
+  'gender',
+  'problem_category',
+  'severity',
+  'motivation_level',
+  'defense_mechanisms',
+  'resistance_style'
+];
+
+function getCatalog(field) {
+  return field === 'defense_mechanisms' ? DEFENSE_MECHANISMS : PARAMETER_CATALOGS[field];
+}
+
+// Label of a choice in the given language; age ranges have no translations
+// and keep the label from the catalog above
+export function getParameterLabel(field, key, locale = DEFAULT_LOCALE) {
+  const path = `parameters.${field}.${key}`;
+  const label = t(locale, path);
+  return typeof label === 'string' && label !== path ? label : getCatalog(field)[key].label;
+}
+
+// Option key by the key itself (button) or by a label typed by hand in the
+// given language or in Russian; null when nothing matches
+export function findParameterOption(field, input, locale = DEFAULT_LOCALE) {
+  const catalog = getCatalog(field);
+  if (catalog[input]) {
+    return input;
+  }
+
+  const typed = input.toLowerCase();
+  return Object.keys(catalog).find(key => (
+    catalog[key].label.toLowerCase() === typed ||
+    getParameterLabel(field, key, locale).toLowerCase() === typed
+  )) || null;
+}
+
+// Human-readable list of the chosen parameters, one "Title: label" per entry
+export function describePatientParameters(parameters = {}, locale = DEFAULT_LOCALE) {
+  return DESCRIBED_FIELDS
+    .filter(field => field === 'defense_mechanisms' ?
+      (parameters.defense_mechanisms || []).length > 0 :
+      parameters[field])
+    .map(field => {
+      const value = field === 'defense_mechanisms' ?
+        parameters.defense_mechanisms.map(key => getParameterLabel(field, key, locale)).join(', ') :
+        getParameterLabel(field, parameters[field], locale);
+      return `${t(locale, `parameters.titles.${field}`)}: ${value}`;
+    });
+}
+
+// Requirements block for the generation prompt
+export function buildParametersPrompt(parameters = {}) {
+  const lines = [];
+
+  if (parameters.age_range) {
+    const range = AGE_RANGES[parameters.age_range];
+    lines.push(`- Возраст: от ${range.min} до ${range.max} лет`);
+  }
+  if (parameters.gender) {
+    lines.push(`- Пол: ${GENDERS[parameters.gender].prompt} (gender: "${parameters.gender}")`);
+  }
+  if (parameters.problem_category) {
+    lines.push(`- Основная проблема: ${PROBLEM_CATEGORIES[parameters.problem_category].prompt}`);
+  }
+  if (parameters.severity) {
+    lines.push(`- Тяжесть состояния: ${SEVERITY_LEVELS[parameters.severity].prompt} (severity: "${parameters.severity}")`);
+  }
+  if (parameters.motivation_level) {
+    lines.push(`- Мотивация к терапии: ${MOTIVATION_LEVELS[parameters.motivation_level].prompt} (motivation_level: "${parameters.motivation_level}")`);
+  }
+  if ((parameters.defense_mechanisms || []).length > 0) {
+    const defenses = parameters.defense_mechanisms.map(key => DEFENSE_MECHANISMS[key].label.toLowerCase());
+    lines.push(`- Защитные механизмы: ${defenses.join(', ')}`);
+  }
+  if (parameters.resistance_style) {
+    lines.push(`- Стиль сопротивления: ${RESISTANCE_STYLES[parameters.resistance_style].prompt}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Writes the chosen parameters into the generated patient data
+export function applyPatientParameters(patientData, parameters = {}) {
+  const personalityTraits = { ...patientData.personality_traits };
+  const psychologicalProfile = { ...patientData.psychological_profile };
+  let { age, gender } = patientData;
+
+  if (parameters.age_range) {
+    const range = AGE_RANGES[parameters.age_range];
+    age = Math.min(Math.max(parseInt(age, 10) || range.min, range.min), range.max);
+  }
+  if (parameters.gender) {
+    gender = parameters.gender;
+  }
+  if (parameters.problem_category) {
+    psychologicalProfile.problem_category = PROBLEM_CATEGORIES[parameters.problem_category].label;
+  }
+  if (parameters.severity) {
+    psychologicalProfile.severity = parameters.severity;
+  }
+  if (parameters.motivation_level) {
+    psychologicalProfile.motivation_level = parameters.motivation_level;
+  }
+  if ((parameters.defense_mechanisms || []).length > 0) {
+    personalityTraits.defense_mechanisms = parameters.defense_mechanisms
+      .map(key => DEFENSE_MECHANISMS[key].label.toLowerCase());
+  }
+  if (parameters.resistance_style) {
+    personalityTraits.resistance_style = RESISTANCE_STYLES[parameters.resistance_style].prompt;
+  }
+
+  return {
+    ...patientData,
+    age,
+    gender,
+    personality_traits: personalityTraits,
+    psychological_profile: psychologicalProfile
+  };
+}
@@ -1,20 +1,28 @@
 import sqlite3 from 'sqlite3';
 import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import MigrationRunner from './MigrationRunner.js';
 
 class DatabaseManager {
   constructor() {
     this.db = null;
+    this.isOpen = false;
     this.isInitialized = false;
+    this.transactionQueue = Promise.resolve();
+    // The connection is shared by every handler: while a transaction is open
+    // (openTransaction) statements from outside it wait, and the transaction
+    // waits for the ones already running (pendingStatements) before BEGIN
+    this.transactionScope = new AsyncLocalStorage();
+    this.openTransaction = null;
+    this.pendingStatements = new Set();
   }
 
-  async initialize() {
+  // migrate: false opens the connection without touching the schema
+  // (used by scripts/migrate.js to inspect or roll back)
+  async initialize({ migrate = true } = {}) {
     return new Promise((resolve, reject) => {
       try {
         // Ensure data directory exists
@@ -30,11 +38,15 @@ class DatabaseManager {
             return reject(err);
           }
 
+          this.isOpen = true;
+
           // Set optimal pragma settings
           this.setPragmas()
-            .then(() => this.loadSchema())
+            .then(() => migrate ? this.migrate() : null)
             .then(() => {
-              this.setupPeriodicCleanup();
+              if (migrate) {
+                this.setupPeriodicCleanup();
+              }
               this.isInitialized = true;
               logger.info('Database initialized successfully', {
                 path: config.database.path
@@ -63,17 +75,13 @@ class DatabaseManager {
     }
   }
 
-  async loadSchema() {
+  async migrate() {
     try {
-      const schemaPath = path.join(__dirname, 'schema.sql');
-      const schema = fs.readFileSync(schemaPath, 'utf-8');
+      const applied = await new MigrationRunner(this).migrate();
       
-      // Execute schema statements
-      await this.exec(schema);
-      
-      logger.info('Database schema loaded successfully');
+      logger.info('Database schema is up to date', { applied: applied.length });
     } catch (error) {
-      logger.error('Failed to load database schema', { error: error.message });
+      logger.error('Failed to migrate database schema', { error: error.message });
       throw error;
     }
   }
@@ -82,12 +90,12 @@ class DatabaseManager {
     // Clean expired cache entries every 30 minutes
     setInterval(() => {
       this.cleanExpiredCache();
-    }, 30 * 60 * 1000);
+    }, 30 * 60 * 1000).unref();
 
     // Clean old performance metrics weekly
     setInterval(() => {
       this.cleanOldMetrics();
-    }, 7 * 24 * 60 * 60 * 1000); // 7 days
+    }, 7 * 24 * 60 * 60 * 1000).unref(); // 7 days
   }
 
   async cleanExpiredCache() {
@@ -122,8 +130,8 @@ class DatabaseManager {
 
   // Promise wrapper for sqlite3 run method
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      if (!this.isInitialized && !sql.includes('PRAGMA')) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      if (!this.isOpen) {
         return reject(new Error('Database not initialized'));
       }
 
@@ -137,13 +145,13 @@ class DatabaseManager {
         }
         resolve({ changes: this.changes, lastID: this.lastID });
       });
-    });
+    }));
   }
 
   // Promise wrapper for sqlite3 get method
   get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      if (!this.isInitialized) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      if (!this.isOpen) {
         return reject(new Error('Database not initialized'));
       }
 
@@ -157,13 +165,13 @@ class DatabaseManager {
         }
         resolve(row);
       });
-    });
+    }));
   }
 
   // Promise wrapper for sqlite3 all method
   all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      if (!this.isInitialized) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      if (!this.isOpen) {
         return reject(new Error('Database not initialized'));
       }
 
@@ -177,12 +185,16 @@ class DatabaseManager {
         }
         resolve(rows);
       });
-    });
+    }));
   }
 
   // Promise wrapper for sqlite3 exec method
   exec(sql) {
-    return new Promise((resolve, reject) => {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      if (!this.isOpen) {
+        return reject(new Error('Database not initialized'));
+      }
+
       this.db.exec(sql, (err) => {
         if (err) {
           logger.error('Failed to execute SQL', { 
@@ -193,7 +205,60 @@ class DatabaseManager {
         }
         resolve();
       });
+    }));
+  }
+
+  // Statements from outside the open transaction wait until it ends, so its
+  // ROLLBACK cannot take them along and they never see its uncommitted rows
+  async schedule(statement) {
+    const scope = this.transactionScope.getStore();
+    while (this.openTransaction && this.openTransaction !== scope) {
+      await this.openTransaction.done;
+    }
+
+    const pending = statement();
+    if (!scope) {
+      this.pendingStatements.add(pending);
+      pending.catch(() => {}).then(() => this.pendingStatements.delete(pending));
+    }
+    return pending;
+  }
+
+  // Runs fn inside BEGIN/COMMIT, rolling back if it throws. Every transaction
+  // goes through here: SQLite cannot nest them on one connection, so they are
+  // queued, and a transaction() called from inside fn joins the open one.
+  transaction(fn) {
+    if (this.transactionScope.getStore()) {
+      return fn();
+    }
+
+    const result = this.transactionQueue.then(async () => {
+      let release;
+      const transaction = { done: new Promise(resolve => { release = resolve; }) };
+      this.openTransaction = transaction;
+
+      try {
+        await Promise.allSettled([...this.pendingStatements]);
+
+        return await this.transactionScope.run(transaction, async () => {
+          await this.exec('BEGIN');
+          try {
+            const value = await fn();
+            await this.exec('COMMIT');
+            return value;
+          } catch (error) {
+            await this.exec('ROLLBACK').catch(() => {});
+            throw error;
+          }
+        });
+      } finally {
+        this.openTransaction = null;
+        release();
+      }
     });
+
+    this.transactionQueue = result.catch(() => {});
+    return result;
   }
 
   // Health check for monitoring
@@ -210,6 +275,8 @@ class DatabaseManager {
   // Graceful shutdown
   async close() {
     if (this.db) {
+      this.isOpen = false;
+      this.isInitialized = false;
       return new Promise((resolve) => {
         this.db.close((err) => {
           if (err) {
@@ -258,4 +325,5 @@ class DatabaseManager {
 // Singleton instance
 const dbManager = new DatabaseManager();
 
-export default dbManager;
\ No newline at end of file
+export default dbManager;
+export { DatabaseManager };
\ No newline at end of file
@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Applies numbered migrations from src/database/migrations.
+//
+// Each migration is an ES module named NNN_description.js exporting
+// up(db) and down(db), where db exposes the dbManager run/get/all/exec API.
+// Applied versions are tracked in the schema_migrations table and every
+// migration runs inside its own db.transaction().
+class MigrationRunner {
+  constructor(db, migrationsDir = MIGRATIONS_DIR) {
+    this.db = db;
+    this.migrationsDir = migrationsDir;
+  }
+
+  async ensureMigrationsTable() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async loadMigrations() {
+    const files = fs.readdirSync(this.migrationsDir)
+      .filter(file => MIGRATION_FILE_PATTERN.test(file))
+      .sort();
+
+    const migrations = [];
+    for (const file of files) {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      const module = await import(pathToFileURL(path.join(this.migrationsDir, file)).href);
+
+      if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      const duplicate = migrations.find(migration => migration.version === parseInt(version, 10));
+      if (duplicate) {
+        throw new Error(`Duplicate migration version ${version}: ${duplicate.file} and ${file}`);
+      }
+
+      migrations.push({
+        version: parseInt(version, 10),
+        name,
+        file,
+        description: module.description || name,
+        up: module.up,
+        down: module.down
+      });
+    }
+
+    return migrations;
+  }
+
+  async getAppliedVersions() {
+    const rows = await this.db.all('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => row.version);
+  }
+
+  async status() {
+    await this.ensureMigrationsTable();
+
+    const migrations = await this.loadMigrations();
+    const rows = await this.db.all('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      applied: appliedAt.has(migration.version),
+      appliedAt: appliedAt.get(migration.version) || null
+    }));
+  }
+
+  async migrate({ to = null, dryRun = false } = {}) {
+    await this.ensureMigrationsTable();
+
+    const migrations = await this.loadMigrations();
+    const applied = new Set(await this.getAppliedVersions());
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) && (to === null || migration.version <= to)
+    );
+
+    const results = [];
+    for (const migration of pending) {
+      results.push(await this.apply(migration, 'up', dryRun));
+    }
+
+    if (pending.length > 0 && !dryRun) {
+      logger.info('Database migrations applied', {
+        versions: pending.map(migration => migration.version)
+      });
+    }
+
+    return results;
+  }
+
+  async rollback({ steps = 1, dryRun = false } = {}) {
+    await this.ensureMigrationsTable();
+
+    const migrations = await this.loadMigrations();
+    const applied = await this.getAppliedVersions();
+    const targets = applied.slice(-steps).reverse();
+
+    const results = [];
+    for (const version of targets) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Applied migration ${version} has no file in ${this.migrationsDir}`);
+      }
+      results.push(await this.apply(migration, 'down', dryRun));
+    }
+
+    if (targets.length > 0 && !dryRun) {
+      logger.info('Database migrations rolled back', { versions: targets });
+    }
+
+    return results;
+  }
+
+  async apply(migration, direction, dryRun) {
+    const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+    if (dryRun) {
+      const recorder = this.createRecorder();
+      await migration[direction](recorder.db);
+      return { version: migration.version, name: migration.name, direction, statements: recorder.statements };
+    }
+
+    try {
+      await this.db.transaction(async () => {
+        await migration[direction](this.db);
+
+        if (direction === 'up') {
+          await this.db.run(
+            'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+            [migration.version, migration.name]
+          );
+        } else {
+          await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+      });
+
+      logger.info(`Migration ${label} ${direction === 'up' ? 'applied' : 'rolled back'}`);
+      return { version: migration.version, name: migration.name, direction };
+    } catch (error) {
+      logger.error(`Migration ${label} failed`, { direction, error: error.message });
+      throw error;
+    }
+  }
+
+  // Reads pass through to the database, writes are only recorded
+  createRecorder() {
+    const statements = [];
+
+    return {
+      statements,
+      db: {
+        exec: async (sql) => { statements.push(sql.trim()); },
+        run: async (sql, params = []) => {
+          statements.push(params.length > 0 ? `${sql.trim()} -- ${JSON.stringify(params)}` : sql.trim());
+          return { changes: 0, lastID: null };
+        },
+        get: (sql, params) => this.db.get(sql, params),
+        all: (sql, params) => this.db.all(sql, params)
+      }
+    };
+  }
+}
+
+export default MigrationRunner;
@@ -0,0 +1,59 @@
+// Columns stored as encryption envelopes (see SecurityManager.encryptField).
+// Services encrypt them on write and decrypt on read; scripts/reencrypt.js
+// walks this list when rotating keys.
+export const ENCRYPTED_COLUMNS = {
+  messages: ['content'],
+  conversation_history: ['messages', 'response_content'],
+  patients: ['background', 'system_prompt'], // system_prompt embeds the background verbatim
+  active_session_state: ['context_messages'],
+  message_annotations: ['comment', 'suggested_alternative'],
+  session_skill_scores: ['evidence'],
+  dialogue_states: ['data'],
+  patient_templates: ['patient_data'], // embeds the patient background
+  patient_case_files: ['content'],
+  session_summaries: ['summary'],
+  session_hints: ['content'],
+  session_analyses: ['raw_response'] // failed analyses only
+};
+
+const BATCH_SIZE = 500;
+
+// Applies transform(value) to every row of table.column in rowid batches and
+// writes back the values that changed. Returns the number of updated rows.
+export async function transformColumn(db, table, column, transform) {
+  let lastRowId = 0;
+  let updated = 0;
+
+  for (;;) {
+    const rows = await db.all(
+      `SELECT rowid AS row_id, ${column} AS value FROM ${table} WHERE rowid > ? ORDER BY rowid LIMIT ?`,
+      [lastRowId, BATCH_SIZE]
+    );
+
+    if (rows.length === 0) {
+      return updated;
+    }
+
+    for (const row of rows) {
+      const value = transform(row.value);
+      if (value !== row.value) {
+        await db.run(`UPDATE ${table} SET ${column} = ? WHERE rowid = ?`, [value, row.row_id]);
+        updated++;
+      }
+    }
+
+    lastRowId = rows[rows.length - 1].row_id;
+  }
+}
+
+export async function transformColumns(db, columns, transform) {
+  const updated = {};
+
+  for (const [table, tableColumns] of Object.entries(columns)) {
+    for (const column of tableColumns) {
+      updated[`${table}.${column}`] = await transformColumn(db, table, column, transform);
+    }
+  }
+
+  return updated;
+}
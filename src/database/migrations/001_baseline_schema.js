@@ -0,0 +1,35 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const description = 'Baseline v3.0 schema (schema.sql)';
+
+// schema.sql uses IF NOT EXISTS, so databases created before migrations
+// existed are adopted as version 1 without changes
+export async function up(db) {
+  const schema = fs.readFileSync(path.join(__dirname, '..', 'schema.sql'), 'utf-8');
+  await db.exec(schema);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP TRIGGER IF EXISTS update_cache_hit_count;
+    DROP TRIGGER IF EXISTS update_session_message_count;
+    DROP TRIGGER IF EXISTS update_user_last_activity;
+    DROP TRIGGER IF EXISTS update_users_timestamp;
+
+    DROP TABLE IF EXISTS active_session_state;
+    DROP TABLE IF EXISTS conversation_history;
+    DROP TABLE IF EXISTS performance_metrics;
+    DROP TABLE IF EXISTS user_stats;
+    DROP TABLE IF EXISTS session_analyses;
+    DROP TABLE IF EXISTS claude_cache;
+    DROP TABLE IF EXISTS messages;
+    DROP TABLE IF EXISTS sessions;
+    DROP TABLE IF EXISTS patients;
+    DROP TABLE IF EXISTS users;
+  `);
+}
@@ -0,0 +1,21 @@
+export const description = 'Add users.show_nonverbal and users.voice_enabled to pre-settings databases';
+
+// Replaces scripts/add_nonverbal_setting.js and scripts/add_voice_setting.js.
+// Fresh databases already get both columns from the baseline schema.
+const columns = [
+  { name: 'show_nonverbal', definition: 'BOOLEAN DEFAULT 1' },
+  { name: 'voice_enabled', definition: 'BOOLEAN DEFAULT 0' }
+];
+
+export async function up(db) {
+  const existing = await db.all('PRAGMA table_info(users)');
+
+  for (const column of columns) {
+    if (!existing.some(col => col.name === column.name)) {
+      await db.run(`ALTER TABLE users ADD COLUMN ${column.name} ${column.definition}`);
+    }
+  }
+}
+
+// The columns are part of the baseline schema, so there is nothing to revert
+export async function down() {}
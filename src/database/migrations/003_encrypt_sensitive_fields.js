@@ -0,0 +1,20 @@
+import securityManager from '../../utils/security.js';
+import { transformColumns } from '../encryptedColumns.js';
+
+export const description = 'Encrypt existing plaintext transcripts and patient profiles';
+
+// Listed explicitly so that later additions to ENCRYPTED_COLUMNS get their own migration
+const columns = {
+  messages: ['content'],
+  conversation_history: ['messages', 'response_content'],
+  patients: ['background', 'system_prompt'],
+  active_session_state: ['context_messages']
+};
+
+export async function up(db) {
+  await transformColumns(db, columns, value => securityManager.encryptField(value));
+}
+
+export async function down(db) {
+  await transformColumns(db, columns, value => securityManager.decryptField(value));
+}
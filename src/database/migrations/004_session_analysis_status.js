@@ -0,0 +1,30 @@
+export const description = 'Flag supervisor analyses that failed validation instead of storing fabricated ones';
+
+export async function up(db) {
+  await db.exec(`
+    ALTER TABLE session_analyses ADD COLUMN status TEXT NOT NULL DEFAULT 'valid'
+      CHECK (status IN ('valid', 'failed'));
+    ALTER TABLE session_analyses ADD COLUMN validation_errors TEXT; -- JSON, set when status = 'failed'
+
+    CREATE INDEX IF NOT EXISTS idx_session_analyses_session_status
+      ON session_analyses(session_id, analysis_type, status);
+  `);
+
+  // Placeholder analyses written by the old parse-failure fallback (fixed rating 7)
+  await db.run(`
+    UPDATE session_analyses
+    SET status = 'failed', rating = NULL,
+        validation_errors = '[{"field":"","message":"legacy fallback analysis"}]'
+    WHERE analysis_type = 'supervisor'
+      AND areas_for_improvement LIKE '%Анализ временно недоступен%'
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_session_analyses_session_status;
+    DELETE FROM session_analyses WHERE status = 'failed';
+    ALTER TABLE session_analyses DROP COLUMN validation_errors;
+    ALTER TABLE session_analyses DROP COLUMN status;
+  `);
+}
@@ -0,0 +1,34 @@
+export const description = 'Per-utterance supervisor annotations of therapist messages';
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS message_annotations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      analysis_id INTEGER NOT NULL,
+      session_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      intervention_type TEXT NOT NULL CHECK (intervention_type IN (
+        'open_question', 'closed_question', 'reflection', 'summary',
+        'interpretation', 'advice_giving', 'other'
+      )),
+      quality INTEGER NOT NULL CHECK (quality >= 1 AND quality <= 5),
+      comment TEXT, -- encrypted
+      suggested_alternative TEXT, -- encrypted
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (analysis_id) REFERENCES session_analyses(id) ON DELETE CASCADE,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+      UNIQUE (analysis_id, message_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_message_annotations_session_id ON message_annotations(session_id);
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_message_annotations_session_id;
+    DROP TABLE IF EXISTS message_annotations;
+  `);
+}
@@ -0,0 +1,31 @@
+export const description = 'Per-session rubric scores of therapist skills';
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS session_skill_scores (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      analysis_id INTEGER NOT NULL,
+      session_id INTEGER NOT NULL,
+      skill TEXT NOT NULL CHECK (skill IN (
+        'active_listening', 'empathy', 'questioning_techniques',
+        'intervention_skills', 'boundary_setting', 'crisis_management'
+      )),
+      score INTEGER CHECK (score IS NULL OR (score >= 1 AND score <= 10)), -- NULL: not observable in the session
+      evidence TEXT, -- encrypted
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (analysis_id) REFERENCES session_analyses(id) ON DELETE CASCADE,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+      UNIQUE (analysis_id, skill)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_session_skill_scores_session_id ON session_skill_scores(session_id);
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_session_skill_scores_session_id;
+    DROP TABLE IF EXISTS session_skill_scores;
+  `);
+}
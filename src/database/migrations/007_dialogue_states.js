@@ -0,0 +1,26 @@
+export const description = 'Persistent per-user state of multi-step dialogues';
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS dialogue_states (
+      user_id INTEGER PRIMARY KEY,
+      flow TEXT NOT NULL,
+      state TEXT NOT NULL,
+      data TEXT, -- encrypted JSON collected so far
+      history TEXT NOT NULL DEFAULT '[]', -- JSON stack of previous states (back navigation)
+      expires_at INTEGER NOT NULL, -- epoch ms
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_dialogue_states_expires_at ON dialogue_states(expires_at);
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_dialogue_states_expires_at;
+    DROP TABLE IF EXISTS dialogue_states;
+  `);
+}
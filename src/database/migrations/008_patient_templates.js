@@ -0,0 +1,35 @@
+export const description = 'Library of reusable patient case templates';
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS patient_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT NOT NULL, -- stable case identifier shared by all versions
+      version INTEGER NOT NULL CHECK (version >= 1),
+      title TEXT NOT NULL,
+      description TEXT,
+      patient_data TEXT NOT NULL, -- encrypted JSON (name, age, background, profile...)
+      source TEXT NOT NULL CHECK (source IN ('curated', 'user', 'import')),
+      created_by INTEGER, -- NULL for curated presets
+      source_patient_id INTEGER, -- patient promoted to this template
+      is_active BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (source_patient_id) REFERENCES patients(id) ON DELETE SET NULL,
+      UNIQUE (slug, version)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_patient_templates_source_patient ON patient_templates(source_patient_id);
+
+    ALTER TABLE patients ADD COLUMN template_id INTEGER; -- patient_templates.id it was created from
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    ALTER TABLE patients DROP COLUMN template_id;
+    DROP INDEX IF EXISTS idx_patient_templates_source_patient;
+    DROP TABLE IF EXISTS patient_templates;
+  `);
+}
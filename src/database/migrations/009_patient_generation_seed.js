@@ -0,0 +1,15 @@
+export const description = 'Store the seed and inputs of generated patients';
+
+export async function up(db) {
+  await db.exec(`
+    ALTER TABLE patients ADD COLUMN seed INTEGER; -- NULL for patients created before seeding or from templates
+    ALTER TABLE patients ADD COLUMN generation_params TEXT; -- JSON: description, builder parameters, provider, model
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    ALTER TABLE patients DROP COLUMN generation_params;
+    ALTER TABLE patients DROP COLUMN seed;
+  `);
+}
@@ -0,0 +1,20 @@
+export const description = 'Longitudinal case file of every patient, updated after each session';
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS patient_case_files (
+      patient_id INTEGER PRIMARY KEY,
+      content TEXT NOT NULL, -- encrypted JSON (see caseFileSchema)
+      session_ids TEXT NOT NULL DEFAULT '[]', -- JSON list of merged sessions, in session number order
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS patient_case_files;
+  `);
+}
@@ -0,0 +1,17 @@
+export const description = 'Per-turn emotional state of the patient';
+
+export async function up(db) {
+  await db.exec(`
+    ALTER TABLE sessions ADD COLUMN initial_emotional_state TEXT; -- JSON state at the start of the session
+    ALTER TABLE messages ADD COLUMN intervention_type TEXT; -- classified therapist intervention
+    ALTER TABLE messages ADD COLUMN emotional_state TEXT; -- JSON patient state after the therapist message
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    ALTER TABLE messages DROP COLUMN emotional_state;
+    ALTER TABLE messages DROP COLUMN intervention_type;
+    ALTER TABLE sessions DROP COLUMN initial_emotional_state;
+  `);
+}
@@ -0,0 +1,20 @@
+export const description = 'Rolling model-generated summaries of long sessions';
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS session_summaries (
+      session_id INTEGER PRIMARY KEY,
+      summary TEXT NOT NULL, -- encrypted summary of the first covered_messages messages
+      covered_messages INTEGER NOT NULL, -- prefix of the session message list the summary covers
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS session_summaries;
+  `);
+}
@@ -0,0 +1,37 @@
+export const description = 'Cost ledger of API calls attributed to users, sessions and purposes';
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS api_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER, -- NULL for system calls (cache preload)
+      session_id INTEGER,
+      purpose TEXT NOT NULL, -- patient_turn | generation | analysis | case_file | summary | default
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      input_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      cache_creation_tokens INTEGER DEFAULT 0,
+      cache_read_tokens INTEGER DEFAULT 0,
+      cost_usd REAL NOT NULL DEFAULT 0,
+      cache_savings_usd REAL NOT NULL DEFAULT 0, -- against the same tokens at full input price
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_api_usage_created_at ON api_usage(created_at);
+    CREATE INDEX IF NOT EXISTS idx_api_usage_user_created_at ON api_usage(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_api_usage_session_id ON api_usage(session_id);
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_api_usage_session_id;
+    DROP INDEX IF EXISTS idx_api_usage_user_created_at;
+    DROP INDEX IF EXISTS idx_api_usage_created_at;
+    DROP TABLE IF EXISTS api_usage;
+  `);
+}
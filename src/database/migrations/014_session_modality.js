@@ -0,0 +1,20 @@
+export const description = 'Therapy modality of users and sessions, modality fidelity of analyses';
+
+export async function up(db) {
+  await db.exec(`
+    ALTER TABLE users ADD COLUMN modality TEXT NOT NULL DEFAULT 'general'; -- modality of the next session (see data/modalities.js)
+    ALTER TABLE sessions ADD COLUMN modality TEXT NOT NULL DEFAULT 'general';
+    ALTER TABLE session_analyses ADD COLUMN modality_score INTEGER; -- 1-10 fidelity to the modality, NULL for "general"
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_user_modality ON sessions(user_id, modality);
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_sessions_user_modality;
+    ALTER TABLE session_analyses DROP COLUMN modality_score;
+    ALTER TABLE sessions DROP COLUMN modality;
+    ALTER TABLE users DROP COLUMN modality;
+  `);
+}
@@ -0,0 +1,15 @@
+export const description = 'Crisis scenario of patients, safety scorecard score of analyses';
+
+export async function up(db) {
+  await db.exec(`
+    ALTER TABLE patients ADD COLUMN crisis_scenario TEXT; -- see data/crisisScenarios.js, NULL for ordinary patients
+    ALTER TABLE session_analyses ADD COLUMN safety_score INTEGER; -- 0-100 share of the safety protocol performed
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    ALTER TABLE session_analyses DROP COLUMN safety_score;
+    ALTER TABLE patients DROP COLUMN crisis_scenario;
+  `);
+}
@@ -0,0 +1,28 @@
+export const description = 'Supervisor hints given during sessions, auto-hint setting of users';
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS session_hints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      after_message_id INTEGER, -- last message of the session the hint was based on (messages.id)
+      trigger TEXT NOT NULL, -- manual (/hint) | auto
+      content TEXT NOT NULL, -- encrypted hint text
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_session_hints_session ON session_hints(session_id, after_message_id);
+
+    ALTER TABLE users ADD COLUMN auto_hints BOOLEAN NOT NULL DEFAULT 0;
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    ALTER TABLE users DROP COLUMN auto_hints;
+    DROP INDEX IF EXISTS idx_session_hints_session;
+    DROP TABLE IF EXISTS session_hints;
+  `);
+}
@@ -0,0 +1,33 @@
+export const description = 'Alternative continuations (branches) of sessions';
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS session_branches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      parent_branch_id INTEGER, -- branch it was forked from, NULL: the main line
+      fork_message_id INTEGER, -- last message kept from the parent line (messages.id), NULL: the start of the session
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (parent_branch_id) REFERENCES session_branches(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_session_branches_session ON session_branches(session_id, fork_message_id);
+
+    ALTER TABLE messages ADD COLUMN branch_id INTEGER; -- session_branches.id, NULL: the main line
+    ALTER TABLE sessions ADD COLUMN branch_id INTEGER; -- branch the session continues in, NULL: the main line
+
+    CREATE INDEX IF NOT EXISTS idx_messages_branch ON messages(session_id, branch_id);
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_messages_branch;
+    ALTER TABLE sessions DROP COLUMN branch_id;
+    ALTER TABLE messages DROP COLUMN branch_id;
+    DROP INDEX IF EXISTS idx_session_branches_session;
+    DROP TABLE IF EXISTS session_branches;
+  `);
+}
@@ -0,0 +1,44 @@
+import securityManager from '../../utils/security.js';
+
+export const description = 'Keep the raw answers of failed supervisor analyses in an encrypted column';
+
+// Failed analyses used to store the model answer, which quotes the transcript,
+// as plaintext JSON in content
+export async function up(db) {
+  await db.exec(`
+    ALTER TABLE session_analyses ADD COLUMN raw_response TEXT; -- encrypted model answer, set when status = 'failed'
+  `);
+
+  const rows = await db.all(`
+    SELECT id, content FROM session_analyses WHERE status = 'failed'
+  `);
+
+  for (const row of rows) {
+    let rawResponse = null;
+    try {
+      rawResponse = JSON.parse(row.content).raw_response ?? null;
+    } catch {
+      rawResponse = row.content;
+    }
+
+    await db.run(`
+      UPDATE session_analyses SET content = '{}', raw_response = ? WHERE id = ?
+    `, [securityManager.encryptField(rawResponse), row.id]);
+  }
+}
+
+export async function down(db) {
+  const rows = await db.all(`
+    SELECT id, raw_response FROM session_analyses WHERE raw_response IS NOT NULL
+  `);
+
+  for (const row of rows) {
+    await db.run(`
+      UPDATE session_analyses SET content = ? WHERE id = ?
+    `, [JSON.stringify({ raw_response: securityManager.decryptField(row.raw_response) }), row.id]);
+  }
+
+  await db.exec(`
+    ALTER TABLE session_analyses DROP COLUMN raw_response;
+  `);
+}
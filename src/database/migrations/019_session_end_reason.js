@@ -0,0 +1,36 @@
+export const description = 'Store why a session was ended as a code instead of a note';
+
+// Reasons the bot used to write into therapist_notes, in Russian or English
+// whatever the user's language
+const LEGACY_NOTES = {
+  inactivity: 'Session ended due to inactivity',
+  inactivity_warning: 'Ended by user via inactivity warning',
+  new_patient: 'Автоматически завершена при создании нового пациента',
+  other_session_continued: 'Автоматически завершена при продолжении другой сессии',
+  new_week: 'Автоматически завершена при начале новой недели',
+  patient_archived: 'Автоматически завершена при архивации пациента'
+};
+
+export async function up(db) {
+  await db.exec(`
+    ALTER TABLE sessions ADD COLUMN end_reason TEXT; -- how the session was ended (see labels.endReason), NULL: with /end
+  `);
+
+  for (const [reason, note] of Object.entries(LEGACY_NOTES)) {
+    await db.run(`
+      UPDATE sessions SET end_reason = ?, therapist_notes = NULL WHERE therapist_notes = ?
+    `, [reason, note]);
+  }
+}
+
+export async function down(db) {
+  for (const [reason, note] of Object.entries(LEGACY_NOTES)) {
+    await db.run(`
+      UPDATE sessions SET therapist_notes = ? WHERE end_reason = ? AND therapist_notes IS NULL
+    `, [note, reason]);
+  }
+
+  await db.exec(`
+    ALTER TABLE sessions DROP COLUMN end_reason;
+  `);
+}
@@ -1,10 +1,10 @@
 -- Modern Psycho Trainer Database Schema
 -- Version: 3.0.0
 -- Created: 2025-01-06
-
-PRAGMA foreign_keys = ON;
-PRAGMA journal_mode = WAL;
-PRAGMA synchronous = NORMAL;
+--
+-- Baseline schema, applied by migrations/001_baseline_schema.js.
+-- Do not edit: schema changes go into a new file in migrations/.
+-- Connection pragmas (foreign_keys, journal_mode, ...) come from config.database.pragma.
 
 -- Users table with secure data storage
 CREATE TABLE IF NOT EXISTS users (
@@ -146,6 +146,25 @@ CREATE TABLE IF NOT EXISTS conversation_history (
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Durable runtime state of active sessions (survives bot restarts)
+CREATE TABLE IF NOT EXISTS active_session_state (
+  session_id INTEGER PRIMARY KEY,
+  session_uuid TEXT UNIQUE NOT NULL,
+  user_id INTEGER NOT NULL,
+  is_new_week BOOLEAN DEFAULT 0,
+  context_messages TEXT, -- JSON array of messages carried over from the previous session
+  start_time INTEGER NOT NULL, -- epoch ms
+  last_activity INTEGER NOT NULL, -- epoch ms
+  warning_deadline INTEGER, -- epoch ms, NULL when no warning is scheduled
+  end_deadline INTEGER, -- epoch ms, NULL when no auto-end is scheduled
+  warning_sent BOOLEAN DEFAULT 0,
+  paused_until INTEGER, -- epoch ms, NULL when not paused
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- Indexes for optimal query performance
 CREATE INDEX IF NOT EXISTS idx_users_telegram_id ON users(telegram_id);
 CREATE INDEX IF NOT EXISTS idx_users_last_activity ON users(last_activity);
@@ -178,6 +197,8 @@ CREATE INDEX IF NOT EXISTS idx_performance_metrics_recorded_at ON performance_me
 CREATE INDEX IF NOT EXISTS idx_conversation_history_session_id ON conversation_history(session_id);
 CREATE INDEX IF NOT EXISTS idx_conversation_history_created_at ON conversation_history(created_at);
 
+CREATE INDEX IF NOT EXISTS idx_active_session_state_user_id ON active_session_state(user_id);
+
 -- Triggers for automatic timestamp updates
 CREATE TRIGGER IF NOT EXISTS update_users_timestamp 
   AFTER UPDATE ON users
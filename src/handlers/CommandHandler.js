@@ -1,7 +1,64 @@
+import config from '../config/index.js';
 import userService from '../services/UserService.js';
 import patientService from '../services/PatientService.js';
 import sessionService from '../services/SessionService.js';
+import dialogueManager from '../services/DialogueManager.js';
+import templateService from '../services/TemplateService.js';
+import costService from '../services/CostService.js';
+import hintService from '../services/HintService.js';
+import branchService from '../services/BranchService.js';
 import logger from '../utils/logger.js';
+import { sessionNotesSchema, validateAndSanitize, ValidationError } from '../utils/validation.js';
+import { TREND_WINDOW, trendDirection } from '../utils/skillModel.js';
+import { escapeMarkdown, truncate } from '../utils/markdown.js';
+import { parseSeed } from '../utils/random.js';
+import { STATE_DIMENSIONS, formatStateChart } from '../utils/emotionalState.js';
+import { formatUsd } from '../data/modelPricing.js';
+import {
+  PARAMETER_CATALOGS,
+  DEFENSE_MECHANISMS,
+  MAX_DEFENSE_MECHANISMS,
+  describePatientParameters,
+  findParameterOption,
+  getParameterLabel
+} from '../data/patientParameters.js';
+import { MODALITY_IDS, DEFAULT_MODALITY, isModality, resolveModality } from '../data/modalities.js';
+import { CRISIS_SCENARIO_IDS, SAFETY_CHECKS, isCrisisScenario } from '../data/crisisScenarios.js';
+import { SUPPORTED_LOCALES, getLocaleName, getTranslator } from '../i18n/index.js';
+
+// /review page budget: 4 messages x (400 + 2 x 250 characters) stays below
+// Telegram's 4096-character message limit
+const REVIEW_PAGE_SIZE = 4;
+const REVIEW_MESSAGE_PREVIEW = 400;
+const REVIEW_ANNOTATION_PREVIEW = 250;
+
+// /sessions browser: list page size and transcript page budget
+// (6 messages x 500 characters plus the header)
+const HISTORY_PAGE_SIZE = 5;
+const TRANSCRIPT_PAGE_SIZE = 6;
+const TRANSCRIPT_MESSAGE_PREVIEW = 500;
+
+// Guided /custom builder: parameter steps followed by the free-text description
+const BUILDER_STEP_ORDER = [
+  'age_range',
+  'gender',
+  'problem_category',
+  'severity',
+  'motivation_level',
+  'defense_mechanisms',
+  'resistance_style',
+  'description'
+];
+const BUILDER_STEPS = BUILDER_STEP_ORDER.length;
+
+// /branches comparison budget: the patient's last words and up to 4
+// alternatives of 3 x 250 characters stay below the message limit
+const COMPARE_MESSAGE_PREVIEW = 250;
+const MAX_COMPARED_ALTERNATIVES = 4;
+
+// /templates library page size and the largest accepted import file
+const TEMPLATE_PAGE_SIZE = 8;
+const TEMPLATE_MAX_FILE_SIZE = 64 * 1024;
 
 class CommandHandler {
   constructor() {
@@ -10,34 +67,390 @@ class CommandHandler {
       '/help': this.handleHelp.bind(this),
       '/new': this.handleNewPatient.bind(this),
       '/custom': this.handleCustomPatient.bind(this),
+      '/modality': this.handleModality.bind(this),
+      '/crisis': this.handleCrisis.bind(this),
       '/patients': this.handlePatients.bind(this),
+      '/templates': this.handleTemplates.bind(this),
       '/sessions': this.handleSessions.bind(this),
       '/stats': this.handleStats.bind(this),
       '/analyze': this.handleAnalyze.bind(this),
+      '/review': this.handleReview.bind(this),
       '/end': this.handleEndSession.bind(this),
+      '/hint': this.handleHint.bind(this),
+      '/undo': this.handleUndo.bind(this),
+      '/branches': this.handleBranches.bind(this),
       '/info': this.handlePatientInfo.bind(this),
       '/leaderboard': this.handleLeaderboard.bind(this),
       '/continue': this.handleContinueSession.bind(this),
-      '/settings': this.handleSettings.bind(this)
+      '/settings': this.handleSettings.bind(this),
+      '/cancel': this.handleCancel.bind(this)
     };
+
+    // Available only to ADMIN_TELEGRAM_IDS; hidden from /help and the menu
+    this.adminCommands = {
+      '/admin_regen': this.handleAdminRegenerate.bind(this),
+      '/admin_costs': this.handleAdminCosts.bind(this)
+    };
+
+    this.registerDialogues();
+  }
+
+  // Multi-step flows driven by dialogueManager (see services/DialogueManager.js)
+  registerDialogues() {
+    dialogueManager.register('custom_patient', {
+      initialState: 'age_range',
+      states: {
+        age_range: this.buildParameterStep('age_range', 'gender'),
+        gender: this.buildParameterStep('gender', 'problem_category'),
+        problem_category: this.buildParameterStep('problem_category', 'severity'),
+        severity: this.buildParameterStep('severity', 'motivation_level'),
+        motivation_level: this.buildParameterStep('motivation_level', 'defense_mechanisms'),
+        defense_mechanisms: {
+          prompt: async (ctx) => {
+            const selected = ctx.data.parameters?.defense_mechanisms || [];
+            const options = Object.keys(DEFENSE_MECHANISMS).map(key => ({
+              text: `${selected.includes(key) ? '✅ ' : ''}${getParameterLabel('defense_mechanisms', key, ctx.t.locale)}`,
+              callback_data: `fsm:input:${key}`
+            }));
+
+            await ctx.render(ctx.t('builder.defenses', {
+              step: BUILDER_STEP_ORDER.indexOf('defense_mechanisms') + 1,
+              total: BUILDER_STEPS,
+              max: MAX_DEFENSE_MECHANISMS
+            }), {
+              parse_mode: 'Markdown',
+              reply_markup: ctx.controls([
+                ...this.keyboardRows(options, 2),
+                [{ text: ctx.t('builder.done'), callback_data: 'fsm:input:done' }]
+              ])
+            });
+          },
+          handle: async (ctx, input) => {
+            if (input === 'done' || ctx.t('builder.doneWords').includes(input.toLowerCase())) {
+              return { next: 'resistance_style' };
+            }
+
+            const key = findParameterOption('defense_mechanisms', input, ctx.t.locale);
+            if (!key) {
+              await ctx.bot.sendMessage(ctx.chatId, ctx.t('builder.chooseDefenses'));
+              return;
+            }
+
+            const selected = ctx.data.parameters?.defense_mechanisms || [];
+            if (!selected.includes(key) && selected.length >= MAX_DEFENSE_MECHANISMS) {
+              await ctx.bot.sendMessage(ctx.chatId, 
+                ctx.t('builder.tooManyDefenses', { max: MAX_DEFENSE_MECHANISMS })
+              );
+              return;
+            }
+
+            ctx.data.parameters = {
+              ...ctx.data.parameters,
+              defense_mechanisms: selected.includes(key) ? 
+                selected.filter(item => item !== key) : 
+                [...selected, key]
+            };
+            return { refresh: true };
+          }
+        },
+        resistance_style: this.buildParameterStep('resistance_style', 'description'),
+        description: {
+          prompt: async (ctx) => {
+            await ctx.bot.sendMessage(ctx.chatId, 
+              ctx.t('builder.description', { step: BUILDER_STEPS, total: BUILDER_STEPS })
+            , {
+              parse_mode: 'Markdown',
+              reply_markup: ctx.controls([[{ text: ctx.t('builder.skip'), callback_data: 'fsm:input:skip' }]])
+            });
+          },
+          handle: async (ctx, input) => {
+            if (input === 'skip') {
+              ctx.data.description = null;
+              return { next: 'confirm' };
+            }
+
+            if (input.length < 10) {
+              await ctx.bot.sendMessage(ctx.chatId, ctx.t('builder.descriptionTooShort'));
+              return;
+            }
+
+            ctx.data.description = input;
+            return { next: 'confirm' };
+          }
+        },
+        confirm: {
+          prompt: async (ctx) => {
+            const summary = describePatientParameters(ctx.data.parameters, ctx.t.locale)
+              .map(line => `• ${escapeMarkdown(line)}`);
+            if (ctx.data.description) {
+              summary.push(ctx.t('builder.descriptionLine', { description: escapeMarkdown(ctx.data.description) }));
+            }
+
+            await ctx.bot.sendMessage(ctx.chatId, ctx.t('builder.confirm', {
+              summary: summary.length > 0 ? summary.join('\n') : ctx.t('builder.allAny')
+            }), {
+              parse_mode: 'Markdown',
+              reply_markup: ctx.controls([[{ text: ctx.t('builder.create'), callback_data: 'fsm:input:create' }]])
+            });
+          },
+          handle: async (ctx, input) => {
+            if (input !== 'create' && !ctx.t('builder.confirmWords').includes(input.toLowerCase())) {
+              await ctx.bot.sendMessage(ctx.chatId, ctx.t('builder.confirmHint'));
+              return;
+            }
+
+            await this.createCustomPatient(ctx.bot, ctx.chatId, ctx.userId, ctx.data.description, ctx.data.parameters);
+            return { done: true };
+          }
+        }
+      }
+    });
+
+    dialogueManager.register('session_notes', {
+      initialState: 'notes',
+      init: (sessionId) => ({ sessionId: parseInt(sessionId, 10) }),
+      states: {
+        notes: {
+          prompt: async (ctx) => {
+            await ctx.bot.sendMessage(ctx.chatId, ctx.t('notes.prompt'), {
+              parse_mode: 'Markdown',
+              reply_markup: ctx.controls()
+            });
+          },
+          handle: async (ctx, input) => {
+            let notes;
+            try {
+              ({ notes } = validateAndSanitize({ notes: input }, sessionNotesSchema));
+            } catch (error) {
+              if (!(error instanceof ValidationError)) {
+                throw error;
+              }
+              await ctx.bot.sendMessage(ctx.chatId, ctx.t('notes.tooLong'));
+              return;
+            }
+
+            const saved = await sessionService.updateSessionNotes(ctx.data.sessionId, ctx.userId, notes);
+            await ctx.bot.sendMessage(ctx.chatId, ctx.t(saved ? 'notes.saved' : 'notes.notFound'));
+            return { done: true };
+          }
+        }
+      }
+    });
+
+    dialogueManager.register('settings_language', {
+      initialState: 'language',
+      states: {
+        language: {
+          prompt: async (ctx) => {
+            const buttons = SUPPORTED_LOCALES.map(locale => ({
+              text: getLocaleName(locale),
+              callback_data: `fsm:input:${locale}`
+            }));
+
+            await ctx.bot.sendMessage(ctx.chatId, ctx.t('settings.languagePrompt'), {
+              parse_mode: 'Markdown',
+              reply_markup: ctx.controls([buttons])
+            });
+          },
+          handle: async (ctx, input) => {
+            const languageCode = input.toLowerCase();
+            if (!SUPPORTED_LOCALES.includes(languageCode)) {
+              await ctx.bot.sendMessage(ctx.chatId, 
+                ctx.t('settings.languageHint', { codes: SUPPORTED_LOCALES.join(' / ') })
+              );
+              return;
+            }
+
+            await userService.updateLanguageSetting(ctx.userId, languageCode);
+
+            const t = getTranslator(languageCode);
+            await ctx.bot.sendMessage(ctx.chatId, t('settings.languageChanged'));
+            await this.setChatCommandMenu(ctx.bot, ctx.chatId, t);
+            await this.handleSettings(ctx.bot, { chat: { id: ctx.chatId } }, ctx.userId);
+            return { done: true };
+          }
+        }
+      }
+    });
+
+    // Started from /modality, /settings (arg "settings") or a patient
+    // invitation (arg = patient id), which is shown again after the choice
+    dialogueManager.register('session_modality', {
+      initialState: 'modality',
+      init: (returnTo) => ({ returnTo: returnTo || null }),
+      states: {
+        modality: {
+          prompt: async (ctx) => {
+            const current = await userService.getModality(ctx.userId);
+            const buttons = MODALITY_IDS.map(modality => [{
+              text: `${modality === current ? '✅ ' : ''}${ctx.t.label('labels.modality', modality)}`,
+              callback_data: `fsm:input:${modality}`
+            }]);
+
+            await ctx.bot.sendMessage(ctx.chatId, ctx.t('modality.prompt', {
+              current: ctx.t.label('labels.modality', current),
+              descriptions: MODALITY_IDS.map(modality => ctx.t(`modality.descriptions.${modality}`)).join('\n')
+            }), {
+              parse_mode: 'Markdown',
+              reply_markup: ctx.controls(buttons)
+            });
+          },
+          handle: async (ctx, input) => {
+            const modality = input.toLowerCase();
+            if (!isModality(modality)) {
+              await ctx.bot.sendMessage(ctx.chatId, ctx.t('modality.hint', { codes: MODALITY_IDS.join(' / ') }));
+              return;
+            }
+
+            if (!(await userService.updateModalitySetting(ctx.userId, modality))) {
+              await ctx.bot.sendMessage(ctx.chatId, ctx.t('modality.failed'));
+              return { done: true };
+            }
+
+            await ctx.bot.sendMessage(ctx.chatId,
+              ctx.t('modality.changed', { modality: ctx.t.label('labels.modality', modality) }),
+              { parse_mode: 'Markdown' }
+            );
+
+            const { returnTo } = ctx.data;
+            if (returnTo === 'settings') {
+              await this.handleSettings(ctx.bot, { chat: { id: ctx.chatId } }, ctx.userId);
+            } else if (returnTo) {
+              const patient = await patientService.getPatientById(parseInt(returnTo, 10));
+              if (patient && patient.created_by === ctx.userId) {
+                await this.sendPatientInvitation(ctx.bot, ctx.chatId, ctx.userId, patient);
+              }
+            }
+            return { done: true };
+          }
+        }
+      }
+    });
+
+    dialogueManager.register('crisis_scenario', {
+      initialState: 'scenario',
+      states: {
+        scenario: {
+          prompt: async (ctx) => {
+            const buttons = CRISIS_SCENARIO_IDS.map(scenario => [{
+              text: ctx.t.label('labels.crisis', scenario),
+              callback_data: `fsm:input:${scenario}`
+            }]);
+            buttons.push([{ text: ctx.t('crisis.randomButton'), callback_data: 'fsm:input:random' }]);
+
+            await ctx.bot.sendMessage(ctx.chatId, ctx.t('crisis.prompt', {
+              descriptions: [...CRISIS_SCENARIO_IDS, 'random'].map(scenario => ctx.t(`crisis.descriptions.${scenario}`)).join('\n')
+            }), {
+              parse_mode: 'Markdown',
+              reply_markup: ctx.controls(buttons)
+            });
+          },
+          handle: async (ctx, input) => {
+            const scenario = input.toLowerCase();
+            if (scenario !== 'random' && !isCrisisScenario(scenario)) {
+              await ctx.bot.sendMessage(ctx.chatId, ctx.t('crisis.hint', { codes: [...CRISIS_SCENARIO_IDS, 'random'].join(' / ') }));
+              return;
+            }
+
+            await this.createCrisisPatient(ctx.bot, ctx.chatId, ctx.userId, scenario);
+            return { done: true };
+          }
+        }
+      }
+    });
+  }
+
+  // Bot menu (/ commands list) in the language of a translator
+  getCommandMenu(t) {
+    return Object.entries(t('menu')).map(([command, description]) => ({ command, description }));
+  }
+
+  // The menu of one chat follows the language chosen in /settings; the
+  // global menus are set on startup (see app.js setupBotCommands)
+  async setChatCommandMenu(bot, chatId, t) {
+    try {
+      await bot.setMyCommands(this.getCommandMenu(t), { scope: { type: 'chat', chat_id: chatId } });
+    } catch (error) {
+      logger.error('Error setting chat command menu', { error: error.message, chatId, locale: t.locale });
+    }
+  }
+
+  // Single-choice step of the custom patient builder; "any" leaves the
+  // parameter to the generator
+  buildParameterStep(field, nextState) {
+    const catalog = PARAMETER_CATALOGS[field];
+    const step = BUILDER_STEP_ORDER.indexOf(field) + 1;
+
+    return {
+      prompt: async (ctx) => {
+        const options = Object.keys(catalog).map(key => ({
+          text: getParameterLabel(field, key, ctx.t.locale),
+          callback_data: `fsm:input:${key}`
+        }));
+
+        await ctx.bot.sendMessage(ctx.chatId, ctx.t('builder.step', {
+          step,
+          total: BUILDER_STEPS,
+          title: ctx.t(`builder.titles.${field}`)
+        }), {
+          parse_mode: 'Markdown',
+          reply_markup: ctx.controls([
+            ...this.keyboardRows(options, field === 'age_range' ? 3 : 2),
+            [{ text: ctx.t('builder.any'), callback_data: 'fsm:input:any' }]
+          ])
+        });
+      },
+      handle: async (ctx, input) => {
+        const key = findParameterOption(field, input, ctx.t.locale);
+        if (!key && input !== 'any') {
+          await ctx.bot.sendMessage(ctx.chatId, ctx.t('builder.chooseOption'));
+          return;
+        }
+
+        const parameters = { ...ctx.data.parameters };
+        if (key) {
+          parameters[field] = key;
+        } else {
+          delete parameters[field];
+        }
+
+        ctx.data.parameters = parameters;
+        return { next: nextState };
+      }
+    };
+  }
+
+  keyboardRows(buttons, columns) {
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += columns) {
+      rows.push(buttons.slice(i, i + columns));
+    }
+    return rows;
   }
 
   async handleCommand(bot, msg) {
     const chatId = msg.chat.id;
     const command = (msg.text || '').split(' ')[0].toLowerCase();
     const args = (msg.text || '').split(' ').slice(1).join(' ');
+    let t = getTranslator(msg.from.language_code);
 
     try {
       // Register/get user
       const userId = await userService.registerUser(msg.from);
+      t = getTranslator(await userService.getLocale(userId));
       
+      // A new command abandons an unfinished multi-step dialogue
+      if (command !== '/cancel') {
+        await dialogueManager.clear(userId);
+      }
+
       // Execute command
       if (this.commands[command]) {
         await this.commands[command](bot, msg, userId, args);
+      } else if (this.adminCommands[command] && this.isAdmin(msg.from)) {
+        await this.adminCommands[command](bot, msg, userId, args);
       } else {
-        await bot.sendMessage(chatId, 
-          '❓ Неизвестная команда. Используйте /help для списка доступных команд.'
-        );
+        await bot.sendMessage(chatId, t('common.unknownCommand'));
       }
 
     } catch (error) {
@@ -47,475 +460,1684 @@ class CommandHandler {
         userId: msg.from.id 
       });
       
-      await bot.sendMessage(chatId, 
-        '❌ Произошла ошибка. Попробуйте позже или обратитесь к администратору.'
+      await bot.sendMessage(chatId, t('common.error'));
+    }
+  }
+
+  async handleStart(bot, msg, userId) {
+    const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+    const firstName = msg.from.first_name || t('start.defaultName');
+
+    const keyboard = {
+      inline_keyboard: [
+        [
+          {
+            text: t('start.newPatient'),
+            callback_data: 'start_new_patient'
+          },
+          {
+            text: t('start.customPatient'),
+            callback_data: 'start_custom_patient'
+          }
+        ]
+      ]
+    };
+
+    await bot.sendMessage(chatId, t('start.welcome', { firstName }), { 
+      parse_mode: 'Markdown',
+      reply_markup: keyboard
+    });
+  }
+
+  async handleHelp(bot, msg, userId) {
+    const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+
+    await bot.sendMessage(chatId, t('help.text'), { parse_mode: 'Markdown' });
+  }
+
+  isAdmin(telegramUser) {
+    return config.security.adminTelegramIds.includes(String(telegramUser.id));
+  }
+
+  // Past a budget new patients, sessions and analyses are refused while the
+  // active session goes on. Returns false after telling the user.
+  async ensureBudget(bot, chatId, userId, callbackQuery = null) {
+    const budget = await costService.checkBudget(userId);
+    if (budget.status !== 'exceeded') {
+      return true;
+    }
+
+    const t = getTranslator(await userService.getLocale(userId));
+    const text = this.formatBudgetExceeded(budget.limit, t);
+    if (callbackQuery) {
+      await bot.answerCallbackQuery(callbackQuery.id, { text, show_alert: true });
+    } else {
+      await bot.sendMessage(chatId, text);
+    }
+    return false;
+  }
+
+  // Short enough for a callback alert (200 characters)
+  formatBudgetExceeded(limit, t) {
+    return t('budget.exceeded', {
+      owner: t(`budget.owner.${limit.scope}_${limit.period}`),
+      reset: t(`budget.reset.${limit.period}`)
+    });
+  }
+
+  // /new [seed] - the same seed recreates the same case
+  async handleNewPatient(bot, msg, userId, args) {
+    const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+    const seed = args && args.trim() ? parseSeed(args) : null;
+
+    if (args && args.trim() && !seed) {
+      await bot.sendMessage(chatId, t('newPatient.invalidSeed'));
+      return;
+    }
+
+    if (!(await this.ensureBudget(bot, chatId, userId))) {
+      return;
+    }
+
+    try {
+      await bot.sendMessage(chatId, seed ? 
+        t('newPatient.creatingSeeded', { seed }) : 
+        t('newPatient.creating')
+      );
+
+      const patient = seed ?
+        await patientService.createFromSeed(userId, seed) :
+        await patientService.createRandomPatient(userId, null, null, null, t.locale);
+      await this.sendPatientInvitation(bot, chatId, userId, patient);
+
+    } catch (error) {
+      logger.error('Error creating new patient', { error: error.message, userId });
+      await bot.sendMessage(chatId, t('newPatient.failed'));
+    }
+  }
+
+  // Secretary call with the invitation button for a freshly created patient
+  async sendPatientInvitation(bot, chatId, userId, patient) {
+    const t = getTranslator(await userService.getLocale(userId));
+    // Extract chief complaint from presenting_problem (not the full diagnosis)
+    const chiefComplaint = patient.presenting_problem || patient.psychological_profile?.presenting_problem || t('invitation.defaultComplaint');
+
+    // The session starts in the user's current modality, which can still be changed here
+    const modality = await userService.getModality(userId);
+
+    const secretaryCallMessage = t('invitation.secretaryCall', {
+      name: patient.name,
+      age: patient.age,
+      complaint: chiefComplaint
+    }) + (patient.seed ? t('invitation.seed', { seed: patient.seed }) : '') +
+      t('invitation.modality', { modality: t.label('labels.modality', modality) }) +
+      (patient.crisis_scenario ? t('invitation.crisis') : '');
+
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: t('invitation.invite'), callback_data: `invite_patient_${patient.id}` }],
+        [{ text: t('invitation.changeModality'), callback_data: `fsm:start:session_modality:${patient.id}` }]
+      ]
+    };
+
+    await bot.sendMessage(chatId, secretaryCallMessage, { 
+      parse_mode: 'Markdown',
+      reply_markup: keyboard
+    });
+
+    // Patient info will be retrieved from database when button is clicked
+
+    logger.info('Patient created, waiting for invitation', { 
+      userId, 
+      patientId: patient.id,
+      patientName: patient.name,
+      patientCreatedBy: patient.created_by,
+      callbackData: `invite_patient_${patient.id}`
+    });
+  }
+
+  // /modality - therapy modality of the next sessions and new patients
+  async handleModality(bot, msg, userId) {
+    await dialogueManager.start(bot, msg.chat.id, userId, 'session_modality');
+  }
+
+  // /crisis [scenario] - patient with a hidden risk (see data/crisisScenarios.js)
+  async handleCrisis(bot, msg, userId, args) {
+    const chatId = msg.chat.id;
+    const scenario = (args || '').trim().toLowerCase();
+
+    if (!scenario) {
+      await dialogueManager.start(bot, chatId, userId, 'crisis_scenario');
+      return;
+    }
+
+    if (scenario !== 'random' && !isCrisisScenario(scenario)) {
+      const t = getTranslator(await userService.getLocale(userId));
+      await bot.sendMessage(chatId, t('crisis.unknown', { codes: [...CRISIS_SCENARIO_IDS, 'random'].join(', ') }));
+      return;
+    }
+
+    await this.createCrisisPatient(bot, chatId, userId, scenario);
+  }
+
+  // "random" keeps the kind of risk a surprise for the trainee
+  async createCrisisPatient(bot, chatId, userId, scenario) {
+    const t = getTranslator(await userService.getLocale(userId));
+
+    if (!(await this.ensureBudget(bot, chatId, userId))) {
+      return;
+    }
+
+    const crisisScenario = scenario === 'random' ?
+      CRISIS_SCENARIO_IDS[Math.floor(Math.random() * CRISIS_SCENARIO_IDS.length)] :
+      scenario;
+
+    try {
+      await bot.sendMessage(chatId, t('crisis.creating'));
+
+      const patient = await patientService.createRandomPatient(userId, null, null, null, t.locale, null, crisisScenario);
+      await this.sendPatientInvitation(bot, chatId, userId, patient);
+
+    } catch (error) {
+      logger.error('Error creating crisis patient', { error: error.message, userId, crisisScenario });
+      await bot.sendMessage(chatId, t('crisis.failed'));
+    }
+  }
+
+  async handleCustomPatient(bot, msg, userId, description) {
+    const chatId = msg.chat.id;
+
+    if (!(await this.ensureBudget(bot, chatId, userId))) {
+      return;
+    }
+
+    // Without a usable description the builder collects structured parameters
+    if (!description || description.trim().length < 10) {
+      await dialogueManager.start(bot, chatId, userId, 'custom_patient');
+      return;
+    }
+
+    await this.createCustomPatient(bot, chatId, userId, description.trim());
+  }
+
+  async createCustomPatient(bot, chatId, userId, description, parameters = null) {
+    const t = getTranslator(await userService.getLocale(userId));
+
+    try {
+      const summary = describePatientParameters(parameters || {}, t.locale);
+      if (description) {
+        summary.push(`💭 "${description}"`);
+      }
+
+      await bot.sendMessage(chatId, t('custom.creating', { summary: summary.join('\n') }));
+
+      const patient = await patientService.createRandomPatient(userId, description, parameters, null, t.locale);
+
+      const patientMessage = t('custom.created', {
+        name: patient.name,
+        age: patient.age,
+        problem: patient.presenting_problem,
+        background: patient.background.substring(0, 250)
+      });
+
+      await bot.sendMessage(chatId, patientMessage, { parse_mode: 'Markdown' });
+
+      // End any existing active session, then start one with the new patient
+      const existingSession = sessionService.getActiveSession(userId);
+      if (existingSession) {
+        await sessionService.endSession(existingSession.uuid, 'new_patient');
+        logger.info('Previous session ended automatically', { 
+          userId, 
+          sessionUuid: existingSession.uuid 
+        });
+      }
+
+      await sessionService.createSession(userId, patient.id);
+
+    } catch (error) {
+      logger.error('Error creating custom patient', { error: error.message, userId });
+      await bot.sendMessage(chatId, t('custom.failed'));
+    }
+  }
+
+  // /admin_regen <patientId> - regenerates a patient from its stored seed and
+  // inputs (as a new patient of the admin) to reproduce generation issues
+  async handleAdminRegenerate(bot, msg, userId, args) {
+    const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+    const patientId = parseInt(args, 10);
+
+    if (!patientId) {
+      await bot.sendMessage(chatId, t('adminRegen.usage'));
+      return;
+    }
+
+    if (!(await this.ensureBudget(bot, chatId, userId))) {
+      return;
+    }
+
+    try {
+      const original = await patientService.getGenerationInfo(patientId);
+      if (!original) {
+        await bot.sendMessage(chatId, t('adminRegen.notFound', { id: patientId }));
+        return;
+      }
+
+      if (!original.seed) {
+        await bot.sendMessage(chatId, t('adminRegen.noSeed', { id: patientId }));
+        return;
+      }
+
+      const params = original.generation_params || {};
+      let report = `${t('adminRegen.title', { id: original.id })}\n\n`;
+      report += `🎲 Seed: \`${original.seed}\`\n`;
+      report += `🤖 ${escapeMarkdown(params.provider || '?')} / ${escapeMarkdown(params.model || '?')}`;
+      report += params.temperature !== undefined ? `, t=${params.temperature}\n` : '\n';
+      describePatientParameters(params.parameters || {}, t.locale).forEach(line => {
+        report += `• ${escapeMarkdown(line)}\n`;
+      });
+      if (params.description) {
+        report += `💭 ${escapeMarkdown(truncate(params.description, 300))}\n`;
+      }
+
+      await bot.sendMessage(chatId, report, { parse_mode: 'Markdown' });
+
+      const patient = await patientService.regeneratePatient(patientId, userId);
+      const differences = ['name', 'age', 'gender', 'presenting_problem']
+        .filter(field => String(patient[field]) !== String(original[field]));
+
+      await bot.sendMessage(chatId, differences.length === 0 ? 
+        t('adminRegen.reproduced', { id: patient.id, originalId: original.id }) :
+        t('adminRegen.differs', { id: patient.id, originalId: original.id, fields: differences.join(', ') })
       );
+
+      await this.sendPatientInvitation(bot, chatId, userId, patient);
+
+      logger.info('Patient regenerated by admin', { 
+        userId, 
+        originalPatientId: original.id, 
+        patientId: patient.id, 
+        seed: original.seed,
+        differences 
+      });
+
+    } catch (error) {
+      logger.error('Error regenerating patient', { error: error.message, userId, patientId });
+      await bot.sendMessage(chatId, t('adminRegen.failed'));
     }
   }
 
-  async handleStart(bot, msg, userId) {
-    const chatId = msg.chat.id;
-    const firstName = msg.from.first_name || 'Коллега';
+  // /admin_costs [day|month] - API spend from the cost ledger: by feature,
+  // model, user and session, cache savings and the global budgets
+  async handleAdminCosts(bot, msg, userId, args) {
+    const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+    const period = (args || '').trim().toLowerCase() === 'day' ? 'day' : 'month';
+
+    try {
+      const report = await costService.getReport(period);
+      const { totals } = report;
+
+      let message = `${t(`adminCosts.title.${period}`)}\n\n`;
+      message += `${t('adminCosts.cost', { cost: formatUsd(totals.costUsd), calls: totals.calls })}\n`;
+      message += `${t('adminCosts.tokens', { input: totals.inputTokens, output: totals.outputTokens })}\n`;
+      message += `${t('adminCosts.cache', {
+        read: totals.cacheReadTokens,
+        written: totals.cacheCreationTokens,
+        savings: formatUsd(totals.cacheSavingsUsd)
+      })}\n`;
+
+      if (report.budgets.length > 0 || report.userLimits.length > 0) {
+        message += `\n${t('adminCosts.budgets')}\n`;
+        report.budgets.forEach(budget => {
+          const percent = Math.round(budget.spentUsd / budget.limitUsd * 100);
+          const icon = percent >= 100 ? '🔴' : (percent >= config.budget.warningRatio * 100 ? '🟡' : '🟢');
+          message += `${icon} ${t(`adminCosts.globalBudget.${budget.period}`, {
+            spent: formatUsd(budget.spentUsd),
+            limit: formatUsd(budget.limitUsd),
+            percent
+          })}\n`;
+        });
+        report.userLimits.forEach(limit => {
+          message += `${t(`adminCosts.userLimit.${limit.period}`, { limit: formatUsd(limit.limitUsd) })}\n`;
+        });
+      }
+
+      if (report.byPurpose.length > 0) {
+        message += `\n${t('adminCosts.byPurpose')}\n`;
+        report.byPurpose.forEach(row => {
+          message += `${t('adminCosts.purposeRow', {
+            label: escapeMarkdown(t.label('labels.purpose', row.purpose)),
+            cost: formatUsd(row.cost_usd),
+            calls: row.calls,
+            savings: formatUsd(row.cache_savings_usd)
+          })}\n`;
+        });
+      }
+
+      if (report.byModel.length > 0) {
+        message += `\n${t('adminCosts.byModel')}\n`;
+        report.byModel.forEach(row => {
+          message += `${t('adminCosts.modelRow', {
+            provider: escapeMarkdown(row.provider),
+            model: escapeMarkdown(row.model),
+            cost: formatUsd(row.cost_usd),
+            calls: row.calls
+          })}\n`;
+        });
+      }
+
+      if (report.topUsers.length > 0) {
+        message += `\n${t('adminCosts.users')}\n`;
+        report.topUsers.forEach(row => {
+          const name = row.user_id ?
+            `${row.username ? '@' + row.username : (row.first_name || t('adminCosts.noName'))} (#${row.user_id})` :
+            t('adminCosts.system');
+          message += `${t('adminCosts.userRow', {
+            name: escapeMarkdown(name),
+            cost: formatUsd(row.cost_usd),
+            calls: row.calls,
+            sessions: row.sessions
+          })}\n`;
+        });
+      }
+
+      if (report.topSessions.length > 0) {
+        message += `\n${t('adminCosts.sessions')}\n`;
+        report.topSessions.forEach(row => {
+          message += `${t('adminCosts.sessionRow', {
+            id: row.session_id,
+            patient: escapeMarkdown(row.patient_name || ''),
+            userId: row.user_id,
+            cost: formatUsd(row.cost_usd),
+            savings: formatUsd(row.cache_savings_usd)
+          })}\n`;
+        });
+      }
+
+      if (totals.calls === 0) {
+        message += `\n${t('adminCosts.empty')}`;
+      }
+
+      await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+
+    } catch (error) {
+      logger.error('Error building cost report', { error: error.message, userId, period });
+      await bot.sendMessage(chatId, t('adminCosts.failed'));
+    }
+  }
+
+  async handleCancel(bot, msg, userId) {
+    const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+    const cancelled = await dialogueManager.cancel(bot, chatId, userId);
+
+    await bot.sendMessage(chatId, t(cancelled ? 'cancel.done' : 'cancel.nothing'));
+  }
+
+  async handlePatients(bot, msg, userId) {
+    const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+
+    try {
+      const patients = await patientService.getUserPatients(userId, 10);
+
+      if (patients.length === 0) {
+        await bot.sendMessage(chatId, t('patients.empty'));
+        return;
+      }
+
+      let patientsMessage = `${t('patients.title')}\n\n`;
+      
+      patients.forEach((patient, index) => {
+        const sessionCount = patient.session_count || 0;
+        
+        patientsMessage += `${t('patients.row', { id: patient.id, name: escapeMarkdown(patient.name), age: patient.age })}\n`;
+        patientsMessage += `   🎭 ${escapeMarkdown(truncate(patient.presenting_problem, 80))}\n`;
+        patientsMessage += `${t('patients.details', { date: t.date(patient.created_at), sessions: sessionCount })}\n\n`;
+      });
+
+      patientsMessage += t('patients.guide');
+
+      const keyboard = patients.map(patient => [{
+        text: `🗂 ${patient.id} - ${patient.name}`,
+        callback_data: `patient_action:card:${patient.id}`
+      }]);
+
+      await bot.sendMessage(chatId, patientsMessage, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching patients', { error: error.message, userId });
+      await bot.sendMessage(chatId, t('patients.failed'));
+    }
+  }
+
+  async handleTemplates(bot, msg, userId) {
+    const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+
+    try {
+      const templatesPage = await this.buildTemplatesPage(0, t);
+
+      if (!templatesPage) {
+        await bot.sendMessage(chatId, t('templates.empty'));
+        return;
+      }
+
+      await bot.sendMessage(chatId, templatesPage.text, {
+        parse_mode: 'Markdown',
+        reply_markup: templatesPage.keyboard
+      });
+
+    } catch (error) {
+      logger.error('Error fetching templates', { error: error.message, userId });
+      await bot.sendMessage(chatId, t('templates.failed'));
+    }
+  }
+
+  async buildTemplatesPage(page, t) {
+    const total = await templateService.countTemplates();
+    if (total === 0) {
+      return null;
+    }
+
+    const totalPages = Math.ceil(total / TEMPLATE_PAGE_SIZE);
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const offset = currentPage * TEMPLATE_PAGE_SIZE;
+    const templates = await templateService.listTemplates(TEMPLATE_PAGE_SIZE, offset);
+
+    let text = `${t('templates.title', { page: currentPage + 1, pages: totalPages })}\n\n`;
+    const templateButtons = [];
+
+    templates.forEach((template, index) => {
+      const number = offset + index + 1;
+
+      text += `${number}. ${escapeMarkdown(template.title)}\n`;
+      text += `   ${t.label('labels.templateSource', template.source)} | v${template.version} | 👥 ${template.usage_count}\n\n`;
+
+      templateButtons.push([{
+        text: `📄 ${number}. ${truncate(template.title, 40)}`,
+        callback_data: `template:view:${template.id}`
+      }]);
+    });
+
+    text += t('templates.footer');
+
+    const navigation = [];
+    if (currentPage > 0) {
+      navigation.push({ text: t('common.back'), callback_data: `template:list:${currentPage - 1}` });
+    }
+    if (currentPage < totalPages - 1) {
+      navigation.push({ text: t('common.next'), callback_data: `template:list:${currentPage + 1}` });
+    }
+
+    return {
+      text,
+      keyboard: { inline_keyboard: navigation.length > 0 ? [...templateButtons, navigation] : templateButtons }
+    };
+  }
+
+  async buildTemplateView(template, t) {
+    const stats = await templateService.getTemplateStats(template.slug);
+    const { patient } = template;
+
+    let text = `*📄 ${escapeMarkdown(template.title)}*\n`;
+    text += `${t('templates.versionInfo', {
+      source: t.label('labels.templateSource', template.source),
+      version: template.version,
+      versions: stats.version_count,
+      usage: stats.usage_count
+    })}\n\n`;
+    if (template.description) {
+      text += `${escapeMarkdown(template.description)}\n\n`;
+    }
+    text += `${t('templates.patient', { name: escapeMarkdown(patient.name), age: patient.age })}\n`;
+    text += `🎭 ${escapeMarkdown(patient.psychological_profile.presenting_problem)}\n`;
+    text += `🆔 \`${template.slug}\``;
+
+    return {
+      text,
+      keyboard: {
+        inline_keyboard: [
+          [{ text: t('templates.use'), callback_data: `template:use:${template.id}` }],
+          [
+            { text: t('templates.export'), callback_data: `template:export:${template.id}` },
+            { text: t('templates.toList'), callback_data: 'template:list:0' }
+          ]
+        ]
+      }
+    };
+  }
+
+  // template:<action>:<templateId|page> callbacks of the /templates library
+  async handleTemplateCallback(bot, callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const [, action, target] = callbackQuery.data.split(':');
+    const targetId = parseInt(target, 10) || 0;
+    let t = getTranslator(callbackQuery.from.language_code);
+
+    try {
+      const userId = await userService.registerUser(callbackQuery.from);
+      t = getTranslator(await userService.getLocale(userId));
+
+      if (action === 'list') {
+        await bot.answerCallbackQuery(callbackQuery.id);
+        const templatesPage = await this.buildTemplatesPage(targetId, t);
+        if (templatesPage) {
+          await this.editHistoryMessage(bot, callbackQuery, templatesPage);
+        }
+        return;
+      }
+
+      const template = await templateService.getTemplateById(targetId);
+      if (!template) {
+        await bot.answerCallbackQuery(callbackQuery.id, { text: t('templates.notFound'), show_alert: true });
+        return;
+      }
+
+      switch (action) {
+        case 'view':
+          await bot.answerCallbackQuery(callbackQuery.id);
+          await this.editHistoryMessage(bot, callbackQuery, await this.buildTemplateView(template, t));
+          break;
+
+        case 'use': {
+          if (!(await this.ensureBudget(bot, chatId, userId, callbackQuery))) {
+            return;
+          }
+          await bot.answerCallbackQuery(callbackQuery.id, { text: t('templates.creating') });
+          const patient = await templateService.instantiateTemplate(template.id, userId);
+          await this.sendPatientInvitation(bot, chatId, userId, patient);
+          break;
+        }
+
+        case 'export': {
+          await bot.answerCallbackQuery(callbackQuery.id);
+          const file = Buffer.from(JSON.stringify(templateService.exportTemplate(template), null, 2));
+          await bot.sendDocument(chatId, file, {
+            caption: t('templates.exportCaption', { title: template.title, version: template.version })
+          }, {
+            filename: `${template.slug}-v${template.version}.json`,
+            contentType: 'application/json'
+          });
+          break;
+        }
+
+        default:
+          await bot.answerCallbackQuery(callbackQuery.id);
+      }
+
+    } catch (error) {
+      logger.error('Error handling template callback', { error: error.message, data: callbackQuery.data });
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: t('templates.error'),
+        show_alert: true
+      }).catch(() => {});
+    }
+  }
+
+  // JSON document sent to the bot: imports it into the template library
+  async importTemplateDocument(bot, msg, userId) {
+    const chatId = msg.chat.id;
+    const document = msg.document;
+    const t = getTranslator(await userService.getLocale(userId));
+
+    if (document.file_size > TEMPLATE_MAX_FILE_SIZE) {
+      await bot.sendMessage(chatId, t('templates.fileTooLarge'));
+      return;
+    }
+
+    try {
+      const chunks = [];
+      for await (const chunk of bot.getFileStream(document.file_id)) {
+        chunks.push(chunk);
+      }
+
+      let data;
+      try {
+        data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (parseError) {
+        await bot.sendMessage(chatId, t('templates.notJson'));
+        return;
+      }
+
+      const result = await templateService.importTemplate(data, userId);
+      const { template } = result;
+
+      if (result.conflict) {
+        await bot.sendMessage(chatId, 
+          t('templates.conflict', { slug: template.slug, version: template.version }),
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+
+      const view = await this.buildTemplateView(template, t);
+      await bot.sendMessage(chatId, 
+        `${t(result.created ? 'templates.imported' : 'templates.alreadyImported')}\n\n${view.text}`,
+        { parse_mode: 'Markdown', reply_markup: view.keyboard }
+      );
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        const fields = error.details.map(detail => detail.field || 'format').slice(0, 5).join(', ');
+        await bot.sendMessage(chatId, t('templates.invalid', { fields }));
+        return;
+      }
+
+      logger.error('Error importing template', { error: error.message, userId });
+      await bot.sendMessage(chatId, t('templates.importFailed'));
+    }
+  }
+
+  async handleSessions(bot, msg, userId) {
+    const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+
+    try {
+      const historyPage = await this.buildHistoryPage(userId, 0, t);
+
+      if (!historyPage) {
+        await bot.sendMessage(chatId, t('history.empty'));
+        return;
+      }
+
+      await bot.sendMessage(chatId, historyPage.text, {
+        parse_mode: 'Markdown',
+        reply_markup: historyPage.keyboard
+      });
+
+    } catch (error) {
+      logger.error('Error fetching sessions', { error: error.message, userId });
+      await bot.sendMessage(chatId, t('history.failed'));
+    }
+  }
+
+  async buildHistoryPage(userId, page, t) {
+    const total = await sessionService.countSessions(userId);
+    if (total === 0) {
+      return null;
+    }
+
+    const totalPages = Math.ceil(total / HISTORY_PAGE_SIZE);
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const offset = currentPage * HISTORY_PAGE_SIZE;
+    const sessions = await sessionService.getSessionHistory(userId, HISTORY_PAGE_SIZE, offset);
+
+    let text = `${t('history.title', { page: currentPage + 1, pages: totalPages })}\n\n`;
+    const sessionButtons = [];
+
+    sessions.forEach((session, index) => {
+      const number = offset + index + 1;
+      const date = t.date(session.started_at);
+      const duration = session.duration_minutes || 0;
+      const rating = session.rating ? ` | ⭐ ${session.rating}/10` : '';
+      const status = session.status === 'completed' ? '✅' : 
+                    session.status === 'active' ? '🔄' : '❌';
+      
+      text += `${number}. ${status} ${escapeMarkdown(session.patient_name)}\n`;
+      text += `${t('history.details', { date, duration, rating })}\n`;
+      text += `   🎭 ${escapeMarkdown(session.presenting_problem)}\n\n`;
+
+      sessionButtons.push([{
+        text: `📂 ${number}. ${session.patient_name} (${date})`,
+        callback_data: `history:view:${session.id}:0`
+      }]);
+    });
+
+    text += t('history.footer');
+
+    const navigation = [];
+    if (currentPage > 0) {
+      navigation.push({ text: t('history.newer'), callback_data: `history:list:${currentPage - 1}` });
+    }
+    if (currentPage < totalPages - 1) {
+      navigation.push({ text: t('history.older'), callback_data: `history:list:${currentPage + 1}` });
+    }
+
+    return {
+      text,
+      keyboard: { inline_keyboard: navigation.length > 0 ? [...sessionButtons, navigation] : sessionButtons }
+    };
+  }
+
+  // history:<action>:<sessionId|page>[:<page>] callbacks of the /sessions browser
+  async handleHistoryCallback(bot, callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const [, action, target, page] = callbackQuery.data.split(':');
+    const targetId = parseInt(target, 10) || 0;
+    let t = getTranslator(callbackQuery.from.language_code);
+
+    try {
+      const userId = await userService.registerUser(callbackQuery.from);
+      t = getTranslator(await userService.getLocale(userId));
+
+      switch (action) {
+        case 'list': {
+          await bot.answerCallbackQuery(callbackQuery.id);
+          const historyPage = await this.buildHistoryPage(userId, targetId, t);
+          if (historyPage) {
+            await this.editHistoryMessage(bot, callbackQuery, historyPage);
+          }
+          break;
+        }
+
+        case 'view': {
+          const details = await sessionService.getSessionDetails(targetId, userId);
+          if (!details) {
+            await bot.answerCallbackQuery(callbackQuery.id, { text: t('history.notFound'), show_alert: true });
+            return;
+          }
+
+          await bot.answerCallbackQuery(callbackQuery.id);
+          await this.editHistoryMessage(bot, callbackQuery, this.buildSessionView(details, parseInt(page, 10) || 0, t));
+          break;
+        }
+
+        case 'analysis': {
+          const details = await sessionService.getSessionDetails(targetId, userId);
+          if (!details || !details.analysis) {
+            await bot.answerCallbackQuery(callbackQuery.id, { text: t('history.noAnalysis'), show_alert: true });
+            return;
+          }
+
+          await bot.answerCallbackQuery(callbackQuery.id);
+          await bot.sendMessage(chatId, 
+            this.formatAnalysisMessage(details.analysis.content, t) + t('history.reviewLink', { id: targetId }),
+            { parse_mode: 'Markdown' }
+          );
+          break;
+        }
+
+        case 'analyze': {
+          const details = await sessionService.getSessionDetails(targetId, userId);
+          if (!details || details.session.status !== 'completed' || details.analysis) {
+            await bot.answerCallbackQuery(callbackQuery.id, { 
+              text: t('history.cannotAnalyze'), 
+              show_alert: true 
+            });
+            return;
+          }
+
+          await bot.answerCallbackQuery(callbackQuery.id);
+          await this.analyzeAndReport(bot, chatId, userId, targetId);
+          break;
+        }
+
+        case 'continue':
+          await this.continueFromHistory(bot, callbackQuery, userId, targetId);
+          break;
+
+        case 'newweek':
+          await this.startNewWeekFromHistory(bot, callbackQuery, userId, targetId);
+          break;
+
+        default:
+          await bot.answerCallbackQuery(callbackQuery.id);
+      }
+
+    } catch (error) {
+      logger.error('Error handling history callback', { error: error.message, data: callbackQuery.data });
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: t('history.error'),
+        show_alert: true
+      }).catch(() => {});
+    }
+  }
+
+  async editHistoryMessage(bot, callbackQuery, { text, keyboard }) {
+    await bot.editMessageText(text, {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: keyboard
+    });
+  }
+
+  buildSessionView(details, page, t) {
+    const { session, messages, analysis } = details;
+    const totalPages = Math.max(Math.ceil(messages.length / TRANSCRIPT_PAGE_SIZE), 1);
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageMessages = messages.slice(currentPage * TRANSCRIPT_PAGE_SIZE, (currentPage + 1) * TRANSCRIPT_PAGE_SIZE);
+
+    const rating = analysis ? ` | ⭐ ${analysis.rating}/10` : '';
+
+    let text = `${t('history.sessionTitle', { id: session.id, patient: escapeMarkdown(session.patient_name) })}\n`;
+    text += `${t('history.sessionDetails', {
+      date: t.date(session.started_at),
+      duration: session.duration_minutes || 0,
+      status: t.label('labels.sessionStatus', session.status),
+      rating
+    })}\n`;
+    text += `🎭 ${escapeMarkdown(session.presenting_problem)}\n`;
+    if (resolveModality(session.modality) !== DEFAULT_MODALITY) {
+      text += `${t('history.modality', { modality: t.label('labels.modality', session.modality) })}\n`;
+    }
+    if (session.end_reason) {
+      text += `${t('history.endReason', { reason: t.label('labels.endReason', session.end_reason) })}\n`;
+    }
+    if (session.therapist_notes) {
+      text += `${t('history.notes', { notes: escapeMarkdown(truncate(session.therapist_notes, 300)) })}\n`;
+    }
+    text += `${t('history.transcriptPage', { page: currentPage + 1, pages: totalPages })}\n\n`;
+
+    if (messages.length === 0) {
+      text += `${t('history.noMessages')}\n`;
+    }
+
+    for (const message of pageMessages) {
+      const content = escapeMarkdown(truncate(message.content, TRANSCRIPT_MESSAGE_PREVIEW));
+
+      if (message.sender === 'therapist') {
+        text += `${t('history.therapist')}\n${content}\n\n`;
+      } else {
+        text += `👤 ${escapeMarkdown(session.patient_name)}:\n${content}\n\n`;
+      }
+    }
+
+    const keyboard = [];
+
+    const navigation = [];
+    if (currentPage > 0) {
+      navigation.push({ text: t('common.back'), callback_data: `history:view:${session.id}:${currentPage - 1}` });
+    }
+    if (currentPage < totalPages - 1) {
+      navigation.push({ text: t('common.next'), callback_data: `history:view:${session.id}:${currentPage + 1}` });
+    }
+    if (navigation.length > 0) {
+      keyboard.push(navigation);
+    }
+
+    if (analysis) {
+      keyboard.push([
+        { text: t('history.analysis'), callback_data: `history:analysis:${session.id}` },
+        { text: t('history.review'), callback_data: `review:${session.id}:0` }
+      ]);
+    } else if (session.status === 'completed' && messages.length > 0) {
+      keyboard.push([{ text: t('history.analyze'), callback_data: `history:analyze:${session.id}` }]);
+    }
+
+    keyboard.push([
+      { text: t('history.continue'), callback_data: `history:continue:${session.id}` },
+      { text: t('history.newWeek'), callback_data: `history:newweek:${session.id}` }
+    ]);
+    keyboard.push([
+      { text: t('history.notesButton'), callback_data: `fsm:start:session_notes:${session.id}` },
+      { text: t('history.toList'), callback_data: 'history:list:0' }
+    ]);
+
+    return { text, keyboard: { inline_keyboard: keyboard } };
+  }
+
+  // Ends the user's current session (if it is not the one being opened)
+  async endActiveSessionFor(userId, keepSessionId, reason) {
+    const existingSession = sessionService.getActiveSession(userId);
+    if (existingSession && existingSession.id !== keepSessionId) {
+      await sessionService.endSession(existingSession.uuid, reason);
+      logger.info('Previous session ended automatically', { 
+        userId, 
+        sessionUuid: existingSession.uuid 
+      });
+    }
+  }
+
+  async continueFromHistory(bot, callbackQuery, userId, sessionId) {
+    const chatId = callbackQuery.message.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+
+    if (!(await this.ensureBudget(bot, chatId, userId, callbackQuery))) {
+      return;
+    }
+
+    await this.endActiveSessionFor(userId, sessionId, 'other_session_continued');
+    const session = await sessionService.continueSession(userId, sessionId);
+    const activeSession = sessionService.getActiveSession(userId);
+
+    await bot.answerCallbackQuery(callbackQuery.id, { text: t('continue.continued') });
+
+    const continueMessage = t('continue.continuedMessage', {
+      patient: escapeMarkdown(session.patient.name),
+      messages: activeSession.messages.length
+    });
+
+    await bot.sendMessage(chatId, continueMessage, { parse_mode: 'Markdown' });
+  }
+
+  async startNewWeekFromHistory(bot, callbackQuery, userId, sessionId) {
+    const chatId = callbackQuery.message.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+
+    const details = await sessionService.getSessionDetails(sessionId, userId);
+    if (!details) {
+      await bot.answerCallbackQuery(callbackQuery.id, { text: t('history.notFound'), show_alert: true });
+      return;
+    }
+
+    if (!(await this.ensureBudget(bot, chatId, userId, callbackQuery))) {
+      return;
+    }
+
+    await this.endActiveSessionFor(userId, null, 'new_week');
+    const session = await sessionService.startNewWeekSession(userId, details.session.patient_id, sessionId);
+
+    await bot.answerCallbackQuery(callbackQuery.id, { text: t('newWeek.started') });
+    await bot.sendMessage(chatId, 
+      t('newWeek.message', { patient: escapeMarkdown(session.patient.name) }),
+      { parse_mode: 'Markdown' }
+    );
+
+    const firstMessage = await sessionService.sendMessage(session.uuid, 'therapist', t('newWeek.greeting'));
+
+    await bot.sendMessage(chatId, `👤 **${session.patient.name}:** ${firstMessage.response}`, {
+      parse_mode: 'Markdown'
+    });
+  }
+
+  // /stats [modality] - overall statistics, or the skill profile of one modality
+  async handleStats(bot, msg, userId, args) {
+    const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+    const modalityArg = (args || '').trim().toLowerCase();
+
+    if (modalityArg) {
+      await this.sendModalitySkills(bot, chatId, userId, modalityArg, t);
+      return;
+    }
+
+    try {
+      const stats = await userService.getUserStats(userId);
+      
+      if (!stats) {
+        await bot.sendMessage(chatId, t('stats.failed'));
+        return;
+      }
+
+      const completionRate = stats.total_sessions > 0 ? 
+        Math.round((stats.completed_sessions / stats.total_sessions) * 100) : 0;
+      
+      const avgSessionTime = stats.completed_sessions > 0 ? 
+        Math.round(stats.total_session_time_minutes / stats.completed_sessions) : 0;
+
+      let statsMessage = `${t('stats.title')}\n\n`;
+      statsMessage += `${t('stats.overview', {
+        total: stats.total_sessions,
+        completed: stats.completed_sessions,
+        rate: completionRate,
+        rating: stats.average_session_rating.toFixed(1),
+        minutes: avgSessionTime
+      })}\n\n`;
+
+      const skillProfile = await userService.getSkillProfile(userId);
+
+      statsMessage += `${t('stats.skills')}\n`;
+      if (skillProfile) {
+        Object.entries(skillProfile).forEach(([skill, skillLevel]) => {
+          statsMessage += this.formatSkillLine(skill, skillLevel, t);
+        });
+        statsMessage += `${t('stats.skillsLegend', { window: TREND_WINDOW })}\n`;
+      }
+
+      const modalityStats = await userService.getModalityStats(userId);
+      if (modalityStats && Object.keys(modalityStats).length > 0) {
+        statsMessage += `\n${t('stats.modalities')}\n`;
+        Object.entries(modalityStats).forEach(([modality, { sessions, averageRating, fidelity }]) => {
+          statsMessage += t('stats.modalityLine', {
+            modality: t.label('labels.modality', modality),
+            sessions,
+            rating: averageRating !== null ? averageRating.toFixed(1) : '—'
+          });
+          if (fidelity.level !== null) {
+            statsMessage += t('stats.modalityFidelity', { level: fidelity.level });
+          }
+          statsMessage += '\n';
+        });
+        statsMessage += `${t('stats.modalityHint', { codes: MODALITY_IDS.join(', ') })}\n`;
+      }
+
+      const safetyStats = await userService.getSafetyStats(userId);
+      if (safetyStats && safetyStats.sessions > 0) {
+        statsMessage += `\n${t('stats.safety', {
+          sessions: safetyStats.sessions,
+          score: safetyStats.averageScore !== null ? `${safetyStats.averageScore}%` : '—'
+        })}\n`;
+      }
+
+      if (stats.achievements.length > 0) {
+        statsMessage += `\n${t('stats.achievements', { count: stats.achievements.length })}\n`;
+        stats.achievements.slice(-3).forEach(achievement => {
+          // Stored achievements carry a Russian name; known ids are translated
+          const name = t.label('labels.achievement', achievement.id);
+          statsMessage += `• ${name !== achievement.id ? name : achievement.name}\n`;
+        });
+      }
+
+      statsMessage += `\n${t('stats.practice')}`;
+
+      await bot.sendMessage(chatId, statsMessage, { parse_mode: 'Markdown' });
+
+    } catch (error) {
+      logger.error('Error fetching user stats', { error: error.message, userId });
+      await bot.sendMessage(chatId, t('stats.loadFailed'));
+    }
+  }
+
+  async sendModalitySkills(bot, chatId, userId, modality, t) {
+    if (!isModality(modality)) {
+      await bot.sendMessage(chatId, t('stats.unknownModality', { codes: MODALITY_IDS.join(', ') }));
+      return;
+    }
+
+    try {
+      const skillProfile = await userService.getSkillProfile(userId, modality);
+
+      let message = `${t('stats.modalitySkills', { modality: t.label('labels.modality', modality) })}\n`;
+      if (skillProfile && Object.values(skillProfile).some(({ level }) => level !== null)) {
+        Object.entries(skillProfile).forEach(([skill, skillLevel]) => {
+          message += this.formatSkillLine(skill, skillLevel, t);
+        });
+        message += t('stats.skillsLegend', { window: TREND_WINDOW });
+      } else {
+        message += t('stats.modalityEmpty');
+      }
+
+      await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+
+    } catch (error) {
+      logger.error('Error fetching modality skills', { error: error.message, userId, modality });
+      await bot.sendMessage(chatId, t('stats.loadFailed'));
+    }
+  }
+
+  formatSkillLine(skill, { level, confidence, trend, sessions }, t) {
+    const skillName = t.label('labels.skill', skill);
+
+    if (level === null) {
+      return `${skillName}: ░░░░░░░░░░ ${t('stats.noScores')}\n`;
+    }
+
+    const progress = Math.min(Math.round(level / 10), 10);
+    const progressBar = '█'.repeat(progress) + '░'.repeat(10 - progress);
+    const trendArrow = { up: '↗️', down: '↘️', flat: '➡️' }[trendDirection(trend)];
+    const trendText = sessions > 1 ? ` ${trendArrow} ${trend > 0 ? '+' : ''}${trend}` : '';
+
+    return `${skillName}: ${progressBar} ${level}%${trendText} ${t('stats.confidence', { percent: Math.round(confidence * 100) })}\n`;
+  }
+
+  async handleAnalyze(bot, msg, userId) {
+    const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+
+    try {
+      // Get last completed session
+      const sessions = await sessionService.getSessionHistory(userId, 1);
+      
+      if (sessions.length === 0 || sessions[0].status !== 'completed') {
+        await bot.sendMessage(chatId, t('analysis.none'));
+        return;
+      }
+
+      await this.analyzeAndReport(bot, chatId, userId, sessions[0].id);
+
+    } catch (error) {
+      logger.error('Error analyzing session', { error: error.message, userId });
+      await bot.sendMessage(chatId, t('analysis.failed'));
+    }
+  }
+
+  async analyzeAndReport(bot, chatId, userId, sessionId) {
+    if (!(await this.ensureBudget(bot, chatId, userId))) {
+      return;
+    }
+
+    const t = getTranslator(await userService.getLocale(userId));
 
-    const welcomeMessage = `
-🎯 *Добро пожаловать в ПсихоТренер v3.0!*
+    try {
+      await bot.sendMessage(chatId, t('analysis.inProgress'));
 
-Привет, ${firstName}! Я помогу тебе развить навыки психотерапии через практику с AI-пациентами.
+      const analysis = await sessionService.analyzeSession(sessionId, userId);
 
-🤖 *Что я умею:*
-• Создавать реалистичных AI-пациентов
-• Проводить интерактивные терапевтические сессии  
-• Анализировать твою работу как AI-супервизор
-• Отслеживать прогресс и статистику
+      let analysisMessage = this.formatAnalysisMessage(analysis, t);
 
-📋 *Основные команды:*
-/new - Создать случайного пациента
-/custom - Создать пациента по описанию
-/patients - Мои пациенты
-/sessions - История сессий
-/stats - Моя статистика
-/help - Полный список команд
+      if (analysis.annotations && analysis.annotations.length > 0) {
+        analysisMessage += t('history.reviewLink', { id: sessionId });
+      }
 
-🚀 *Начни с создания первого пациента командой /new*
+      await bot.sendMessage(chatId, analysisMessage, { parse_mode: 'Markdown' });
 
-💡 *Предложения и обратная связь:*
-• Telegram: @YourTerapist
-• Идеи для улучшения бота
+      // Update user stats with analysis; re-analyzing a session must not count
+      // it again, so a re-analysis only refreshes the skill levels
+      if (analysis.reanalysis) {
+        await userService.refreshSkillAreas(userId);
+      } else {
+        await userService.updateUserStats(userId, {
+          completed: true,
+          rating: analysis.overall_rating,
+          analysis: analysis
+        });
+      }
 
-💰 *Поддержать проект:*
-• PayPal: [Благодарность разработчику](https://paypal.me/psyazur)
-• Помочь компенсировать токены Claude AI
-    `;
+    } catch (error) {
+      logger.error('Error analyzing session', { error: error.message, userId, sessionId });
 
-    const keyboard = {
-      inline_keyboard: [
-        [
-          {
-            text: '🎲 Новый пациент',
-            callback_data: 'start_new_patient'
-          },
-          {
-            text: '🎨 Кастом пациент',
-            callback_data: 'start_custom_patient'
-          }
-        ]
-      ]
-    };
+      if (error instanceof ValidationError) {
+        await bot.sendMessage(chatId, t('analysis.invalid'));
+        return;
+      }
 
-    await bot.sendMessage(chatId, welcomeMessage, { 
-      parse_mode: 'Markdown',
-      reply_markup: keyboard
-    });
+      await bot.sendMessage(chatId, t('analysis.failed'));
+    }
   }
 
-  async handleHelp(bot, msg, userId) {
-    const chatId = msg.chat.id;
+  formatAnalysisMessage(analysis, t) {
+    let analysisMessage = `${t('analysis.title')}\n\n`;
+    analysisMessage += `${t('analysis.rating', { rating: analysis.overall_rating })}\n\n`;
 
-    const helpMessage = `
-📚 *Справка по командам ПсихоТренер v3.0*
-
-🆕 *Создание пациентов:*
-/new - Создать случайного AI-пациента
-/custom <описание> - Создать пациента по твоему описанию
+    if (analysis.hints_used > 0) {
+      analysisMessage += `${t('analysis.hintsUsed', { count: analysis.hints_used })}\n\n`;
+    }
 
-👥 *Работа с пациентами:*
-/patients - Список твоих пациентов
-/info - Информация о текущем пациенте
-/continue - Продолжить активную сессию
+    if (analysis.strengths && analysis.strengths.length > 0) {
+      analysisMessage += `${t('analysis.strengths')}\n`;
+      analysis.strengths.forEach(strength => {
+        analysisMessage += `• ${strength}\n`;
+      });
+      analysisMessage += '\n';
+    }
 
-🎭 *Сессии:*
-/sessions - История завершенных сессий
-/analyze - Получить анализ последней сессии
-/end - Завершить текущую сессию
+    if (analysis.areas_for_improvement && analysis.areas_for_improvement.length > 0) {
+      analysisMessage += `${t('analysis.improvements')}\n`;
+      analysis.areas_for_improvement.forEach(area => {
+        analysisMessage += `• ${area}\n`;
+      });
+      analysisMessage += '\n';
+    }
 
-📊 *Статистика:*
-/stats - Твоя статистика и прогресс
-/leaderboard - Рейтинг терапевтов
+    if (analysis.recommendations && analysis.recommendations.length > 0) {
+      analysisMessage += `${t('analysis.recommendations')}\n`;
+      analysis.recommendations.forEach(rec => {
+        analysisMessage += `• ${rec}\n`;
+      });
+    }
 
-ℹ️ *Помощь:*
-/settings - Настройки бота
-/help - Эта справка
-/start - Перезапуск бота
+    const fidelity = analysis.modality_fidelity;
+    if (fidelity) {
+      analysisMessage += `\n${t('analysis.fidelity', {
+        modality: t.label('labels.modality', fidelity.modality),
+        score: fidelity.score
+      })}\n`;
+      Object.entries(fidelity.checks || {}).forEach(([check, { met }]) => {
+        const icon = met === null ? '➖' : (met ? '✅' : '❌');
+        analysisMessage += `${icon} ${t(`modality.checks.${fidelity.modality}.${check}`)}\n`;
+      });
+      if (fidelity.comment) {
+        analysisMessage += `${fidelity.comment}\n`;
+      }
+    }
 
-💡 *Советы:*
-• Во время сессии просто пиши сообщения - бот автоматически передаст их пациенту
-• Завершай сессии командой /end для получения анализа
-• Изучай анализы супервизора для улучшения навыков
-    `;
+    const scorecard = analysis.safety_scorecard;
+    if (scorecard) {
+      analysisMessage += `\n${t('analysis.safety', {
+        scenario: t.label('labels.crisis', scorecard.scenario),
+        score: scorecard.score
+      })}\n`;
+      SAFETY_CHECKS.forEach(check => {
+        const score = scorecard.checks[check]?.score || 0;
+        analysisMessage += `${['❌', '⚠️', '✅'][score]} ${t(`crisis.checks.${check}`)}\n`;
+      });
+      if (scorecard.missed_signals && scorecard.missed_signals.length > 0) {
+        analysisMessage += `${t('analysis.missedSignals')}\n`;
+        scorecard.missed_signals.forEach(signal => {
+          analysisMessage += `• ${signal}\n`;
+        });
+      }
+      if (scorecard.comment) {
+        analysisMessage += `${scorecard.comment}\n`;
+      }
+      analysisMessage += `${t('analysis.safetyNote')}\n`;
+    }
 
-    await bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+    return analysisMessage;
   }
 
-  async handleNewPatient(bot, msg, userId) {
+  async handleReview(bot, msg, userId, args) {
     const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
 
     try {
-      await bot.sendMessage(chatId, '🔄 Создаю уникального AI-пациента...');
+      let sessionId = parseInt(args, 10);
+      if (args && Number.isNaN(sessionId)) {
+        await bot.sendMessage(chatId, t('review.invalidNumber'));
+        return;
+      }
 
-      const patient = await patientService.createRandomPatient(userId);
+      if (!args) {
+        sessionId = await sessionService.getLastAnalyzedSessionId(userId);
+        if (!sessionId) {
+          await bot.sendMessage(chatId, t('review.none'));
+          return;
+        }
+      }
 
-      // Extract chief complaint from presenting_problem (not the full diagnosis)
-      const chiefComplaint = patient.presenting_problem || patient.psychological_profile?.presenting_problem || 'общие жизненные трудности';
+      const review = await sessionService.getSessionReview(sessionId, userId);
+      if (!review) {
+        await bot.sendMessage(chatId, t('review.notFound'));
+        return;
+      }
 
-      const secretaryCallMessage = `
-📞 *Звонок от Екатерины (секретарь)*
+      const { text, keyboard } = this.buildReviewPage(review, 0, t);
+      await bot.sendMessage(chatId, text, { parse_mode: 'Markdown', reply_markup: keyboard });
 
-"Добрый день! К вам записан(а) *${patient.name}*, ${patient.age} лет.
+    } catch (error) {
+      logger.error('Error showing session review', { error: error.message, userId });
+      await bot.sendMessage(chatId, t('review.failed'));
+    }
+  }
 
-При записи жаловался(ась) на: _${chiefComplaint}_
+  // review:<sessionId>:<page>
+  async handleReviewCallback(bot, callbackQuery) {
+    const [, sessionId, page] = callbackQuery.data.split(':');
 
-Пациент уже в приемной. Готовы принять?"
-      `;
+    try {
+      await bot.answerCallbackQuery(callbackQuery.id);
 
-      const keyboard = {
-        inline_keyboard: [[
-          { text: '📞 Пригласить пациента', callback_data: `invite_patient_${patient.id}` }
-        ]]
-      };
+      const userId = await userService.registerUser(callbackQuery.from);
+      const review = await sessionService.getSessionReview(parseInt(sessionId, 10), userId);
+      if (!review) {
+        return;
+      }
 
-      await bot.sendMessage(chatId, secretaryCallMessage, { 
+      const t = getTranslator(await userService.getLocale(userId));
+      const { text, keyboard } = this.buildReviewPage(review, parseInt(page, 10) || 0, t);
+      await bot.editMessageText(text, {
+        chat_id: callbackQuery.message.chat.id,
+        message_id: callbackQuery.message.message_id,
         parse_mode: 'Markdown',
         reply_markup: keyboard
       });
 
-      // Patient info will be retrieved from database when button is clicked
-
-      logger.info('Patient created, waiting for invitation', { 
-        userId, 
-        patientId: patient.id,
-        patientName: patient.name,
-        patientCreatedBy: patient.created_by,
-        callbackData: `invite_patient_${patient.id}`
-      });
-
     } catch (error) {
-      logger.error('Error creating new patient', { error: error.message, userId });
-      await bot.sendMessage(chatId, 
-        '❌ Не удалось создать пациента. Попробуйте позже.'
-      );
+      logger.error('Error paging session review', { error: error.message, data: callbackQuery.data });
     }
   }
 
-  async handleCustomPatient(bot, msg, userId, description) {
-    const chatId = msg.chat.id;
-
-    // If no description provided, ask for it and set user state
-    if (!description || description.trim().length < 10) {
-      // Set user state to wait for patient description
-      const messageHandler = await import('./MessageHandler.js');
-      messageHandler.default.setUserState(userId, { 
-        state: 'awaiting_patient_description',
-        command: 'custom_patient'
-      });
-
-      await bot.sendMessage(chatId, 
-        '📝 *Опишите желаемого пациента:*\n\n' +
-        '💡 *Примеры:*\n' +
-        '• Молодая женщина с паническими атаками\n' +
-        '• Подросток с социальной тревожностью\n' +
-        '• Мужчина средних лет с депрессией\n\n' +
-        '✏️ Напишите ваше описание:'
-      , { parse_mode: 'Markdown' });
-      return;
-    }
-
-    try {
-      await bot.sendMessage(chatId, 
-        `🔄 Создаю пациента по вашему описанию...\n💭 "${description}"`
-      );
-
-      const patient = await patientService.createRandomPatient(userId, description);
+  buildReviewPage(review, page, t) {
+    const { session, messages } = review;
+    const totalPages = Math.max(Math.ceil(messages.length / REVIEW_PAGE_SIZE), 1);
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageMessages = messages.slice(currentPage * REVIEW_PAGE_SIZE, (currentPage + 1) * REVIEW_PAGE_SIZE);
 
-      const patientMessage = `
-✅ *Кастомный пациент создан!*
+    const rating = review.rating ? ` | ⭐ ${review.rating}/10` : '';
 
-👤 *${patient.name}*, ${patient.age} лет
-🎭 *Проблема:* ${patient.presenting_problem}
+    let text = `${t('review.title', { patient: escapeMarkdown(session.patient_name) })}\n`;
+    text += `${t('review.details', {
+      date: t.date(session.started_at),
+      rating,
+      page: currentPage + 1,
+      pages: totalPages
+    })}\n\n`;
 
-📝 *Характеристика:*
-${patient.background.substring(0, 250)}...
+    if (!review.analyzed) {
+      text += `${t('review.notAnalyzed')}\n\n`;
+    }
 
-🚀 *Готов начать сессию?*
-Напишите первое сообщение пациенту.
-      `;
+    for (const message of pageMessages) {
+      const content = truncate(message.content, REVIEW_MESSAGE_PREVIEW);
 
-      await bot.sendMessage(chatId, patientMessage, { parse_mode: 'Markdown' });
+      if (message.sender === 'therapist') {
+        text += `${t('history.therapist')}\n${escapeMarkdown(content)}\n`;
 
-      // Create session automatically
-      await sessionService.createSession(userId, patient.id);
+        const annotation = message.annotation;
+        if (annotation) {
+          const stars = '★'.repeat(annotation.quality) + '☆'.repeat(5 - annotation.quality);
+          text += `   🏷 ${t.label('labels.intervention', annotation.intervention_type)} | ${stars} ${annotation.quality}/5\n`;
+          if (annotation.comment) {
+            text += `   💬 ${escapeMarkdown(truncate(annotation.comment, REVIEW_ANNOTATION_PREVIEW))}\n`;
+          }
+          if (annotation.suggested_alternative) {
+            text += `${t('review.alternative', {
+              text: escapeMarkdown(truncate(annotation.suggested_alternative, REVIEW_ANNOTATION_PREVIEW))
+            })}\n`;
+          }
+        }
+      } else {
+        text += `👤 ${escapeMarkdown(session.patient_name)}:\n${escapeMarkdown(content)}\n`;
+      }
+      text += '\n';
+    }
 
-    } catch (error) {
-      logger.error('Error creating custom patient', { error: error.message, userId });
-      await bot.sendMessage(chatId, 
-        '❌ Не удалось создать пациента. Попробуйте упростить описание.'
-      );
+    const navigation = [];
+    if (currentPage > 0) {
+      navigation.push({ text: t('common.back'), callback_data: `review:${session.id}:${currentPage - 1}` });
     }
+    if (currentPage < totalPages - 1) {
+      navigation.push({ text: t('common.next'), callback_data: `review:${session.id}:${currentPage + 1}` });
+    }
+
+    return {
+      text,
+      keyboard: { inline_keyboard: navigation.length > 0 ? [navigation] : [] }
+    };
   }
 
-  async handlePatients(bot, msg, userId) {
+  async handleEndSession(bot, msg, userId) {
     const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
 
     try {
-      const patients = await patientService.getUserPatients(userId, 10);
-
-      if (patients.length === 0) {
-        await bot.sendMessage(chatId, 
-          '👥 У вас пока нет созданных пациентов.\n\n' +
-          'Создайте первого пациента командой /new'
-        );
+      const activeSession = sessionService.getActiveSession(userId);
+      
+      if (!activeSession) {
+        await bot.sendMessage(chatId, t('end.none'));
         return;
       }
 
-      let patientsMessage = '*👥 Ваши пациенты:*\n\n';
+      await bot.sendMessage(chatId, t('end.ending'));
+
+      const result = await sessionService.endSession(activeSession.uuid);
       
-      patients.forEach((patient, index) => {
-        const sessionCount = patient.session_count || 0;
-        const createdDate = new Date(patient.created_at).toLocaleDateString('ru-RU');
-        
-        patientsMessage += `*${patient.id}* - *${patient.name}* (${patient.age} лет)\n`;
-        patientsMessage += `   🎭 ${patient.presenting_problem.substring(0, 80)}...\n`;
-        patientsMessage += `   📅 ${createdDate} | 🗣️ ${sessionCount} сессий\n\n`;
-      });
+      let endMessage = `${t('end.summary', {
+        patient: activeSession.patient.name,
+        duration: result.duration,
+        messages: result.messageCount
+      })}\n\n`;
+
+      const stateChart = formatStateChart(result.emotionalStates, t('labels.stateDimension'));
+      if (stateChart) {
+        endMessage += `${t('end.chart')}\n\`\`\`\n${stateChart}\n\`\`\`\n\n`;
+      }
 
-      patientsMessage += '💡 *Как работать с пациентами:*\n';
-      patientsMessage += '• Напишите ID пациента (например: `111`)\n';
-      patientsMessage += '• Выберите действие через кнопки:\n';
-      patientsMessage += '  - 🆕 Новая встреча (прошла неделя)\n';
-      patientsMessage += '  - 🔄 Продолжить/восстановить сессию\n\n';
-      patientsMessage += '*Создать нового:* /new или /custom <описание>';
+      endMessage += t('end.nextSteps');
 
-      await bot.sendMessage(chatId, patientsMessage, { parse_mode: 'Markdown' });
+      await bot.sendMessage(chatId, endMessage, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [[{ text: t('end.addNotes'), callback_data: `fsm:start:session_notes:${result.sessionId}` }]]
+        }
+      });
 
     } catch (error) {
-      logger.error('Error fetching patients', { error: error.message, userId });
-      await bot.sendMessage(chatId, '❌ Ошибка при загрузке списка пациентов.');
+      logger.error('Error ending session', { error: error.message, userId });
+      await bot.sendMessage(chatId, t('end.failed'));
     }
   }
 
-  async handleSessions(bot, msg, userId) {
+  // /hint - supervisor whisper for the next turn; /hint on | off - automatic hints
+  async handleHint(bot, msg, userId, args) {
     const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+    const mode = (args || '').trim().toLowerCase();
+
+    if (mode === 'on' || mode === 'off') {
+      const updated = await userService.updateAutoHintsSetting(userId, mode === 'on');
+      await bot.sendMessage(chatId, updated ?
+        t(mode === 'on' ? 'hint.autoEnabled' : 'hint.autoDisabled', { interval: hintService.AUTO_HINT_INTERVAL }) :
+        t('settings.updateFailed'));
+      return;
+    }
 
-    try {
-      const sessions = await sessionService.getSessionHistory(userId, 10);
-
-      if (sessions.length === 0) {
-        await bot.sendMessage(chatId, 
-          '📋 У вас пока нет завершенных сессий.\n\n' +
-          'Создайте пациента командой /new и проведите первую сессию!'
-        );
-        return;
-      }
+    if (mode) {
+      await bot.sendMessage(chatId, t('hint.usage'));
+      return;
+    }
 
-      let sessionsMessage = '*📋 История сессий:*\n\n';
+    const activeSession = sessionService.getActiveSession(userId);
+    if (!activeSession) {
+      await bot.sendMessage(chatId, t('hint.noSession'));
+      return;
+    }
 
-      sessions.forEach((session, index) => {
-        const date = new Date(session.started_at).toLocaleDateString('ru-RU');
-        const duration = session.duration_minutes || 0;
-        const rating = session.rating ? ` | ⭐ ${session.rating}/10` : '';
-        const status = session.status === 'completed' ? '✅' : 
-                      session.status === 'active' ? '🔄' : '❌';
-        
-        sessionsMessage += `${index + 1}. ${status} *${session.patient_name}*\n`;
-        sessionsMessage += `   📅 ${date} | ⏱️ ${duration} мин${rating}\n`;
-        sessionsMessage += `   🎭 ${session.presenting_problem}\n\n`;
-      });
+    if (!(await this.ensureBudget(bot, chatId, userId))) {
+      return;
+    }
 
-      sessionsMessage += '📊 *Подробная статистика:* /stats';
+    try {
+      await bot.sendChatAction(chatId, 'typing');
+      const { content, repeated } = await hintService.requestHint(activeSession, 'manual', t.locale);
 
-      await bot.sendMessage(chatId, sessionsMessage, { parse_mode: 'Markdown' });
+      await bot.sendMessage(chatId, t(repeated ? 'hint.repeated' : 'hint.manual', { hint: escapeMarkdown(content) }), {
+        parse_mode: 'Markdown'
+      });
 
     } catch (error) {
-      logger.error('Error fetching sessions', { error: error.message, userId });
-      await bot.sendMessage(chatId, '❌ Ошибка при загрузке истории сессий.');
+      logger.error('Error generating hint', { error: error.message, userId, sessionId: activeSession.id });
+      await bot.sendMessage(chatId, t('hint.failed'));
     }
   }
 
-  async handleStats(bot, msg, userId) {
+  // /undo [n] - rolls back the last n exchanges to try other interventions;
+  // the undone continuation stays in its branch for comparison
+  async handleUndo(bot, msg, userId, args) {
     const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+    const countArg = (args || '').trim();
+
+    if (countArg && !/^[1-9]\d*$/.test(countArg)) {
+      await bot.sendMessage(chatId, t('undo.invalidCount'));
+      return;
+    }
+
+    const activeSession = sessionService.getActiveSession(userId);
+    if (!activeSession) {
+      await bot.sendMessage(chatId, t('undo.noSession'));
+      return;
+    }
 
     try {
-      const stats = await userService.getUserStats(userId);
-      
-      if (!stats) {
-        await bot.sendMessage(chatId, '❌ Не удалось загрузить статистику.');
+      const result = await sessionService.undoExchanges(userId, countArg ? parseInt(countArg, 10) : 1);
+      if (result.status !== 'undone') {
+        await bot.sendMessage(chatId, t(result.status === 'in_progress' ? 'undo.inProgress' : 'undo.nothing'));
         return;
       }
 
-      const completionRate = stats.total_sessions > 0 ? 
-        Math.round((stats.completed_sessions / stats.total_sessions) * 100) : 0;
-      
-      const avgSessionTime = stats.completed_sessions > 0 ? 
-        Math.round(stats.total_session_time_minutes / stats.completed_sessions) : 0;
-
-      let statsMessage = `*📊 Ваша статистика*\n\n`;
-      statsMessage += `🎯 *Общие показатели:*\n`;
-      statsMessage += `• Всего сессий: ${stats.total_sessions}\n`;
-      statsMessage += `• Завершено: ${stats.completed_sessions} (${completionRate}%)\n`;
-      statsMessage += `• Средний рейтинг: ${stats.average_session_rating.toFixed(1)}/10\n`;
-      statsMessage += `• Среднее время сессии: ${avgSessionTime} мин\n\n`;
-
-      statsMessage += `🎨 *Навыки терапевта:*\n`;
-      Object.entries(stats.skill_areas).forEach(([skill, level]) => {
-        const skillName = this.getSkillDisplayName(skill);
-        const progress = Math.min(Math.round(level / 10), 10);
-        const progressBar = '█'.repeat(progress) + '░'.repeat(10 - progress);
-        statsMessage += `${skillName}: ${progressBar} ${level}%\n`;
+      await bot.sendMessage(chatId, `${t('undo.done', { count: result.undone })}\n\n${this.formatLineEnd(activeSession, t)}`, {
+        parse_mode: 'Markdown'
       });
 
-      if (stats.achievements.length > 0) {
-        statsMessage += `\n🏆 *Достижения (${stats.achievements.length}):*\n`;
-        stats.achievements.slice(-3).forEach(achievement => {
-          statsMessage += `• ${achievement.name}\n`;
-        });
-      }
-
-      statsMessage += `\n📈 *Продолжайте практиковаться!* /new`;
-
-      await bot.sendMessage(chatId, statsMessage, { parse_mode: 'Markdown' });
-
     } catch (error) {
-      logger.error('Error fetching user stats', { error: error.message, userId });
-      await bot.sendMessage(chatId, '❌ Ошибка при загрузке статистики.');
+      logger.error('Error undoing session exchange', { error: error.message, userId, sessionId: activeSession.id });
+      await bot.sendMessage(chatId, t('undo.failed'));
     }
   }
 
-  getSkillDisplayName(skill) {
-    const skillNames = {
-      active_listening: 'Активное слушание',
-      empathy: 'Эмпатия',
-      questioning_techniques: 'Техники вопросов',
-      intervention_skills: 'Интервенции',
-      boundary_setting: 'Границы',
-      crisis_management: 'Кризис-менеджмент'
-    };
-    return skillNames[skill] || skill;
+  // Where the session stands after its line changed; the snapshot shares the
+  // message list of the live session
+  formatLineEnd(activeSession, t) {
+    const lastMessage = activeSession.messages[activeSession.messages.length - 1];
+    if (!lastMessage || lastMessage.role !== 'assistant') {
+      return t('branches.next');
+    }
+
+    return t('branches.lastPatientMessage', {
+      patient: escapeMarkdown(activeSession.patient.name),
+      text: escapeMarkdown(truncate(lastMessage.content, COMPARE_MESSAGE_PREVIEW))
+    });
   }
 
-  async handleAnalyze(bot, msg, userId) {
+  // /branches - lines of the active session: continue another one or compare
+  // the patient's reactions to the alternatives tried at the same point
+  async handleBranches(bot, msg, userId) {
     const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
+    const activeSession = sessionService.getActiveSession(userId);
+
+    if (!activeSession) {
+      await bot.sendMessage(chatId, t('branches.noSession'));
+      return;
+    }
 
     try {
-      // Get last completed session
-      const sessions = await sessionService.getSessionHistory(userId, 1);
-      
-      if (sessions.length === 0 || sessions[0].status !== 'completed') {
-        await bot.sendMessage(chatId, 
-          '❌ Нет завершенных сессий для анализа.\n\n' +
-          'Завершите сессию командой /end, чтобы получить анализ.'
-        );
+      const lines = await branchService.getSessionBranches(activeSession.id);
+      if (!lines) {
+        await bot.sendMessage(chatId, t('branches.failed'));
         return;
       }
 
-      const sessionId = sessions[0].id;
-      
-      await bot.sendMessage(chatId, 
-        '🔍 Анализирую вашу последнюю сессию...\n' +
-        '⏱️ Это займет около минуты.'
-      );
+      let text = `${t('branches.title', { patient: escapeMarkdown(activeSession.patient.name) })}\n\n`;
+      if (lines.length === 1) {
+        await bot.sendMessage(chatId, text + t('branches.none'), { parse_mode: 'Markdown' });
+        return;
+      }
 
-      const analysis = await sessionService.analyzeSession(sessionId, userId);
+      lines.forEach(line => {
+        text += `${t('branches.item', {
+          name: this.formatBranchName(line.number, t),
+          fork: line.turn ? t('branches.fork', { turn: line.turn }) : '',
+          messages: line.messageCount,
+          current: line.current ? t('branches.current') : ''
+        })}\n`;
+      });
+      text += `\n${t('branches.hint')}`;
+
+      // One comparison per fork point, however many branches start there
+      const comparedForks = new Set();
+      const keyboard = lines.map(line => {
+        const row = [];
+        if (!line.current) {
+          row.push({
+            text: t('branches.switchButton', { name: this.formatBranchName(line.number, t) }),
+            callback_data: `branch:switch:${activeSession.id}:${line.branchId || 0}`
+          });
+        }
+        if (line.turn && !comparedForks.has(line.forkMessageId)) {
+          comparedForks.add(line.forkMessageId);
+          row.push({
+            text: t('branches.compareButton', { turn: line.turn }),
+            callback_data: `branch:compare:${activeSession.id}:${line.branchId}`
+          });
+        }
+        return row;
+      }).filter(row => row.length > 0);
+
+      await bot.sendMessage(chatId, text, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
 
-      let analysisMessage = `*🎓 Анализ сессии от AI-супервизора*\n\n`;
-      analysisMessage += `⭐ *Общий рейтинг:* ${analysis.overall_rating}/10\n\n`;
+    } catch (error) {
+      logger.error('Error showing session branches', { error: error.message, userId, sessionId: activeSession.id });
+      await bot.sendMessage(chatId, t('branches.failed'));
+    }
+  }
 
-      if (analysis.strengths && analysis.strengths.length > 0) {
-        analysisMessage += `✅ *Сильные стороны:*\n`;
-        analysis.strengths.forEach(strength => {
-          analysisMessage += `• ${strength}\n`;
-        });
-        analysisMessage += '\n';
-      }
+  formatBranchName(number, t) {
+    return number === 1 ? t('branches.main') : t('branches.branch', { number });
+  }
 
-      if (analysis.areas_for_improvement && analysis.areas_for_improvement.length > 0) {
-        analysisMessage += `📈 *Области для развития:*\n`;
-        analysis.areas_for_improvement.forEach(area => {
-          analysisMessage += `• ${area}\n`;
-        });
-        analysisMessage += '\n';
-      }
+  // branch:switch:<sessionId>:<branchId> (0 - the main line) | branch:compare:<sessionId>:<branchId>
+  async handleBranchCallback(bot, callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const [, action, sessionIdValue, branchIdValue] = callbackQuery.data.split(':');
+    const sessionId = parseInt(sessionIdValue, 10);
+    const branchId = parseInt(branchIdValue, 10) || null;
+    const userId = await userService.registerUser(callbackQuery.from);
+    const t = getTranslator(await userService.getLocale(userId));
 
-      if (analysis.recommendations && analysis.recommendations.length > 0) {
-        analysisMessage += `💡 *Рекомендации:*\n`;
-        analysis.recommendations.forEach(rec => {
-          analysisMessage += `• ${rec}\n`;
-        });
+    try {
+      if (action === 'switch') {
+        const result = await sessionService.switchBranch(userId, sessionId, branchId);
+        if (result.status !== 'switched') {
+          await bot.answerCallbackQuery(callbackQuery.id, {
+            text: t(result.status === 'in_progress' ? 'turn.inProgress' : 'branches.inactive'),
+            show_alert: result.status !== 'in_progress'
+          });
+          return;
+        }
+
+        await bot.answerCallbackQuery(callbackQuery.id);
+        const lines = await branchService.getSessionBranches(sessionId) || [];
+        const line = lines.find(item => item.branchId === branchId);
+        const activeSession = sessionService.getActiveSession(userId);
+        await bot.sendMessage(chatId, `${t('branches.switched', {
+          name: this.formatBranchName(line ? line.number : 1, t)
+        })}\n\n${this.formatLineEnd(activeSession, t)}`, { parse_mode: 'Markdown' });
+        return;
       }
 
-      await bot.sendMessage(chatId, analysisMessage, { parse_mode: 'Markdown' });
+      await bot.answerCallbackQuery(callbackQuery.id);
+      const comparison = await branchService.getAlternatives(sessionId, userId, branchId);
+      if (!comparison) {
+        await bot.sendMessage(chatId, t('branches.compareFailed'));
+        return;
+      }
 
-      // Update user stats with analysis
-      await userService.updateUserStats(userId, {
-        completed: true,
-        rating: analysis.overall_rating,
-        analysis: analysis
-      });
+      await bot.sendMessage(chatId, this.formatComparison(comparison, t), { parse_mode: 'Markdown' });
 
     } catch (error) {
-      logger.error('Error analyzing session', { error: error.message, userId });
-      await bot.sendMessage(chatId, 
-        '❌ Ошибка при анализе сессии. Попробуйте позже.'
-      );
+      logger.error('Error handling branch callback', { error: error.message, data: callbackQuery.data });
     }
   }
 
-  async handleEndSession(bot, msg, userId) {
-    const chatId = msg.chat.id;
+  formatComparison(comparison, t) {
+    let text = `${t('branches.compareTitle', { turn: comparison.turn })}\n`;
+    text += comparison.forkMessage ?
+      `${t('branches.compareContext', { text: escapeMarkdown(truncate(comparison.forkMessage, COMPARE_MESSAGE_PREVIEW)) })}\n` :
+      `${t('branches.compareStart')}\n`;
+
+    comparison.alternatives.slice(0, MAX_COMPARED_ALTERNATIVES).forEach(alternative => {
+      text += `\n${t('branches.alternative', {
+        name: this.formatBranchName(alternative.number, t),
+        current: alternative.current ? t('branches.current') : ''
+      })}\n`;
+      text += `🗣 ${escapeMarkdown(truncate(alternative.therapist, COMPARE_MESSAGE_PREVIEW))}\n`;
+      text += `🏷 ${t.label('labels.intervention', alternative.interventionType || 'other')}` +
+        `${this.formatStateChange(comparison.stateBefore, alternative.stateAfter, t)}\n`;
+      text += alternative.patient ?
+        `👤 ${escapeMarkdown(truncate(alternative.patient, COMPARE_MESSAGE_PREVIEW))}\n` :
+        `${t('branches.noReply')}\n`;
+    });
 
-    try {
-      const activeSession = sessionService.getActiveSession(userId);
-      
-      if (!activeSession) {
-        await bot.sendMessage(chatId, 
-          '❌ У вас нет активной сессии.\n\n' +
-          'Создайте пациента командой /new для начала новой сессии.'
-        );
-        return;
-      }
+    if (comparison.alternatives.length > MAX_COMPARED_ALTERNATIVES) {
+      text += `\n${t('branches.more', { count: comparison.alternatives.length - MAX_COMPARED_ALTERNATIVES })}\n`;
+    }
+    if (comparison.alternatives.length < 2) {
+      text += `\n${t('branches.compareNone')}`;
+    }
 
-      await bot.sendMessage(chatId, '⏹️ Завершаю сессию...');
+    return text;
+  }
 
-      const result = await sessionService.endSession(activeSession.uuid);
-      
-      let endMessage = `✅ *Сессия завершена!*\n\n`;
-      endMessage += `👤 *Пациент:* ${activeSession.patient.name}\n`;
-      endMessage += `⏱️ *Длительность:* ${result.duration} мин\n`;
-      endMessage += `💬 *Сообщений:* ${result.messageCount}\n\n`;
-      endMessage += `🎓 *Получить анализ:* /analyze\n`;
-      endMessage += `🆕 *Новый пациент:* /new`;
+  // " | Доверие 50→56, ..." for the state dimensions the therapist message moved
+  formatStateChange(before, after, t) {
+    if (!before || !after) {
+      return '';
+    }
 
-      await bot.sendMessage(chatId, endMessage, { parse_mode: 'Markdown' });
+    const labels = t('labels.stateDimension');
+    const changes = STATE_DIMENSIONS
+      .filter(dimension => before[dimension] !== after[dimension])
+      .map(dimension => `${labels[dimension]} ${before[dimension]}→${after[dimension]}`);
 
-    } catch (error) {
-      logger.error('Error ending session', { error: error.message, userId });
-      await bot.sendMessage(chatId, 
-        '❌ Ошибка при завершении сессии.'
-      );
-    }
+    return changes.length > 0 ? ` | ${changes.join(', ')}` : '';
   }
 
   async handlePatientInfo(bot, msg, userId) {
     const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
 
     try {
       const activeSession = sessionService.getActiveSession(userId);
       
       if (!activeSession) {
-        await bot.sendMessage(chatId, 
-          '❌ Нет активной сессии.\n\nСоздайте пациента командой /new'
-        );
+        await bot.sendMessage(chatId, t('info.none'));
         return;
       }
 
       const patient = activeSession.patient;
       
-      let infoMessage = `*ℹ️ Информация о пациенте*\n\n`;
-      infoMessage += `👤 *${patient.name}*, ${patient.age} лет\n`;
-      infoMessage += `🎭 *Основная проблема:*\n${patient.presenting_problem}\n\n`;
-      infoMessage += `📖 *Биография:*\n${patient.background}\n\n`;
+      let infoMessage = `${t('info.title')}\n\n`;
+      infoMessage += `${t('info.patient', { name: patient.name, age: patient.age })}\n`;
+      infoMessage += `${t('info.problem', { problem: patient.presenting_problem })}\n\n`;
+      infoMessage += `${t('info.background', { background: patient.background })}\n\n`;
       
       const traits = patient.personality_traits;
       if (traits && traits.core_traits) {
-        infoMessage += `🧠 *Ключевые черты:*\n`;
+        infoMessage += `${t('info.traits')}\n`;
         traits.core_traits.forEach(trait => {
           infoMessage += `• ${trait}\n`;
         });
@@ -525,108 +2147,124 @@ ${patient.background.substring(0, 250)}...
 
     } catch (error) {
       logger.error('Error fetching patient info', { error: error.message, userId });
-      await bot.sendMessage(chatId, 
-        '❌ Ошибка при загрузке информации о пациенте.'
-      );
+      await bot.sendMessage(chatId, t('info.failed'));
     }
   }
 
   async handleLeaderboard(bot, msg, userId) {
     const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
 
     try {
       const leaderboard = await userService.getLeaderboard(10);
 
       if (leaderboard.length === 0) {
-        await bot.sendMessage(chatId, 
-          '🏆 Рейтинг пока пуст.\n\nБудьте первым, кто завершит сессию!'
-        );
+        await bot.sendMessage(chatId, t('leaderboard.empty'));
         return;
       }
 
-      let leaderboardMessage = '*🏆 Рейтинг терапевтов*\n\n';
+      let leaderboardMessage = `${t('leaderboard.title')}\n\n`;
 
       leaderboard.forEach((user, index) => {
         const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
         leaderboardMessage += `${medal} *${user.name}*\n`;
-        leaderboardMessage += `   ⭐ ${user.stats.average_rating} | `;
-        leaderboardMessage += `🗣️ ${user.stats.completed_sessions} сессий | `;
-        leaderboardMessage += `⏱️ ${user.stats.total_time_hours}ч\n\n`;
+        leaderboardMessage += `${t('leaderboard.row', {
+          rating: user.stats.average_rating,
+          sessions: user.stats.completed_sessions,
+          hours: user.stats.total_time_hours
+        })}\n\n`;
       });
 
-      leaderboardMessage += '📈 *Ваша статистика:* /stats';
+      leaderboardMessage += t('leaderboard.footer');
 
       await bot.sendMessage(chatId, leaderboardMessage, { parse_mode: 'Markdown' });
 
     } catch (error) {
       logger.error('Error fetching leaderboard', { error: error.message, userId });
-      await bot.sendMessage(chatId, '❌ Ошибка при загрузке рейтинга.');
+      await bot.sendMessage(chatId, t('leaderboard.failed'));
     }
   }
 
   async handleContinueSession(bot, msg, userId) {
     const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
 
     try {
       const activeSession = sessionService.getActiveSession(userId);
       
       if (!activeSession) {
-        await bot.sendMessage(chatId, 
-          '❌ Нет активной сессии для продолжения.\n\n' +
-          'Создайте нового пациента командой /new'
-        );
+        await bot.sendMessage(chatId, t('continue.none'));
         return;
       }
 
-      let continueMessage = `🔄 *Продолжение сессии*\n\n`;
-      continueMessage += `👤 *Пациент:* ${activeSession.patient.name}\n`;
-      continueMessage += `💬 *Сообщений:* ${activeSession.messages.length}\n`;
-      continueMessage += `⏱️ *Время сессии:* ${Math.round((Date.now() - activeSession.startTime) / 1000 / 60)} мин\n\n`;
-      continueMessage += `💭 Продолжайте беседу с пациентом...\n`;
-      continueMessage += `⏹️ *Завершить:* /end`;
+      const continueMessage = t('continue.current', {
+        patient: activeSession.patient.name,
+        messages: activeSession.messages.length,
+        minutes: Math.round((Date.now() - activeSession.startTime) / 1000 / 60)
+      });
 
       await bot.sendMessage(chatId, continueMessage, { parse_mode: 'Markdown' });
 
     } catch (error) {
       logger.error('Error continuing session', { error: error.message, userId });
-      await bot.sendMessage(chatId, '❌ Ошибка при продолжении сессии.');
+      await bot.sendMessage(chatId, t('continue.failed'));
     }
   }
 
   async handleSettings(bot, msg, userId) {
     const chatId = msg.chat.id;
+    const t = getTranslator(await userService.getLocale(userId));
 
     try {
       const settings = await userService.getUserSettings(userId);
       
-      const nonverbalStatus = settings.show_nonverbal ? '✅ Включена' : '❌ Выключена';
-      const voiceStatus = settings.voice_enabled ? '✅ Включено' : '🚧 В разработке';
+      const nonverbalStatus = t(settings.show_nonverbal ? 'settings.nonverbalOn' : 'settings.nonverbalOff');
+      const voiceStatus = t(settings.voice_enabled ? 'settings.voiceOn' : 'settings.voiceInDevelopment');
+      const autoHintsStatus = t(settings.auto_hints ? 'settings.autoHintsOn' : 'settings.autoHintsOff');
       
-      let settingsMessage = `⚙️ *Настройки ПсихоТренер*\n\n`;
-      settingsMessage += `🎭 *Невербалика:* ${nonverbalStatus}\n`;
-      settingsMessage += `Отображение действий пациента (*вздохнула*, *отвернулась*)\n\n`;
-      settingsMessage += `🎤 *Голосовое общение:* ${voiceStatus}\n`;
-      settingsMessage += `Общение с пациентом голосовыми сообщениями\n\n`;
-      settingsMessage += `🌐 *Язык:* ${(settings.language_code || 'ru').toUpperCase()}\n\n`;
-      settingsMessage += `💡 *Изменить настройки через кнопки ниже*`;
+      let settingsMessage = `${t('settings.title')}\n\n`;
+      settingsMessage += `${t('settings.nonverbal', { status: nonverbalStatus })}\n\n`;
+      settingsMessage += `${t('settings.voice', { status: voiceStatus })}\n\n`;
+      settingsMessage += `${t('settings.language', { language: getLocaleName(settings.language_code) })}\n\n`;
+      settingsMessage += `${t('settings.modality', { modality: t.label('labels.modality', settings.modality) })}\n\n`;
+      settingsMessage += `${t('settings.autoHints', { status: autoHintsStatus })}\n\n`;
+      settingsMessage += t('settings.hint');
 
       const keyboard = {
         inline_keyboard: [
           [
             {
-              text: settings.show_nonverbal ? '🎭 Выключить невербалику' : '🎭 Включить невербалику',
+              text: t(settings.show_nonverbal ? 'settings.disableNonverbal' : 'settings.enableNonverbal'),
               callback_data: `settings_nonverbal_${!settings.show_nonverbal}`
             }
           ],
           [
             {
-              text: '🎤 Голосовое общение (в разработке)',
+              text: t('settings.voiceButton'),
               callback_data: 'settings_voice_disabled'
             }
           ],
           [
             {
-              text: '🔙 Главное меню',
+              text: t('settings.languageButton'),
+              callback_data: 'fsm:start:settings_language'
+            }
+          ],
+          [
+            {
+              text: t('settings.modalityButton'),
+              callback_data: 'fsm:start:session_modality:settings'
+            }
+          ],
+          [
+            {
+              text: t(settings.auto_hints ? 'settings.disableAutoHints' : 'settings.enableAutoHints'),
+              callback_data: `settings_autohints_${!settings.auto_hints}`
+            }
+          ],
+          [
+            {
+              text: t('settings.close'),
               callback_data: 'settings_close'
             }
           ]
@@ -640,9 +2278,7 @@ ${patient.background.substring(0, 250)}...
 
     } catch (error) {
       logger.error('Error showing settings', { error: error.message, userId });
-      await bot.sendMessage(chatId, 
-        '❌ Ошибка при загрузке настроек.'
-      );
+      await bot.sendMessage(chatId, t('settings.failed'));
     }
   }
 
@@ -653,6 +2289,7 @@ ${patient.background.substring(0, 250)}...
     
     // Get internal userId from telegram ID
     const userId = await userService.registerUser(callbackQuery.from);
+    const t = getTranslator(await userService.getLocale(userId));
 
     try {
       // Parse callback data: invite_patient_{patientId}
@@ -686,26 +2323,22 @@ ${patient.background.substring(0, 250)}...
         });
         
         await bot.answerCallbackQuery(callbackQuery.id, {
-          text: 'Пациент больше не доступен. Создайте нового.',
+          text: t('invitation.unavailable'),
           show_alert: true
         });
         return;
       }
 
-      // Secretary response
-      const secretaryResponseMessage = `
-📞 *Ответ секретаря:*
-
-"Хорошо, приглашаю пациента! Удачной сессии!"
-
-*Стук в дверь* 🚪
+      if (!(await this.ensureBudget(bot, chatId, userId, callbackQuery))) {
+        return;
+      }
 
-👤 *Пациент заходит...*
-      `;
+      // Secretary response
+      const secretaryResponseMessage = t('invitation.secretaryResponse');
 
       // Only edit message if content is different
       const currentMessage = callbackQuery.message.text;
-      if (currentMessage !== secretaryResponseMessage.trim()) {
+      if (currentMessage !== secretaryResponseMessage) {
         await bot.editMessageText(secretaryResponseMessage, {
           chat_id: chatId,
           message_id: callbackQuery.message.message_id,
@@ -716,7 +2349,7 @@ ${patient.background.substring(0, 250)}...
       // End any existing active session
       const existingSession = sessionService.getActiveSession(userId);
       if (existingSession) {
-        await sessionService.endSession(existingSession.uuid, 'Автоматически завершена при создании нового пациента');
+        await sessionService.endSession(existingSession.uuid, 'new_patient');
         logger.info('Previous session ended automatically', { 
           userId, 
           sessionUuid: existingSession.uuid 
@@ -728,7 +2361,7 @@ ${patient.background.substring(0, 250)}...
       
       // Patient enters and gives their first greeting
       // This will trigger the patient's natural first response based on their personality
-      const firstMessage = await sessionService.sendMessage(session.uuid, 'therapist', 'Здравствуйте, проходите, пожалуйста.');
+      const firstMessage = await sessionService.sendMessage(session.uuid, 'therapist', t('invitation.greeting'));
       
       await bot.sendMessage(chatId, `👤 **${patient.name}:** ${firstMessage.response}`, {
         parse_mode: 'Markdown'
@@ -738,7 +2371,7 @@ ${patient.background.substring(0, 250)}...
 
       // Answer callback query
       await bot.answerCallbackQuery(callbackQuery.id, {
-        text: 'Сессия началась!'
+        text: t('invitation.started')
       });
 
       logger.info('Patient invited and session started', { 
@@ -750,7 +2383,7 @@ ${patient.background.substring(0, 250)}...
     } catch (error) {
       logger.error('Error handling patient invitation', { error: error.message, userId, data });
       await bot.answerCallbackQuery(callbackQuery.id, {
-        text: 'Ошибка при приглашении пациента',
+        text: t('invitation.error'),
         show_alert: true
       });
     }
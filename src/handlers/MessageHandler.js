@@ -1,31 +1,71 @@
+import config from '../config/index.js';
 import sessionService from '../services/SessionService.js';
 import userService from '../services/UserService.js';
+import patientService from '../services/PatientService.js';
+import dialogueManager from '../services/DialogueManager.js';
+import templateService from '../services/TemplateService.js';
+import caseFileService from '../services/CaseFileService.js';
+import hintService from '../services/HintService.js';
+import costService from '../services/CostService.js';
+import commandHandler from './CommandHandler.js';
 import logger from '../utils/logger.js';
+import { escapeMarkdown, truncate } from '../utils/markdown.js';
+import { ProgressiveMessage } from '../utils/progressiveMessage.js';
+import { formatStateChart } from '../utils/emotionalState.js';
+import { getTranslator } from '../i18n/index.js';
+import { DEFAULT_MODALITY } from '../data/modalities.js';
+
+// Case file view budget: the latest 6 disclosures and homework items of 150
+// characters plus the shortened summary and state stay below 4096 characters
+const CASE_FILE_ITEMS = 6;
+const CASE_FILE_ITEM_PREVIEW = 150;
+const CASE_FILE_TEXT_PREVIEW = 600;
+
+const HOMEWORK_STATUS_ICONS = {
+  assigned: '⏳',
+  done: '✅',
+  partial: '◐',
+  not_done: '❌'
+};
+
+const TREND_ICONS = {
+  improving: '📈',
+  stable: '➡️',
+  worsening: '📉'
+};
 
 class MessageHandler {
-  constructor() {
-    this.userStates = new Map(); // Track user interaction states
-  }
-
   async handleMessage(bot, msg) {
     const chatId = msg.chat.id;
     const messageText = msg.text;
     const userId = await userService.registerUser(msg.from);
+    const t = getTranslator(await userService.getLocale(userId));
 
     try {
       // Update user activity
       userService.updateLastActivity(userId);
 
+      // Input for an unfinished multi-step dialogue (wizards, notes, settings)
+      if (await dialogueManager.handleMessage(bot, msg, userId)) {
+        return;
+      }
+
       // Check for active session
       const activeSession = sessionService.getActiveSession(userId);
       
       if (!activeSession) {
-        await this.handleNoActiveSession(bot, chatId);
+        // Outside a session a bare number picks a patient from /patients
+        if (/^\d+$/.test((messageText || '').trim())) {
+          await this.showPatientCard(bot, chatId, userId, parseInt(messageText.trim(), 10));
+          return;
+        }
+
+        await this.handleNoActiveSession(bot, chatId, t);
         return;
       }
 
       // Handle message in session context
-      await this.handleSessionMessage(bot, chatId, userId, activeSession, messageText);
+      await this.handleSessionMessage(bot, chatId, userId, activeSession, messageText, t);
 
     } catch (error) {
       logger.error('Message handler error', { 
@@ -34,83 +74,51 @@ class MessageHandler {
         messageLength: messageText?.length 
       });
       
-      await bot.sendMessage(chatId, 
-        '❌ Произошла ошибка при обработке сообщения. Попробуйте еще раз.'
-      );
+      await bot.sendMessage(chatId, t('message.error'));
     }
   }
 
-  async handleNoActiveSession(bot, chatId) {
-    const message = `
-❓ *У вас нет активной сессии*
-
-Чтобы начать работу с пациентом:
-🆕 /new - Создать случайного пациента
-🎨 /custom - Создать пациента по описанию
-👥 /patients - Посмотреть существующих пациентов
-
-💡 *Подсказка:* Начните с команды /new для создания вашего первого AI-пациента!
-    `;
-
-    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  async handleNoActiveSession(bot, chatId, t) {
+    await bot.sendMessage(chatId, t('message.noSession'), { parse_mode: 'Markdown' });
   }
 
-  async handleSessionMessage(bot, chatId, userId, activeSession, messageText) {
+  async handleSessionMessage(bot, chatId, userId, activeSession, messageText, t) {
+    let progressive = null;
+
     try {
       // Validate message
       if (!messageText || messageText.trim().length === 0) {
-        await bot.sendMessage(chatId, 
-          '💬 Напишите сообщение для передачи пациенту.'
-        );
+        await bot.sendMessage(chatId, t('message.empty'));
         return;
       }
 
       if (messageText.length > 1000) {
-        await bot.sendMessage(chatId, 
-          '📝 Сообщение слишком длинное. Максимум 1000 символов.'
-        );
+        await bot.sendMessage(chatId, t('message.tooLong'));
         return;
       }
 
-      // Show typing indicator
-      await bot.sendChatAction(chatId, 'typing');
+      progressive = await this.startReplyIndicator(bot, chatId, activeSession);
 
       // Send message to session
       const result = await sessionService.sendMessage(
         activeSession.uuid, 
         'therapist', 
-        messageText
+        messageText,
+        progressive ? { onPartial: text => progressive.update(text) } : {}
       );
 
-      if (result.response) {
-        // Format patient response
-        const patientMessage = `👤 *${activeSession.patient.name}:*\n${result.response}`;
-        
-        // Add session info if it's getting long
-        if (result.messageCount > 10 && result.messageCount % 5 === 0) {
-          const sessionTime = Math.round((Date.now() - activeSession.startTime) / 1000 / 60);
-          const infoMessage = `\n\n⏱️ _Сессия идет ${sessionTime} мин | Сообщений: ${result.messageCount}_`;
-          await bot.sendMessage(chatId, patientMessage + infoMessage, { parse_mode: 'Markdown' });
-        } else {
-          await bot.sendMessage(chatId, patientMessage, { parse_mode: 'Markdown' });
-        }
+      await this.deliverPatientReply(bot, chatId, activeSession, result, progressive, t);
 
+      if (result.response) {
         // Log interaction
         logger.info('Session message exchanged', {
           sessionUuid: activeSession.uuid,
           messageCount: result.messageCount,
           responseTime: result.responseTime,
+          streamed: !!progressive,
           therapistMessageLength: messageText.length,
           patientResponseLength: result.response.length
         });
-
-        // Show helpful reminders periodically
-        await this.showPeriodicReminders(bot, chatId, result.messageCount);
-
-      } else {
-        await bot.sendMessage(chatId, 
-          '🤔 Пациент задумался... Попробуйте переформулировать вопрос.'
-        );
       }
 
     } catch (error) {
@@ -119,30 +127,175 @@ class MessageHandler {
         sessionUuid: activeSession.uuid 
       });
 
-      if (error.message.includes('Rate limit')) {
-        await bot.sendMessage(chatId, 
-          '⏳ Слишком много запросов. Подождите немного перед следующим сообщением.'
-        );
-      } else if (error.message.includes('API')) {
-        await bot.sendMessage(chatId, 
-          '🔧 Временные проблемы с AI. Попробуйте через минуту.'
-        );
+      if (progressive) {
+        await progressive.discard();
+      }
+
+      await this.reportTurnError(bot, chatId, activeSession, error, t);
+    }
+  }
+
+  // Streams the reply into a placeholder message, or shows the typing indicator
+  async startReplyIndicator(bot, chatId, activeSession) {
+    if (!config.telegram.streaming.enabled) {
+      await bot.sendChatAction(chatId, 'typing');
+      return null;
+    }
+
+    const progressive = new ProgressiveMessage(bot, chatId, {
+      prefix: `👤 ${activeSession.patient.name}:\n`,
+      intervalMs: config.telegram.streaming.editIntervalMs
+    });
+    await progressive.start();
+    return progressive;
+  }
+
+  async deliverPatientReply(bot, chatId, activeSession, result, progressive, t) {
+    if (!result.response) {
+      const thinkingMessage = t('message.thinking');
+      if (progressive) {
+        await progressive.finish(thinkingMessage);
       } else {
-        await bot.sendMessage(chatId, 
-          '❌ Ошибка при обработке сообщения. Попробуйте еще раз.'
-        );
+        await bot.sendMessage(chatId, thinkingMessage);
+      }
+      return;
+    }
+
+    // Format patient response
+    let patientMessage = `👤 *${activeSession.patient.name}:*\n${result.response}`;
+    
+    // Add session info if it's getting long
+    if (result.messageCount > 10 && result.messageCount % 5 === 0) {
+      const sessionTime = Math.round((Date.now() - activeSession.startTime) / 1000 / 60);
+      patientMessage += `\n\n${t('message.sessionInfo', { minutes: sessionTime, messages: result.messageCount })}`;
+    }
+
+    if (progressive) {
+      await progressive.finish(patientMessage, { parse_mode: 'Markdown' });
+    } else {
+      await bot.sendMessage(chatId, patientMessage, { parse_mode: 'Markdown' });
+    }
+
+    // Auto hints replace the fixed reminders with a look at the actual session
+    if (await userService.getAutoHintsSetting(activeSession.userId)) {
+      await this.sendAutoHint(bot, chatId, activeSession, t);
+      return;
+    }
+
+    // Show helpful reminders periodically
+    await this.showPeriodicReminders(bot, chatId, result.messageCount, t, activeSession.modality);
+  }
+
+  // Every AUTO_HINT_INTERVAL therapist messages; skipped silently past a budget
+  async sendAutoHint(bot, chatId, activeSession, t) {
+    if (!hintService.isAutoHintTurn(sessionService.countTherapistTurns(activeSession))) {
+      return;
+    }
+
+    try {
+      const budget = await costService.checkBudget(activeSession.userId);
+      if (budget.status === 'exceeded') {
+        return;
       }
+
+      const { content } = await hintService.requestHint(activeSession, 'auto', t.locale);
+      await bot.sendMessage(chatId, t('hint.auto', { hint: escapeMarkdown(content) }), {
+        parse_mode: 'Markdown'
+      });
+    } catch (error) {
+      logger.error('Error sending auto hint', { error: error.message, sessionId: activeSession.id });
     }
   }
 
-  async showPeriodicReminders(bot, chatId, messageCount) {
-    const reminders = {
-      5: '💡 *Совет:* Используйте открытые вопросы для исследования проблемы.',
-      10: '🎯 *Подсказка:* Попробуйте отразить эмоции пациента.',
-      15: '⏰ *Напоминание:* Не забывайте о целях сессии. Завершить: /end',
-      20: '🔍 *Совет:* Возможно, стоит подвести промежуточные итоги.',
-      25: '⚡ *Подсказка:* Длинная сессия - хорошо, но не забывайте о завершении: /end'
-    };
+  // A failed patient turn keeps the therapist message; while it is unanswered
+  // the error offers a retry button instead of asking to write it again
+  async reportTurnError(bot, chatId, activeSession, error, t) {
+    let text;
+    if (error.message.includes('Rate limit')) {
+      text = t('turn.rateLimit');
+    } else if (error.message.includes('API')) {
+      text = t('turn.apiError');
+      if (error.retryAfterMs) {
+        text += t('turn.retryAfter', { seconds: Math.ceil(error.retryAfterMs / 1000) });
+      }
+    } else {
+      text = t('turn.failed');
+    }
+
+    // The snapshot shares the message list with the live session
+    if (!activeSession || !sessionService.hasPendingTurn(activeSession)) {
+      await bot.sendMessage(chatId, t('turn.tryAgain', { error: text }));
+      return;
+    }
+
+    await bot.sendMessage(chatId, 
+      t('turn.pending', { error: text }),
+      {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: t('turn.retry'), callback_data: `turn_retry:${activeSession.id}` }
+          ]]
+        }
+      }
+    );
+  }
+
+  // turn_retry:<sessionId> - answers the unanswered therapist message again
+  async handleTurnRetryCallback(bot, callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const sessionId = parseInt(callbackQuery.data.split(':')[1], 10);
+    const userId = await userService.registerUser(callbackQuery.from);
+    const t = getTranslator(await userService.getLocale(userId));
+    const activeSession = sessionService.getActiveSession(userId);
+    let progressive = null;
+
+    try {
+      if (!activeSession || activeSession.id !== sessionId || activeSession.turnInFlight) {
+        await bot.answerCallbackQuery(callbackQuery.id, {
+          text: t(activeSession?.turnInFlight ? 'turn.inProgress' : 'turn.inactive'),
+          show_alert: !activeSession?.turnInFlight
+        });
+        return;
+      }
+
+      if (!sessionService.hasPendingTurn(activeSession)) {
+        await bot.answerCallbackQuery(callbackQuery.id, { text: t('turn.answered') });
+        return;
+      }
+
+      await bot.answerCallbackQuery(callbackQuery.id, { text: t('turn.retrying') });
+      progressive = await this.startReplyIndicator(bot, chatId, activeSession);
+
+      const result = await sessionService.retryPendingTurn(userId, sessionId,
+        progressive ? { onPartial: text => progressive.update(text) } : {}
+      );
+
+      if (result.status !== 'retried') {
+        if (progressive) {
+          await progressive.discard();
+        }
+        return;
+      }
+
+      await this.deliverPatientReply(bot, chatId, activeSession, result, progressive, t);
+
+    } catch (error) {
+      logger.error('Patient turn retry error', { error: error.message, userId, sessionId });
+
+      if (progressive) {
+        await progressive.discard();
+      }
+
+      await this.reportTurnError(bot, chatId, activeSession, error, t);
+    }
+  }
+
+  // Tips of the session's modality replace the general ones at the same
+  // message counts; the reminders to wrap up stay
+  async showPeriodicReminders(bot, chatId, messageCount, t, modality = DEFAULT_MODALITY) {
+    const reminders = modality === DEFAULT_MODALITY ?
+      t('reminders') :
+      { ...t('reminders'), ...t(`modality.reminders.${modality}`) };
 
     if (reminders[messageCount]) {
       setTimeout(async () => {
@@ -160,74 +313,55 @@ class MessageHandler {
   // Handle voice messages (future enhancement)
   async handleVoiceMessage(bot, msg) {
     const chatId = msg.chat.id;
+    const userId = await userService.registerUser(msg.from);
+    const t = getTranslator(await userService.getLocale(userId));
     
-    await bot.sendMessage(chatId, 
-      '🎙️ Голосовые сообщения пока не поддерживаются.\n\n' +
-      'Напишите текстовое сообщение для продолжения сессии.'
-    );
+    await bot.sendMessage(chatId, t('message.voice'));
   }
 
   // Handle photos/documents (future enhancement)
   async handleMedia(bot, msg) {
     const chatId = msg.chat.id;
-    
-    await bot.sendMessage(chatId, 
-      '📎 Медиафайлы пока не поддерживаются.\n\n' +
-      'Используйте текстовые сообщения для общения с пациентом.'
-    );
-  }
-
-  // Get user state for complex interactions
-  getUserState(userId) {
-    return this.userStates.get(userId) || { state: 'idle' };
-  }
-
-  // Set user state for complex interactions
-  setUserState(userId, state) {
-    this.userStates.set(userId, { 
-      ...this.getUserState(userId), 
-      ...state, 
-      updatedAt: Date.now() 
-    });
-  }
 
-  // Clear user state
-  clearUserState(userId) {
-    this.userStates.delete(userId);
+    // JSON files are patient templates exported from /templates
+    const document = msg.document;
+    const userId = await userService.registerUser(msg.from);
+    if (document && (document.mime_type === 'application/json' || /\.json$/i.test(document.file_name || ''))) {
+      await commandHandler.importTemplateDocument(bot, msg, userId);
+      return;
+    }
+    
+    const t = getTranslator(await userService.getLocale(userId));
+    await bot.sendMessage(chatId, t('message.media'));
   }
 
   // Handle inactivity warning with inline keyboard
   async handleInactivityWarning(bot, chatId, sessionUuid, session) {
     try {
-      const warningMessage = `
-⚠️ *Предупреждение о неактивности*
-
-Ваша сессия с пациентом *${session.patient.name}* неактивна уже 5 минут.
-
-Что вы хотите сделать?
-      `;
+      const t = getTranslator(await userService.getLocale(session.userId));
+      const warningMessage = t('inactivity.warning', { patient: session.patient.name });
 
       const keyboard = {
         inline_keyboard: [
           [
             { 
-              text: '✅ Продолжить сессию', 
+              text: t('inactivity.continue'), 
               callback_data: `continue_session:${sessionUuid}` 
             }
           ],
           [
             { 
-              text: '⏸️ Пауза на 15 мин', 
+              text: t('inactivity.pause', { minutes: 15 }), 
               callback_data: `pause_session:${sessionUuid}:15` 
             },
             { 
-              text: '⏸️ Пауза на 30 мин', 
+              text: t('inactivity.pause', { minutes: 30 }), 
               callback_data: `pause_session:${sessionUuid}:30` 
             }
           ],
           [
             { 
-              text: '🛑 Завершить сессию', 
+              text: t('inactivity.end'), 
               callback_data: `end_session:${sessionUuid}` 
             }
           ]
@@ -253,19 +387,12 @@ class MessageHandler {
   // Handle session ended due to inactivity
   async handleInactivityEnd(bot, chatId, sessionUuid, session) {
     try {
-      const endMessage = `
-🕐 *Сессия завершена автоматически*
-
-Ваша сессия с пациентом *${session.patient.name}* была завершена из-за неактивности (более 10 минут).
-
-📊 Статистика сессии:
-• Длительность: ${Math.round((Date.now() - session.startTime) / 1000 / 60)} мин
-• Сообщений: ${session.messages.length}
-
-💡 Вы можете:
-🆕 /new - Начать новую сессию
-📋 /sessions - Посмотреть историю сессий
-      `;
+      const t = getTranslator(await userService.getLocale(session.userId));
+      const endMessage = t('inactivity.ended', {
+        patient: session.patient.name,
+        duration: Math.round((Date.now() - session.startTime) / 1000 / 60),
+        messages: session.messages.length
+      });
 
       await bot.sendMessage(chatId, endMessage, { parse_mode: 'Markdown' });
 
@@ -285,26 +412,30 @@ class MessageHandler {
     const chatId = callbackQuery.message.chat.id;
     const userId = callbackQuery.from.id;
     const data = callbackQuery.data;
+    let t = getTranslator(callbackQuery.from.language_code);
 
     try {
       // Answer callback query immediately
       await bot.answerCallbackQuery(callbackQuery.id);
 
+      const internalUserId = await userService.registerUser(callbackQuery.from);
+      t = getTranslator(await userService.getLocale(internalUserId));
+
       // Parse callback data
       const [action, sessionUuid, ...params] = data.split(':');
 
       switch (action) {
         case 'continue_session':
-          await this.handleContinueSessionCallback(bot, chatId, sessionUuid);
+          await this.handleContinueSessionCallback(bot, chatId, sessionUuid, t);
           break;
 
         case 'pause_session':
           const pauseMinutes = parseInt(params[0]) || 15;
-          await this.handlePauseSessionCallback(bot, chatId, sessionUuid, pauseMinutes);
+          await this.handlePauseSessionCallback(bot, chatId, sessionUuid, pauseMinutes, t);
           break;
 
         case 'end_session':
-          await this.handleEndSessionCallback(bot, chatId, sessionUuid, userId);
+          await this.handleEndSessionCallback(bot, chatId, sessionUuid, userId, t);
           break;
 
         default:
@@ -318,108 +449,360 @@ class MessageHandler {
         userId 
       });
 
-      await bot.sendMessage(chatId, 
-        '❌ Произошла ошибка при обработке действия. Попробуйте еще раз.'
-      );
+      await bot.sendMessage(chatId, t('inactivity.callbackError'));
     }
   }
 
   // Handle continue session callback
-  async handleContinueSessionCallback(bot, chatId, sessionUuid) {
+  async handleContinueSessionCallback(bot, chatId, sessionUuid, t) {
     try {
       const success = await sessionService.handleContinueSession(sessionUuid);
       
       if (success) {
-        await bot.sendMessage(chatId, 
-          '✅ *Сессия продолжена*\n\nВы можете продолжить общение с пациентом.',
-          { parse_mode: 'Markdown' }
-        );
+        await bot.sendMessage(chatId, t('inactivity.continued'), { parse_mode: 'Markdown' });
       } else {
-        await bot.sendMessage(chatId, 
-          '❌ Сессия не найдена или уже завершена.'
-        );
+        await bot.sendMessage(chatId, t('inactivity.notFound'));
       }
 
     } catch (error) {
       logger.error('Error continuing session', { error: error.message, sessionUuid });
-      await bot.sendMessage(chatId, 
-        '❌ Ошибка при продолжении сессии.'
-      );
+      await bot.sendMessage(chatId, t('inactivity.continueFailed'));
     }
   }
 
   // Handle pause session callback
-  async handlePauseSessionCallback(bot, chatId, sessionUuid, pauseMinutes) {
+  async handlePauseSessionCallback(bot, chatId, sessionUuid, pauseMinutes, t) {
     try {
       const pauseDuration = pauseMinutes * 60 * 1000; // Convert to milliseconds
       const success = await sessionService.handlePauseSession(sessionUuid, pauseDuration);
       
       if (success) {
-        await bot.sendMessage(chatId, 
-          `⏸️ *Сессия приостановлена на ${pauseMinutes} минут*\n\n` +
-          'Напоминание о продолжении придет автоматически.',
-          { parse_mode: 'Markdown' }
-        );
+        await bot.sendMessage(chatId, t('inactivity.paused', { minutes: pauseMinutes }), { parse_mode: 'Markdown' });
       } else {
-        await bot.sendMessage(chatId, 
-          '❌ Сессия не найдена или уже завершена.'
-        );
+        await bot.sendMessage(chatId, t('inactivity.notFound'));
       }
 
     } catch (error) {
       logger.error('Error pausing session', { error: error.message, sessionUuid });
-      await bot.sendMessage(chatId, 
-        '❌ Ошибка при приостановке сессии.'
-      );
+      await bot.sendMessage(chatId, t('inactivity.pauseFailed'));
     }
   }
 
   // Handle end session callback
-  async handleEndSessionCallback(bot, chatId, sessionUuid, userId) {
+  async handleEndSessionCallback(bot, chatId, sessionUuid, userId, t) {
     try {
-      const result = await sessionService.endSession(sessionUuid, 'Ended by user via inactivity warning');
+      const result = await sessionService.endSession(sessionUuid, 'inactivity_warning');
+      const stateChart = formatStateChart(result.emotionalStates, t('labels.stateDimension'));
       
-      const endMessage = `
-🛑 *Сессия завершена*
-
-📊 Статистика:
-• Длительность: ${result.duration} мин
-• Сообщений: ${result.messageCount}
-
-💡 Доступные действия:
-🆕 /new - Начать новую сессию
-📊 /analyze ${result.sessionId} - Анализ завершенной сессии
-📋 /sessions - История сессий
-      `;
+      const endMessage = t('inactivity.endedByUser', {
+        duration: result.duration,
+        messages: result.messageCount,
+        chart: stateChart ? t('inactivity.chart', { chart: stateChart }) : '',
+        sessionId: result.sessionId
+      });
 
       await bot.sendMessage(chatId, endMessage, { parse_mode: 'Markdown' });
 
     } catch (error) {
       logger.error('Error ending session', { error: error.message, sessionUuid });
-      await bot.sendMessage(chatId, 
-        '❌ Ошибка при завершении сессии.'
-      );
+      await bot.sendMessage(chatId, t('inactivity.endFailed'));
     }
   }
 
-  // Cleanup old user states
-  cleanupUserStates() {
-    const now = Date.now();
-    const maxAge = 30 * 60 * 1000; // 30 minutes
+  // Patient card: stats from getPatientStats and the available actions
+  async showPatientCard(bot, chatId, userId, patientId) {
+    const t = getTranslator(await userService.getLocale(userId));
+
+    try {
+      const patient = await patientService.getPatientById(patientId);
+
+      if (!patient || patient.created_by !== userId) {
+        await bot.sendMessage(chatId, t('card.notFound', { id: patientId }));
+        return;
+      }
 
-    for (const [userId, state] of this.userStates.entries()) {
-      if (state.updatedAt && now - state.updatedAt > maxAge) {
-        this.userStates.delete(userId);
+      const stats = await patientService.getPatientStats(patientId) || {};
+      const activeSession = sessionService.getActiveSession(userId);
+      const inSession = activeSession && activeSession.patientId === patient.id;
+      const totalSessions = stats.total_sessions || 0;
+
+      let cardMessage = `${t('card.title', { id: patient.id })}\n\n`;
+      cardMessage += `${t('card.patient', {
+        name: escapeMarkdown(patient.name),
+        age: patient.age,
+        gender: t.label('labels.gender', patient.gender)
+      })}\n`;
+      cardMessage += `🎭 ${escapeMarkdown(patient.presenting_problem)}\n`;
+      cardMessage += `${t('card.created', { date: t.date(patient.created_at) })}\n`;
+      if (patient.seed) {
+        const reproducible = patientService.isSeedReproducible(patient);
+        cardMessage += `${t('card.seed', { seed: patient.seed })}${reproducible ? t('card.seedRepeat', { seed: patient.seed }) : ''}\n`;
+      }
+      cardMessage += '\n';
+
+      cardMessage += `${t('card.stats', {
+        total: totalSessions,
+        completed: stats.completed_sessions || 0,
+        duration: Math.round(stats.avg_session_duration || 0),
+        messages: stats.total_messages || 0
+      })}\n`;
+      if (stats.last_session) {
+        cardMessage += `${t('card.lastSession', { date: t.date(stats.last_session) })}\n`;
+      }
+      if (inSession) {
+        cardMessage += `\n${t('card.inSession')}\n`;
       }
+
+      const keyboard = [];
+      if (totalSessions === 0) {
+        keyboard.push([{ text: t('card.firstMeeting'), callback_data: `invite_patient_${patient.id}` }]);
+      } else {
+        keyboard.push([
+          { text: t('card.newMeeting'), callback_data: `patient_action:newweek:${patient.id}` },
+          { text: t('card.restore'), callback_data: `patient_action:restore:${patient.id}` }
+        ]);
+        keyboard.push([{ text: t('card.caseFile'), callback_data: `patient_action:casefile:${patient.id}` }]);
+      }
+      keyboard.push([
+        { text: t('card.profile'), callback_data: `patient_action:profile:${patient.id}` },
+        { text: t('card.toTemplates'), callback_data: `patient_action:template:${patient.id}` },
+        { text: t('card.archive'), callback_data: `patient_action:archive:${patient.id}` }
+      ]);
+
+      await bot.sendMessage(chatId, cardMessage, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
+
+    } catch (error) {
+      logger.error('Error showing patient card', { error: error.message, userId, patientId });
+      await bot.sendMessage(chatId, t('card.failed'));
     }
   }
-}
 
-const messageHandler = new MessageHandler();
+  async showPatientProfile(bot, chatId, patient, t) {
+    let profileMessage = `${t('profile.title')}\n\n`;
+    profileMessage += `${t('profile.patient', { name: escapeMarkdown(patient.name), age: patient.age })}\n\n`;
+    profileMessage += `${t('profile.background', { background: escapeMarkdown(patient.background) })}\n\n`;
+
+    const traits = patient.personality_traits || {};
+    if (traits.core_traits && traits.core_traits.length > 0) {
+      profileMessage += `${t('profile.traits', { traits: escapeMarkdown(traits.core_traits.join(', ')) })}\n`;
+    }
+    if (traits.communication_style) {
+      profileMessage += `${t('profile.communication', { style: escapeMarkdown(traits.communication_style) })}\n`;
+    }
+    if (traits.defense_mechanisms && traits.defense_mechanisms.length > 0) {
+      profileMessage += `${t('profile.defenses', { defenses: escapeMarkdown(traits.defense_mechanisms.join(', ')) })}\n`;
+    }
+
+    const profile = patient.psychological_profile || {};
+    if (profile.symptoms && profile.symptoms.length > 0) {
+      profileMessage += `\n${t('profile.symptoms', { symptoms: escapeMarkdown(profile.symptoms.join(', ')) })}\n`;
+    }
+    if (profile.duration) {
+      profileMessage += `${t('profile.duration', { duration: escapeMarkdown(profile.duration) })}\n`;
+    }
+
+    const goals = patient.therapy_goals || {};
+    if (goals.primary) {
+      profileMessage += `\n${t('profile.goal', { goal: escapeMarkdown(goals.primary) })}\n`;
+    }
 
-// Cleanup user states periodically
-setInterval(() => {
-  messageHandler.cleanupUserStates();
-}, 10 * 60 * 1000); // Every 10 minutes
+    await bot.sendMessage(chatId, profileMessage, { parse_mode: 'Markdown' });
+  }
+
+  // What the patient remembers of earlier sessions (see CaseFileService)
+  async showCaseFile(bot, chatId, patient, t) {
+    const caseFile = await caseFileService.getCaseFile(patient.id);
+
+    if (!caseFile) {
+      await bot.sendMessage(chatId, t('caseFile.empty', { patient: patient.name }));
+      return;
+    }
 
+    let message = `${t('caseFile.title', { patient: escapeMarkdown(patient.name) })}\n`;
+    message += `${t('caseFile.sessions', { count: caseFile.sessionsCount })}\n\n`;
+    message += `${escapeMarkdown(truncate(caseFile.summary, CASE_FILE_TEXT_PREVIEW))}\n`;
+
+    if (caseFile.disclosures.length > 0) {
+      message += `\n${t('caseFile.disclosures')}\n`;
+      message += caseFile.disclosures.slice(-CASE_FILE_ITEMS).map(item =>
+        `${item.session}. ${escapeMarkdown(truncate(item.content, CASE_FILE_ITEM_PREVIEW))}`
+      ).join('\n') + '\n';
+    }
+    if (caseFile.homework.length > 0) {
+      message += `\n${t('caseFile.homework')}\n`;
+      message += caseFile.homework.slice(-CASE_FILE_ITEMS).map(item => t('caseFile.homeworkItem', {
+        icon: HOMEWORK_STATUS_ICONS[item.status],
+        task: escapeMarkdown(truncate(item.task, CASE_FILE_ITEM_PREVIEW)),
+        session: item.session
+      })).join('\n') + '\n';
+    }
+
+    message += `\n${t('caseFile.state', { icon: TREND_ICONS[caseFile.patient_state.trend] })}\n${escapeMarkdown(truncate(caseFile.patient_state.description, CASE_FILE_ITEM_PREVIEW * 2))}\n`;
+    message += `\n${t('caseFile.alliance', { quality: caseFile.alliance.quality })}`;
+    message += caseFile.alliance.notes ? ` - ${escapeMarkdown(truncate(caseFile.alliance.notes, CASE_FILE_ITEM_PREVIEW))}\n` : '\n';
+
+    if (caseFile.open_topics.length > 0) {
+      message += `\n${t('caseFile.openTopics')}\n`;
+      message += caseFile.open_topics.slice(0, CASE_FILE_ITEMS).map(topic => `• ${escapeMarkdown(truncate(topic, CASE_FILE_ITEM_PREVIEW))}`).join('\n');
+    }
+
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  }
+
+  // patient_action:<action>:<patientId> callbacks from the patient card
+  async handlePatientActionCallback(bot, callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const [, action, target] = callbackQuery.data.split(':');
+    const patientId = parseInt(target, 10);
+
+    let t = getTranslator(callbackQuery.from.language_code);
+
+    try {
+      const userId = await userService.registerUser(callbackQuery.from);
+      t = getTranslator(await userService.getLocale(userId));
+      const patient = await patientService.getPatientById(patientId);
+
+      if (!patient || patient.created_by !== userId) {
+        await bot.answerCallbackQuery(callbackQuery.id, {
+          text: t('patientActions.unavailable'),
+          show_alert: true
+        });
+        return;
+      }
+
+      switch (action) {
+        case 'card':
+          await bot.answerCallbackQuery(callbackQuery.id);
+          await this.showPatientCard(bot, chatId, userId, patientId);
+          break;
+
+        case 'casefile':
+          await bot.answerCallbackQuery(callbackQuery.id);
+          await this.showCaseFile(bot, chatId, patient, t);
+          break;
+
+        case 'profile':
+          await bot.answerCallbackQuery(callbackQuery.id);
+          await this.showPatientProfile(bot, chatId, patient, t);
+          break;
+
+        case 'newweek': {
+          const previousSession = await sessionService.getLatestPatientSession(userId, patientId, { withMessages: true });
+          if (!previousSession) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+              text: t('patientActions.noDialogue'),
+              show_alert: true
+            });
+            return;
+          }
+
+          await commandHandler.startNewWeekFromHistory(bot, callbackQuery, userId, previousSession.id);
+          break;
+        }
+
+        case 'restore': {
+          const latestSession = await sessionService.getLatestPatientSession(userId, patientId);
+          if (!latestSession) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+              text: t('patientActions.noSessions'),
+              show_alert: true
+            });
+            return;
+          }
+
+          await commandHandler.continueFromHistory(bot, callbackQuery, userId, latestSession.id);
+          break;
+        }
+
+        case 'archive':
+          await bot.answerCallbackQuery(callbackQuery.id);
+          await bot.sendMessage(chatId, 
+            t('patientActions.archiveConfirm', { patient: escapeMarkdown(patient.name) }),
+            {
+              parse_mode: 'Markdown',
+              reply_markup: {
+                inline_keyboard: [[
+                  { text: t('patientActions.archiveButton'), callback_data: `patient_action:archive_confirm:${patientId}` },
+                  { text: t('patientActions.cancel'), callback_data: `patient_action:card:${patientId}` }
+                ]]
+              }
+            }
+          );
+          break;
+
+        case 'template':
+          await bot.answerCallbackQuery(callbackQuery.id);
+          await bot.sendMessage(chatId, 
+            t('patientActions.templateConfirm', { patient: escapeMarkdown(patient.name) }),
+            {
+              parse_mode: 'Markdown',
+              reply_markup: {
+                inline_keyboard: [[
+                  { text: t('patientActions.saveButton'), callback_data: `patient_action:template_confirm:${patientId}` },
+                  { text: t('patientActions.cancel'), callback_data: `patient_action:card:${patientId}` }
+                ]]
+              }
+            }
+          );
+          break;
+
+        case 'template_confirm': {
+          const result = await templateService.promotePatient(patientId, userId);
+          await bot.answerCallbackQuery(callbackQuery.id, {
+            text: t(result.created ? 'templates.saved' : 'templates.alreadySaved')
+          });
+
+          const view = await commandHandler.buildTemplateView(result.template, t);
+          await bot.editMessageText(view.text, {
+            chat_id: chatId,
+            message_id: callbackQuery.message.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: view.keyboard
+          });
+          break;
+        }
+
+        case 'archive_confirm': {
+          const activeSession = sessionService.getActiveSession(userId);
+          if (activeSession && activeSession.patientId === patientId) {
+            await sessionService.endSession(activeSession.uuid, 'patient_archived');
+          }
+
+          const archived = await patientService.deactivatePatient(patientId, userId);
+          await bot.answerCallbackQuery(callbackQuery.id, {
+            text: t(archived ? 'patientActions.archived' : 'patientActions.archiveFailed')
+          });
+          if (archived) {
+            await bot.editMessageText(t('patientActions.archivedMessage', { patient: escapeMarkdown(patient.name) }), {
+              chat_id: chatId,
+              message_id: callbackQuery.message.message_id,
+              parse_mode: 'Markdown'
+            });
+          }
+          break;
+        }
+
+        default:
+          await bot.answerCallbackQuery(callbackQuery.id);
+          logger.warn('Unknown patient action', { action, patientId });
+      }
+
+    } catch (error) {
+      logger.error('Error handling patient action', { 
+        error: error.message, 
+        data: callbackQuery.data 
+      });
+
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: t('patientActions.error'),
+        show_alert: true
+      }).catch(() => {});
+    }
+  }
+}
+
+const messageHandler = new MessageHandler();
 export default messageHandler;
\ No newline at end of file
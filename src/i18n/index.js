@@ -0,0 +1,74 @@
+// Message catalogs and the translator used by the handlers.
+//
+// Every user-facing string lives in locales/<code>.js under a dotted key, e.g.
+// t('history.title', { page: 1, pages: 3 }). A key missing from a catalog falls
+// back to the default (Russian) catalog and then to the key itself, so a new
+// language can be added incrementally: drop a catalog into locales/ and list it
+// in CATALOGS below.
+//
+// Model prompts are not translated: they stay Russian in the services and data
+// modules, and only prompt.* lines that tell the model which language to answer
+// in come from the catalogs. Names and labels those modules show to the user
+// live in the catalogs as well (labels.*).
+
+import ru from './locales/ru.js';
+import en from './locales/en.js';
+
+export const DEFAULT_LOCALE = 'ru';
+
+const CATALOGS = { ru, en };
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// Maps a Telegram language_code ("en-US", "uk", null) to a supported locale
+export function resolveLocale(code) {
+  const base = String(code || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (
+    node !== undefined && node !== null ? node[part] : undefined
+  ), catalog);
+}
+
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  ));
+}
+
+// Strings get {placeholders} filled in; groups (objects, arrays) are returned
+// as they are, e.g. t('ru', 'labels.stateDimension') for a whole label map
+export function t(locale, key, params = {}) {
+  let value = lookup(CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE], key);
+  if (value === undefined) {
+    value = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  }
+  if (value === undefined) {
+    return key;
+  }
+
+  return typeof value === 'string' ? interpolate(value, params) : value;
+}
+
+// Translator bound to one locale: t(key, params), plus
+// t.label(group, value) for enum labels (falls back to the raw value) and
+// t.date(value) for dates in the locale's format
+export function getTranslator(locale) {
+  const resolved = resolveLocale(locale);
+  const translate = (key, params) => t(resolved, key, params);
+
+  translate.locale = resolved;
+  translate.label = (group, value) => {
+    const label = t(resolved, `${group}.${value}`);
+    return typeof label === 'string' && label !== `${group}.${value}` ? label : value;
+  };
+  translate.date = (value) => new Date(value).toLocaleDateString(t(resolved, 'meta.dateLocale'));
+
+  return translate;
+}
+
+export function getLocaleName(locale) {
+  return t(locale, 'meta.name');
+}
@@ -0,0 +1,949 @@
+// English message catalog. Keys and placeholders mirror ru.js; a key missing
+// here falls back to the Russian text.
+
+export default {
+  meta: {
+    name: '🇬🇧 English',
+    dateLocale: 'en-GB'
+  },
+
+  prompt: {
+    generation: 'ЯЗЫК: пациент говорит по-английски и живет в англоязычной среде (имя и реалии ей соответствуют). Все текстовые поля JSON пиши на английском языке (English).',
+    patient: 'ЯЗЫК: говори только на английском языке (English), даже если выше в диалоге встречается другой язык.',
+    analysis: 'ЯЗЫК: все текстовые поля анализа (strengths, comments, recommendations, evidence, annotations) пиши на английском языке (English).',
+    caseFile: 'ЯЗЫК: все текстовые поля карты случая пиши на английском языке (English).',
+    hint: 'ЯЗЫК: подсказку пиши на английском языке (English).'
+  },
+
+  common: {
+    error: '❌ Something went wrong. Try again later or contact the administrator.',
+    unknownCommand: '❓ Unknown command. Use /help to see the available commands.',
+    back: '◀️ Back',
+    next: 'Next ▶️',
+    cancel: '✖️ Cancel',
+    years: '{age} y.o.',
+    minutes: '{minutes} min'
+  },
+
+  menu: {
+    start: '🏠 Get started',
+    new: '👤 Create a new patient',
+    custom: '🎨 Build a patient from parameters',
+    modality: '🧭 Therapy modality',
+    crisis: '🆘 Crisis scenario',
+    patients: '👥 My patients',
+    templates: '📚 Case library',
+    sessions: '📋 Session history',
+    stats: '📊 My statistics',
+    settings: '⚙️ Bot settings',
+    analyze: '🎓 Session analysis',
+    review: '🔍 Session review',
+    end: '🏁 End the session',
+    hint: '💡 Supervisor hint',
+    undo: '↩️ Undo the last exchange',
+    branches: '🌿 Session branches',
+    info: 'ℹ️ Patient information',
+    continue: '🔄 Continue the session',
+    leaderboard: '🏆 Therapist leaderboard',
+    cancel: '✖️ Cancel the action',
+    help: '❓ Help and commands'
+  },
+
+  dialogue: {
+    expired: '⌛ The input timed out and the action was cancelled.\n\nStart again with the command you need.',
+    stale: 'This action is no longer relevant',
+    cannotGoBack: 'There is no step to go back to',
+    cancelled: 'Cancelled',
+    nothingToCancel: 'Nothing to cancel',
+    cancelledMessage: '✖️ Action cancelled.',
+    error: 'Error while processing the action'
+  },
+
+  start: {
+    defaultName: 'colleague',
+    welcome: `🎯 *Welcome to PsychoTrainer v3.0!*
+
+Hi, {firstName}! I will help you develop psychotherapy skills by practicing with AI patients.
+
+🤖 *What I can do:*
+• Create realistic AI patients
+• Run interactive therapy sessions
+• Review your work as an AI supervisor
+• Track your progress and statistics
+
+📋 *Main commands:*
+/new - Create a random patient
+/custom - Build a patient from parameters
+/patients - My patients
+/templates - Library of ready-made cases
+/sessions - Session history
+/stats - My statistics
+/help - Full list of commands
+
+🚀 *Start by creating your first patient with /new*
+
+💡 *Suggestions and feedback:*
+• Telegram: @YourTerapist
+• Ideas for improving the bot
+
+💰 *Support the project:*
+• PayPal: [Thank the developer](https://paypal.me/psyazur)
+• Help cover the Claude AI tokens`,
+    newPatient: '🎲 New patient',
+    customPatient: '🎨 Custom patient'
+  },
+
+  help: {
+    text: `📚 *PsychoTrainer v3.0 command reference*
+
+🆕 *Creating patients:*
+/new - Create a random AI patient
+/new <seed> - Recreate a case from its seed (shown on the patient card)
+/custom - Build a patient step by step: age, problem, severity, defenses...
+/custom <description> - Create a patient from your description
+/modality - Modality to practise: CBT, MI, psychodynamic, person-centred
+/crisis - Crisis case: risk assessment, safety planning, escalation
+
+👥 *Working with patients:*
+/patients - Your patients
+/templates - Case templates: create a patient, export, import JSON
+/info - Information about the current patient
+/continue - Continue the active session
+
+🎭 *Sessions:*
+/sessions - History of completed sessions
+/analyze - Get an analysis of the last session
+/review [number] - Line-by-line review of a session with supervisor notes
+/end - End the current session
+/hint - A supervisor hint during the session (/hint on | off - automatic hints)
+/undo [n] - Undo the last exchange (or n) and try another intervention
+/branches - Session branches: switch and compare the patient's reactions
+
+📊 *Statistics:*
+/stats - Your statistics and progress
+/stats <modality> - Skills in one modality (e.g. /stats cbt)
+/leaderboard - Therapist leaderboard
+
+ℹ️ *Help:*
+/settings - Bot settings (including the language)
+/cancel - Cancel an unfinished action
+/help - This reference
+/start - Restart the bot
+
+💡 *Tips:*
+• During a session just write messages - the bot passes them to the patient
+• End sessions with /end to get an analysis
+• Study the supervisor's analyses to improve your skills`
+  },
+
+  budget: {
+    exceeded: '💸 {owner} AI spending limit has been reached. ' +
+      'New patients, sessions and analyses will be available again {reset}. ' +
+      'You can continue and finish the current session.',
+    owner: {
+      user_day: 'Your daily',
+      user_month: 'Your monthly',
+      global_day: 'The shared daily',
+      global_month: 'The shared monthly'
+    },
+    reset: {
+      day: 'tomorrow',
+      month: 'next month'
+    }
+  },
+
+  builder: {
+    step: '🧩 *Step {step}/{total}. {title}*',
+    titles: {
+      age_range: 'Patient age',
+      gender: 'Gender',
+      problem_category: 'What the patient comes with',
+      severity: 'Severity',
+      motivation_level: 'Motivation for therapy',
+      resistance_style: 'Resistance style'
+    },
+    any: '🎲 Let the generator decide',
+    chooseOption: 'Pick an option with the buttons below the message.',
+    defenses: '🧩 *Step {step}/{total}. Defense mechanisms*\n\n' +
+      'Pick up to {max} and press "Done". ' +
+      'Without a choice the generator picks the defenses.',
+    done: '➡️ Done',
+    doneWords: ['done'],
+    chooseDefenses: 'Pick the defenses with the buttons and press "➡️ Done".',
+    tooManyDefenses: 'You can pick at most {max} defenses. Deselect one of them first.',
+    description: '📝 *Step {step}/{total}. Additional description*\n\n' +
+      'Write details that matter for the case (occupation, family, events) ' +
+      'or skip this step.\n\n' +
+      '💡 *Examples:*\n' +
+      '• A student who recently moved to another city\n' +
+      '• A department head who hides the problem from colleagues',
+    skip: '⏭ Skip',
+    descriptionTooShort: '✏️ Describe the patient in a bit more detail (at least 10 characters).',
+    descriptionLine: '• Description: {description}',
+    allAny: '• All parameters are up to the generator',
+    confirm: '🧩 *Patient parameters:*\n{summary}\n\nCreate a patient with these parameters?',
+    create: '✅ Create',
+    confirmWords: ['yes', 'create'],
+    confirmHint: 'Press "✅ Create", or "◀️ Back" to change the parameters.'
+  },
+
+  parameters: {
+    titles: {
+      age_range: 'Age',
+      gender: 'Gender',
+      problem_category: 'Problem',
+      severity: 'Severity',
+      motivation_level: 'Motivation',
+      defense_mechanisms: 'Defenses',
+      resistance_style: 'Resistance'
+    },
+    gender: {
+      male: 'Male',
+      female: 'Female',
+      other: 'Other'
+    },
+    problem_category: {
+      anxiety: 'Anxiety and panic',
+      depression: 'Depression',
+      relationships: 'Relationships',
+      trauma: 'Trauma',
+      grief: 'Loss',
+      addiction: 'Addiction',
+      eating: 'Eating behavior',
+      burnout: 'Burnout',
+      self_esteem: 'Self-esteem'
+    },
+    severity: {
+      mild: 'Mild',
+      moderate: 'Moderate',
+      severe: 'Severe'
+    },
+    motivation_level: {
+      low: 'Low',
+      medium: 'Medium',
+      high: 'High'
+    },
+    defense_mechanisms: {
+      denial: 'Denial',
+      rationalization: 'Rationalization',
+      intellectualization: 'Intellectualization',
+      projection: 'Projection',
+      avoidance: 'Avoidance',
+      displacement: 'Displacement',
+      somatization: 'Somatization',
+      humor: 'Humor',
+      idealization: 'Idealization/devaluation'
+    },
+    resistance_style: {
+      passive: 'Passive',
+      hostile: 'Hostile',
+      intellectualizing: 'Intellectualizing',
+      compliant: 'Pseudo-compliance',
+      deflecting: 'Deflecting'
+    }
+  },
+
+  notes: {
+    prompt: '📝 *Therapist notes for the session*\n\n' +
+      'Write your observations, hypotheses and a plan for the next meeting (up to 2000 characters).',
+    tooLong: '❌ Notes must not be longer than 2000 characters.',
+    saved: '✅ Notes saved. You can see them in /sessions.',
+    notFound: '❌ Session not found, the notes were not saved.'
+  },
+
+  newPatient: {
+    invalidSeed: '❌ The seed must be a whole number from 1 to 4294967295.\n\nExample: /new 123456',
+    creatingSeeded: '🔄 Recreating the AI patient from seed {seed}...',
+    creating: '🔄 Creating a unique AI patient...',
+    failed: '❌ Could not create a patient. Try again later.'
+  },
+
+  invitation: {
+    defaultComplaint: 'general life difficulties',
+    secretaryCall: `📞 *Call from Kate (receptionist)*
+
+"Good afternoon! *{name}*, {age}, has an appointment with you.
+
+When booking they mentioned: _{complaint}_
+
+The patient is in the waiting room. Ready to see them?"`,
+    seed: '\n🎲 Case seed: `{seed}`',
+    modality: '\n🧭 Modality: *{modality}*',
+    invite: '📞 Invite the patient',
+    changeModality: '🧭 Change modality',
+    crisis: '\n🆘 *Crisis scenario:* the risk will surface during the session',
+    unavailable: 'The patient is no longer available. Create a new one.',
+    secretaryResponse: `📞 *Receptionist:*
+
+"All right, I'll send the patient in! Have a good session!"
+
+*Knock on the door* 🚪
+
+👤 *The patient comes in...*`,
+    started: 'The session has started!',
+    error: 'Error while inviting the patient',
+    greeting: 'Hello, please come in.'
+  },
+
+  custom: {
+    creating: '🔄 Creating a patient from your parameters...\n{summary}',
+    created: `✅ *Custom patient created!*
+
+👤 *{name}*, {age} y.o.
+🎭 *Problem:* {problem}
+
+📝 *Profile:*
+{background}...
+
+🚀 *Ready to start the session?*
+Write your first message to the patient.`,
+    failed: '❌ Could not create the patient. Try a simpler description.'
+  },
+
+  adminRegen: {
+    usage: 'Usage: /admin_regen <patient ID>',
+    notFound: '❌ Patient #{id} not found.',
+    noSeed: '❌ Patient #{id} has no seed: it was created from a template or before seeds existed.',
+    title: '*🔁 Regenerating patient #{id}*',
+    reproduced: '✅ Patient reproduced: #{id} matches #{originalId} (name, age, gender, problem).',
+    differs: '⚠️ Patient #{id} differs from #{originalId}: {fields}.\n' +
+      'The provider may not support seeded sampling.',
+    failed: '❌ Could not regenerate the patient.'
+  },
+
+  adminCosts: {
+    title: {
+      day: '*💰 AI spend today* (UTC)',
+      month: '*💰 AI spend this month* (UTC)'
+    },
+    cost: '💵 Cost: {cost}, calls: {calls}',
+    tokens: '🔤 Tokens: input {input}, output {output}',
+    cache: '⚡ Cache: read {read}, written {written}, saved {savings}',
+    budgets: '*Budgets:*',
+    globalBudget: {
+      day: 'Shared daily: {spent} of {limit} ({percent}%)',
+      month: 'Shared monthly: {spent} of {limit} ({percent}%)'
+    },
+    userLimit: {
+      day: '👤 Per user per day: {limit}',
+      month: '👤 Per user per month: {limit}'
+    },
+    byPurpose: '*By feature:*',
+    purposeRow: '• {label}: {cost} ({calls} calls, cache {savings})',
+    byModel: '*By model:*',
+    modelRow: '• {provider} / {model}: {cost} ({calls} calls)',
+    users: '*Users:*',
+    userRow: '• {name}: {cost} ({calls} calls, sessions: {sessions})',
+    noName: 'no name',
+    system: 'system',
+    sessions: '*Most expensive sessions:*',
+    sessionRow: '• #{id} {patient} (user #{userId}): {cost}, cache {savings}',
+    empty: 'There were no API calls in this period.',
+    failed: '❌ Could not build the cost report.'
+  },
+
+  cancel: {
+    done: '✖️ Action cancelled.',
+    nothing: 'There is no unfinished action to cancel.'
+  },
+
+  patients: {
+    empty: '👥 You have no patients yet.\n\nCreate your first patient with /new',
+    title: '*👥 Your patients:*',
+    row: '*{id}* - {name} ({age} y.o.)',
+    details: '   📅 {date} | 🗣️ {sessions} sessions',
+    guide: '💡 *Working with patients:*\n' +
+      '• Tap a patient or type their ID (for example: `111`)\n' +
+      '• Pick an action on the patient card:\n' +
+      '  - 🆕 New meeting (a week has passed)\n' +
+      '  - 🔄 Continue/restore a session\n' +
+      '  - 📖 Profile or 🗄 archive\n\n' +
+      '*Create a new one:* /new or /custom <description>',
+    failed: '❌ Error while loading your patients.'
+  },
+
+  templates: {
+    empty: '📚 The template library is empty so far.\n\n' +
+      'Save a patient from their card (/patients) or send a template JSON file.',
+    failed: '❌ Error while loading the template library.',
+    title: '*📚 Case library* (page {page}/{pages})',
+    footer: '💡 One template - the same case for the whole study group.\n' +
+      '📥 *Import:* send a template JSON file to the chat.',
+    versionInfo: '{source} | version {version} of {versions} | 👥 {usage}',
+    patient: '👤 {name}, {age} y.o.',
+    use: '👤 Create a patient',
+    export: '📤 Export',
+    toList: '◀️ Back to the list',
+    notFound: 'Template not found',
+    creating: 'Creating a patient...',
+    exportCaption: '📤 {title} (v{version})\n\nSend this file to the bot to add the template to the library.',
+    error: 'Error while working with the template',
+    fileTooLarge: '❌ The template file is too large (64 KB at most).',
+    notJson: '❌ The file does not look like a template: it is not JSON.',
+    conflict: '⚠️ Template `{slug}` version {version} is already in the library with different content.\n\n' +
+      'Increase the "version" field in the file to add a new version.',
+    imported: '✅ Template added to the library.',
+    alreadyImported: 'ℹ️ This template is already in the library.',
+    invalid: '❌ The file does not match the template format. Check the fields: {fields}',
+    importFailed: '❌ Could not import the template.',
+    saved: 'Template saved',
+    alreadySaved: 'The template is already in the library'
+  },
+
+  history: {
+    empty: '📋 You have no completed sessions yet.\n\n' +
+      'Create a patient with /new and run your first session!',
+    failed: '❌ Error while loading the session history.',
+    title: '*📋 Session history* (page {page}/{pages})',
+    details: '   📅 {date} | ⏱️ {duration} min{rating}',
+    footer: '📂 *Open a session to read its transcript.*\n' +
+      '📊 *Detailed statistics:* /stats',
+    newer: '◀️ Newer',
+    older: 'Older ▶️',
+    notFound: 'Session not found',
+    noAnalysis: 'This session has no analysis',
+    reviewLink: '\n🔍 *Line-by-line review:* /review {id}',
+    cannotAnalyze: 'Only a completed session without an analysis can be analyzed',
+    error: 'Error while working with the session history',
+    sessionTitle: '*📂 Session #{id}:* {patient}',
+    sessionDetails: '📅 {date} | ⏱️ {duration} min | {status}{rating}',
+    notes: '📝 _Notes:_ {notes}',
+    endReason: '⏹ Ended {reason}',
+    modality: '🧭 Modality: {modality}',
+    transcriptPage: '💬 Transcript, page {page}/{pages}',
+    noMessages: '_There are no messages in this session._',
+    therapist: '🧑‍⚕️ *Therapist:*',
+    analysis: '🎓 Supervisor analysis',
+    review: '🔍 Line review',
+    analyze: '🎓 Analyze',
+    continue: '🔄 Continue',
+    newWeek: '📅 New week',
+    notesButton: '📝 Notes',
+    toList: '⬅️ Back to sessions'
+  },
+
+  continue: {
+    continued: 'Session continued',
+    continuedMessage: '🔄 *Session continued*\n\n' +
+      '👤 *Patient:* {patient}\n' +
+      '💬 *Messages:* {messages}\n\n' +
+      '💭 Carry on the conversation with the patient...\n' +
+      '⏹️ *End:* /end',
+    none: '❌ There is no active session to continue.\n\nCreate a new patient with /new',
+    current: '🔄 *Continuing the session*\n\n' +
+      '👤 *Patient:* {patient}\n' +
+      '💬 *Messages:* {messages}\n' +
+      '⏱️ *Session time:* {minutes} min\n\n' +
+      '💭 Carry on the conversation with the patient...\n' +
+      '⏹️ *End:* /end',
+    failed: '❌ Error while continuing the session.'
+  },
+
+  newWeek: {
+    started: 'The new meeting has started!',
+    message: '📅 *A week has passed*\n\n' +
+      '👤 {patient} came to the next meeting and remembers the previous session.',
+    greeting: 'Hello! How was your week?'
+  },
+
+  stats: {
+    failed: '❌ Could not load your statistics.',
+    loadFailed: '❌ Error while loading your statistics.',
+    title: '*📊 Your statistics*',
+    overview: '🎯 *Overview:*\n' +
+      '• Total sessions: {total}\n' +
+      '• Completed: {completed} ({rate}%)\n' +
+      '• Average rating: {rating}/10\n' +
+      '• Average session time: {minutes} min',
+    skills: '🎨 *Therapist skills:*',
+    skillsLegend: '_Level is the weighted supervisor score (recent sessions count more), the arrow is the trend over {window} sessions._',
+    noScores: 'no scores',
+    confidence: '(confidence {percent}%)',
+    achievements: '🏆 *Achievements ({count}):*',
+    practice: '📈 *Keep practicing!* /new',
+    modalities: '🧭 *By modality:*',
+    modalityLine: '• {modality}: {sessions} sessions, average rating {rating}',
+    modalityFidelity: ', modality fidelity {level}%',
+    modalityHint: '_Skills in one modality: /stats <code> ({codes})_',
+    modalitySkills: '🎨 *Therapist skills ({modality}):*',
+    modalityEmpty: '_No analyzed sessions in this modality yet._',
+    unknownModality: '❓ Unknown modality. Available codes: {codes}',
+    safety: '🆘 Crisis sessions: {sessions}, safety protocol on average {score}'
+  },
+
+  analysis: {
+    none: '❌ There are no completed sessions to analyze.\n\n' +
+      'End a session with /end to get an analysis.',
+    failed: '❌ Error while analyzing the session. Try again later.',
+    inProgress: '🔍 Analyzing the session...\n⏱️ This takes about a minute.',
+    invalid: '⚠️ The supervisor returned the analysis in a malformed format; it was not counted in your statistics.\n\n' +
+      'Try /analyze again.',
+    title: '*🎓 Session analysis by the AI supervisor*',
+    rating: '⭐ *Overall rating:* {rating}/10',
+    hintsUsed: '🤫 Supervisor hints during the session: {count} (taken into account in the rating)',
+    strengths: '✅ *Strengths:*',
+    improvements: '📈 *Areas for growth:*',
+    recommendations: '💡 *Recommendations:*',
+    fidelity: '🧭 *Modality fidelity ({modality}):* {score}/10',
+    safety: '🆘 *Safety protocol ({scenario}):* {score}%',
+    missedSignals: '*Missed risk signals:*',
+    safetyNote: '_In real practice follow your organisation\'s crisis protocol and discuss the case with your supervisor._'
+  },
+
+  review: {
+    invalidNumber: '❌ Give a session number, for example: /review 12',
+    none: '❌ There are no sessions with a supervisor analysis.\n\n' +
+      'End a session with /end and get an analysis with /analyze.',
+    notFound: '❌ Session not found.',
+    failed: '❌ Error while loading the session review.',
+    title: '*🔍 Session review:* {patient}',
+    details: '📅 {date}{rating} | page {page}/{pages}',
+    notAnalyzed: '_There is no supervisor analysis yet - request one with /analyze._',
+    alternative: '   💡 _Alternative:_ {text}'
+  },
+
+  end: {
+    none: '❌ You have no active session.\n\n' +
+      'Create a patient with /new to start a new session.',
+    ending: '⏹️ Ending the session...',
+    summary: '✅ *Session ended!*\n\n' +
+      '👤 *Patient:* {patient}\n' +
+      '⏱️ *Duration:* {duration} min\n' +
+      '💬 *Messages:* {messages}',
+    chart: '📈 *Client dynamics:*',
+    nextSteps: '🎓 *Get an analysis:* /analyze\n🆕 *New patient:* /new',
+    addNotes: '📝 Add notes',
+    failed: '❌ Error while ending the session.'
+  },
+
+  info: {
+    none: '❌ There is no active session.\n\nCreate a patient with /new',
+    title: '*ℹ️ Patient information*',
+    patient: '👤 *{name}*, {age} y.o.',
+    problem: '🎭 *Main problem:*\n{problem}',
+    background: '📖 *Background:*\n{background}',
+    traits: '🧠 *Key traits:*',
+    failed: '❌ Error while loading the patient information.'
+  },
+
+  leaderboard: {
+    empty: '🏆 The leaderboard is empty so far.\n\nBe the first to complete a session!',
+    title: '*🏆 Therapist leaderboard*',
+    row: '   ⭐ {rating} | 🗣️ {sessions} sessions | ⏱️ {hours}h',
+    footer: '📈 *Your statistics:* /stats',
+    failed: '❌ Error while loading the leaderboard.'
+  },
+
+  settings: {
+    title: '⚙️ *PsychoTrainer settings*',
+    nonverbal: '🎭 *Nonverbal cues:* {status}\n' +
+      'Show the patient\'s actions (*sighs*, *looks away*)',
+    nonverbalOn: '✅ On',
+    nonverbalOff: '❌ Off',
+    voice: '🎤 *Voice chat:* {status}\n' +
+      'Talk to the patient with voice messages',
+    voiceOn: '✅ On',
+    voiceInDevelopment: '🚧 In development',
+    language: '🌐 *Language:* {language}\n' +
+      'Language of the bot, the patients and the supervisor',
+    modality: '🧭 *Modality:* {modality}\n' +
+      'Supervisor criteria, in-session tips and patient selection',
+    autoHints: '🤫 *Automatic hints:* {status}\n' +
+      'Supervisor hints during the session every few messages',
+    autoHintsOn: '✅ On',
+    autoHintsOff: '❌ Off',
+    hint: '💡 *Change the settings with the buttons below*',
+    disableNonverbal: '🎭 Turn nonverbal cues off',
+    enableNonverbal: '🎭 Turn nonverbal cues on',
+    enableAutoHints: '🤫 Turn automatic hints on',
+    disableAutoHints: '🤫 Turn automatic hints off',
+    voiceButton: '🎤 Voice chat (in development)',
+    languageButton: '🌐 Change language',
+    modalityButton: '🧭 Change modality',
+    close: '🔙 Main menu',
+    failed: '❌ Error while loading the settings.',
+    userNotFound: '❌ User not found.',
+    closed: '✅ Settings closed. Use /help to see the commands.',
+    nonverbalEnabled: '✅ Nonverbal cues are on!',
+    nonverbalDisabled: '✅ Nonverbal cues are off!',
+    autoHintsEnabled: '✅ Automatic hints are on!',
+    autoHintsDisabled: '✅ Automatic hints are off!',
+    updateFailed: '❌ Error while updating the setting.',
+    voiceComingSoon: '🚧 Voice chat is in development.\n\n' +
+      'Soon you will be able to talk to AI patients with voice messages!',
+    callbackFailed: '❌ Error while processing the setting.',
+    languagePrompt: '🌐 *Choose the interface language:*',
+    languageHint: 'Pick a language with the buttons or type its code: {codes}.',
+    languageChanged: '✅ Switched to English. Patients and the supervisor will speak English too.'
+  },
+
+  message: {
+    error: '❌ Error while processing the message. Please try again.',
+    noSession: `❓ *You have no active session*
+
+To start working with a patient:
+🆕 /new - Create a random patient
+🎨 /custom - Build a patient from parameters
+👥 /patients - See your existing patients
+📚 /templates - Take a ready-made case from the library
+
+💡 *Tip:* Start with /new to create your first AI patient!`,
+    empty: '💬 Write a message for the patient.',
+    tooLong: '📝 The message is too long. 1000 characters at most.',
+    thinking: '🤔 The patient fell silent... Try rephrasing the question.',
+    sessionInfo: '⏱️ _Session time {minutes} min | Messages: {messages}_',
+    voice: '🎙️ Voice messages are not supported yet.\n\n' +
+      'Write a text message to continue the session.',
+    media: '📎 Media files are not supported yet.\n\n' +
+      'Use text messages to talk to the patient.'
+  },
+
+  turn: {
+    rateLimit: '⏳ Too many requests, please wait a little.',
+    apiError: '🔧 Temporary problems with the AI.',
+    retryAfter: ' The service should be back in about {seconds} s.',
+    failed: '❌ Error while processing the message.',
+    tryAgain: '{error} Please try again.',
+    pending: '{error}\n\nYour message is saved - press "🔁 Retry" to get the patient\'s reply.',
+    retry: '🔁 Retry',
+    inProgress: 'The patient\'s reply is already on its way.',
+    inactive: 'The session is no longer active.',
+    answered: 'The patient has already answered this message.',
+    retrying: 'Retrying...'
+  },
+
+  reminders: {
+    5: '💡 *Tip:* Use open questions to explore the problem.',
+    10: '🎯 *Hint:* Try reflecting the patient\'s emotions.',
+    15: '⏰ *Reminder:* Keep the session goals in mind. End: /end',
+    20: '🔍 *Tip:* It may be time for an interim summary.',
+    25: '⚡ *Hint:* A long session is fine, but remember to wrap up: /end'
+  },
+
+  inactivity: {
+    warning: `⚠️ *Inactivity warning*
+
+Your session with *{patient}* has been inactive for 5 minutes.
+
+What would you like to do?`,
+    continue: '✅ Continue the session',
+    pause: '⏸️ Pause for {minutes} min',
+    end: '🛑 End the session',
+    ended: `🕐 *Session ended automatically*
+
+Your session with *{patient}* was ended due to inactivity (more than 10 minutes).
+
+📊 Session statistics:
+• Duration: {duration} min
+• Messages: {messages}
+
+💡 You can:
+🆕 /new - Start a new session
+📋 /sessions - See the session history`,
+    callbackError: '❌ Error while processing the action. Please try again.',
+    continued: '✅ *Session continued*\n\nYou can carry on talking to the patient.',
+    notFound: '❌ The session was not found or has already ended.',
+    continueFailed: '❌ Error while continuing the session.',
+    paused: '⏸️ *Session paused for {minutes} minutes*\n\n' +
+      'You will get a reminder to continue automatically.',
+    pauseFailed: '❌ Error while pausing the session.',
+    endedByUser: `🛑 *Session ended*
+
+📊 Statistics:
+• Duration: {duration} min
+• Messages: {messages}
+{chart}
+💡 What's next:
+🆕 /new - Start a new session
+📊 /analyze {sessionId} - Analyze the completed session
+📋 /sessions - Session history`,
+    chart: '\n📈 Client dynamics:\n```\n{chart}\n```\n',
+    endFailed: '❌ Error while ending the session.'
+  },
+
+  card: {
+    notFound: '❌ Patient with ID {id} not found.\n\nYour patients: /patients',
+    title: '*🗂 Patient card #{id}*',
+    patient: '👤 {name}, {age} y.o., {gender}',
+    created: '📅 Created: {date}',
+    seed: '🎲 Seed: `{seed}`',
+    seedRepeat: ' (recreate: /new {seed})',
+    stats: '📊 *Statistics:*\n' +
+      '• Sessions: {total} (completed {completed})\n' +
+      '• Average duration: {duration} min\n' +
+      '• Messages: {messages}',
+    lastSession: '• Last session: {date}',
+    inSession: '🔄 *A session with this patient is in progress.*',
+    firstMeeting: '📞 First meeting',
+    newMeeting: '🆕 New meeting',
+    restore: '🔄 Restore',
+    caseFile: '🧾 Case file',
+    profile: '📖 Profile',
+    toTemplates: '📚 To templates',
+    archive: '🗄 Archive',
+    failed: '❌ Error while loading the patient card.'
+  },
+
+  profile: {
+    title: '*📖 Patient profile*',
+    patient: '👤 {name}, {age} y.o.',
+    background: '📖 *Background:*\n{background}',
+    traits: '🧠 *Key traits:* {traits}',
+    communication: '💬 *Communication style:* {style}',
+    defenses: '🛡 *Defenses:* {defenses}',
+    symptoms: '🩺 *Symptoms:* {symptoms}',
+    duration: '⏳ *Duration:* {duration}',
+    goal: '🎯 *Therapy goal:* {goal}'
+  },
+
+  caseFile: {
+    empty: '🧾 The case file of {patient} appears after the first completed session.',
+    title: '*🧾 Case file: {patient}*',
+    sessions: 'Sessions covered: {count}',
+    disclosures: '💬 *Told the therapist:*',
+    homework: '📝 *Homework:*',
+    homeworkItem: '{icon} {task} (session {session})',
+    state: '🌡 *State* {icon}',
+    alliance: '🤝 *Alliance:* {quality}/5',
+    openTopics: '📌 *Open topics:*'
+  },
+
+  patientActions: {
+    unavailable: 'The patient is no longer available.',
+    noDialogue: 'There have been no sessions with a dialogue with this patient yet.',
+    noSessions: 'There have been no sessions with this patient yet.',
+    archiveConfirm: '🗄 Archive {patient}?\n\n' +
+      'The patient disappears from /patients, the session history is kept.',
+    archiveButton: '✅ Archive',
+    cancel: '↩️ Cancel',
+    templateConfirm: '📚 Save {patient} as a template?\n\n' +
+      'The template appears in /templates for every user of the bot: they can create ' +
+      'the same patient and export it. Your session history is not published.',
+    saveButton: '✅ Save',
+    archived: 'The patient has been archived',
+    archiveFailed: 'Could not archive the patient',
+    archivedMessage: '🗄 {patient} is archived.\n\nYour patients: /patients',
+    error: 'Error while performing the action'
+  },
+
+  modality: {
+    prompt: '🧭 *Therapy modality*\n\n' +
+      'Current: *{current}*. The modality sets the supervisor criteria, the in-session tips ' +
+      'and the choice of new patients.\n\n{descriptions}',
+    descriptions: {
+      general: '• *General* - core skills without a specific school',
+      cbt: '• *CBT* - agenda, work with automatic thoughts, homework',
+      mi: '• *MI* - reflections, change talk, working with ambivalence (MITI-style coding)',
+      psychodynamic: '• *Psychodynamic* - affect, defenses, relational patterns and transference',
+      person_centred: '• *Person-centred* - empathy, unconditional positive regard, congruence'
+    },
+    hint: 'Choose a modality with a button or type its code: {codes}.',
+    changed: '✅ Modality: *{modality}*. It applies to the next sessions and new patients.',
+    failed: '❌ Could not save the modality.',
+    checks: {
+      cbt: {
+        agenda: 'Session agenda',
+        homework_review: 'Homework review',
+        problem_focus: 'Focus on a specific problem',
+        cognitive_restructuring: 'Work with automatic thoughts',
+        homework_assignment: 'New homework',
+        summary_feedback: 'Summary and feedback'
+      },
+      mi: {
+        reflection_ratio: 'At least as many reflections as questions',
+        complex_reflections: 'Complex reflections (40%+)',
+        evoking_change_talk: 'Evoking change talk',
+        softening_sustain_talk: 'Softening sustain talk',
+        partnership: 'Partnership and autonomy',
+        no_mi_inconsistent: 'No advice or confrontation'
+      },
+      psychodynamic: {
+        affect_focus: 'Focus on affect',
+        defenses: 'Work with defenses',
+        relational_patterns: 'Relational patterns',
+        transference: 'The here-and-now relationship',
+        interpretation_timing: 'Well-timed interpretations',
+        therapist_stance: 'Neutral stance'
+      },
+      person_centred: {
+        empathic_understanding: 'Empathic understanding',
+        unconditional_regard: 'Unconditional positive regard',
+        congruence: 'Congruence',
+        non_directiveness: 'Non-directiveness',
+        frame_of_reference: 'Client\'s frame of reference'
+      }
+    },
+    reminders: {
+      cbt: {
+        5: '💡 *CBT:* Agree on the session agenda with the client if you have not yet.',
+        10: '🎯 *CBT:* Catch an automatic thought: "What went through your mind at that moment?"',
+        20: '📝 *CBT:* Time to agree on homework and sum up.'
+      },
+      mi: {
+        5: '💡 *MI:* Aim for at least one reflection per question.',
+        10: '🎯 *MI:* Heard change talk? Reflect it and build on it.',
+        20: '🔍 *MI:* Offer a summary that gathers the client\'s own reasons for change.'
+      },
+      psychodynamic: {
+        5: '💡 *Psychodynamic:* Notice the feelings the client steps around.',
+        10: '🎯 *Psychodynamic:* Has this story appeared in the client\'s other relationships?',
+        20: '🔍 *Psychodynamic:* What is happening between the client and you right now?'
+      },
+      person_centred: {
+        5: '💡 *Person-centred:* Follow the client rather than steering the conversation.',
+        10: '🎯 *Person-centred:* Reflect the experience, not only the content.',
+        20: '🔍 *Person-centred:* Hold back advice and judgement - the client will find the way.'
+      }
+    }
+  },
+
+  crisis: {
+    prompt: '🆘 *Crisis scenarios*\n\n' +
+      'The patient discloses a risk step by step: indirect signals first, then an explicit disclosure. ' +
+      'The supervisor fills a safety protocol scorecard (recognition, risk assessment, safety planning, ' +
+      'escalation) and scores the "Crisis management" skill.\n\n{descriptions}',
+    descriptions: {
+      suicidal_ideation: '• *Suicidal ideation* - depression, thoughts of death, access to means',
+      self_harm: '• *Self-harm* - cutting as a way to cope with feelings',
+      abuse: '• *Domestic abuse* - a controlling and violent partner, a child at home',
+      random: '• *Random* - the kind of risk is not revealed in advance'
+    },
+    randomButton: '🎲 Random',
+    hint: 'Choose a scenario with a button or type its code: {codes}.',
+    unknown: '❓ Unknown scenario. Available codes: {codes}',
+    creating: '🔄 Creating a patient for the crisis scenario...',
+    failed: '❌ Could not create the patient. Please try again later.',
+    checks: {
+      recognition: 'Recognising the signals',
+      risk_assessment: 'Risk assessment',
+      safety_planning: 'Safety plan',
+      escalation: 'Escalation'
+    }
+  },
+
+  hint: {
+    manual: '🤫 *The supervisor whispers:*\n{hint}',
+    auto: '🤫 *Automatic supervisor hint:*\n{hint}',
+    repeated: '🤫 *The supervisor whispers:*\n{hint}\n\n_Nothing has changed in the session since the last hint. A new one comes after your next message._',
+    noSession: '❌ Hints are only available during a session.\n\nStart a session with a patient via /patients.',
+    failed: '❌ Could not get a hint. Please try again later.',
+    autoEnabled: '✅ Automatic hints are on: the supervisor will chime in every {interval} of your messages.',
+    autoDisabled: '✅ Automatic hints are off. You can always ask for a hint with /hint.',
+    usage: '❓ Use /hint during a session, /hint on or /hint off for automatic hints.'
+  },
+
+  undo: {
+    noSession: '❌ Messages can only be undone during a session.',
+    nothing: '❌ There is nothing to undo in this session yet.',
+    inProgress: '⏳ The patient is still answering. Wait for the reply and repeat /undo.',
+    invalidCount: '❓ Give the number of exchanges, for example: /undo 2',
+    done: '↩️ Exchanges undone: {count}. The patient is back in the state before them.\n' +
+      'The original version is kept, compare the patient\'s reactions: /branches',
+    failed: '❌ Could not undo the message. Please try again later.'
+  },
+
+  branches: {
+    noSession: '❌ Branches are available during a session. To try another intervention, use /undo.',
+    title: '🌿 *Session branches with {patient}*',
+    none: 'The session has a single line so far. Use /undo to undo an exchange and try another intervention: the original version is kept.',
+    main: 'Main line',
+    branch: 'Version {number}',
+    item: '• *{name}*{fork} - messages: {messages}{current}',
+    fork: ', another message #{turn}',
+    current: ' ✅ current',
+    hint: 'Use the buttons to continue another branch or to compare how the patient reacted to different messages at the same point.',
+    switchButton: '↪️ Continue: {name}',
+    compareButton: '⚖️ Compare message #{turn}',
+    switched: '↪️ The session continues in the branch "{name}".',
+    lastPatientMessage: '👤 *{patient}* said last:\n_{text}_\n\nWrite your next message.',
+    next: 'Write your next message.',
+    inactive: 'This session or branch is no longer available.',
+    failed: '❌ Error while loading the session branches.',
+    compareTitle: '⚖️ *Versions of message #{turn}*',
+    compareContext: '👤 Before that the patient said:\n_{text}_',
+    compareStart: 'Versions of the session opening.',
+    alternative: '*{name}*{current}',
+    noReply: '👤 _no answer_',
+    more: '…and {count} more versions',
+    compareNone: 'There is no other version with a patient answer at this point yet.',
+    compareFailed: '❌ Could not compare the versions.'
+  },
+
+  labels: {
+    gender: {
+      male: 'male',
+      female: 'female',
+      other: 'other'
+    },
+    templateSource: {
+      curated: '📌 Curated',
+      user: '👤 User',
+      import: '📥 Imported'
+    },
+    sessionStatus: {
+      completed: '✅ Completed',
+      active: '🔄 Active',
+      paused: '⏸ Paused',
+      cancelled: '❌ Interrupted'
+    },
+    purpose: {
+      patient_turn: 'Patient replies',
+      generation: 'Patient generation',
+      analysis: 'Supervisor analysis',
+      case_file: 'Case files',
+      summary: 'Session summaries',
+      hint: 'Session hints',
+      default: 'Other'
+    },
+    intervention: {
+      open_question: 'Open question',
+      closed_question: 'Closed question',
+      reflection: 'Reflection',
+      summary: 'Summary',
+      interpretation: 'Interpretation',
+      advice_giving: 'Advice',
+      other: 'Other'
+    },
+    skill: {
+      active_listening: 'Active listening',
+      empathy: 'Empathy',
+      questioning_techniques: 'Questioning',
+      intervention_skills: 'Interventions',
+      boundary_setting: 'Boundaries',
+      crisis_management: 'Crisis management'
+    },
+    stateDimension: {
+      distress: 'Distress',
+      trust: 'Trust',
+      openness: 'Openness',
+      resistance: 'Resistance'
+    },
+    modality: {
+      general: 'General',
+      cbt: 'CBT',
+      mi: 'Motivational interviewing',
+      psychodynamic: 'Psychodynamic',
+      person_centred: 'Person-centred'
+    },
+    crisis: {
+      suicidal_ideation: 'Suicidal ideation',
+      self_harm: 'Self-harm',
+      abuse: 'Domestic abuse'
+    },
+    endReason: {
+      inactivity: 'after 10 minutes of inactivity',
+      inactivity_warning: 'from the inactivity warning',
+      new_patient: 'when a new patient was created',
+      other_session_continued: 'when another session was continued',
+      new_week: 'when a new week was started',
+      patient_archived: 'when the patient was archived'
+    },
+    achievement: {
+      first_session: 'First session',
+      session_master: 'Session master',
+      session_expert: 'Session expert',
+      high_performer: 'High performer',
+      consistent_performer: 'Consistent performer'
+    }
+  }
+};
@@ -0,0 +1,955 @@
+// Russian message catalog: the default locale and the fallback for keys
+// missing from other catalogs. Placeholders are {name}; Markdown in the
+// values is the Telegram legacy flavour, parameters are escaped by the caller.
+
+export default {
+  meta: {
+    name: '🇷🇺 Русский',
+    dateLocale: 'ru-RU'
+  },
+
+  // Instructions appended to the (Russian) model prompts so the model writes
+  // in the trainee's language
+  prompt: {
+    generation: 'ЯЗЫК: пациент говорит по-русски и живет в русскоязычной среде. Все текстовые поля JSON пиши на русском языке.',
+    patient: 'ЯЗЫК: говори на русском языке.',
+    analysis: 'ЯЗЫК: все текстовые поля анализа (strengths, comments, recommendations, evidence, annotations) пиши на русском языке.',
+    caseFile: 'ЯЗЫК: все текстовые поля карты случая пиши на русском языке.',
+    hint: 'ЯЗЫК: подсказку пиши на русском языке.'
+  },
+
+  common: {
+    error: '❌ Произошла ошибка. Попробуйте позже или обратитесь к администратору.',
+    unknownCommand: '❓ Неизвестная команда. Используйте /help для списка доступных команд.',
+    back: '◀️ Назад',
+    next: 'Далее ▶️',
+    cancel: '✖️ Отмена',
+    years: '{age} лет',
+    minutes: '{minutes} мин'
+  },
+
+  menu: {
+    start: '🏠 Начать работу с ботом',
+    new: '👤 Создать нового пациента',
+    custom: '🎨 Собрать пациента по параметрам',
+    modality: '🧭 Терапевтический подход',
+    crisis: '🆘 Кризисный сценарий',
+    patients: '👥 Мои пациенты',
+    templates: '📚 Библиотека случаев',
+    sessions: '📋 История сессий',
+    stats: '📊 Моя статистика',
+    settings: '⚙️ Настройки бота',
+    analyze: '🎓 Анализ сессии',
+    review: '🔍 Разбор реплик сессии',
+    end: '🏁 Завершить сессию',
+    hint: '💡 Подсказка супервизора',
+    undo: '↩️ Отменить последний обмен',
+    branches: '🌿 Ветки сессии',
+    info: 'ℹ️ Информация о пациенте',
+    continue: '🔄 Продолжить сессию',
+    leaderboard: '🏆 Рейтинг терапевтов',
+    cancel: '✖️ Отменить действие',
+    help: '❓ Помощь и команды'
+  },
+
+  dialogue: {
+    expired: '⌛ Время ввода истекло, действие отменено.\n\nНачните заново нужной командой.',
+    stale: 'Это действие уже неактуально',
+    cannotGoBack: 'Назад вернуться нельзя',
+    cancelled: 'Отменено',
+    nothingToCancel: 'Нечего отменять',
+    cancelledMessage: '✖️ Действие отменено.',
+    error: 'Ошибка при обработке действия'
+  },
+
+  start: {
+    defaultName: 'Коллега',
+    welcome: `🎯 *Добро пожаловать в ПсихоТренер v3.0!*
+
+Привет, {firstName}! Я помогу тебе развить навыки психотерапии через практику с AI-пациентами.
+
+🤖 *Что я умею:*
+• Создавать реалистичных AI-пациентов
+• Проводить интерактивные терапевтические сессии
+• Анализировать твою работу как AI-супервизор
+• Отслеживать прогресс и статистику
+
+📋 *Основные команды:*
+/new - Создать случайного пациента
+/custom - Собрать пациента по параметрам
+/patients - Мои пациенты
+/templates - Библиотека готовых случаев
+/sessions - История сессий
+/stats - Моя статистика
+/help - Полный список команд
+
+🚀 *Начни с создания первого пациента командой /new*
+
+💡 *Предложения и обратная связь:*
+• Telegram: @YourTerapist
+• Идеи для улучшения бота
+
+💰 *Поддержать проект:*
+• PayPal: [Благодарность разработчику](https://paypal.me/psyazur)
+• Помочь компенсировать токены Claude AI`,
+    newPatient: '🎲 Новый пациент',
+    customPatient: '🎨 Кастом пациент'
+  },
+
+  help: {
+    text: `📚 *Справка по командам ПсихоТренер v3.0*
+
+🆕 *Создание пациентов:*
+/new - Создать случайного AI-пациента
+/new <seed> - Воссоздать случай по его seed (виден в карточке пациента)
+/custom - Собрать пациента по шагам: возраст, проблема, тяжесть, защиты...
+/custom <описание> - Создать пациента по твоему описанию
+/modality - Подход для практики: КПТ, МИ, психодинамический, клиент-центрированный
+/crisis - Кризисный случай: оценка риска, план безопасности, подключение помощи
+
+👥 *Работа с пациентами:*
+/patients - Список твоих пациентов
+/templates - Шаблоны случаев: создать пациента, экспорт, импорт JSON
+/info - Информация о текущем пациенте
+/continue - Продолжить активную сессию
+
+🎭 *Сессии:*
+/sessions - История завершенных сессий
+/analyze - Получить анализ последней сессии
+/review [номер] - Разбор реплик сессии с аннотациями супервизора
+/end - Завершить текущую сессию
+/hint - Подсказка супервизора по ходу сессии (/hint on | off - автоподсказки)
+/undo [n] - Отменить последний обмен (или n) и попробовать другую реплику
+/branches - Ветки сессии: переход и сравнение реакций пациента
+
+📊 *Статистика:*
+/stats - Твоя статистика и прогресс
+/stats <подход> - Навыки по одному подходу (например, /stats cbt)
+/leaderboard - Рейтинг терапевтов
+
+ℹ️ *Помощь:*
+/settings - Настройки бота (в том числе язык)
+/cancel - Отменить незавершенное действие
+/help - Эта справка
+/start - Перезапуск бота
+
+💡 *Советы:*
+• Во время сессии просто пиши сообщения - бот автоматически передаст их пациенту
+• Завершай сессии командой /end для получения анализа
+• Изучай анализы супервизора для улучшения навыков`
+  },
+
+  budget: {
+    exceeded: '💸 {owner} лимит расходов на AI исчерпан. ' +
+      'Новые пациенты, сессии и анализ станут доступны {reset}. ' +
+      'Текущую сессию можно продолжить и завершить.',
+    owner: {
+      user_day: 'Ваш дневной',
+      user_month: 'Ваш месячный',
+      global_day: 'Общий дневной',
+      global_month: 'Общий месячный'
+    },
+    reset: {
+      day: 'завтра',
+      month: 'в следующем месяце'
+    }
+  },
+
+  builder: {
+    step: '🧩 *Шаг {step}/{total}. {title}*',
+    titles: {
+      age_range: 'Возраст пациента',
+      gender: 'Пол',
+      problem_category: 'С чем пациент приходит',
+      severity: 'Тяжесть состояния',
+      motivation_level: 'Мотивация к терапии',
+      resistance_style: 'Стиль сопротивления'
+    },
+    any: '🎲 На выбор генератора',
+    chooseOption: 'Выберите вариант кнопкой под сообщением.',
+    defenses: '🧩 *Шаг {step}/{total}. Защитные механизмы*\n\n' +
+      'Выберите до {max} и нажмите «Готово». ' +
+      'Без выбора защиты подберет генератор.',
+    done: '➡️ Готово',
+    doneWords: ['готово'],
+    chooseDefenses: 'Выберите защиты кнопками и нажмите «➡️ Готово».',
+    tooManyDefenses: 'Можно выбрать не больше {max} защит. Снимите одну из выбранных.',
+    description: '📝 *Шаг {step}/{total}. Дополнительное описание*\n\n' +
+      'Напишите детали, которые важны для случая (профессия, семья, события), ' +
+      'или пропустите этот шаг.\n\n' +
+      '💡 *Примеры:*\n' +
+      '• Студентка, недавно переехала в другой город\n' +
+      '• Руководитель отдела, скрывает проблему от коллег',
+    skip: '⏭ Пропустить',
+    descriptionTooShort: '✏️ Опишите пациента чуть подробнее (хотя бы 10 символов).',
+    descriptionLine: '• Описание: {description}',
+    allAny: '• Все параметры на выбор генератора',
+    confirm: '🧩 *Параметры пациента:*\n{summary}\n\nСоздать пациента с этими параметрами?',
+    create: '✅ Создать',
+    confirmWords: ['да', 'создать'],
+    confirmHint: 'Нажмите «✅ Создать» или «◀️ Назад», чтобы изменить параметры.'
+  },
+
+  // Builder choices (see data/patientParameters.js)
+  parameters: {
+    titles: {
+      age_range: 'Возраст',
+      gender: 'Пол',
+      problem_category: 'Проблема',
+      severity: 'Тяжесть',
+      motivation_level: 'Мотивация',
+      defense_mechanisms: 'Защиты',
+      resistance_style: 'Сопротивление'
+    },
+    gender: {
+      male: 'Мужской',
+      female: 'Женский',
+      other: 'Другой'
+    },
+    problem_category: {
+      anxiety: 'Тревога и паника',
+      depression: 'Депрессия',
+      relationships: 'Отношения',
+      trauma: 'Травма',
+      grief: 'Утрата',
+      addiction: 'Зависимость',
+      eating: 'Пищевое поведение',
+      burnout: 'Выгорание',
+      self_esteem: 'Самооценка'
+    },
+    severity: {
+      mild: 'Легкая',
+      moderate: 'Средняя',
+      severe: 'Тяжелая'
+    },
+    motivation_level: {
+      low: 'Низкая',
+      medium: 'Средняя',
+      high: 'Высокая'
+    },
+    defense_mechanisms: {
+      denial: 'Отрицание',
+      rationalization: 'Рационализация',
+      intellectualization: 'Интеллектуализация',
+      projection: 'Проекция',
+      avoidance: 'Избегание',
+      displacement: 'Смещение',
+      somatization: 'Соматизация',
+      humor: 'Юмор',
+      idealization: 'Идеализация/обесценивание'
+    },
+    resistance_style: {
+      passive: 'Пассивное',
+      hostile: 'Враждебное',
+      intellectualizing: 'Интеллектуальное',
+      compliant: 'Псевдосогласие',
+      deflecting: 'Уход от темы'
+    }
+  },
+
+  notes: {
+    prompt: '📝 *Заметки терапевта к сессии*\n\n' +
+      'Напишите наблюдения, гипотезы и план на следующую встречу (до 2000 символов).',
+    tooLong: '❌ Заметки должны быть не длиннее 2000 символов.',
+    saved: '✅ Заметки сохранены. Их видно в /sessions.',
+    notFound: '❌ Сессия не найдена, заметки не сохранены.'
+  },
+
+  newPatient: {
+    invalidSeed: '❌ Seed должен быть целым числом от 1 до 4294967295.\n\nПример: /new 123456',
+    creatingSeeded: '🔄 Воссоздаю AI-пациента по seed {seed}...',
+    creating: '🔄 Создаю уникального AI-пациента...',
+    failed: '❌ Не удалось создать пациента. Попробуйте позже.'
+  },
+
+  invitation: {
+    defaultComplaint: 'общие жизненные трудности',
+    secretaryCall: `📞 *Звонок от Екатерины (секретарь)*
+
+"Добрый день! К вам записан(а) *{name}*, {age} лет.
+
+При записи жаловался(ась) на: _{complaint}_
+
+Пациент уже в приемной. Готовы принять?"`,
+    seed: '\n🎲 Seed случая: `{seed}`',
+    modality: '\n🧭 Подход: *{modality}*',
+    invite: '📞 Пригласить пациента',
+    changeModality: '🧭 Сменить подход',
+    crisis: '\n🆘 *Кризисный сценарий:* риск раскроется по ходу сессии',
+    unavailable: 'Пациент больше не доступен. Создайте нового.',
+    secretaryResponse: `📞 *Ответ секретаря:*
+
+"Хорошо, приглашаю пациента! Удачной сессии!"
+
+*Стук в дверь* 🚪
+
+👤 *Пациент заходит...*`,
+    started: 'Сессия началась!',
+    error: 'Ошибка при приглашении пациента',
+    // The therapist's first line; the patient answers it in character
+    greeting: 'Здравствуйте, проходите, пожалуйста.'
+  },
+
+  custom: {
+    creating: '🔄 Создаю пациента по вашим параметрам...\n{summary}',
+    created: `✅ *Кастомный пациент создан!*
+
+👤 *{name}*, {age} лет
+🎭 *Проблема:* {problem}
+
+📝 *Характеристика:*
+{background}...
+
+🚀 *Готов начать сессию?*
+Напишите первое сообщение пациенту.`,
+    failed: '❌ Не удалось создать пациента. Попробуйте упростить описание.'
+  },
+
+  adminRegen: {
+    usage: 'Использование: /admin_regen <ID пациента>',
+    notFound: '❌ Пациент #{id} не найден.',
+    noSeed: '❌ У пациента #{id} нет seed: он создан из шаблона или до появления seed.',
+    title: '*🔁 Повторная генерация пациента #{id}*',
+    reproduced: '✅ Пациент воспроизведен: #{id} совпадает с #{originalId} (имя, возраст, пол, проблема).',
+    differs: '⚠️ Пациент #{id} отличается от #{originalId}: {fields}.\n' +
+      'Провайдер может не поддерживать seed при сэмплировании.',
+    failed: '❌ Не удалось пересоздать пациента.'
+  },
+
+  adminCosts: {
+    title: {
+      day: '*💰 Расходы на AI за сегодня* (UTC)',
+      month: '*💰 Расходы на AI за месяц* (UTC)'
+    },
+    cost: '💵 Стоимость: {cost}, вызовов: {calls}',
+    tokens: '🔤 Токены: вход {input}, выход {output}',
+    cache: '⚡ Кэш: прочитано {read}, записано {written}, экономия {savings}',
+    budgets: '*Бюджеты:*',
+    globalBudget: {
+      day: 'Общий дневной: {spent} из {limit} ({percent}%)',
+      month: 'Общий месячный: {spent} из {limit} ({percent}%)'
+    },
+    userLimit: {
+      day: '👤 На пользователя в день: {limit}',
+      month: '👤 На пользователя в месяц: {limit}'
+    },
+    byPurpose: '*По функциям:*',
+    purposeRow: '• {label}: {cost} ({calls} выз., кэш {savings})',
+    byModel: '*По моделям:*',
+    modelRow: '• {provider} / {model}: {cost} ({calls} выз.)',
+    users: '*Пользователи:*',
+    userRow: '• {name}: {cost} ({calls} выз., сессий: {sessions})',
+    noName: 'без имени',
+    system: 'система',
+    sessions: '*Самые дорогие сессии:*',
+    sessionRow: '• #{id} {patient} (пользователь #{userId}): {cost}, кэш {savings}',
+    empty: 'За этот период вызовов API не было.',
+    failed: '❌ Не удалось построить отчет о расходах.'
+  },
+
+  cancel: {
+    done: '✖️ Действие отменено.',
+    nothing: 'Нет незавершенного действия для отмены.'
+  },
+
+  patients: {
+    empty: '👥 У вас пока нет созданных пациентов.\n\nСоздайте первого пациента командой /new',
+    title: '*👥 Ваши пациенты:*',
+    row: '*{id}* - {name} ({age} лет)',
+    details: '   📅 {date} | 🗣️ {sessions} сессий',
+    guide: '💡 *Как работать с пациентами:*\n' +
+      '• Нажмите на пациента или напишите его ID (например: `111`)\n' +
+      '• В карточке пациента выберите действие:\n' +
+      '  - 🆕 Новая встреча (прошла неделя)\n' +
+      '  - 🔄 Продолжить/восстановить сессию\n' +
+      '  - 📖 Профиль или 🗄 архив\n\n' +
+      '*Создать нового:* /new или /custom <описание>',
+    failed: '❌ Ошибка при загрузке списка пациентов.'
+  },
+
+  templates: {
+    empty: '📚 Библиотека шаблонов пока пуста.\n\n' +
+      'Сохраните пациента из его карточки (/patients) или отправьте JSON-файл шаблона.',
+    failed: '❌ Ошибка при загрузке библиотеки шаблонов.',
+    title: '*📚 Библиотека случаев* (стр. {page}/{pages})',
+    footer: '💡 Один шаблон - одинаковый случай для всей учебной группы.\n' +
+      '📥 *Импорт:* отправьте в чат JSON-файл шаблона.',
+    versionInfo: '{source} | версия {version} из {versions} | 👥 {usage}',
+    patient: '👤 {name}, {age} лет',
+    use: '👤 Создать пациента',
+    export: '📤 Экспорт',
+    toList: '◀️ К списку',
+    notFound: 'Шаблон не найден',
+    creating: 'Создаю пациента...',
+    exportCaption: '📤 {title} (v{version})\n\nОтправьте этот файл в бот, чтобы добавить шаблон в библиотеку.',
+    error: 'Ошибка при работе с шаблоном',
+    fileTooLarge: '❌ Файл шаблона слишком большой (максимум 64 КБ).',
+    notJson: '❌ Файл не похож на шаблон: это не JSON.',
+    conflict: '⚠️ Шаблон `{slug}` версии {version} уже есть в библиотеке с другим содержимым.\n\n' +
+      'Увеличьте поле "version" в файле, чтобы добавить новую версию.',
+    imported: '✅ Шаблон добавлен в библиотеку.',
+    alreadyImported: 'ℹ️ Этот шаблон уже есть в библиотеке.',
+    invalid: '❌ Файл не соответствует формату шаблона. Проверьте поля: {fields}',
+    importFailed: '❌ Не удалось импортировать шаблон.',
+    saved: 'Шаблон сохранен',
+    alreadySaved: 'Шаблон уже есть в библиотеке'
+  },
+
+  history: {
+    empty: '📋 У вас пока нет завершенных сессий.\n\n' +
+      'Создайте пациента командой /new и проведите первую сессию!',
+    failed: '❌ Ошибка при загрузке истории сессий.',
+    title: '*📋 История сессий* (стр. {page}/{pages})',
+    details: '   📅 {date} | ⏱️ {duration} мин{rating}',
+    footer: '📂 *Откройте сессию, чтобы прочитать транскрипт.*\n' +
+      '📊 *Подробная статистика:* /stats',
+    newer: '◀️ Новее',
+    older: 'Старее ▶️',
+    notFound: 'Сессия не найдена',
+    noAnalysis: 'Анализа этой сессии нет',
+    reviewLink: '\n🔍 *Разбор по репликам:* /review {id}',
+    cannotAnalyze: 'Анализировать можно только завершенную сессию без анализа',
+    error: 'Ошибка при работе с историей сессий',
+    sessionTitle: '*📂 Сессия #{id}:* {patient}',
+    sessionDetails: '📅 {date} | ⏱️ {duration} мин | {status}{rating}',
+    notes: '📝 _Заметки:_ {notes}',
+    endReason: '⏹ Завершена {reason}',
+    modality: '🧭 Подход: {modality}',
+    transcriptPage: '💬 Транскрипт, стр. {page}/{pages}',
+    noMessages: '_В этой сессии нет сообщений._',
+    therapist: '🧑‍⚕️ *Терапевт:*',
+    analysis: '🎓 Анализ супервизора',
+    review: '🔍 Разбор реплик',
+    analyze: '🎓 Проанализировать',
+    continue: '🔄 Продолжить',
+    newWeek: '📅 Новая неделя',
+    notesButton: '📝 Заметки',
+    toList: '⬅️ К списку сессий'
+  },
+
+  continue: {
+    continued: 'Сессия продолжена',
+    continuedMessage: '🔄 *Сессия продолжена*\n\n' +
+      '👤 *Пациент:* {patient}\n' +
+      '💬 *Сообщений:* {messages}\n\n' +
+      '💭 Продолжайте беседу с пациентом...\n' +
+      '⏹️ *Завершить:* /end',
+    none: '❌ Нет активной сессии для продолжения.\n\nСоздайте нового пациента командой /new',
+    current: '🔄 *Продолжение сессии*\n\n' +
+      '👤 *Пациент:* {patient}\n' +
+      '💬 *Сообщений:* {messages}\n' +
+      '⏱️ *Время сессии:* {minutes} мин\n\n' +
+      '💭 Продолжайте беседу с пациентом...\n' +
+      '⏹️ *Завершить:* /end',
+    failed: '❌ Ошибка при продолжении сессии.'
+  },
+
+  newWeek: {
+    started: 'Новая встреча началась!',
+    message: '📅 *Прошла неделя*\n\n' +
+      '👤 {patient} пришел(а) на следующую встречу и помнит прошлую сессию.',
+    greeting: 'Здравствуйте! Как прошла ваша неделя?'
+  },
+
+  stats: {
+    failed: '❌ Не удалось загрузить статистику.',
+    loadFailed: '❌ Ошибка при загрузке статистики.',
+    title: '*📊 Ваша статистика*',
+    overview: '🎯 *Общие показатели:*\n' +
+      '• Всего сессий: {total}\n' +
+      '• Завершено: {completed} ({rate}%)\n' +
+      '• Средний рейтинг: {rating}/10\n' +
+      '• Среднее время сессии: {minutes} мин',
+    skills: '🎨 *Навыки терапевта:*',
+    skillsLegend: '_Уровень - взвешенная оценка супервизора (последние сессии важнее), стрелка - динамика за {window} сессии._',
+    noScores: 'нет оценок',
+    confidence: '(достоверность {percent}%)',
+    achievements: '🏆 *Достижения ({count}):*',
+    practice: '📈 *Продолжайте практиковаться!* /new',
+    modalities: '🧭 *По подходам:*',
+    modalityLine: '• {modality}: сессий {sessions}, средний рейтинг {rating}',
+    modalityFidelity: ', верность подходу {level}%',
+    modalityHint: '_Навыки по одному подходу: /stats <код> ({codes})_',
+    modalitySkills: '🎨 *Навыки терапевта ({modality}):*',
+    modalityEmpty: '_В этом подходе пока нет сессий с анализом._',
+    unknownModality: '❓ Неизвестный подход. Доступные коды: {codes}',
+    safety: '🆘 Кризисные сессии: {sessions}, протокол безопасности в среднем {score}'
+  },
+
+  analysis: {
+    none: '❌ Нет завершенных сессий для анализа.\n\n' +
+      'Завершите сессию командой /end, чтобы получить анализ.',
+    failed: '❌ Ошибка при анализе сессии. Попробуйте позже.',
+    inProgress: '🔍 Анализирую сессию...\n⏱️ Это займет около минуты.',
+    invalid: '⚠️ Супервизор вернул анализ в некорректном формате, он не засчитан в статистику.\n\n' +
+      'Попробуйте /analyze еще раз.',
+    title: '*🎓 Анализ сессии от AI-супервизора*',
+    rating: '⭐ *Общий рейтинг:* {rating}/10',
+    hintsUsed: '🤫 Подсказок супервизора в сессии: {count} (учтены в оценке)',
+    strengths: '✅ *Сильные стороны:*',
+    improvements: '📈 *Области для развития:*',
+    recommendations: '💡 *Рекомендации:*',
+    fidelity: '🧭 *Верность подходу ({modality}):* {score}/10',
+    safety: '🆘 *Протокол безопасности ({scenario}):* {score}%',
+    missedSignals: '*Пропущенные сигналы риска:*',
+    safetyNote: '_В реальной практике следуйте кризисному протоколу своей организации и обсудите случай с супервизором._'
+  },
+
+  review: {
+    invalidNumber: '❌ Укажите номер сессии, например: /review 12',
+    none: '❌ Нет сессий с анализом супервизора.\n\n' +
+      'Завершите сессию командой /end и получите анализ через /analyze.',
+    notFound: '❌ Сессия не найдена.',
+    failed: '❌ Ошибка при загрузке разбора сессии.',
+    title: '*🔍 Разбор сессии:* {patient}',
+    details: '📅 {date}{rating} | стр. {page}/{pages}',
+    notAnalyzed: '_Анализа супервизора еще нет - запросите его командой /analyze._',
+    alternative: '   💡 _Альтернатива:_ {text}'
+  },
+
+  end: {
+    none: '❌ У вас нет активной сессии.\n\n' +
+      'Создайте пациента командой /new для начала новой сессии.',
+    ending: '⏹️ Завершаю сессию...',
+    summary: '✅ *Сессия завершена!*\n\n' +
+      '👤 *Пациент:* {patient}\n' +
+      '⏱️ *Длительность:* {duration} мин\n' +
+      '💬 *Сообщений:* {messages}',
+    chart: '📈 *Динамика клиента:*',
+    nextSteps: '🎓 *Получить анализ:* /analyze\n🆕 *Новый пациент:* /new',
+    addNotes: '📝 Добавить заметки',
+    failed: '❌ Ошибка при завершении сессии.'
+  },
+
+  info: {
+    none: '❌ Нет активной сессии.\n\nСоздайте пациента командой /new',
+    title: '*ℹ️ Информация о пациенте*',
+    patient: '👤 *{name}*, {age} лет',
+    problem: '🎭 *Основная проблема:*\n{problem}',
+    background: '📖 *Биография:*\n{background}',
+    traits: '🧠 *Ключевые черты:*',
+    failed: '❌ Ошибка при загрузке информации о пациенте.'
+  },
+
+  leaderboard: {
+    empty: '🏆 Рейтинг пока пуст.\n\nБудьте первым, кто завершит сессию!',
+    title: '*🏆 Рейтинг терапевтов*',
+    row: '   ⭐ {rating} | 🗣️ {sessions} сессий | ⏱️ {hours}ч',
+    footer: '📈 *Ваша статистика:* /stats',
+    failed: '❌ Ошибка при загрузке рейтинга.'
+  },
+
+  settings: {
+    title: '⚙️ *Настройки ПсихоТренер*',
+    nonverbal: '🎭 *Невербалика:* {status}\n' +
+      'Отображение действий пациента (*вздохнула*, *отвернулась*)',
+    nonverbalOn: '✅ Включена',
+    nonverbalOff: '❌ Выключена',
+    voice: '🎤 *Голосовое общение:* {status}\n' +
+      'Общение с пациентом голосовыми сообщениями',
+    voiceOn: '✅ Включено',
+    voiceInDevelopment: '🚧 В разработке',
+    language: '🌐 *Язык:* {language}\n' +
+      'Язык бота, пациентов и супервизора',
+    modality: '🧭 *Подход:* {modality}\n' +
+      'Критерии супервизора, подсказки в сессии и подбор пациентов',
+    autoHints: '🤫 *Автоподсказки:* {status}\n' +
+      'Подсказки супервизора по ходу сессии каждые несколько реплик',
+    autoHintsOn: '✅ Включены',
+    autoHintsOff: '❌ Выключены',
+    hint: '💡 *Изменить настройки через кнопки ниже*',
+    disableNonverbal: '🎭 Выключить невербалику',
+    enableNonverbal: '🎭 Включить невербалику',
+    enableAutoHints: '🤫 Включить автоподсказки',
+    disableAutoHints: '🤫 Выключить автоподсказки',
+    voiceButton: '🎤 Голосовое общение (в разработке)',
+    languageButton: '🌐 Изменить язык',
+    modalityButton: '🧭 Изменить подход',
+    close: '🔙 Главное меню',
+    failed: '❌ Ошибка при загрузке настроек.',
+    userNotFound: '❌ Пользователь не найден.',
+    closed: '✅ Настройки закрыты. Используйте /help для списка команд.',
+    nonverbalEnabled: '✅ Невербалика включена!',
+    nonverbalDisabled: '✅ Невербалика выключена!',
+    autoHintsEnabled: '✅ Автоподсказки включены!',
+    autoHintsDisabled: '✅ Автоподсказки выключены!',
+    updateFailed: '❌ Ошибка при обновлении настройки.',
+    voiceComingSoon: '🚧 Голосовое общение находится в разработке.\n\n' +
+      'Скоро будет доступна возможность общения с AI-пациентами голосовыми сообщениями!',
+    callbackFailed: '❌ Ошибка при обработке настройки.',
+    languagePrompt: '🌐 *Выберите язык интерфейса:*',
+    languageHint: 'Выберите язык кнопкой или напишите его код: {codes}.',
+    languageChanged: '✅ Язык переключен на русский. Пациенты и супервизор тоже будут говорить по-русски.'
+  },
+
+  message: {
+    error: '❌ Произошла ошибка при обработке сообщения. Попробуйте еще раз.',
+    noSession: `❓ *У вас нет активной сессии*
+
+Чтобы начать работу с пациентом:
+🆕 /new - Создать случайного пациента
+🎨 /custom - Собрать пациента по параметрам
+👥 /patients - Посмотреть существующих пациентов
+📚 /templates - Взять готовый случай из библиотеки
+
+💡 *Подсказка:* Начните с команды /new для создания вашего первого AI-пациента!`,
+    empty: '💬 Напишите сообщение для передачи пациенту.',
+    tooLong: '📝 Сообщение слишком длинное. Максимум 1000 символов.',
+    thinking: '🤔 Пациент задумался... Попробуйте переформулировать вопрос.',
+    sessionInfo: '⏱️ _Сессия идет {minutes} мин | Сообщений: {messages}_',
+    voice: '🎙️ Голосовые сообщения пока не поддерживаются.\n\n' +
+      'Напишите текстовое сообщение для продолжения сессии.',
+    media: '📎 Медиафайлы пока не поддерживаются.\n\n' +
+      'Используйте текстовые сообщения для общения с пациентом.'
+  },
+
+  turn: {
+    rateLimit: '⏳ Слишком много запросов, подождите немного.',
+    apiError: '🔧 Временные проблемы с AI.',
+    retryAfter: ' Сервис снова будет доступен примерно через {seconds} с.',
+    failed: '❌ Ошибка при обработке сообщения.',
+    tryAgain: '{error} Попробуйте еще раз.',
+    pending: '{error}\n\nВаше сообщение сохранено - нажмите «🔁 Повторить», чтобы получить ответ пациента.',
+    retry: '🔁 Повторить',
+    inProgress: 'Ответ пациента уже готовится.',
+    inactive: 'Сессия уже не активна.',
+    answered: 'Пациент уже ответил на это сообщение.',
+    retrying: 'Повторяю запрос...'
+  },
+
+  reminders: {
+    5: '💡 *Совет:* Используйте открытые вопросы для исследования проблемы.',
+    10: '🎯 *Подсказка:* Попробуйте отразить эмоции пациента.',
+    15: '⏰ *Напоминание:* Не забывайте о целях сессии. Завершить: /end',
+    20: '🔍 *Совет:* Возможно, стоит подвести промежуточные итоги.',
+    25: '⚡ *Подсказка:* Длинная сессия - хорошо, но не забывайте о завершении: /end'
+  },
+
+  inactivity: {
+    warning: `⚠️ *Предупреждение о неактивности*
+
+Ваша сессия с пациентом *{patient}* неактивна уже 5 минут.
+
+Что вы хотите сделать?`,
+    continue: '✅ Продолжить сессию',
+    pause: '⏸️ Пауза на {minutes} мин',
+    end: '🛑 Завершить сессию',
+    ended: `🕐 *Сессия завершена автоматически*
+
+Ваша сессия с пациентом *{patient}* была завершена из-за неактивности (более 10 минут).
+
+📊 Статистика сессии:
+• Длительность: {duration} мин
+• Сообщений: {messages}
+
+💡 Вы можете:
+🆕 /new - Начать новую сессию
+📋 /sessions - Посмотреть историю сессий`,
+    callbackError: '❌ Произошла ошибка при обработке действия. Попробуйте еще раз.',
+    continued: '✅ *Сессия продолжена*\n\nВы можете продолжить общение с пациентом.',
+    notFound: '❌ Сессия не найдена или уже завершена.',
+    continueFailed: '❌ Ошибка при продолжении сессии.',
+    paused: '⏸️ *Сессия приостановлена на {minutes} минут*\n\n' +
+      'Напоминание о продолжении придет автоматически.',
+    pauseFailed: '❌ Ошибка при приостановке сессии.',
+    endedByUser: `🛑 *Сессия завершена*
+
+📊 Статистика:
+• Длительность: {duration} мин
+• Сообщений: {messages}
+{chart}
+💡 Доступные действия:
+🆕 /new - Начать новую сессию
+📊 /analyze {sessionId} - Анализ завершенной сессии
+📋 /sessions - История сессий`,
+    chart: '\n📈 Динамика клиента:\n```\n{chart}\n```\n',
+    endFailed: '❌ Ошибка при завершении сессии.'
+  },
+
+  card: {
+    notFound: '❌ Пациент с ID {id} не найден.\n\nСписок ваших пациентов: /patients',
+    title: '*🗂 Карточка пациента #{id}*',
+    patient: '👤 {name}, {age} лет, {gender}',
+    created: '📅 Создан: {date}',
+    seed: '🎲 Seed: `{seed}`',
+    seedRepeat: ' (повторить: /new {seed})',
+    stats: '📊 *Статистика:*\n' +
+      '• Сессий: {total} (завершено {completed})\n' +
+      '• Средняя длительность: {duration} мин\n' +
+      '• Сообщений: {messages}',
+    lastSession: '• Последняя сессия: {date}',
+    inSession: '🔄 *Сессия с этим пациентом идет сейчас.*',
+    firstMeeting: '📞 Первая встреча',
+    newMeeting: '🆕 Новая встреча',
+    restore: '🔄 Восстановить',
+    caseFile: '🧾 Карта случая',
+    profile: '📖 Профиль',
+    toTemplates: '📚 В шаблоны',
+    archive: '🗄 В архив',
+    failed: '❌ Ошибка при загрузке карточки пациента.'
+  },
+
+  profile: {
+    title: '*📖 Профиль пациента*',
+    patient: '👤 {name}, {age} лет',
+    background: '📖 *Биография:*\n{background}',
+    traits: '🧠 *Ключевые черты:* {traits}',
+    communication: '💬 *Стиль общения:* {style}',
+    defenses: '🛡 *Защиты:* {defenses}',
+    symptoms: '🩺 *Симптомы:* {symptoms}',
+    duration: '⏳ *Длительность:* {duration}',
+    goal: '🎯 *Цель терапии:* {goal}'
+  },
+
+  caseFile: {
+    empty: '🧾 Карта случая {patient} появится после первой завершенной сессии.',
+    title: '*🧾 Карта случая: {patient}*',
+    sessions: 'Сессий учтено: {count}',
+    disclosures: '💬 *Рассказано терапевту:*',
+    homework: '📝 *Домашние задания:*',
+    homeworkItem: '{icon} {task} (сессия {session})',
+    state: '🌡 *Состояние* {icon}',
+    alliance: '🤝 *Альянс:* {quality}/5',
+    openTopics: '📌 *Незакрытые темы:*'
+  },
+
+  patientActions: {
+    unavailable: 'Пациент больше не доступен.',
+    noDialogue: 'С этим пациентом еще не было сессий с диалогом.',
+    noSessions: 'С этим пациентом еще не было сессий.',
+    archiveConfirm: '🗄 Отправить {patient} в архив?\n\n' +
+      'Пациент пропадет из /patients, история сессий сохранится.',
+    archiveButton: '✅ В архив',
+    cancel: '↩️ Отмена',
+    templateConfirm: '📚 Сохранить {patient} как шаблон?\n\n' +
+      'Шаблон появится в /templates у всех пользователей бота: они смогут создать ' +
+      'такого же пациента и экспортировать его. История ваших сессий не публикуется.',
+    saveButton: '✅ Сохранить',
+    archived: 'Пациент отправлен в архив',
+    archiveFailed: 'Не удалось архивировать пациента',
+    archivedMessage: '🗄 {patient} в архиве.\n\nСписок пациентов: /patients',
+    error: 'Ошибка при выполнении действия'
+  },
+
+  modality: {
+    prompt: '🧭 *Терапевтический подход*\n\n' +
+      'Сейчас: *{current}*. Подход задает критерии супервизора, подсказки во время сессии ' +
+      'и подбор новых пациентов.\n\n{descriptions}',
+    descriptions: {
+      general: '• *Общий* - базовые навыки без привязки к школе',
+      cbt: '• *КПТ* - повестка, работа с автоматическими мыслями, домашние задания',
+      mi: '• *МИ* - отражения, речь об изменениях, работа с амбивалентностью (кодирование в духе MITI)',
+      psychodynamic: '• *Психодинамический* - аффект, защиты, паттерны отношений и перенос',
+      person_centred: '• *Клиент-центрированный* - эмпатия, безусловное принятие, конгруэнтность'
+    },
+    hint: 'Выберите подход кнопкой или напишите его код: {codes}.',
+    changed: '✅ Подход: *{modality}*. Он действует для следующих сессий и новых пациентов.',
+    failed: '❌ Не удалось сохранить подход.',
+    checks: {
+      cbt: {
+        agenda: 'Повестка сессии',
+        homework_review: 'Обсуждение домашнего задания',
+        problem_focus: 'Фокус на конкретной проблеме',
+        cognitive_restructuring: 'Работа с автоматическими мыслями',
+        homework_assignment: 'Новое домашнее задание',
+        summary_feedback: 'Итоги и обратная связь'
+      },
+      mi: {
+        reflection_ratio: 'Отражений не меньше, чем вопросов',
+        complex_reflections: 'Сложные отражения (от 40%)',
+        evoking_change_talk: 'Вызывание речи об изменениях',
+        softening_sustain_talk: 'Смягчение речи о сохранении',
+        partnership: 'Партнерство и автономия',
+        no_mi_inconsistent: 'Без советов и конфронтации'
+      },
+      psychodynamic: {
+        affect_focus: 'Фокус на аффекте',
+        defenses: 'Работа с защитами',
+        relational_patterns: 'Паттерны отношений',
+        transference: 'Отношения здесь и сейчас',
+        interpretation_timing: 'Своевременные интерпретации',
+        therapist_stance: 'Нейтральная позиция'
+      },
+      person_centred: {
+        empathic_understanding: 'Эмпатическое понимание',
+        unconditional_regard: 'Безусловное принятие',
+        congruence: 'Конгруэнтность',
+        non_directiveness: 'Недирективность',
+        frame_of_reference: 'Система координат клиента'
+      }
+    },
+    // Replace the general tips of reminders at the same message counts
+    reminders: {
+      cbt: {
+        5: '💡 *КПТ:* Согласуйте с клиентом повестку сессии, если еще не сделали этого.',
+        10: '🎯 *КПТ:* Поймайте автоматическую мысль: «Что промелькнуло у вас в голове в тот момент?»',
+        20: '📝 *КПТ:* Пора договориться о домашнем задании и подвести итоги.'
+      },
+      mi: {
+        5: '💡 *МИ:* На каждый вопрос - хотя бы одно отражение.',
+        10: '🎯 *МИ:* Услышали речь об изменениях? Отразите и усильте ее.',
+        20: '🔍 *МИ:* Подведите итог, собрав вместе доводы клиента за изменение.'
+      },
+      psychodynamic: {
+        5: '💡 *Психодинамика:* Следите за чувствами, которые клиент обходит стороной.',
+        10: '🎯 *Психодинамика:* Этот сюжет уже встречался в других отношениях клиента?',
+        20: '🔍 *Психодинамика:* Что сейчас происходит между клиентом и вами?'
+      },
+      person_centred: {
+        5: '💡 *Клиент-центрированный подход:* Следуйте за клиентом, не направляйте беседу.',
+        10: '🎯 *Клиент-центрированный подход:* Отразите переживание, а не только содержание.',
+        20: '🔍 *Клиент-центрированный подход:* Обойдитесь без советов и оценок - клиент сам найдет решение.'
+      }
+    }
+  },
+
+  crisis: {
+    prompt: '🆘 *Кризисные сценарии*\n\n' +
+      'Пациент постепенно раскроет риск: сначала косвенные сигналы, затем прямое признание. ' +
+      'Супервизор заполнит карту протокола безопасности (распознавание, оценка риска, план безопасности, ' +
+      'подключение помощи) и оценит навык «Кризис-менеджмент».\n\n{descriptions}',
+    descriptions: {
+      suicidal_ideation: '• *Суицидальные мысли* - депрессия, мысли о смерти, доступ к средствам',
+      self_harm: '• *Самоповреждение* - порезы как способ справиться с чувствами',
+      abuse: '• *Домашнее насилие* - контроль и побои партнера, в семье ребенок',
+      random: '• *Случайный* - тип риска не раскрывается заранее'
+    },
+    randomButton: '🎲 Случайный',
+    hint: 'Выберите сценарий кнопкой или напишите его код: {codes}.',
+    unknown: '❓ Неизвестный сценарий. Доступные коды: {codes}',
+    creating: '🔄 Создаю пациента для кризисного сценария...',
+    failed: '❌ Не удалось создать пациента. Попробуйте позже.',
+    checks: {
+      recognition: 'Распознавание сигналов',
+      risk_assessment: 'Оценка риска',
+      safety_planning: 'План безопасности',
+      escalation: 'Подключение помощи'
+    }
+  },
+
+  hint: {
+    manual: '🤫 *Супервизор шепчет:*\n{hint}',
+    auto: '🤫 *Автоподсказка супервизора:*\n{hint}',
+    repeated: '🤫 *Супервизор шепчет:*\n{hint}\n\n_С последней подсказки в сессии ничего не изменилось. Новая будет после следующей реплики._',
+    noSession: '❌ Подсказки доступны только во время сессии.\n\nНачните сессию с пациентом через /patients.',
+    failed: '❌ Не удалось получить подсказку. Попробуйте позже.',
+    autoEnabled: '✅ Автоподсказки включены: супервизор будет подсказывать каждые {interval} ваших реплики.',
+    autoDisabled: '✅ Автоподсказки выключены. Подсказку всегда можно попросить командой /hint.',
+    usage: '❓ Используйте /hint во время сессии, /hint on или /hint off для автоподсказок.'
+  },
+
+  undo: {
+    noSession: '❌ Отменять реплики можно только во время сессии.',
+    nothing: '❌ В этой сессии пока нечего отменять.',
+    inProgress: '⏳ Пациент еще отвечает. Дождитесь ответа и повторите /undo.',
+    invalidCount: '❓ Укажите число обменов, например: /undo 2',
+    done: '↩️ Отменено обменов: {count}. Пациент вернулся в состояние до них.\n' +
+      'Исходный вариант сохранен, сравнить реакции пациента: /branches',
+    failed: '❌ Не удалось отменить реплику. Попробуйте позже.'
+  },
+
+  branches: {
+    noSession: '❌ Ветки доступны во время сессии. Чтобы попробовать другую реплику, используйте /undo.',
+    title: '🌿 *Ветки сессии с {patient}*',
+    none: 'Пока в сессии одна линия. Используйте /undo, чтобы отменить обмен и попробовать другую реплику: исходный вариант сохранится.',
+    main: 'Основная линия',
+    branch: 'Вариант {number}',
+    item: '• *{name}*{fork} - сообщений: {messages}{current}',
+    fork: ', другая реплика №{turn}',
+    current: ' ✅ текущая',
+    hint: 'Кнопками можно продолжить другую ветку или сравнить, как пациент отреагировал на разные реплики в одной точке.',
+    switchButton: '↪️ Продолжить: {name}',
+    compareButton: '⚖️ Сравнить реплику №{turn}',
+    switched: '↪️ Сессия продолжается в ветке «{name}».',
+    lastPatientMessage: '👤 *{patient}* последним сказал(а):\n_{text}_\n\nНапишите следующую реплику.',
+    next: 'Напишите следующую реплику.',
+    inactive: 'Эта сессия или ветка уже недоступна.',
+    failed: '❌ Ошибка при загрузке веток сессии.',
+    compareTitle: '⚖️ *Варианты реплики №{turn}*',
+    compareContext: '👤 Перед этим пациент сказал(а):\n_{text}_',
+    compareStart: 'Варианты начала сессии.',
+    alternative: '*{name}*{current}',
+    noReply: '👤 _ответа нет_',
+    more: '…и еще вариантов: {count}',
+    compareNone: 'В этой точке пока нет другого варианта с ответом пациента.',
+    compareFailed: '❌ Не удалось сравнить варианты.'
+  },
+
+  labels: {
+    gender: {
+      male: 'мужчина',
+      female: 'женщина',
+      other: 'другое'
+    },
+    templateSource: {
+      curated: '📌 Курируемый',
+      user: '👤 Пользовательский',
+      import: '📥 Импортирован'
+    },
+    sessionStatus: {
+      completed: '✅ Завершена',
+      active: '🔄 Активна',
+      paused: '⏸ На паузе',
+      cancelled: '❌ Прервана'
+    },
+    purpose: {
+      patient_turn: 'Реплики пациента',
+      generation: 'Генерация пациентов',
+      analysis: 'Анализ супервизора',
+      case_file: 'Карты случая',
+      summary: 'Конспекты сессий',
+      hint: 'Подсказки в сессии',
+      default: 'Прочее'
+    },
+    intervention: {
+      open_question: 'Открытый вопрос',
+      closed_question: 'Закрытый вопрос',
+      reflection: 'Отражение',
+      summary: 'Резюмирование',
+      interpretation: 'Интерпретация',
+      advice_giving: 'Совет',
+      other: 'Другое'
+    },
+    skill: {
+      active_listening: 'Активное слушание',
+      empathy: 'Эмпатия',
+      questioning_techniques: 'Техники вопросов',
+      intervention_skills: 'Интервенции',
+      boundary_setting: 'Границы',
+      crisis_management: 'Кризис-менеджмент'
+    },
+    stateDimension: {
+      distress: 'Дистресс',
+      trust: 'Доверие',
+      openness: 'Открытость',
+      resistance: 'Сопротивление'
+    },
+    modality: {
+      general: 'Общий',
+      cbt: 'КПТ',
+      mi: 'Мотивационное интервьюирование',
+      psychodynamic: 'Психодинамический',
+      person_centred: 'Клиент-центрированный'
+    },
+    crisis: {
+      suicidal_ideation: 'Суицидальные мысли',
+      self_harm: 'Самоповреждение',
+      abuse: 'Домашнее насилие'
+    },
+    endReason: {
+      inactivity: 'после 10 минут без активности',
+      inactivity_warning: 'кнопкой в предупреждении о неактивности',
+      new_patient: 'при создании нового пациента',
+      other_session_continued: 'при продолжении другой сессии',
+      new_week: 'при начале новой недели',
+      patient_archived: 'при архивации пациента'
+    },
+    achievement: {
+      first_session: 'Первая сессия',
+      session_master: 'Мастер сессий',
+      session_expert: 'Эксперт сессий',
+      high_performer: 'Высокие результаты',
+      consistent_performer: 'Стабильные результаты'
+    }
+  }
+};
@@ -0,0 +1,28 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+// Anthropic Messages API provider (native request/response format)
+export class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.client = new Anthropic({
+      apiKey: options.apiKey,
+      maxRetries: 0 // ClaudeService retries with backoff behind a circuit breaker
+    });
+    this.headers = {
+      'anthropic-beta': 'prompt-caching-2024-07-31'
+    };
+  }
+
+  async createMessage(params) {
+    return this.client.messages.create(params, { headers: this.headers });
+  }
+
+  // onText receives the accumulated text snapshot
+  async streamMessage(params, onText) {
+    const stream = this.client.messages.stream(params, { headers: this.headers });
+    stream.on('text', (textDelta, textSnapshot) => onText(textSnapshot));
+    return stream.finalMessage();
+  }
+}
+
+export default AnthropicProvider;
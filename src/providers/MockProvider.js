@@ -0,0 +1,122 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'mock.json');
+
+// Deterministic offline provider backed by a fixture file.
+//
+// Fixtures map a request purpose (generation, analysis, patient_turn, ...) to
+// a list of rules: { "match": "regex", "response": "text or JSON object" }.
+// The first rule whose regex matches the last user message wins; otherwise a
+// rule without "match" is picked by a stable hash of the conversation, so the
+// same input always yields the same output.
+export class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.fixturesPath = options.mockFixtures || DEFAULT_FIXTURES_PATH;
+    this.fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf-8'));
+    this.model = 'mock-model';
+    this.calls = []; // Recorded requests, handy for assertions
+    this.failures = []; // Errors for the next calls, see failNext()
+  }
+
+  // Simulates an API outage: the next `count` calls fail with an HTTP status
+  failNext(count = 1, status = 529, headers = {}) {
+    for (let i = 0; i < count; i++) {
+      this.failures.push({ status, headers });
+    }
+  }
+
+  getLastUserText(messages = []) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    if (!lastUser) {
+      return '';
+    }
+
+    return Array.isArray(lastUser.content) ?
+      lastUser.content.map(block => block.text || '').join('\n') :
+      lastUser.content;
+  }
+
+  selectResponse(params, purpose) {
+    const rules = this.fixtures[purpose] || this.fixtures.default || [];
+    const lastUserText = this.getLastUserText(params.messages);
+
+    const matched = rules.find(rule => rule.match && new RegExp(rule.match, 'i').test(lastUserText));
+    if (matched) {
+      return matched.response;
+    }
+
+    const fallbacks = rules.filter(rule => !rule.match);
+    if (fallbacks.length === 0) {
+      throw new Error(`No mock fixture for purpose "${purpose}"`);
+    }
+
+    const digest = crypto.createHash('sha256')
+      .update(JSON.stringify(params.messages))
+      .digest();
+    return fallbacks[digest.readUInt32BE(0) % fallbacks.length].response;
+  }
+
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  async createMessage(params, context = {}) {
+    const purpose = context.purpose || 'default';
+
+    const failure = this.failures.shift();
+    if (failure) {
+      const error = new Error(`Mock API error ${failure.status}`);
+      error.status = failure.status;
+      error.headers = failure.headers;
+      throw error;
+    }
+
+    const response = this.selectResponse(params, purpose);
+    const text = typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+
+    const systemText = Array.isArray(params.system) ?
+      params.system.map(block => block.text).join('\n') :
+      (params.system || '');
+    const inputText = systemText + (params.messages || []).map(message =>
+      typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+    ).join('\n');
+
+    this.calls.push({ purpose, params });
+
+    return {
+      role: 'assistant',
+      model: this.model,
+      content: [{ type: 'text', text }],
+      usage: {
+        input_tokens: this.estimateTokens(inputText),
+        output_tokens: this.estimateTokens(text),
+        cache_read_input_tokens: 0,
+        cache_creation_input_tokens: 0
+      }
+    };
+  }
+
+  // Emits the fixture word by word to exercise the streaming path
+  async streamMessage(params, onText, context = {}) {
+    const message = await this.createMessage(params, context);
+    const words = message.content[0].text.split(/(\s+)/);
+
+    let snapshot = '';
+    for (const word of words) {
+      snapshot += word;
+      onText(snapshot);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return message;
+  }
+}
+
+export default MockProvider;
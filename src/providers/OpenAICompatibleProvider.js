@@ -0,0 +1,156 @@
+// Provider for OpenAI-compatible /chat/completions endpoints (OpenAI, vLLM,
+// Ollama, LM Studio, OpenRouter...). Requests arrive in Anthropic format and
+// responses are normalized back to the Anthropic message shape. A context
+// seed is forwarded as the "seed" sampling parameter.
+export class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('LLM_BASE_URL is required for the OpenAI-compatible provider');
+    }
+
+    this.name = 'openai';
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.apiKey = options.providerApiKey || null;
+    this.timeoutMs = options.timeoutMs || 60000;
+  }
+
+  buildBody(params, stream = false, context = {}) {
+    const messages = [];
+
+    // Anthropic system blocks (with cache_control) collapse into one system message
+    if (params.system) {
+      const systemText = Array.isArray(params.system) ?
+        params.system.map(block => block.text).join('\n\n') :
+        params.system;
+      messages.push({ role: 'system', content: systemText });
+    }
+
+    for (const message of params.messages || []) {
+      messages.push({
+        role: message.role,
+        content: Array.isArray(message.content) ?
+          message.content.map(block => block.text || '').join('\n') :
+          message.content
+      });
+    }
+
+    const body = {
+      model: params.model,
+      max_tokens: params.max_tokens,
+      temperature: params.temperature,
+      messages
+    };
+
+    if (context.seed) {
+      body.seed = context.seed;
+    }
+
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+
+    return body;
+  }
+
+  async request(body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      const error = new Error(`OpenAI-compatible API error ${response.status}: ${errorText.substring(0, 200)}`);
+      error.status = response.status;
+      error.headers = Object.fromEntries(response.headers.entries());
+      throw error;
+    }
+
+    return response;
+  }
+
+  normalizeUsage(usage = {}) {
+    const cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
+
+    return {
+      input_tokens: Math.max((usage.prompt_tokens || 0) - cachedTokens, 0),
+      output_tokens: usage.completion_tokens || 0,
+      cache_read_input_tokens: cachedTokens,
+      cache_creation_input_tokens: 0
+    };
+  }
+
+  normalizeMessage(text, model, usage) {
+    return {
+      role: 'assistant',
+      model,
+      content: [{ type: 'text', text }],
+      usage: this.normalizeUsage(usage)
+    };
+  }
+
+  async createMessage(params, context = {}) {
+    const response = await this.request(this.buildBody(params, false, context));
+    const data = await response.json();
+
+    return this.normalizeMessage(
+      data.choices?.[0]?.message?.content || '',
+      data.model || params.model,
+      data.usage
+    );
+  }
+
+  // Parses the server-sent events stream; onText receives the accumulated text
+  async streamMessage(params, onText, context = {}) {
+    const response = await this.request(this.buildBody(params, true, context));
+    const decoder = new TextDecoder();
+
+    let buffer = '';
+    let text = '';
+    let model = params.model;
+    let usage = {};
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) {
+          continue;
+        }
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') {
+          continue;
+        }
+
+        const event = JSON.parse(payload);
+        model = event.model || model;
+        if (event.usage) {
+          usage = event.usage;
+        }
+
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onText(text);
+        }
+      }
+    }
+
+    return this.normalizeMessage(text, model, usage);
+  }
+}
+
+export default OpenAICompatibleProvider;
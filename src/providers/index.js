@@ -0,0 +1,30 @@
+import { AnthropicProvider } from './AnthropicProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { MockProvider } from './MockProvider.js';
+
+// LLM provider interface used by ClaudeService:
+//   name                                       - provider id for logs
+//   createMessage(params, context)             - returns an Anthropic-shaped message
+//   streamMessage(params, onText, context)     - same, calling onText(textSnapshot) while generating
+// params use the Anthropic Messages format; context carries { purpose, seed, attempt }
+// (seed: optional sampling seed, ignored by providers without seeded sampling;
+// attempt: 1-based retry attempt). Errors carry the HTTP status and headers
+// (for Retry-After); providers do not retry themselves.
+const providers = {
+  anthropic: AnthropicProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+export function createProvider(options = {}) {
+  const name = options.provider || 'anthropic';
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name}. Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new Provider(options);
+}
+
+export { AnthropicProvider, OpenAICompatibleProvider, MockProvider };
@@ -0,0 +1,208 @@
+import http from 'http';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+const MAX_BODY_BYTES = 1024 * 1024; // Telegram updates are far smaller
+
+// Renders [{ name, help, type, value, labels }] in the Prometheus text format.
+// Samples sharing a name are grouped under one HELP/TYPE header.
+export function formatPrometheus(metrics) {
+  const groups = new Map();
+
+  for (const metric of metrics) {
+    if (metric.value === null || metric.value === undefined || Number.isNaN(metric.value)) {
+      continue;
+    }
+
+    if (!groups.has(metric.name)) {
+      groups.set(metric.name, [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type || 'gauge'}`
+      ]);
+    }
+
+    const labels = Object.entries(metric.labels || {})
+      .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+      .join(',');
+
+    groups.get(metric.name).push(`${metric.name}${labels ? `{${labels}}` : ''} ${Number(metric.value)}`);
+  }
+
+  return [...groups.values()].flat().join('\n') + '\n';
+}
+
+// Embedded HTTP server: Telegram webhook endpoint plus /healthz and /metrics
+// for monitoring. Webhook requests must carry the secret token registered
+// with setWebHook in the X-Telegram-Bot-Api-Secret-Token header.
+class HttpServer {
+  constructor({ host, port, webhookPath = null, secretToken = null, onUpdate = null, healthCheck, collectMetrics }) {
+    this.host = host;
+    this.port = port;
+    this.webhookPath = webhookPath;
+    this.secretToken = secretToken;
+    this.onUpdate = onUpdate;
+    this.healthCheck = healthCheck;
+    this.collectMetrics = collectMetrics;
+    this.server = null;
+    this.webhookStats = { accepted: 0, rejected: 0, invalid: 0 };
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handleRequest(req, res).catch(error => {
+          logger.error('HTTP request handling error', { error: error.message, url: req.url });
+          if (!res.headersSent) {
+            this.send(res, 500, { error: 'Internal server error' });
+          }
+        });
+      });
+
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        logger.info('HTTP server listening', {
+          host: this.host,
+          port: this.server.address().port,
+          webhook: Boolean(this.webhookPath)
+        });
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        logger.info('HTTP server stopped');
+        resolve();
+      });
+      this.server.closeIdleConnections?.();
+      this.server = null;
+    });
+  }
+
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (this.webhookPath && pathname === this.webhookPath) {
+      if (req.method !== 'POST') {
+        return this.send(res, 405, { error: 'Method not allowed' });
+      }
+      return this.handleWebhook(req, res);
+    }
+
+    if (req.method !== 'GET') {
+      return this.send(res, 405, { error: 'Method not allowed' });
+    }
+
+    if (pathname === '/healthz') {
+      return this.handleHealth(res);
+    }
+
+    if (pathname === '/metrics') {
+      return this.handleMetrics(res);
+    }
+
+    return this.send(res, 404, { error: 'Not found' });
+  }
+
+  async handleWebhook(req, res) {
+    if (!this.verifySecretToken(req.headers['x-telegram-bot-api-secret-token'])) {
+      this.webhookStats.rejected++;
+      logger.warn('Rejected webhook request with invalid secret token', {
+        ip: req.socket.remoteAddress
+      });
+      req.resume();
+      return this.send(res, 401, { error: 'Unauthorized' });
+    }
+
+    let update;
+    try {
+      update = JSON.parse(await this.readBody(req));
+    } catch (error) {
+      this.webhookStats.invalid++;
+      logger.warn('Invalid webhook payload', { error: error.message });
+
+      if (error.statusCode === 413) {
+        // The rest of the body is never read: answer first, then drop the connection
+        res.once('finish', () => req.destroy());
+        res.setHeader('Connection', 'close');
+        return this.send(res, 413, { error: 'Payload too large' });
+      }
+      return this.send(res, 400, { error: 'Invalid payload' });
+    }
+
+    this.webhookStats.accepted++;
+
+    // Answer Telegram right away; handlers run asynchronously
+    this.send(res, 200, { ok: true });
+    this.onUpdate(update);
+  }
+
+  async handleHealth(res) {
+    const health = await this.healthCheck();
+    return this.send(res, health.status === 'healthy' ? 200 : 503, health);
+  }
+
+  async handleMetrics(res) {
+    const metrics = await this.collectMetrics();
+
+    for (const [result, value] of Object.entries(this.webhookStats)) {
+      metrics.push({
+        name: 'psycho_trainer_webhook_updates_total',
+        help: 'Webhook requests received, by result',
+        type: 'counter',
+        labels: { result },
+        value
+      });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(formatPrometheus(metrics));
+  }
+
+  // Constant-time comparison; without a configured token every request is rejected
+  verifySecretToken(token) {
+    if (!this.secretToken || typeof token !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.secretToken);
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          const error = new Error('Payload too large');
+          error.statusCode = 413;
+          req.removeAllListeners('data');
+          req.pause();
+          reject(error);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+      req.on('error', reject);
+    });
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+export default HttpServer;
@@ -0,0 +1,181 @@
+import dbManager from '../database/Database.js';
+import logger from '../utils/logger.js';
+import securityManager from '../utils/security.js';
+import { buildLineFilter, getLineSegments } from '../utils/sessionBranches.js';
+
+// Alternative continuations of a session.
+//
+// /undo deletes nothing: the session goes on in a new branch forked before
+// the undone exchange, and the old continuation stays in its line for
+// comparison. sessions.branch_id is the branch the session continues in, and
+// everything that reads the transcript of a session (the patient's context,
+// hints, analysis, review, case file) reads that line. Lines are numbered for
+// the user: 1 is the main line, branches follow in the order they were started.
+class BranchService {
+  async getBranches(sessionId) {
+    return dbManager.all(`
+      SELECT id, parent_branch_id, fork_message_id, created_at
+      FROM session_branches
+      WHERE session_id = ?
+      ORDER BY id ASC
+    `, [sessionId]);
+  }
+
+  async getCurrentBranchId(sessionId) {
+    const row = await dbManager.get(`
+      SELECT branch_id FROM sessions WHERE id = ?
+    `, [sessionId]);
+
+    return row ? row.branch_id : null;
+  }
+
+  async queryLine(sessionId, branches, branchId, columns) {
+    const { clause, params } = buildLineFilter(getLineSegments(branches, branchId));
+
+    return dbManager.all(`
+      SELECT ${columns}
+      FROM messages
+      WHERE session_id = ? AND ${clause}
+      ORDER BY created_at ASC, id ASC
+    `, [sessionId, ...params]);
+  }
+
+  // Messages of a line in order; without branchId the line the session continues in
+  async getLineMessages(sessionId, columns, branchId = undefined) {
+    const branches = await this.getBranches(sessionId);
+    const lineBranchId = branchId === undefined ? await this.getCurrentBranchId(sessionId) : branchId;
+
+    return this.queryLine(sessionId, branches, lineBranchId, columns);
+  }
+
+  // Forks the current line after forkMessageId (null: before the first
+  // message) and continues the session in the new branch
+  async createBranch(sessionId, forkMessageId) {
+    const parentBranchId = await this.getCurrentBranchId(sessionId);
+
+    const result = await dbManager.run(`
+      INSERT INTO session_branches (session_id, parent_branch_id, fork_message_id)
+      VALUES (?, ?, ?)
+    `, [sessionId, parentBranchId, forkMessageId]);
+
+    await this.setCurrentBranch(sessionId, result.lastID);
+
+    logger.info('Session branch created', { sessionId, branchId: result.lastID, parentBranchId, forkMessageId });
+
+    return result.lastID;
+  }
+
+  async setCurrentBranch(sessionId, branchId) {
+    await dbManager.run(`
+      UPDATE sessions SET branch_id = ? WHERE id = ?
+    `, [branchId, sessionId]);
+  }
+
+  // Lines of a session for /branches; turn is the number of the therapist
+  // message a branch replaces (null for the main line)
+  async getSessionBranches(sessionId) {
+    try {
+      const branches = await this.getBranches(sessionId);
+      const currentBranchId = await this.getCurrentBranchId(sessionId);
+      const lines = [];
+
+      for (const [index, branchId] of [null, ...branches.map(branch => branch.id)].entries()) {
+        const messages = await this.queryLine(sessionId, branches, branchId, 'id, sender');
+        const forkId = branchId === null ? null : branches[index - 1].fork_message_id ?? 0;
+
+        lines.push({
+          branchId,
+          number: index + 1,
+          forkMessageId: forkId,
+          turn: forkId === null ? null :
+            messages.filter(message => message.sender === 'therapist' && message.id <= forkId).length + 1,
+          messageCount: messages.length,
+          current: branchId === currentBranchId
+        });
+      }
+
+      return lines;
+    } catch (error) {
+      logger.error('Error fetching session branches', { error: error.message, sessionId });
+      return null;
+    }
+  }
+
+  // The alternatives tried at the fork point of a branch: the line the fork
+  // message was written in and every branch forked after the same message,
+  // each with its therapist message, the patient's state after it and the
+  // patient's answer. Null if the user's session has no such branch.
+  async getAlternatives(sessionId, userId, branchId) {
+    try {
+      const session = await dbManager.get(`
+        SELECT initial_emotional_state FROM sessions WHERE id = ? AND user_id = ?
+      `, [sessionId, userId]);
+      if (!session) {
+        return null;
+      }
+
+      const branches = await this.getBranches(sessionId);
+      const branch = branches.find(item => item.id === branchId);
+      if (!branch) {
+        return null;
+      }
+
+      const forkId = branch.fork_message_id;
+      const shared = forkId === null ? [] : (await this.queryLine(
+        sessionId, branches, branchId, 'id, branch_id, sender, content, emotional_state'
+      )).filter(message => message.id <= forkId);
+      const forkMessage = shared[shared.length - 1] || null;
+
+      // The patient's state at the fork: after the last shared therapist message
+      const lastState = [...shared].reverse().find(message => message.emotional_state);
+      const stateBefore = lastState ? JSON.parse(lastState.emotional_state) :
+        session.initial_emotional_state ? JSON.parse(session.initial_emotional_state) : null;
+
+      const currentBranchId = await this.getCurrentBranchId(sessionId);
+      const alternativeIds = [
+        forkMessage ? forkMessage.branch_id : null,
+        ...branches.filter(item => (item.fork_message_id ?? null) === forkId).map(item => item.id)
+      ];
+
+      const alternatives = [];
+      for (const alternativeId of alternativeIds) {
+        const [first, second] = await dbManager.all(`
+          SELECT sender, content, intervention_type, emotional_state
+          FROM messages
+          WHERE session_id = ? AND branch_id IS ? AND id > ?
+          ORDER BY created_at ASC, id ASC
+          LIMIT 2
+        `, [sessionId, alternativeId, forkId ?? 0]);
+
+        if (!first || first.sender !== 'therapist') {
+          continue;
+        }
+
+        alternatives.push({
+          branchId: alternativeId,
+          number: alternativeId === null ? 1 : branches.findIndex(item => item.id === alternativeId) + 2,
+          current: alternativeId === currentBranchId,
+          therapist: securityManager.decryptField(first.content),
+          interventionType: first.intervention_type,
+          stateAfter: first.emotional_state ? JSON.parse(first.emotional_state) : null,
+          patient: second && second.sender === 'patient' ? securityManager.decryptField(second.content) : null
+        });
+      }
+
+      return {
+        turn: shared.filter(message => message.sender === 'therapist').length + 1,
+        forkMessage: forkMessage && forkMessage.sender === 'patient' ?
+          securityManager.decryptField(forkMessage.content) : null,
+        stateBefore,
+        alternatives
+      };
+    } catch (error) {
+      logger.error('Error comparing session branches', { error: error.message, sessionId, userId, branchId });
+      return null;
+    }
+  }
+}
+
+const branchService = new BranchService();
+
+export default branchService;
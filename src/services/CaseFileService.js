@@ -0,0 +1,263 @@
+import dbManager from '../database/Database.js';
+import claudeService from './ClaudeService.js';
+import userService from './UserService.js';
+import branchService from './BranchService.js';
+import logger from '../utils/logger.js';
+import securityManager from '../utils/security.js';
+import {
+  caseFileSchema,
+  validateAndSanitize,
+  parseJsonObject,
+  ValidationError
+} from '../utils/validation.js';
+import { DEFAULT_LOCALE, t } from '../i18n/index.js';
+
+const HOMEWORK_STATUS_LABELS = {
+  assigned: 'задано',
+  done: 'выполнено',
+  partial: 'выполнено частично',
+  not_done: 'не выполнено'
+};
+
+const TREND_LABELS = {
+  improving: 'улучшение',
+  stable: 'без изменений',
+  worsening: 'ухудшение'
+};
+
+// Longitudinal case file of a patient: what was disclosed, homework, the
+// patient's evolving state and the quality of the therapeutic alliance.
+//
+// After every completed session the model rewrites the file from the previous
+// version and the session transcript (one row per patient in
+// patient_case_files). The file is injected into the patient's system prompt
+// as memory, so sessions weeks apart stay consistent even though only the
+// last session is replayed verbatim.
+class CaseFileService {
+  constructor() {
+    this.updates = new Map(); // Pending updates per patient, chained in session order
+  }
+
+  buildCaseFilePrompt() {
+    return `Ты ведешь карту случая клиента психотерапевта. Обнови карту по итогам очередной сессии.
+
+ФОРМАТ КАРТЫ (JSON):
+{
+  "summary": "общая картина случая и ход терапии на сегодня",
+  "disclosures": [
+    { "session": номер сессии, "content": "что клиент рассказал о себе впервые" }
+  ],
+  "homework": [
+    { "session": номер сессии, "task": "домашнее задание или договоренность", "status": "assigned | done | partial | not_done" }
+  ],
+  "patient_state": {
+    "description": "текущее эмоциональное состояние и симптомы клиента",
+    "trend": "improving | stable | worsening"
+  },
+  "alliance": {
+    "quality": число от 1 до 5,
+    "notes": "доверие, сопротивление, отношение к терапевту"
+  },
+  "open_topics": ["тема, к которой стоит вернуться"]
+}
+
+ПРАВИЛА:
+- Сохраняй все важное из предыдущей версии карты и добавляй новое из этой сессии.
+- В "disclosures" записывай только то, что клиент действительно сказал, не более 40 пунктов; объединяй мелкие.
+- Обновляй статус домашних заданий, если клиент рассказал об их выполнении.
+- "alliance.quality": 1 - контакта нет, 3 - рабочий контакт, 5 - прочный альянс.
+- Пиши от третьего лица, кратко и по фактам.
+Ответ должен содержать только JSON-объект в этом формате, без текста до или после него.`;
+  }
+
+  // Stored case file without waiting for pending updates
+  async loadCaseFile(patientId) {
+    const row = await dbManager.get(`
+      SELECT content, session_ids, updated_at
+      FROM patient_case_files
+      WHERE patient_id = ?
+    `, [patientId]);
+
+    if (!row) {
+      return null;
+    }
+
+    const sessionIds = JSON.parse(row.session_ids);
+    return {
+      ...JSON.parse(securityManager.decryptField(row.content)),
+      sessionIds,
+      sessionsCount: sessionIds.length,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Case file including the sessions whose update is still running
+  async getCaseFile(patientId) {
+    try {
+      await this.updates.get(patientId);
+      return await this.loadCaseFile(patientId);
+    } catch (error) {
+      logger.error('Error fetching case file', { error: error.message, patientId });
+      return null;
+    }
+  }
+
+  async saveCaseFile(patientId, content, sessionIds) {
+    await dbManager.run(`
+      INSERT OR REPLACE INTO patient_case_files
+      (patient_id, content, session_ids, updated_at)
+      VALUES (?, ?, ?, datetime('now'))
+    `, [
+      patientId,
+      securityManager.encryptField(JSON.stringify(content)),
+      JSON.stringify(sessionIds)
+    ]);
+  }
+
+  // Queues the update for a completed session. Updates of one patient run one
+  // after another so every session is merged into the latest file.
+  scheduleUpdate(sessionId, patientId) {
+    const previous = this.updates.get(patientId) || Promise.resolve();
+    const update = previous
+      .then(() => this.updateFromSession(sessionId, patientId))
+      .catch(error => {
+        logger.error('Error updating case file', { error: error.message, sessionId, patientId });
+      })
+      .finally(() => {
+        if (this.updates.get(patientId) === update) {
+          this.updates.delete(patientId);
+        }
+      });
+
+    this.updates.set(patientId, update);
+    return update;
+  }
+
+  // Wait for all pending updates (used on graceful shutdown)
+  async flushUpdates() {
+    await Promise.all([...this.updates.values()]);
+  }
+
+  // Merges the transcript of a session into the case file. Returns the new
+  // file, or null when the session had no dialogue or the answer was invalid
+  // (the previous file is kept then).
+  async updateFromSession(sessionId, patientId) {
+    const messages = await branchService.getLineMessages(sessionId, 'sender, content');
+
+    if (!messages.some(msg => msg.sender === 'therapist')) {
+      return null;
+    }
+
+    const previous = await this.loadCaseFile(patientId);
+    // A reopened session is merged again under its original number
+    const sessionIds = previous ? previous.sessionIds : [];
+    const isRepeat = sessionIds.includes(sessionId);
+    if (!isRepeat) {
+      sessionIds.push(sessionId);
+    }
+    const sessionNumber = sessionIds.indexOf(sessionId) + 1;
+
+    const conversation = messages.map(msg =>
+      `${msg.sender === 'therapist' ? 'Терапевт' : 'Клиент'}: ${securityManager.decryptField(msg.content)}`
+    ).join('\n\n');
+
+    // The case file is written in the language of the session's owner
+    const session = await dbManager.get(`
+      SELECT user_id FROM sessions WHERE id = ?
+    `, [sessionId]);
+    const locale = session ? await userService.getLocale(session.user_id) : DEFAULT_LOCALE;
+
+    const previousContent = previous ?
+      JSON.stringify(this.toContent(previous), null, 2) :
+      'Карты еще нет, это первая сессия.';
+
+    const prompt = `ПРЕДЫДУЩАЯ ВЕРСИЯ КАРТЫ:
+${previousContent}
+
+СЕССИЯ №${sessionNumber}${isRepeat ? ' (продолжение сессии, уже учтенной в карте)' : ''}:
+${conversation}
+
+${this.buildCaseFilePrompt()}
+
+${t(locale, 'prompt.caseFile')}`;
+
+    // Background request: not counted against the user's rate limit, billed
+    // to the owner of the session
+    const response = await claudeService.sendMessage([{ role: 'user', content: prompt }], null, {
+      cacheType: 'analysis',
+      purpose: 'case_file',
+      enableCache: false,
+      ledgerSessionId: sessionId
+    });
+
+    let content;
+    try {
+      content = validateAndSanitize(parseJsonObject(response.content), caseFileSchema);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+
+      logger.warn('Case file update failed validation', {
+        sessionId,
+        patientId,
+        errors: (error.details || []).map(detail => `${detail.field}: ${detail.message}`)
+      });
+      return null;
+    }
+
+    await this.saveCaseFile(patientId, content, sessionIds);
+
+    logger.info('Case file updated', {
+      patientId,
+      sessionId,
+      sessionNumber,
+      disclosures: content.disclosures.length,
+      homework: content.homework.length
+    });
+
+    return { ...content, sessionIds, sessionsCount: sessionIds.length };
+  }
+
+  // Case file fields without the bookkeeping columns
+  toContent(caseFile) {
+    const { sessionIds, sessionsCount, updatedAt, ...content } = caseFile;
+    return content;
+  }
+
+  // Memory block for the patient's system prompt
+  formatForPrompt(caseFile) {
+    if (!caseFile) {
+      return null;
+    }
+
+    const sections = [
+      `КАРТА СЛУЧАЯ (твоя память о прошлых встречах, проведено сессий: ${caseFile.sessionsCount}):`,
+      `Общая картина: ${caseFile.summary}`
+    ];
+
+    if (caseFile.disclosures.length > 0) {
+      sections.push('Что ты уже рассказывал(а) терапевту:\n' +
+        caseFile.disclosures.map(item => `- [сессия ${item.session}] ${item.content}`).join('\n'));
+    }
+
+    if (caseFile.homework.length > 0) {
+      sections.push('Домашние задания и договоренности:\n' +
+        caseFile.homework.map(item => `- [сессия ${item.session}] ${item.task} (${HOMEWORK_STATUS_LABELS[item.status]})`).join('\n'));
+    }
+
+    sections.push(`Твое состояние: ${caseFile.patient_state.description} (динамика: ${TREND_LABELS[caseFile.patient_state.trend]})`);
+    sections.push(`Отношения с терапевтом: ${caseFile.alliance.quality}/5${caseFile.alliance.notes ? ` - ${caseFile.alliance.notes}` : ''}`);
+
+    if (caseFile.open_topics.length > 0) {
+      sections.push('Незакрытые темы:\n' + caseFile.open_topics.map(topic => `- ${topic}`).join('\n'));
+    }
+
+    sections.push('Опирайся на карту: не рассказывай заново как новое то, что терапевт уже знает, помни о домашних заданиях и договоренностях, меняйся постепенно и последовательно.');
+
+    return sections.join('\n\n');
+  }
+}
+
+const caseFileService = new CaseFileService();
+export default caseFileService;
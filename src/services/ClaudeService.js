@@ -1,17 +1,36 @@
-import Anthropic from '@anthropic-ai/sdk';
 import tokenizerPkg from '@anthropic-ai/tokenizer';
 const { getTokenCount } = tokenizerPkg;
 import crypto from 'crypto';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import dbManager from '../database/Database.js';
+import securityManager from '../utils/security.js';
+import costService, { BUDGET_EXEMPT_PURPOSES, BudgetExceededError } from './CostService.js';
+import { createProvider } from '../providers/index.js';
+import { withRetry, isRetryableError, parseRetryAfter, CircuitBreaker } from '../utils/retry.js';
+
+// Failed API call after retries. kind: rate_limit | auth | unavailable |
+// circuit_open | other; retryable errors can be tried again later (the
+// therapist's turn is kept, see SessionService.retryPendingTurn).
+export class ClaudeApiError extends Error {
+  constructor(message, { kind = 'other', status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ClaudeApiError';
+    this.kind = kind;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
 
 class ClaudeService {
-  constructor() {
-    this.client = new Anthropic({
-      apiKey: config.anthropic.apiKey,
-    });
+  constructor(provider = null) {
+    // Anthropic, OpenAI-compatible or offline mock, chosen by config.anthropic.provider
+    this.provider = provider || createProvider(config.anthropic);
     this.rateLimiter = new Map(); // Simple rate limiter
+    this.circuitBreaker = new CircuitBreaker(config.anthropic.circuitBreaker); // Shared by all users
+    this.RECENT_MESSAGES = 6; // Sliding window: messages kept in the messages array
+    this.SUMMARY_THRESHOLD = 30; // Sessions this long get a rolling summary (see SummaryService)
   }
 
   // Generate cache key for requests
@@ -100,14 +119,44 @@ class ClaudeService {
     });
     
     // Strategy 1: Short conversations (1-10 messages) - cache system prompt only
+    // Strategy 2: Long conversations (11+ messages) - use sliding window
+    let result;
     if (messageCount <= 10) {
-      return this.buildSimpleSystemCache(messages, systemPrompt, systemTokens);
+      const prompt = this.appendPatientMemory(systemPrompt, options.patientMemory);
+      result = this.buildSimpleSystemCache(messages, prompt, this.calculateTokens(prompt));
+    } else {
+      result = this.buildSlidingWindowCache(messages, systemPrompt, options);
     }
-    
-    // Strategy 2: Long conversations (11+ messages) - use sliding window
-    return this.buildSlidingWindowCache(messages, systemPrompt, options);
+
+    // The language instruction rides along, so switching languages mid-case
+    // does not invalidate the cache either
+    return this.appendPatientState(result, [options.patientState, options.languageInstruction].filter(Boolean).join('\n\n'));
+  }
+
+  // The per-turn patient state goes into its own block after the cached
+  // system prompt, so changing it every turn keeps the cached prefix intact
+  appendPatientState(result, patientState) {
+    if (!patientState) {
+      return result;
+    }
+
+    return {
+      ...result,
+      system: [...(result.system || []), { type: 'text', text: patientState }]
+    };
   }
   
+  // Adds the patient's case file (see CaseFileService) after the system prompt
+  appendPatientMemory(systemPrompt, patientMemory) {
+    if (!systemPrompt || !patientMemory) {
+      return systemPrompt;
+    }
+
+    return `${systemPrompt}
+
+${patientMemory}`;
+  }
+
   // Determine caching strategy
   determineStrategy(messageCount, systemTokens) {
     if (messageCount <= 10) {
@@ -146,27 +195,31 @@ class ClaudeService {
     return result;
   }
   
-  // Sliding window caching for long conversations
+  // Sliding window caching for long conversations. options.historySummary
+  // ({ text, coveredCount } from SummaryService) replaces the first
+  // coveredCount messages; it changes only when the window advances by a whole
+  // step, so it sits in the cached system block and the verbatim rest of the
+  // window follows in an uncached one.
   buildSlidingWindowCache(messages, systemPrompt, options = {}) {
-    const recentCount = 6; // Keep last 6 messages in messages array
-    const recentMessages = messages.slice(-recentCount);
-    const oldMessages = messages.slice(0, -recentCount);
-    
-    let conversationHistory;
-    
-    // Strategy: if very long conversation (30+ messages), use summarization
-    if (messages.length >= 30) {
-      conversationHistory = this.summarizeConversationHistory(oldMessages);
-      logger.info('Using conversation summarization', { 
-        originalMessages: oldMessages.length,
-        summaryLength: conversationHistory.length 
-      });
-    } else {
-      // Regular sliding window for moderately long conversations
-      conversationHistory = oldMessages.map(msg => 
-        `${msg.role === 'user' ? 'Терапевт' : 'Пациент'}: ${msg.content}`
-      ).join('\n');
+    const recentMessages = messages.slice(-this.RECENT_MESSAGES);
+    const oldMessages = messages.slice(0, -this.RECENT_MESSAGES);
+
+    const { historySummary } = options;
+    const coveredCount = historySummary && historySummary.coveredCount <= oldMessages.length ?
+      historySummary.coveredCount : 0;
+
+    // The case file covers all earlier sessions, the window only the latest ones
+    let cachedPrompt = this.appendPatientMemory(systemPrompt, options.patientMemory);
+    if (coveredCount > 0) {
+      cachedPrompt += `
+
+КРАТКОЕ СОДЕРЖАНИЕ НАЧАЛА ДИАЛОГА:
+${historySummary.text}`;
     }
+
+    const conversationHistory = oldMessages.slice(coveredCount).map(msg => 
+      `${msg.role === 'user' ? 'Терапевт' : 'Пациент'}: ${msg.content}`
+    ).join('\n') || 'Продолжение диалога после краткого содержания выше.';
     
     // Determine session context based on continuation type
     let sessionContext;
@@ -183,15 +236,14 @@ ${conversationHistory}
 ТЕКУЩИЙ ДИАЛОГ ПРОДОЛЖАЕТСЯ:`;
     }
     
-    const enhancedSystemPrompt = `${systemPrompt}
-
-${sessionContext}`;
-    
     const result = {
       system: [{
         type: 'text',
-        text: enhancedSystemPrompt,
+        text: cachedPrompt,
         cache_control: { type: 'ephemeral' }
+      }, {
+        type: 'text',
+        text: sessionContext
       }],
       messages: recentMessages.map(msg => ({
         role: msg.role,
@@ -203,115 +255,23 @@ ${sessionContext}`;
       totalMessages: messages.length,
       oldMessages: oldMessages.length,
       recentMessages: recentMessages.length,
-      enhancedSystemTokens: this.calculateTokens(enhancedSystemPrompt),
-      usedSummarization: messages.length >= 30,
-      isNewWeek: options.isNewWeek || false
+      summarizedMessages: coveredCount,
+      cachedSystemTokens: this.calculateTokens(cachedPrompt),
+      windowTokens: this.calculateTokens(sessionContext),
+      isNewWeek: options.isNewWeek || false,
+      hasPatientMemory: Boolean(options.patientMemory)
     });
     
     return result;
   }
-  
-  // Summarize conversation history for very long sessions
-  summarizeConversationHistory(messages) {
-    if (!messages || messages.length === 0) {
-      return 'Сессия только началась.';
-    }
-    
-    // Group messages into conversation segments
-    const segments = [];
-    let currentSegment = [];
-    
-    for (let i = 0; i < messages.length; i++) {
-      currentSegment.push(messages[i]);
-      
-      // Create segment every 8-10 messages or at natural breaks
-      if (currentSegment.length >= 8 || i === messages.length - 1) {
-        segments.push([...currentSegment]);
-        currentSegment = [];
-      }
-    }
-    
-    // Summarize each segment
-    const summaries = segments.map((segment, index) => {
-      const therapistMessages = segment.filter(m => m.role === 'user');
-      const patientMessages = segment.filter(m => m.role === 'assistant');
-      
-      // Extract key themes and topics
-      const themes = this.extractKeyThemes(segment);
-      const emotions = this.extractEmotions(patientMessages);
-      
-      return `Сегмент ${index + 1}: ${themes}. Эмоциональное состояние: ${emotions}.`;
-    });
-    
-    // Combine all summaries
-    const fullSummary = summaries.join(' ');
-    
-    logger.info('Conversation summarized', { 
-      originalMessages: messages.length,
-      segments: segments.length,
-      summaryLength: fullSummary.length 
-    });
-    
-    return fullSummary;
-  }
-  
-  // Extract key themes from conversation segment
-  extractKeyThemes(messages) {
-    const content = messages.map(m => m.content).join(' ').toLowerCase();
-    
-    // Common therapy themes and keywords
-    const themes = {
-      'работа и стресс': ['работа', 'стресс', 'коллеги', 'начальник', 'проект', 'дедлайн'],
-      'отношения': ['семья', 'партнер', 'друзья', 'отношения', 'любовь', 'конфликт'],
-      'эмоции': ['тревога', 'депрессия', 'злость', 'страх', 'радость', 'грусть'],
-      'здоровье': ['сон', 'усталость', 'болезнь', 'лечение', 'врач'],
-      'личностное развитие': ['цели', 'мечты', 'планы', 'развитие', 'успех', 'неудача']
-    };
-    
-    const foundThemes = [];
-    for (const [theme, keywords] of Object.entries(themes)) {
-      if (keywords.some(keyword => content.includes(keyword))) {
-        foundThemes.push(theme);
-      }
-    }
-    
-    return foundThemes.length > 0 ? 
-      `обсуждались темы: ${foundThemes.join(', ')}` : 
-      'обсуждались различные личные вопросы';
-  }
-  
-  // Extract emotional state from patient messages
-  extractEmotions(patientMessages) {
-    if (!patientMessages || patientMessages.length === 0) {
-      return 'нейтральное';
-    }
-    
-    const content = patientMessages.map(m => m.content).join(' ').toLowerCase();
-    
-    const emotions = {
-      'тревожное': ['беспокоюсь', 'тревожно', 'страшно', 'волнуюсь', 'нервничаю'],
-      'грустное': ['грустно', 'печально', 'расстроен', 'депрессия', 'плохо'],
-      'злое': ['злюсь', 'бесит', 'раздражает', 'ненавижу', 'гнев'],
-      'позитивное': ['хорошо', 'радуюсь', 'счастлив', 'отлично', 'здорово'],
-      'усталое': ['устал', 'выматывает', 'измотан', 'нет сил']
-    };
-    
-    for (const [emotion, keywords] of Object.entries(emotions)) {
-      if (keywords.some(keyword => content.includes(keyword))) {
-        return emotion;
-      }
-    }
-    
-    return 'смешанное';
-  }
 
   // Save conversation to database (separate from caching)
   async saveConversationToDB(sessionId, messages, response, metadata = {}) {
     try {
       const conversationData = {
         session_id: sessionId,
-        messages: JSON.stringify(messages),
-        response_content: response.content,
+        messages: securityManager.encryptField(JSON.stringify(messages)),
+        response_content: securityManager.encryptField(response.content),
         model_used: response.model,
         tokens_input: response.usage?.input_tokens || 0,
         tokens_output: response.usage?.output_tokens || 0,
@@ -358,11 +318,11 @@ ${sessionContext}`;
       
       const fullHistory = [];
       conversations.reverse().forEach(conv => {
-        const messages = JSON.parse(conv.messages);
+        const messages = JSON.parse(securityManager.decryptField(conv.messages));
         fullHistory.push(...messages);
         fullHistory.push({
           role: 'assistant',
-          content: conv.response_content
+          content: securityManager.decryptField(conv.response_content)
         });
       });
       
@@ -422,15 +382,26 @@ ${sessionContext}`;
     const {
       userId = null,
       cacheType = 'conversation',
+      purpose = 'default',
       enableCache = true,
       maxTokens = config.anthropic.maxTokens,
-      temperature = config.anthropic.temperature
+      temperature = config.anthropic.temperature,
+      seed = null, // Sampling seed, used by providers that support it
+      onText = null,
+      ledgerSessionId = null // sessions.id the call is billed to (options.sessionId is the uuid)
     } = options;
+    // 'system' and other non-user callers are not attributed to a user
+    const ledgerUserId = Number.isInteger(userId) ? userId : null;
 
     try {
       // Rate limiting check
       if (userId && !this.checkRateLimit(userId)) {
-        throw new Error('Rate limit exceeded. Please try again later.');
+        throw new ClaudeApiError('Rate limit exceeded. Please try again later.', { kind: 'rate_limit', retryable: true });
+      }
+
+      // Past a budget only the calls that finish the active session go through
+      if (!BUDGET_EXEMPT_PURPOSES.includes(purpose)) {
+        await costService.assertBudget(ledgerUserId);
       }
 
       // Skip local cache check - using only Anthropic caching now
@@ -452,8 +423,10 @@ ${sessionContext}`;
         requestParams.system = system;
       }
 
-      // Send request to Claude API with prompt caching header
+      // Send request through the configured provider
       logger.info('Sending request to Claude API', {
+        provider: this.provider.name,
+        purpose,
         model: config.anthropic.model,
         messageCount: (processedMessages || []).length,
         hasSystemPrompt: !!system,
@@ -483,11 +456,9 @@ ${sessionContext}`;
         });
       }
 
-      const response = await this.client.messages.create(requestParams, {
-        headers: {
-          'anthropic-beta': 'prompt-caching-2024-07-31'
-        }
-      });
+      // Streaming path: report the growing text snapshot, then use the final
+      // message (it carries the same usage and cache-token counts as create())
+      const response = await this.callProvider(requestParams, { purpose, seed, onText, userId });
       
       const responseTime = Date.now() - startTime;
       
@@ -498,6 +469,7 @@ ${sessionContext}`;
         cacheCreationTokens: response.usage?.cache_creation_input_tokens || 0,
         cacheReadTokens: response.usage?.cache_read_input_tokens || 0,
         model: response.model,
+        streamed: typeof onText === 'function',
         cacheHit: (response.usage?.cache_read_input_tokens || 0) > 0,
         cacheCreated: (response.usage?.cache_creation_input_tokens || 0) > 0
       });
@@ -514,6 +486,16 @@ ${sessionContext}`;
       // Record performance metrics
       await this.recordMetrics(response, responseTime);
 
+      // Attribute the cost to the user, the session and the purpose
+      await costService.recordUsage({
+        userId: ledgerUserId,
+        sessionId: ledgerSessionId,
+        purpose,
+        provider: this.provider.name,
+        model: response.model || config.anthropic.model,
+        usage: response.usage
+      });
+
       return {
         content: response.content?.[0]?.text || '',
         usage: response.usage,
@@ -530,27 +512,83 @@ ${sessionContext}`;
 
     } catch (error) {
       const responseTime = Date.now() - startTime;
+
+      if (error instanceof BudgetExceededError || error instanceof ClaudeApiError) {
+        throw error;
+      }
       
       logger.error('Claude API error', {
         error: error.message,
+        status: error.status,
         responseTime,
         userId,
         messageCount: messages.length
       });
 
       // Handle specific error types
+      const retryable = isRetryableError(error);
+      const details = { status: error.status || null, retryable, retryAfterMs: parseRetryAfter(error.headers) };
       if (error.status === 429) {
-        throw new Error('API rate limit exceeded. Please try again in a moment.');
+        throw new ClaudeApiError('API rate limit exceeded. Please try again in a moment.', { ...details, kind: 'rate_limit' });
       } else if (error.status === 401) {
-        throw new Error('API authentication failed. Please check configuration.');
-      } else if (error.status >= 500) {
-        throw new Error('Claude API service temporarily unavailable. Please try again.');
+        throw new ClaudeApiError('API authentication failed. Please check configuration.', { ...details, kind: 'auth' });
+      } else if (error.status >= 500 || retryable) {
+        throw new ClaudeApiError('Claude API service temporarily unavailable. Please try again.', { ...details, kind: 'unavailable' });
       }
 
-      throw new Error(`Claude API error: ${error.message}`);
+      throw new ClaudeApiError(`Claude API error: ${error.message}`, details);
     }
   }
 
+  // One provider call with retries. Every attempt passes the circuit breaker;
+  // transient failures count against it, other errors only release it.
+  async callProvider(requestParams, { purpose, seed, onText, userId }) {
+    return withRetry(async (attempt) => {
+      if (!this.circuitBreaker.canRequest()) {
+        const retryInMs = this.circuitBreaker.retryInMs();
+        logger.warn('Claude API call rejected by open circuit', { purpose, userId, retryInMs });
+        throw new ClaudeApiError('Claude API service temporarily unavailable. Please try again.', {
+          kind: 'circuit_open',
+          retryable: true,
+          retryAfterMs: retryInMs
+        });
+      }
+
+      try {
+        let response;
+        if (typeof onText === 'function') {
+          response = await this.provider.streamMessage(requestParams, (textSnapshot) => {
+            try {
+              onText(textSnapshot);
+            } catch (callbackError) {
+              logger.warn('Stream text callback failed', { error: callbackError.message });
+            }
+          }, { purpose, seed, attempt });
+        } else {
+          response = await this.provider.createMessage(requestParams, { purpose, seed, attempt });
+        }
+
+        this.circuitBreaker.recordSuccess();
+        return response;
+
+      } catch (error) {
+        if (isRetryableError(error)) {
+          this.circuitBreaker.recordFailure();
+        } else {
+          this.circuitBreaker.release();
+        }
+        throw error;
+      }
+    }, {
+      ...config.anthropic.retry,
+      // The open circuit is not retried here: the caller offers a retry later
+      shouldRetry: error => !(error instanceof ClaudeApiError) && isRetryableError(error),
+      onRetry: ({ attempt, delayMs, error }) => {
+        logger.warn('Retrying Claude API call', { purpose, userId, attempt, delayMs, status: error.status, error: error.message });
+      }
+    });
+  }
+
   // Record performance metrics
   async recordMetrics(response, responseTime) {
     try {
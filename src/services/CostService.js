@@ -0,0 +1,231 @@
+import dbManager from '../database/Database.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { getModelPricing, calculateCost, DEFAULT_PRICING } from '../data/modelPricing.js';
+
+const PERIOD_START = {
+  day: "datetime('now', 'start of day')",
+  month: "datetime('now', 'start of month')"
+};
+
+// Purposes still served past a budget: they finish the active session and
+// keep its memory consistent. Everything else (new patients, new sessions,
+// supervisor analysis) is refused until the period resets.
+export const BUDGET_EXEMPT_PURPOSES = ['patient_turn', 'case_file', 'summary'];
+
+export class BudgetExceededError extends Error {
+  constructor(limit) {
+    super(`Budget exceeded: ${limit.scope} ${limit.period}`);
+    this.name = 'BudgetExceededError';
+    this.scope = limit.scope; // user | global
+    this.period = limit.period; // day | month
+    this.spentUsd = limit.spentUsd;
+    this.limitUsd = limit.limitUsd;
+  }
+}
+
+// Cost ledger of API calls (api_usage) and the spending limits built on it.
+//
+// Every response is priced by src/data/modelPricing.js and attributed to a
+// user, a session and a purpose; background calls that only know the session
+// are attributed to its owner.
+class CostService {
+  constructor() {
+    this.unpricedModels = new Set(); // Warned once per model
+  }
+
+  getPricing(model) {
+    const pricing = getModelPricing(model, config.anthropic.pricing);
+    if (pricing) {
+      return pricing;
+    }
+
+    if (!this.unpricedModels.has(model)) {
+      this.unpricedModels.add(model);
+      logger.warn('No price for model, using default pricing', { model });
+    }
+    return DEFAULT_PRICING;
+  }
+
+  async recordUsage({ userId = null, sessionId = null, purpose, provider, model, usage }) {
+    try {
+      const { costUsd, cacheSavingsUsd } = calculateCost(usage, this.getPricing(model));
+
+      await dbManager.run(`
+        INSERT INTO api_usage (
+          user_id, session_id, purpose, provider, model,
+          input_tokens, output_tokens, cache_creation_tokens, cache_read_tokens,
+          cost_usd, cache_savings_usd
+        )
+        VALUES (COALESCE(?, (SELECT user_id FROM sessions WHERE id = ?)), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        userId, sessionId, sessionId, purpose, provider, model || 'unknown',
+        usage?.input_tokens || 0,
+        usage?.output_tokens || 0,
+        usage?.cache_creation_input_tokens || 0,
+        usage?.cache_read_input_tokens || 0,
+        costUsd,
+        cacheSavingsUsd
+      ]);
+
+      return costUsd;
+    } catch (error) {
+      logger.error('Error recording API usage', { error: error.message, userId, sessionId, purpose });
+      return 0;
+    }
+  }
+
+  // Configured limits, most specific first
+  getLimits() {
+    const budget = config.budget;
+    return [
+      { scope: 'user', period: 'day', limitUsd: budget.userDailyUsd },
+      { scope: 'user', period: 'month', limitUsd: budget.userMonthlyUsd },
+      { scope: 'global', period: 'day', limitUsd: budget.globalDailyUsd },
+      { scope: 'global', period: 'month', limitUsd: budget.globalMonthlyUsd }
+    ].filter(limit => limit.limitUsd > 0);
+  }
+
+  // Spending of the user and of everyone in the current UTC day and month
+  async getSpending(userId = null) {
+    const row = await dbManager.get(`
+      SELECT
+        SUM(CASE WHEN user_id = ? AND created_at >= ${PERIOD_START.day} THEN cost_usd ELSE 0 END) as user_day,
+        SUM(CASE WHEN user_id = ? THEN cost_usd ELSE 0 END) as user_month,
+        SUM(CASE WHEN created_at >= ${PERIOD_START.day} THEN cost_usd ELSE 0 END) as global_day,
+        SUM(cost_usd) as global_month
+      FROM api_usage
+      WHERE created_at >= ${PERIOD_START.month}
+    `, [userId, userId]);
+
+    return {
+      user: { day: row?.user_day || 0, month: row?.user_month || 0 },
+      global: { day: row?.global_day || 0, month: row?.global_month || 0 }
+    };
+  }
+
+  // status: ok | warning | exceeded, with the limit closest to (or past) its end
+  async checkBudget(userId = null) {
+    const limits = this.getLimits();
+    if (limits.length === 0) {
+      return { status: 'ok', limit: null };
+    }
+
+    try {
+      const spending = await this.getSpending(userId);
+      const checked = limits
+        .filter(limit => limit.scope === 'global' || userId)
+        .map(limit => ({ ...limit, spentUsd: spending[limit.scope][limit.period] }))
+        .sort((a, b) => b.spentUsd / b.limitUsd - a.spentUsd / a.limitUsd);
+
+      const limit = checked[0] || null;
+      if (!limit) {
+        return { status: 'ok', limit: null };
+      }
+
+      const ratio = limit.spentUsd / limit.limitUsd;
+      if (ratio >= 1) {
+        return { status: 'exceeded', limit };
+      }
+      return { status: ratio >= config.budget.warningRatio ? 'warning' : 'ok', limit };
+
+    } catch (error) {
+      // The ledger is bookkeeping: failing to read it does not stop the bot
+      logger.error('Error checking budget', { error: error.message, userId });
+      return { status: 'ok', limit: null };
+    }
+  }
+
+  async assertBudget(userId = null) {
+    const budget = await this.checkBudget(userId);
+    if (budget.status === 'exceeded') {
+      logger.warn('Request refused over budget', { userId, ...budget.limit });
+      throw new BudgetExceededError(budget.limit);
+    }
+    return budget;
+  }
+
+  // Spend report for /admin_costs over the current day or month
+  async getReport(period = 'month') {
+    const since = PERIOD_START[period] || PERIOD_START.month;
+
+    const totals = await dbManager.get(`
+      SELECT
+        COUNT(*) as calls,
+        SUM(input_tokens) as input_tokens,
+        SUM(output_tokens) as output_tokens,
+        SUM(cache_creation_tokens) as cache_creation_tokens,
+        SUM(cache_read_tokens) as cache_read_tokens,
+        SUM(cost_usd) as cost_usd,
+        SUM(cache_savings_usd) as cache_savings_usd
+      FROM api_usage
+      WHERE created_at >= ${since}
+    `);
+
+    const byPurpose = await dbManager.all(`
+      SELECT purpose, COUNT(*) as calls, SUM(cost_usd) as cost_usd, SUM(cache_savings_usd) as cache_savings_usd
+      FROM api_usage
+      WHERE created_at >= ${since}
+      GROUP BY purpose
+      ORDER BY cost_usd DESC
+    `);
+
+    const byModel = await dbManager.all(`
+      SELECT provider, model, COUNT(*) as calls, SUM(cost_usd) as cost_usd
+      FROM api_usage
+      WHERE created_at >= ${since}
+      GROUP BY provider, model
+      ORDER BY cost_usd DESC
+    `);
+
+    const topUsers = await dbManager.all(`
+      SELECT a.user_id, u.telegram_id, u.username, u.first_name,
+             COUNT(*) as calls, COUNT(DISTINCT a.session_id) as sessions, SUM(a.cost_usd) as cost_usd
+      FROM api_usage a
+      LEFT JOIN users u ON u.id = a.user_id
+      WHERE a.created_at >= ${since}
+      GROUP BY a.user_id
+      ORDER BY cost_usd DESC
+      LIMIT 10
+    `);
+
+    const topSessions = await dbManager.all(`
+      SELECT a.session_id, s.user_id, p.name as patient_name,
+             COUNT(*) as calls, SUM(a.cost_usd) as cost_usd, SUM(a.cache_savings_usd) as cache_savings_usd
+      FROM api_usage a
+      JOIN sessions s ON s.id = a.session_id
+      LEFT JOIN patients p ON p.id = s.patient_id
+      WHERE a.created_at >= ${since}
+      GROUP BY a.session_id
+      ORDER BY cost_usd DESC
+      LIMIT 5
+    `);
+
+    const spending = await this.getSpending();
+    const budgets = this.getLimits()
+      .filter(limit => limit.scope === 'global')
+      .map(limit => ({ ...limit, spentUsd: spending.global[limit.period] }));
+
+    return {
+      period: PERIOD_START[period] ? period : 'month',
+      totals: {
+        calls: totals?.calls || 0,
+        inputTokens: totals?.input_tokens || 0,
+        outputTokens: totals?.output_tokens || 0,
+        cacheCreationTokens: totals?.cache_creation_tokens || 0,
+        cacheReadTokens: totals?.cache_read_tokens || 0,
+        costUsd: totals?.cost_usd || 0,
+        cacheSavingsUsd: totals?.cache_savings_usd || 0
+      },
+      byPurpose,
+      byModel,
+      topUsers,
+      topSessions,
+      budgets,
+      userLimits: this.getLimits().filter(limit => limit.scope === 'user')
+    };
+  }
+}
+
+const costService = new CostService();
+export default costService;
@@ -0,0 +1,344 @@
+import dbManager from '../database/Database.js';
+import logger from '../utils/logger.js';
+import securityManager from '../utils/security.js';
+import userService from './UserService.js';
+import { getTranslator } from '../i18n/index.js';
+
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes without input
+
+// Persistent finite-state machine for multi-step dialogues (wizards, text
+// prompts). Flows register their states once; the current flow, state,
+// collected data and the back-navigation stack are stored per user in
+// dialogue_states, so a restart does not lose them.
+//
+// Flow definition:
+//   {
+//     initialState: 'description',
+//     timeoutMs: 600000,                 // optional inactivity timeout
+//     init(arg) -> data                  // optional, initial data for fsm:start:<flow>:<arg>
+//     states: {
+//       description: {
+//         prompt(ctx)                    // asks for input; ctx.controls() adds Back/Cancel buttons,
+//                                        // ctx.render() edits the prompt in place on refresh,
+//                                        // ctx.t is the user's translator
+//         handle(ctx, input) -> result   // input is the message text or the fsm:input:<value>
+//       }
+//     },
+//     onCancel(ctx)                      // optional cleanup
+//   }
+// handle() returns { next: 'state' }, { done: true }, { refresh: true } to
+// redraw the current prompt (e.g. after toggling a multi-select button) or
+// nothing to stay in the current state (e.g. after a validation error).
+// ctx.data is mutable and saved after every step.
+//
+// Callbacks: fsm:start:<flow>[:<arg>], fsm:input:<value>, fsm:back, fsm:cancel
+class DialogueManager {
+  constructor() {
+    this.flows = new Map();
+  }
+
+  register(name, definition) {
+    if (!definition.states || !definition.states[definition.initialState]) {
+      throw new Error(`Dialogue flow ${name} has no initial state`);
+    }
+
+    this.flows.set(name, definition);
+  }
+
+  async load(userId) {
+    const row = await dbManager.get(`
+      SELECT flow, state, data, history, expires_at
+      FROM dialogue_states
+      WHERE user_id = ?
+    `, [userId]);
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      flow: row.flow,
+      state: row.state,
+      data: JSON.parse(securityManager.decryptField(row.data) || '{}'),
+      history: JSON.parse(row.history || '[]'),
+      expiresAt: row.expires_at
+    };
+  }
+
+  async save(userId, dialogue) {
+    const flow = this.flows.get(dialogue.flow);
+    const expiresAt = Date.now() + (flow.timeoutMs || DEFAULT_TIMEOUT_MS);
+
+    await dbManager.run(`
+      INSERT OR REPLACE INTO dialogue_states
+      (user_id, flow, state, data, history, expires_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+    `, [
+      userId,
+      dialogue.flow,
+      dialogue.state,
+      securityManager.encryptField(JSON.stringify(dialogue.data || {})),
+      JSON.stringify(dialogue.history || []),
+      expiresAt
+    ]);
+  }
+
+  async clear(userId) {
+    const result = await dbManager.run(`
+      DELETE FROM dialogue_states WHERE user_id = ?
+    `, [userId]);
+
+    return result.changes > 0;
+  }
+
+  // Active dialogue of a user; expired ones are removed and reported as such
+  async getActive(userId) {
+    const dialogue = await this.load(userId);
+    if (!dialogue) {
+      return null;
+    }
+
+    if (!this.flows.has(dialogue.flow)) {
+      logger.warn('Dropping dialogue of an unknown flow', { userId, flow: dialogue.flow });
+      await this.clear(userId);
+      return null;
+    }
+
+    if (dialogue.expiresAt <= Date.now()) {
+      await this.clear(userId);
+      return { ...dialogue, expired: true };
+    }
+
+    return dialogue;
+  }
+
+  // messageId: prompt message to edit instead of sending a new one
+  async buildContext(bot, chatId, userId, dialogue, messageId = null) {
+    const t = getTranslator(await userService.getLocale(userId));
+
+    return {
+      bot,
+      chatId,
+      userId,
+      t,
+      flow: dialogue.flow,
+      state: dialogue.state,
+      data: dialogue.data,
+      render: (text, options = {}) => messageId ?
+        bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options }) :
+        bot.sendMessage(chatId, text, options),
+      // Inline keyboard with the flow's own rows followed by Back/Cancel
+      controls: (rows = []) => {
+        const navigation = [];
+        if (dialogue.history.length > 0) {
+          navigation.push({ text: t('common.back'), callback_data: 'fsm:back' });
+        }
+        navigation.push({ text: t('common.cancel'), callback_data: 'fsm:cancel' });
+
+        return { inline_keyboard: [...rows, navigation] };
+      }
+    };
+  }
+
+  async prompt(bot, chatId, userId, dialogue, messageId = null) {
+    const flow = this.flows.get(dialogue.flow);
+    await flow.states[dialogue.state].prompt(await this.buildContext(bot, chatId, userId, dialogue, messageId));
+  }
+
+  async start(bot, chatId, userId, flowName, data = {}) {
+    if (!this.flows.has(flowName)) {
+      throw new Error(`Unknown dialogue flow: ${flowName}`);
+    }
+
+    const dialogue = {
+      flow: flowName,
+      state: this.flows.get(flowName).initialState,
+      data,
+      history: []
+    };
+
+    await this.save(userId, dialogue);
+    await this.prompt(bot, chatId, userId, dialogue);
+
+    logger.info('Dialogue started', { userId, flow: flowName });
+  }
+
+  async notifyExpired(bot, chatId, userId, dialogue) {
+    const t = getTranslator(await userService.getLocale(userId));
+    await bot.sendMessage(chatId, t('dialogue.expired'));
+    logger.info('Dialogue expired', { flow: dialogue.flow, state: dialogue.state });
+  }
+
+  // Feeds user input to the current state and applies the transition;
+  // messageId is the prompt whose button was pressed, if any
+  async dispatch(bot, chatId, userId, dialogue, input, messageId = null) {
+    const flow = this.flows.get(dialogue.flow);
+    const ctx = await this.buildContext(bot, chatId, userId, dialogue);
+    const result = await flow.states[dialogue.state].handle(ctx, input) || {};
+
+    if (result.done) {
+      await this.clear(userId);
+      logger.info('Dialogue completed', { userId, flow: dialogue.flow });
+      return;
+    }
+
+    if (result.next) {
+      if (!flow.states[result.next]) {
+        throw new Error(`Dialogue flow ${dialogue.flow} has no state ${result.next}`);
+      }
+
+      dialogue.history.push(dialogue.state);
+      dialogue.state = result.next;
+      await this.save(userId, dialogue);
+      await this.prompt(bot, chatId, userId, dialogue);
+      return;
+    }
+
+    if (result.refresh) {
+      await this.save(userId, dialogue);
+      await this.prompt(bot, chatId, userId, dialogue, messageId);
+      return;
+    }
+
+    await this.save(userId, dialogue); // Keeps collected data and refreshes the timeout
+  }
+
+  // Returns true when the message was consumed by a dialogue. A message that
+  // arrives after the dialogue expired is not meant for it: the user is told
+  // the input timed out and the message goes on to the normal routing.
+  async handleMessage(bot, msg, userId) {
+    if (typeof msg.text !== 'string') {
+      return false;
+    }
+
+    const dialogue = await this.getActive(userId);
+    if (!dialogue) {
+      return false;
+    }
+
+    if (dialogue.expired) {
+      await this.notifyExpired(bot, msg.chat.id, userId, dialogue);
+      return false;
+    }
+
+    await this.dispatch(bot, msg.chat.id, userId, dialogue, msg.text.trim());
+    return true;
+  }
+
+  async back(bot, chatId, userId) {
+    const dialogue = await this.getActive(userId);
+    if (!dialogue || dialogue.expired || dialogue.history.length === 0) {
+      return false;
+    }
+
+    dialogue.state = dialogue.history.pop();
+    await this.save(userId, dialogue);
+    await this.prompt(bot, chatId, userId, dialogue);
+    return true;
+  }
+
+  // Returns true when there was a dialogue to cancel
+  async cancel(bot, chatId, userId) {
+    const dialogue = await this.getActive(userId);
+    if (!dialogue || dialogue.expired) {
+      return false;
+    }
+
+    await this.clear(userId);
+
+    const flow = this.flows.get(dialogue.flow);
+    if (flow.onCancel) {
+      await flow.onCancel(await this.buildContext(bot, chatId, userId, dialogue));
+    }
+
+    logger.info('Dialogue cancelled', { userId, flow: dialogue.flow, state: dialogue.state });
+    return true;
+  }
+
+  async handleCallback(bot, callbackQuery, userId) {
+    const chatId = callbackQuery.message.chat.id;
+    const [, action, ...params] = callbackQuery.data.split(':');
+    const t = getTranslator(await userService.getLocale(userId));
+
+    try {
+      switch (action) {
+        case 'start': {
+          const [flowName, arg] = params;
+          const flow = this.flows.get(flowName);
+          if (!flow) {
+            await bot.answerCallbackQuery(callbackQuery.id);
+            return;
+          }
+
+          await bot.answerCallbackQuery(callbackQuery.id);
+          await this.start(bot, chatId, userId, flowName, flow.init ? flow.init(arg) : {});
+          break;
+        }
+
+        case 'input': {
+          const dialogue = await this.getActive(userId);
+          if (!dialogue || dialogue.expired) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+              text: t('dialogue.stale'),
+              show_alert: true
+            });
+            return;
+          }
+
+          await bot.answerCallbackQuery(callbackQuery.id);
+          await this.dispatch(bot, chatId, userId, dialogue, params.join(':'), callbackQuery.message.message_id);
+          break;
+        }
+
+        case 'back': {
+          const movedBack = await this.back(bot, chatId, userId);
+          await bot.answerCallbackQuery(callbackQuery.id, movedBack ? {} : { text: t('dialogue.cannotGoBack') });
+          break;
+        }
+
+        case 'cancel': {
+          const cancelled = await this.cancel(bot, chatId, userId);
+          await bot.answerCallbackQuery(callbackQuery.id, { text: t(cancelled ? 'dialogue.cancelled' : 'dialogue.nothingToCancel') });
+          if (cancelled) {
+            await bot.sendMessage(chatId, t('dialogue.cancelledMessage'));
+          }
+          break;
+        }
+
+        default:
+          await bot.answerCallbackQuery(callbackQuery.id);
+      }
+
+    } catch (error) {
+      logger.error('Error handling dialogue callback', { error: error.message, data: callbackQuery.data, userId });
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: t('dialogue.error'),
+        show_alert: true
+      }).catch(() => {});
+    }
+  }
+
+  async cleanupExpired() {
+    try {
+      const result = await dbManager.run(`
+        DELETE FROM dialogue_states WHERE expires_at <= ?
+      `, [Date.now()]);
+
+      if (result.changes > 0) {
+        logger.info('Expired dialogues removed', { count: result.changes });
+      }
+    } catch (error) {
+      logger.error('Error cleaning up dialogues', { error: error.message });
+    }
+  }
+}
+
+const dialogueManager = new DialogueManager();
+
+// Remove abandoned dialogues periodically; unref'd so importing the module
+// does not keep the process alive
+setInterval(() => {
+  dialogueManager.cleanupExpired();
+}, 10 * 60 * 1000).unref(); // Every 10 minutes
+
+export default dialogueManager;
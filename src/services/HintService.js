@@ -0,0 +1,140 @@
+import dbManager from '../database/Database.js';
+import claudeService from './ClaudeService.js';
+import branchService from './BranchService.js';
+import logger from '../utils/logger.js';
+import securityManager from '../utils/security.js';
+import { DEFAULT_LOCALE, t } from '../i18n/index.js';
+import { DEFAULT_MODALITY, resolveModality } from '../data/modalities.js';
+
+const MAX_HINT_LENGTH = 600;
+
+// Live "supervisor whisper" hints.
+//
+// /hint and the auto-hint mode (users.auto_hints) run a short supervisor pass
+// over the last HINT_WINDOW messages of the active session and return one
+// context-specific suggestion for the next therapist turn. Every hint is
+// stored in session_hints together with the last message it saw, so the
+// final analysis knows which therapist turns were assisted. Asking again
+// before anything new was said repeats the stored hint instead of paying for
+// another one.
+class HintService {
+  constructor() {
+    this.HINT_WINDOW = 8; // Messages the supervisor looks at
+    this.AUTO_HINT_INTERVAL = 4; // Therapist messages between auto hints
+  }
+
+  isAutoHintTurn(therapistTurns) {
+    return therapistTurns > 0 && therapistTurns % this.AUTO_HINT_INTERVAL === 0;
+  }
+
+  buildHintPrompt(session, locale = DEFAULT_LOCALE) {
+    const modality = resolveModality(session.modality);
+    const conversation = session.messages.slice(-this.HINT_WINDOW).map(msg =>
+      `${msg.role === 'user' ? 'Терапевт' : 'Клиент'}: ${msg.content}`
+    ).join('\n');
+
+    return `Ты - супервизор, который наблюдает за учебной сессией психотерапевта и шепчет ему короткую подсказку прямо во время сессии.
+
+КЛИЕНТ: ${session.patient.name}, ${session.patient.age} лет. Обратился с проблемой: ${session.patient.presenting_problem}
+${modality !== DEFAULT_MODALITY ? `ПОДХОД ТЕРАПЕВТА: ${t(DEFAULT_LOCALE, `labels.modality.${modality}`)}\n` : ''}
+ПОСЛЕДНИЕ РЕПЛИКИ:
+${conversation}
+
+Дай ОДНУ подсказку к следующей реплике терапевта: что он мог упустить (повторяющиеся темы и люди, невысказанные чувства, сигналы риска, сопротивление) и куда стоит двигаться дальше.
+Опирайся на конкретные слова клиента, например: «клиент дважды упомянул отца - стоит исследовать». Не больше двух предложений, без вступления и без готовой реплики за терапевта.
+${t(locale, 'prompt.hint')}`;
+  }
+
+  // Last message of the line the session continues in
+  async getLastMessageId(sessionId) {
+    const messages = await branchService.getLineMessages(sessionId, 'id');
+    return messages.length > 0 ? messages[messages.length - 1].id : null;
+  }
+
+  // Hint for the current moment of an active session (a getActiveSession()
+  // snapshot); trigger: manual | auto. Returns { content, repeated }.
+  async requestHint(session, trigger = 'manual', locale = DEFAULT_LOCALE) {
+    const afterMessageId = await this.getLastMessageId(session.id);
+
+    const existing = await dbManager.get(`
+      SELECT content FROM session_hints
+      WHERE session_id = ? AND after_message_id IS ?
+      ORDER BY id DESC LIMIT 1
+    `, [session.id, afterMessageId]);
+    if (existing) {
+      return { content: securityManager.decryptField(existing.content), repeated: true };
+    }
+
+    const startTime = Date.now();
+    const response = await claudeService.sendMessage([{
+      role: 'user',
+      content: this.buildHintPrompt(session, locale)
+    }], null, {
+      userId: session.userId,
+      cacheType: 'analysis',
+      purpose: 'hint',
+      enableCache: false,
+      ledgerSessionId: session.id
+    });
+
+    const content = (response.content || '').trim().substring(0, MAX_HINT_LENGTH);
+    if (!content) {
+      throw new Error('Empty hint');
+    }
+
+    await dbManager.run(`
+      INSERT INTO session_hints (session_id, after_message_id, trigger, content)
+      VALUES (?, ?, ?, ?)
+    `, [session.id, afterMessageId, trigger, securityManager.encryptField(content)]);
+
+    logger.info('Session hint given', {
+      sessionId: session.id,
+      userId: session.userId,
+      trigger,
+      afterMessageId,
+      responseTime: Date.now() - startTime
+    });
+
+    return { content, repeated: false };
+  }
+
+  // Hints given in the current line of a session in order, each with the
+  // therapist message it preceded (assistedMessageId, null if the therapist
+  // has not answered since). Hints of undone exchanges are left out.
+  async getSessionHints(sessionId) {
+    try {
+      const rows = await dbManager.all(`
+        SELECT id, trigger, content, after_message_id, created_at
+        FROM session_hints
+        WHERE session_id = ?
+        ORDER BY id ASC
+      `, [sessionId]);
+
+      const messages = await branchService.getLineMessages(sessionId, 'id, sender');
+      const lineIndexes = new Map(messages.map((message, index) => [message.id, index]));
+
+      return rows
+        .filter(row => row.after_message_id === null || lineIndexes.has(row.after_message_id))
+        .map(row => {
+          const start = row.after_message_id === null ? 0 : lineIndexes.get(row.after_message_id) + 1;
+          const assisted = messages.slice(start).find(message => message.sender === 'therapist');
+
+          return {
+            id: row.id,
+            trigger: row.trigger,
+            content: securityManager.decryptField(row.content),
+            afterMessageId: row.after_message_id,
+            assistedMessageId: assisted ? assisted.id : null,
+            createdAt: row.created_at
+          };
+        });
+    } catch (error) {
+      logger.error('Error loading session hints', { error: error.message, sessionId });
+      return [];
+    }
+  }
+}
+
+const hintService = new HintService();
+
+export default hintService;
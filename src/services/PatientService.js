@@ -1,24 +1,44 @@
 import { randomUUID } from 'crypto';
+import config from '../config/index.js';
 import dbManager from '../database/Database.js';
 import claudeService from './ClaudeService.js';
 import userService from './UserService.js';
 import logger from '../utils/logger.js';
+import securityManager from '../utils/security.js';
+import { patientParametersSchema, validateAndSanitize } from '../utils/validation.js';
+import { buildParametersPrompt, applyPatientParameters } from '../data/patientParameters.js';
+import { createRandom, generateSeed } from '../utils/random.js';
+import { DEFAULT_LOCALE, t } from '../i18n/index.js';
+import { DEFAULT_MODALITY, buildModalityGenerationPrompt } from '../data/modalities.js';
+import { buildCrisisGenerationPrompt } from '../data/crisisScenarios.js';
 
 class PatientService {
   constructor() {
     // Промт теперь генерируется динамически для каждого пациента
   }
 
-  buildPatientGenerationPrompt() {
-    // Add timestamp and strong randomization to prevent caching
-    const timestamp = Date.now();
-    const randomSeed = Math.random() * timestamp;
-    const randomElements = [
-      `Создай пациента ${Math.random() > 0.5 ? 'мужского' : 'женского'} пола`,
-      `Возраст: ${16 + Math.floor(Math.random() * 74)} лет`,
-      `Временная метка для уникальности: ${timestamp}`,
-      `Случайное число: ${Math.floor(randomSeed % 50000)}`
-    ];
+  // The prompt depends only on the seed and the parameters, so the same seed
+  // reproduces the same request (and the same patient where the model allows)
+  buildPatientGenerationPrompt(parameters = {}, seed = generateSeed(), locale = DEFAULT_LOCALE, modality = DEFAULT_MODALITY, crisisScenario = null) {
+    const random = createRandom(seed);
+    const randomElements = [];
+
+    // Gender and age are only randomized when the builder left them open
+    if (!parameters.gender) {
+      randomElements.push(`Создай пациента ${random.chance(0.5) ? 'мужского' : 'женского'} пола`);
+    }
+    if (!parameters.age_range) {
+      randomElements.push(`Возраст: ${random.int(16, 89)} лет`);
+    }
+    randomElements.push(`Номер случая для уникальности: ${seed}`);
+
+    const parametersPrompt = buildParametersPrompt(parameters);
+    const requiredParameters = parametersPrompt ? `
+
+ЗАДАННЫЕ ПАРАМЕТРЫ (соблюдай строго, остальное придумай сам):
+${parametersPrompt}` : '';
+    const modalityPrompt = buildModalityGenerationPrompt(modality);
+    const crisisPrompt = buildCrisisGenerationPrompt(crisisScenario);
     
     return `Ты - эксперт психолог и создатель реалистичных клинических случаев для обучения терапевтов.
 
@@ -30,7 +50,9 @@ class PatientService {
 - Разные психологические проблемы
 - Разные культурные контексты
 
-${randomElements.join('. ')}
+${randomElements.join('. ')}${requiredParameters}${modalityPrompt ? `\n\n${modalityPrompt}` : ''}${crisisPrompt ? `\n\n${crisisPrompt}` : ''}
+
+${t(locale, 'prompt.generation')}
 
 ТРЕБОВАНИЯ:
 1. Пациент должен быть реалистичным и многогранным
@@ -75,12 +97,34 @@ ${randomElements.join('. ')}
 Создай пациента ТОЛЬКО в этом JSON формате, без дополнительного текста.`;
   }
 
-  async createRandomPatient(userId, customDescription = null) {
+  // parameters: choices of the guided builder (see data/patientParameters.js);
+  // seed: recreates an earlier patient, a new one is drawn when omitted;
+  // locale / modality: language of the patient and the therapy modality the
+  // case should suit, the user's current ones by default;
+  // crisisScenario: hidden risk of a crisis training case (see data/crisisScenarios.js)
+  async createRandomPatient(userId, customDescription = null, parameters = null, seed = null, locale = null, modality = null, crisisScenario = null) {
+    const generationSeed = seed || generateSeed();
+
     try {
-      logger.info('Generating random patient', { userId, hasCustomDescription: !!customDescription });
+      const patientLocale = locale || await userService.getLocale(userId);
+      const patientModality = modality || await userService.getModality(userId);
+
+      logger.info('Generating random patient', { 
+        userId, 
+        hasCustomDescription: !!customDescription,
+        parameters,
+        seed: generationSeed,
+        locale: patientLocale,
+        modality: patientModality,
+        crisisScenario
+      });
+
+      const patientParameters = parameters ? 
+        validateAndSanitize(parameters, patientParametersSchema) : 
+        {};
 
-      // Генерируем новый уникальный промт для каждого пациента
-      let prompt = this.buildPatientGenerationPrompt();
+      // Генерируем промт по seed: тот же seed - тот же промт
+      let prompt = this.buildPatientGenerationPrompt(patientParameters, generationSeed, patientLocale, patientModality, crisisScenario);
       
       if (customDescription) {
         prompt += `\n\nДОПОЛНИТЕЛЬНЫЕ ТРЕБОВАНИЯ: ${customDescription}`;
@@ -92,7 +136,9 @@ ${randomElements.join('. ')}
         { 
           userId: userId || 'system', 
           cacheType: 'system',
-          enableCache: false // Don't cache patient generation for uniqueness
+          purpose: 'generation',
+          enableCache: false, // Don't cache patient generation for uniqueness
+          seed: generationSeed // Seeded sampling where the provider supports it
         }
       );
 
@@ -111,12 +157,28 @@ ${randomElements.join('. ')}
       // Validate required fields
       this.validatePatientData(patientData);
 
+      // The builder's choices override whatever the model picked
+      patientData = applyPatientParameters(patientData, patientParameters);
+
       // Generate system prompt for this patient
-      const systemPrompt = await this.generateSystemPrompt(patientData, userId);
+      const systemPrompt = await this.generateSystemPrompt(patientData, userId, patientLocale);
 
-      // Save to database
+      // Save to database together with everything needed to regenerate it
       const patientUuid = randomUUID();
-      const patient = await this.savePatient(patientUuid, userId, patientData, systemPrompt);
+      const patient = await this.savePatient(patientUuid, userId, patientData, systemPrompt, {
+        seed: generationSeed,
+        crisisScenario,
+        generationParams: {
+          description: customDescription || null,
+          parameters: patientParameters,
+          locale: patientLocale,
+          modality: patientModality,
+          crisisScenario,
+          provider: config.anthropic.provider,
+          model: config.anthropic.model,
+          temperature: config.anthropic.temperature
+        }
+      });
 
       logger.info('Patient created successfully', { 
         patientId: patient.id, 
@@ -127,7 +189,7 @@ ${randomElements.join('. ')}
       return patient;
 
     } catch (error) {
-      logger.error('Error creating patient', { error: error.message, userId });
+      logger.error('Error creating patient', { error: error.message, userId, seed: generationSeed });
       throw error;
     }
   }
@@ -149,7 +211,7 @@ ${randomElements.join('. ')}
     }
   }
 
-  async generateSystemPrompt(patientData, userId) {
+  async generateSystemPrompt(patientData, userId, locale = DEFAULT_LOCALE) {
     const showNonverbal = await userService.getUserNonverbalSetting(userId);
     
     const nonverbalRules = showNonverbal ? `
@@ -187,7 +249,7 @@ ${JSON.stringify(patientData.therapy_goals, null, 2)}
 5. Не давай готовые ответы - исследуй тему постепенно
 6. Иногда сопротивляйся или отвлекайся
 7. Будь человечным - с противоречиями и сложностями
-8. Говори на русском языке
+8. ${t(locale, 'prompt.patient')}
 9. Не раскрывай сразу все проблемы - делай это постепенно
 10. Реагируй на стиль терапевта и подстраивайся под него${nonverbalRules}
 
@@ -206,18 +268,25 @@ ${JSON.stringify(patientData.therapy_goals, null, 2)}
 Начинай каждую сессию с того места, где закончилась предыдущая. Если это первая встреча, отвечай приветствием соответствующим твоей личности.`;
   }
 
-  async savePatient(uuid, userId, patientData, systemPrompt) {
+  // options.templateId: patient_templates.id when created from a template;
+  // options.seed / options.generationParams: inputs of a generated patient;
+  // options.crisisScenario: hidden risk of a crisis training case
+  async savePatient(uuid, userId, patientData, systemPrompt, options = {}) {
     try {
       const result = await dbManager.run(`
         INSERT INTO patients 
         (uuid, created_by, name, age, gender, background, personality_traits, 
-         psychological_profile, presenting_problem, therapy_goals, system_prompt)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         psychological_profile, presenting_problem, therapy_goals, system_prompt, template_id,
+         seed, generation_params, crisis_scenario)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [uuid, userId, patientData.name, patientData.age, patientData.gender,
-         patientData.background, JSON.stringify(patientData.personality_traits),
+         securityManager.encryptField(patientData.background), JSON.stringify(patientData.personality_traits),
          JSON.stringify(patientData.psychological_profile),
          patientData.psychological_profile.presenting_problem,
-         JSON.stringify(patientData.therapy_goals), systemPrompt]);
+         JSON.stringify(patientData.therapy_goals), securityManager.encryptField(systemPrompt),
+         options.templateId || null, options.seed || null,
+         options.generationParams ? JSON.stringify(options.generationParams) : null,
+         options.crisisScenario || null]);
 
       // Fetch the complete patient record
       const patient = await this.getPatientById(result.lastID);
@@ -242,9 +311,12 @@ ${JSON.stringify(patientData.therapy_goals, null, 2)}
       // Parse JSON fields
       return {
         ...patient,
+        background: securityManager.decryptField(patient.background),
+        system_prompt: securityManager.decryptField(patient.system_prompt),
         personality_traits: JSON.parse(patient.personality_traits),
         psychological_profile: JSON.parse(patient.psychological_profile),
-        therapy_goals: JSON.parse(patient.therapy_goals)
+        therapy_goals: JSON.parse(patient.therapy_goals),
+        generation_params: JSON.parse(patient.generation_params || 'null')
       };
     } catch (error) {
       logger.error('Error fetching patient', { error: error.message, patientId });
@@ -264,9 +336,12 @@ ${JSON.stringify(patientData.therapy_goals, null, 2)}
 
       return {
         ...patient,
+        background: securityManager.decryptField(patient.background),
+        system_prompt: securityManager.decryptField(patient.system_prompt),
         personality_traits: JSON.parse(patient.personality_traits),
         psychological_profile: JSON.parse(patient.psychological_profile),
-        therapy_goals: JSON.parse(patient.therapy_goals)
+        therapy_goals: JSON.parse(patient.therapy_goals),
+        generation_params: JSON.parse(patient.generation_params || 'null')
       };
     } catch (error) {
       logger.error('Error fetching patient by UUID', { error: error.message, uuid });
@@ -274,6 +349,83 @@ ${JSON.stringify(patientData.therapy_goals, null, 2)}
     }
   }
 
+  // Seed and generation inputs of a patient, archived ones included
+  async getGenerationInfo(patientId) {
+    try {
+      const patient = await dbManager.get(`
+        SELECT id, uuid, name, age, gender, presenting_problem, created_by, 
+               template_id, seed, generation_params, is_active
+        FROM patients WHERE id = ?
+      `, [patientId]);
+
+      if (!patient) {
+        return null;
+      }
+
+      return {
+        ...patient,
+        generation_params: JSON.parse(patient.generation_params || 'null')
+      };
+    } catch (error) {
+      logger.error('Error fetching patient generation info', { error: error.message, patientId });
+      return null;
+    }
+  }
+
+  // Generates the patient again from its stored seed, description and builder
+  // parameters; the copy belongs to userId
+  async regeneratePatient(patientId, userId) {
+    const original = await this.getGenerationInfo(patientId);
+    if (!original || !original.seed) {
+      throw new Error('Patient has no generation seed');
+    }
+
+    const params = original.generation_params || {};
+    // Patients generated before locales and modalities were stored are
+    // Russian and approach-neutral
+    return this.createRandomPatient(
+      userId, params.description || null, params.parameters || null, original.seed,
+      params.locale || DEFAULT_LOCALE, params.modality || DEFAULT_MODALITY, params.crisisScenario || null
+    );
+  }
+
+  // /new <seed> can recreate only patients generated without a description or
+  // builder parameters: the seed alone does not carry them (the locale,
+  // modality and crisis scenario are replayed, see createFromSeed)
+  isSeedReproducible(patient) {
+    const params = patient.generation_params || {};
+    return !!patient.seed && !params.description && Object.keys(params.parameters || {}).length === 0;
+  }
+
+  // /new <seed>: replays the locale, modality and crisis scenario of the first
+  // patient generated from the seed, so the case is the same whoever repeats
+  // it; a seed no patient has been generated from yet starts a new case in the
+  // user's settings
+  async createFromSeed(userId, seed) {
+    let origin = null;
+    try {
+      const patients = await dbManager.all(`
+        SELECT id, seed, generation_params FROM patients WHERE seed = ? ORDER BY id
+      `, [seed]);
+
+      origin = patients
+        .map(patient => ({ ...patient, generation_params: JSON.parse(patient.generation_params || 'null') }))
+        .find(patient => this.isSeedReproducible(patient)) || null;
+    } catch (error) {
+      logger.error('Error fetching seed origin', { error: error.message, seed });
+    }
+
+    if (!origin) {
+      return this.createRandomPatient(userId, null, null, seed);
+    }
+
+    const params = origin.generation_params || {};
+    return this.createRandomPatient(
+      userId, null, null, seed,
+      params.locale || DEFAULT_LOCALE, params.modality || DEFAULT_MODALITY, params.crisisScenario || null
+    );
+  }
+
   async getUserPatients(userId, limit = 20, offset = 0) {
     try {
       const patients = await dbManager.all(`
@@ -2,16 +2,55 @@ import { randomUUID } from 'crypto';
 import dbManager from '../database/Database.js';
 import claudeService from './ClaudeService.js';
 import patientService from './PatientService.js';
+import caseFileService from './CaseFileService.js';
+import summaryService from './SummaryService.js';
+import userService from './UserService.js';
+import hintService from './HintService.js';
+import branchService from './BranchService.js';
 import logger from '../utils/logger.js';
+import securityManager from '../utils/security.js';
+import {
+  supervisorAnalysisSchema,
+  validateAndSanitize,
+  parseJsonObject,
+  ValidationError
+} from '../utils/validation.js';
+import {
+  initialEmotionalState,
+  carryOverState,
+  classifyIntervention,
+  updateEmotionalState,
+  describeStateForPrompt,
+  formatStateValues
+} from '../utils/emotionalState.js';
+import { t } from '../i18n/index.js';
+import { buildModalityRubric, getModalityChecks, resolveModality } from '../data/modalities.js';
+import {
+  buildSafetyRubric,
+  describeCrisisForPrompt,
+  isCrisisScenario,
+  scoreSafetyChecks
+} from '../data/crisisScenarios.js';
+
+// SQLite stores datetime('now') as UTC without a zone suffix
+function parseDbTimestamp(value) {
+  if (!value) {
+    return null;
+  }
+  const time = new Date(`${String(value).replace(' ', 'T')}Z`).getTime();
+  return Number.isNaN(time) ? null : time;
+}
 
 class SessionService {
   constructor() {
-    this.activeSessions = new Map(); // In-memory session state
+    this.activeSessions = new Map(); // In-memory session state (mirrored to active_session_state)
     this.supervisorPrompt = this.buildSupervisorPrompt();
-    this.inactivityTimers = new Map(); // Track inactivity timers
+    this.inactivityTimers = new Map(); // Track inactivity timers and their deadlines
     this.inactivityWarnings = new Map(); // Track warning states
+    this.stateWrites = new Map(); // Serialized state writes per session
     this.INACTIVITY_WARNING_TIME = 5 * 60 * 1000; // 5 minutes
     this.INACTIVITY_END_TIME = 10 * 60 * 1000; // 10 minutes
+    this.ANALYSIS_REPAIR_ATTEMPTS = 2; // Re-asks after the first invalid supervisor answer
   }
 
   buildSupervisorPrompt() {
@@ -42,10 +81,39 @@ class SessionService {
   "key_moments": [
     "важный момент 1 в сессии",
     "важный момент 2 в сессии"
+  ],
+  "skill_scores": {
+    "active_listening": { "score": число от 1 до 10, "evidence": "на чем основана оценка" },
+    "empathy": { "score": число от 1 до 10, "evidence": "..." },
+    "questioning_techniques": { "score": число от 1 до 10, "evidence": "..." },
+    "intervention_skills": { "score": число от 1 до 10, "evidence": "..." },
+    "boundary_setting": { "score": число от 1 до 10, "evidence": "..." },
+    "crisis_management": { "score": число от 1 до 10 или null, "evidence": "..." }
+  },
+  "annotations": [
+    {
+      "message_id": номер реплики терапевта из пометки [#номер],
+      "intervention_type": "open_question | closed_question | reflection | summary | interpretation | advice_giving | other",
+      "quality": число от 1 до 5,
+      "comment": "почему интервенция удачна или неудачна",
+      "suggested_alternative": "как можно было сформулировать лучше (пустая строка, если реплика удачная)"
+    }
   ]
 }
 
-Давай развернутый, но конструктивный анализ. Фокусируйся на обучении и развитии навыков.`;
+В "skill_scores" оцени навыки по шкале:
+- 1-2: навык не проявлен или применен во вред клиенту;
+- 3-4: попытки есть, но неуместны или непоследовательны;
+- 5-6: базовое владение, заметные пропуски;
+- 7-8: уверенное и уместное применение;
+- 9-10: образцовое применение, гибко адаптированное к клиенту.
+Навыки: active_listening - активное слушание (отражение, перефразирование, паузы); empathy - эмпатия и принятие; questioning_techniques - открытые и уточняющие вопросы; intervention_skills - уместность и точность интервенций; boundary_setting - рамки сессии и этические границы; crisis_management - распознавание риска и кризисное реагирование.
+Ставь оценку только на основании реплик из диалога и кратко укажи их в "evidence". Если в сессии не было материала для оценки навыка (например, кризисной ситуации), поставь "score": null.
+
+В "annotations" разбери каждую реплику терапевта, помеченную [#номер]: тип интервенции (open_question - открытый вопрос, closed_question - закрытый вопрос, reflection - отражение, summary - резюмирование, interpretation - интерпретация, advice_giving - совет, other - другое), оценку качества и альтернативную формулировку.
+
+Давай развернутый, но конструктивный анализ. Фокусируйся на обучении и развитии навыков.
+Ответ должен содержать только JSON-объект в этом формате, без текста до или после него.`;
   }
 
   async createSession(userId, patientId, options = {}) {
@@ -61,33 +129,45 @@ class SessionService {
       }
 
       const sessionUuid = randomUUID();
+      // Sessions are practised in the modality the user has chosen last
+      const modality = resolveModality(options.modality || await userService.getModality(userId));
+
+      // A new meeting continues from the state the previous session ended in
+      const emotionalState = carryOverState(options.previousState || null, initialEmotionalState(patient));
       
       const result = await dbManager.run(`
-        INSERT INTO sessions (uuid, user_id, patient_id, status, started_at)
-        VALUES (?, ?, ?, 'active', datetime('now'))
-      `, [sessionUuid, userId, patientId]);
+        INSERT INTO sessions (uuid, user_id, patient_id, status, started_at, initial_emotional_state, modality)
+        VALUES (?, ?, ?, 'active', datetime('now'), ?, ?)
+      `, [sessionUuid, userId, patientId, JSON.stringify(emotionalState), modality]);
       const sessionId = result.lastID;
 
       // Initialize session state
+      const contextMessages = options.previousMessages || [];
       this.activeSessions.set(sessionUuid, {
         id: sessionId,
         userId,
         patientId,
         patient,
-        messages: options.previousMessages || [],
+        patientMemory: await this.loadPatientMemory(patientId),
+        emotionalState,
+        modality,
+        messages: [...contextMessages],
+        contextMessages,
         startTime: Date.now(),
         lastActivity: Date.now(),
         isNewWeek: options.isNewWeek || false
       });
 
-      // Start inactivity monitoring
+      // Start inactivity monitoring and persist the initial state
       this.startInactivityMonitoring(sessionUuid, userId);
+      await this.persistSessionState(sessionUuid);
 
       logger.info('Session created', { 
         sessionId, 
         sessionUuid, 
         userId, 
         patientId,
+        modality,
         isNewWeek: options.isNewWeek || false,
         hasContext: (options.previousMessages || []).length > 0
       });
@@ -95,6 +175,7 @@ class SessionService {
       return {
         id: sessionId,
         uuid: sessionUuid,
+        modality,
         patient: {
           id: patient.id,
           name: patient.name,
@@ -109,7 +190,8 @@ class SessionService {
     }
   }
 
-  async sendMessage(sessionUuid, sender, content) {
+  // options.onPartial(text) streams the patient reply as it is generated
+  async sendMessage(sessionUuid, sender, content, options = {}) {
     try {
       const session = this.activeSessions.get(sessionUuid);
       if (!session) {
@@ -120,73 +202,261 @@ class SessionService {
       session.lastActivity = Date.now();
       this.resetInactivityTimer(sessionUuid, session.userId);
 
-      const startTime = Date.now();
+      // Turns of a session run in order: a message sent while the patient is
+      // still answering is saved and answered after that answer
+      return await this.enqueueTurn(session, () => this.processMessage(session, sessionUuid, sender, content, options));
 
-      // Save user message
-      await this.saveMessage(session.id, sender, content);
-      
-      // Add to session history
-      session.messages.push({
-        role: sender === 'therapist' ? 'user' : 'assistant',
-        content: content
-      });
+    } catch (error) {
+      logger.error('Error sending message', { error: error.message, sessionUuid, sender });
+      throw error;
+    }
+  }
 
-      let response = null;
-      let responseTime = 0;
-
-      if (sender === 'therapist') {
-        // Get AI patient response
-        const claudeResponse = await claudeService.sendMessage(
-          session.messages,
-          session.patient.system_prompt,
-          { 
-            userId: session.userId,
-            cacheType: 'conversation',
-            enableCache: true,
-            sessionId: sessionUuid,
-            isNewWeek: session.isNewWeek || false
-          }
-        );
+  async processMessage(session, sessionUuid, sender, content, options = {}) {
+    // A therapist message moves the patient's state by the kind of intervention
+    const metadata = {};
+    if (sender === 'therapist') {
+      metadata.interventionType = classifyIntervention(content);
+      session.emotionalState = updateEmotionalState(session.emotionalState, metadata.interventionType);
+      metadata.emotionalState = session.emotionalState;
+    }
 
-        response = claudeResponse.content;
-        responseTime = Date.now() - startTime;
+    // Save user message
+    await this.saveMessage(session.id, sender, content, metadata);
 
-        // Save AI response
-        await this.saveMessage(session.id, 'patient', response, {
-          tokensUsed: claudeResponse.usage?.output_tokens || 0,
-          responseTime
-        });
+    // Add to session history
+    session.messages.push({
+      role: sender === 'therapist' ? 'user' : 'assistant',
+      content: content
+    });
 
-        // Add to session history
-        session.messages.push({
-          role: 'assistant',
-          content: response
-        });
+    let response = null;
+    let responseTime = 0;
+
+    if (sender === 'therapist') {
+      ({ response, responseTime } = await this.generatePatientTurn(session, sessionUuid, options));
+    }
+
+    return {
+      response,
+      responseTime,
+      messageCount: session.messages.length
+    };
+  }
+
+  // Runs task after everything queued on the session. The queue is extended
+  // synchronously, so messages arriving together keep their order and never
+  // generate at the same time; turnInFlight stays set until the queue drains.
+  enqueueTurn(session, task) {
+    const turn = (session.turnQueue || Promise.resolve()).then(task);
+    const settled = turn.then(() => {}, () => {});
+
+    session.turnQueue = settled;
+    session.turnInFlight = settled;
+    settled.then(() => {
+      if (session.turnInFlight === settled) {
+        session.turnInFlight = null;
       }
+    });
 
-      return {
-        response,
-        responseTime,
-        messageCount: session.messages.length
-      };
+    return turn;
+  }
 
-    } catch (error) {
-      logger.error('Error sending message', { error: error.message, sessionUuid, sender });
-      throw error;
+  // The last therapist message is still unanswered (its patient turn failed)
+  hasPendingTurn(session) {
+    const lastMessage = session.messages[session.messages.length - 1];
+    return Boolean(lastMessage && lastMessage.role === 'user');
+  }
+
+  // Answers a therapist message whose patient turn failed, without saving the
+  // message again. status: retried | in_progress (another request is already
+  // answering it) | nothing_pending (session inactive or already answered).
+  async retryPendingTurn(userId, sessionId, options = {}) {
+    const activeSession = this.getActiveSession(userId);
+    if (!activeSession || activeSession.id !== sessionId) {
+      return { status: 'nothing_pending' };
+    }
+
+    const session = this.activeSessions.get(activeSession.uuid);
+    if (session.turnInFlight) {
+      return { status: 'in_progress' };
+    }
+    if (!this.hasPendingTurn(session)) {
+      return { status: 'nothing_pending' };
+    }
+
+    session.lastActivity = Date.now();
+    this.resetInactivityTimer(activeSession.uuid, userId);
+
+    const { response, responseTime } = await this.enqueueTurn(
+      session, () => this.generatePatientTurn(session, activeSession.uuid, options)
+    );
+    logger.info('Patient turn retried', { sessionId, userId });
+
+    return {
+      status: 'retried',
+      response,
+      responseTime,
+      messageCount: session.messages.length
+    };
+  }
+
+  // Rolls back the last `count` exchanges (therapist message and answer) of
+  // the active session. Nothing is deleted: the session goes on in a new branch
+  // forked before them. status: undone | in_progress | nothing (no active
+  // session or no therapist message in it yet).
+  async undoExchanges(userId, count = 1) {
+    const activeSession = this.getActiveSession(userId);
+    if (!activeSession) {
+      return { status: 'nothing' };
+    }
+
+    const session = this.activeSessions.get(activeSession.uuid);
+    if (session.turnInFlight) {
+      return { status: 'in_progress' };
+    }
+
+    const messages = await branchService.getLineMessages(session.id, 'id, sender');
+    const therapistIndexes = messages
+      .map((message, index) => (message.sender === 'therapist' ? index : -1))
+      .filter(index => index >= 0);
+    if (therapistIndexes.length === 0) {
+      return { status: 'nothing' };
+    }
+
+    const undone = Math.min(count, therapistIndexes.length);
+    const firstUndone = therapistIndexes[therapistIndexes.length - undone];
+    const branchId = await branchService.createBranch(
+      session.id, firstUndone > 0 ? messages[firstUndone - 1].id : null
+    );
+    await this.reloadLine(activeSession.uuid);
+
+    logger.info('Session exchanges undone', { sessionId: session.id, userId, undone, branchId });
+
+    return { status: 'undone', undone, branchId };
+  }
+
+  // Continues the active session in another of its lines (branchId null: the
+  // main line). status: switched | in_progress | inactive (the session is not
+  // active or has no such branch).
+  async switchBranch(userId, sessionId, branchId) {
+    const activeSession = this.getActiveSession(userId);
+    if (!activeSession || activeSession.id !== sessionId) {
+      return { status: 'inactive' };
+    }
+
+    const session = this.activeSessions.get(activeSession.uuid);
+    if (session.turnInFlight) {
+      return { status: 'in_progress' };
+    }
+
+    const branches = await branchService.getBranches(sessionId);
+    if (branchId !== null && !branches.some(branch => branch.id === branchId)) {
+      return { status: 'inactive' };
+    }
+
+    await branchService.setCurrentBranch(sessionId, branchId);
+    await this.reloadLine(activeSession.uuid);
+
+    logger.info('Session branch switched', { sessionId, userId, branchId });
+
+    return { status: 'switched' };
+  }
+
+  // Rebuilds the message list and patient state of an active session after
+  // its line changed. The list is updated in place (getActiveSession snapshots
+  // share it); a conversation summary reaching past the part the old and the
+  // new line have in common no longer fits and is dropped.
+  async reloadLine(sessionUuid) {
+    const session = this.activeSessions.get(sessionUuid);
+    const messages = [...session.contextMessages, ...(await this.loadSessionMessages(session.id))];
+
+    let sharedCount = 0;
+    while (sharedCount < messages.length && sharedCount < session.messages.length &&
+      messages[sharedCount].role === session.messages[sharedCount].role &&
+      messages[sharedCount].content === session.messages[sharedCount].content) {
+      sharedCount++;
     }
+    await summaryService.discardSummaryBeyond(session.id, sharedCount);
+
+    session.messages.splice(0, session.messages.length, ...messages);
+    session.emotionalState = await this.loadEmotionalState(session.id) || initialEmotionalState(session.patient);
+    session.lastActivity = Date.now();
+    await this.resetInactivityTimer(sessionUuid, session.userId);
+  }
+
+  async generatePatientTurn(session, sessionUuid, options = {}) {
+    const startTime = Date.now();
+
+    // Messages that left the verbatim window are replaced by a rolling summary
+    const historySummary = await summaryService.getHistorySummary(session.id, session.messages);
+    // The patient follows the trainee's current language, whatever it was created in
+    const locale = await userService.getLocale(session.userId);
+
+    // Get AI patient response
+    const claudeResponse = await claudeService.sendMessage(
+      session.messages,
+      session.patient.system_prompt,
+      { 
+        userId: session.userId,
+        cacheType: 'conversation',
+        purpose: 'patient_turn',
+        enableCache: true,
+        sessionId: sessionUuid,
+        ledgerSessionId: session.id,
+        isNewWeek: session.isNewWeek || false,
+        patientMemory: session.patientMemory,
+        // A crisis patient also gets the disclosure stage of its hidden risk
+        patientState: [
+          describeStateForPrompt(session.emotionalState),
+          describeCrisisForPrompt(session.patient.crisis_scenario, this.countTherapistTurns(session))
+        ].filter(Boolean).join('\n\n'),
+        languageInstruction: t(locale, 'prompt.patient'),
+        historySummary,
+        onText: options.onPartial || null
+      }
+    );
+
+    const response = claudeResponse.content;
+    const responseTime = Date.now() - startTime;
+
+    // Save AI response
+    await this.saveMessage(session.id, 'patient', response, {
+      tokensUsed: claudeResponse.usage?.output_tokens || 0,
+      responseTime
+    });
+
+    // Add to session history
+    session.messages.push({
+      role: 'assistant',
+      content: response
+    });
+
+    return { response, responseTime };
+  }
+
+  // Therapist messages of this session (the previous week's context excluded)
+  countTherapistTurns(session) {
+    return session.messages.slice(session.contextMessages.length)
+      .filter(message => message.role === 'user').length;
   }
 
+  // Messages go to the branch the session currently continues in
   async saveMessage(sessionId, sender, content, metadata = {}) {
     try {
       await dbManager.run(`
-        INSERT INTO messages (session_id, sender, content, tokens_used, response_time_ms)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO messages
+        (session_id, sender, content, tokens_used, response_time_ms, intervention_type, emotional_state, branch_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, (SELECT branch_id FROM sessions WHERE id = ?))
       `, [
         sessionId,
         sender,
-        content,
+        securityManager.encryptField(content),
         metadata.tokensUsed || 0,
-        metadata.responseTime || null
+        metadata.responseTime || null,
+        metadata.interventionType || null,
+        metadata.emotionalState ? JSON.stringify(metadata.emotionalState) : null,
+        sessionId
       ]);
 
     } catch (error) {
@@ -195,7 +465,8 @@ class SessionService {
     }
   }
 
-  async endSession(sessionUuid, therapistNotes = null) {
+  // endReason: code of how the session was ended (labels.endReason), null for /end
+  async endSession(sessionUuid, endReason = null) {
     try {
       const session = this.activeSessions.get(sessionUuid);
       if (!session) {
@@ -208,14 +479,18 @@ class SessionService {
       await dbManager.run(`
         UPDATE sessions 
         SET status = 'completed', ended_at = datetime('now'), 
-            duration_minutes = ?, therapist_notes = ?
+            duration_minutes = ?, end_reason = ?
         WHERE id = ?
-      `, [duration, therapistNotes, session.id]);
+      `, [duration, endReason, session.id]);
 
       // Clear inactivity monitoring and remove from active sessions
       this.clearInactivityTimer(sessionUuid);
       this.clearInactivityWarning(sessionUuid);
       this.activeSessions.delete(sessionUuid);
+      await this.persistSessionState(sessionUuid);
+
+      // Merge the session into the patient's case file in the background
+      caseFileService.scheduleUpdate(session.id, session.patientId);
 
       logger.info('Session ended', { 
         sessionUuid, 
@@ -223,10 +498,13 @@ class SessionService {
         messageCount: session.messages.length 
       });
 
+      const trajectory = await this.getEmotionalTrajectory(session.id);
+
       return {
         sessionId: session.id,
         duration,
-        messageCount: session.messages.length
+        messageCount: session.messages.length,
+        emotionalStates: trajectory.map(point => point.state)
       };
 
     } catch (error) {
@@ -237,13 +515,8 @@ class SessionService {
 
   async analyzeSession(sessionId, userId) {
     try {
-      // Get session messages
-      const messages = await dbManager.all(`
-        SELECT sender, content, created_at 
-        FROM messages 
-        WHERE session_id = ? 
-        ORDER BY created_at ASC
-      `, [sessionId]);
+      // Get session messages (the line the session ended in)
+      const messages = await branchService.getLineMessages(sessionId, 'id, sender, content, created_at');
 
       if (messages.length === 0) {
         throw new Error('No messages found for this session');
@@ -251,7 +524,7 @@ class SessionService {
 
       // Get session info
       const sessionInfo = await dbManager.get(`
-        SELECT s.*, p.name as patient_name, p.presenting_problem
+        SELECT s.*, p.name as patient_name, p.presenting_problem, p.crisis_scenario
         FROM sessions s
         JOIN patients p ON s.patient_id = p.id
         WHERE s.id = ? AND s.user_id = ?
@@ -261,10 +534,35 @@ class SessionService {
         throw new Error('Session not found or access denied');
       }
 
-      // Format conversation for analysis
+      // Format conversation for analysis; therapist lines carry their message id
+      // so the supervisor can annotate them
       const conversation = messages.map(msg => 
-        `${msg.sender === 'therapist' ? 'Терапевт' : 'Клиент'}: ${msg.content}`
+        `${msg.sender === 'therapist' ? `Терапевт [#${msg.id}]` : 'Клиент'}: ${securityManager.decryptField(msg.content)}`
       ).join('\n\n');
+      const therapistMessageIds = messages.filter(msg => msg.sender === 'therapist').map(msg => msg.id);
+
+      const trajectory = await this.getEmotionalTrajectory(sessionId);
+      const stateDynamics = trajectory.length > 1 ? `
+ДИНАМИКА СОСТОЯНИЯ КЛИЕНТА (модель 0-100, после каждой реплики терапевта):
+Начало: ${formatStateValues(trajectory[0].state)}
+${trajectory.slice(1).map(point => `[#${point.messageId}] ${point.interventionType}: ${formatStateValues(point.state)}`).join('\n')}
+Учитывай эту динамику в оценке раппорта и интервенций: какие реплики укрепили альянс, а какие усилили сопротивление.
+` : '';
+
+      // Turns that followed a live hint were assisted
+      const hints = await hintService.getSessionHints(sessionId);
+      const hintsBlock = hints.length > 0 ? `
+ПОДСКАЗКИ СУПЕРВИЗОРА ВО ВРЕМЯ СЕССИИ:
+${hints.map(hint => `- ${hint.assistedMessageId ? `перед [#${hint.assistedMessageId}]` : 'в конце сессии'} (${hint.trigger === 'auto' ? 'автоматически' : 'по запросу'}): ${hint.content}`).join('\n')}
+Реплики терапевта сразу после подсказок сделаны с помощью. Оценивая навыки, опирайся прежде всего на самостоятельные реплики, а в комментариях отметь, как терапевт воспользовался подсказками.
+` : '';
+
+      // Sessions practised in a modality are also checked against its rubric
+      const modality = resolveModality(sessionInfo.modality);
+      const modalityRubric = buildModalityRubric(modality);
+      // and crisis scenarios against the safety protocol
+      const crisisScenario = isCrisisScenario(sessionInfo.crisis_scenario) ? sessionInfo.crisis_scenario : null;
+      const safetyRubric = buildSafetyRubric(crisisScenario);
 
       const analysisPrompt = `Проанализируй эту терапевтическую сессию:
 
@@ -275,90 +573,327 @@ class SessionService {
 
 ДИАЛОГ:
 ${conversation}
+${stateDynamics}${hintsBlock}
+${this.supervisorPrompt}
+${modalityRubric ? `\n${modalityRubric}\n` : ''}${safetyRubric ? `\n${safetyRubric}\n` : ''}
+${t(await userService.getLocale(userId), 'prompt.analysis')}`;
 
-${this.supervisorPrompt}`;
-
-      const analysis = await claudeService.sendMessage(
-        [{ role: 'user', content: analysisPrompt }],
-        null,
-        { 
-          userId, 
-          cacheType: 'analysis',
-          enableCache: true
-        }
+      const analysisData = await this.requestSupervisorAnalysis(
+        analysisPrompt, userId, sessionId, therapistMessageIds, modality, crisisScenario
       );
+      analysisData.hints_used = hints.length;
+
+      // Save analysis to database; a valid analysis never lacks its annotations or skill scores.
+      // Whether the session was analyzed before is decided in the same transaction,
+      // so of two concurrent runs only one counts as the first analysis.
+      const reanalysis = await dbManager.transaction(async () => {
+        const analyzedBefore = await this.hasValidAnalysis(sessionId);
+        const analysisId = await this.saveAnalysis(sessionId, 'supervisor', analysisData);
+        await this.saveAnnotations(analysisId, sessionId, analysisData.annotations);
+        await this.saveSkillScores(analysisId, sessionId, analysisData.skill_scores);
+        return analyzedBefore;
+      });
+      // Set after saving: not part of the stored content
+      analysisData.reanalysis = reanalysis;
+
+      logger.info('Session analysis completed', { sessionId, rating: analysisData.overall_rating });
+
+      return analysisData;
+
+    } catch (error) {
+      logger.error('Error analyzing session', { error: error.message, sessionId });
+      throw error;
+    }
+  }
+
+  // Asks the supervisor model for an analysis and validates it against
+  // supervisorAnalysisSchema. Invalid answers are sent back together with the
+  // validation errors for a bounded number of repair attempts; if the answer is
+  // still invalid it is stored as 'failed' and a ValidationError is thrown.
+  async requestSupervisorAnalysis(analysisPrompt, userId, sessionId, therapistMessageIds = [], modality = null, crisisScenario = null) {
+    const conversation = [{ role: 'user', content: analysisPrompt }];
+    let lastContent = '';
+    let lastErrors = [];
+
+    for (let attempt = 0; attempt <= this.ANALYSIS_REPAIR_ATTEMPTS; attempt++) {
+      const response = await claudeService.sendMessage(conversation, null, {
+        userId,
+        cacheType: 'analysis',
+        purpose: 'analysis',
+        enableCache: attempt === 0,
+        ledgerSessionId: sessionId
+      });
+      lastContent = response.content;
 
-      // Parse analysis JSON (handle extra text after JSON)
-      let analysisData;
       try {
-        let jsonContent = analysis.content.trim();
-        
-        // Find JSON boundaries
-        const jsonStart = jsonContent.indexOf('{');
-        const jsonEnd = jsonContent.lastIndexOf('}') + 1;
-        
-        if (jsonStart >= 0 && jsonEnd > jsonStart) {
-          jsonContent = jsonContent.substring(jsonStart, jsonEnd);
+        return this.parseSupervisorAnalysis(response.content, therapistMessageIds, modality, crisisScenario);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
         }
-        
-        analysisData = JSON.parse(jsonContent);
-      } catch (parseError) {
-        logger.error('Failed to parse analysis JSON', { 
-          error: parseError.message,
-          content: analysis.content.substring(0, 500) + '...'
+
+        lastErrors = error.details || [{ field: '', message: error.message }];
+        logger.warn('Supervisor analysis failed validation', {
+          sessionId,
+          attempt: attempt + 1,
+          errors: lastErrors.map(detail => `${detail.field}: ${detail.message}`)
         });
-        
-        // Fallback analysis
-        analysisData = {
-          overall_rating: 7,
-          strengths: ['Сессия проведена профессионально'],
-          areas_for_improvement: ['Анализ временно недоступен'],
-          specific_feedback: {
-            rapport_building: 'Анализ в процессе обработки',
-            intervention_quality: 'Анализ в процессе обработки',
-            therapeutic_technique: 'Анализ в процессе обработки',
-            ethical_considerations: 'Анализ в процессе обработки'
-          },
-          recommendations: ['Продолжайте развивать терапевтические навыки'],
-          key_moments: ['Успешное проведение сессии']
-        };
+
+        conversation.push(
+          { role: 'assistant', content: response.content },
+          { role: 'user', content: this.buildAnalysisRepairPrompt(lastErrors) }
+        );
       }
+    }
 
-      // Save analysis to database
-      await this.saveAnalysis(sessionId, 'supervisor', analysisData);
+    await this.saveFailedAnalysis(sessionId, 'supervisor', lastContent, lastErrors);
+    throw new ValidationError('Supervisor analysis failed validation', lastErrors);
+  }
 
-      logger.info('Session analysis completed', { sessionId, rating: analysisData.overall_rating });
+  // Validates the JSON object of the model answer, including that annotations
+  // point at therapist messages of this session, that a session practised
+  // in a modality got its fidelity rubric (unknown criteria are dropped) and
+  // that a crisis scenario got its safety scorecard and a crisis_management score
+  parseSupervisorAnalysis(content, therapistMessageIds = [], modality = null, crisisScenario = null) {
+    const analysis = validateAndSanitize(parseJsonObject(content), supervisorAnalysisSchema);
+
+    const modalityChecks = getModalityChecks(modality);
+    if (modalityChecks.length === 0) {
+      delete analysis.modality_fidelity;
+    } else if (!analysis.modality_fidelity) {
+      throw new ValidationError('Missing modality fidelity', [
+        { field: 'modality_fidelity', message: '"modality_fidelity" is required for this session' }
+      ]);
+    } else {
+      // The fidelity names its modality so stored analyses render on their own
+      analysis.modality_fidelity = {
+        ...analysis.modality_fidelity,
+        modality,
+        checks: Object.fromEntries(
+          Object.entries(analysis.modality_fidelity.checks).filter(([check]) => modalityChecks.includes(check))
+        )
+      };
+    }
 
-      return analysisData;
+    if (!crisisScenario) {
+      delete analysis.safety_scorecard;
+    } else {
+      const safetyErrors = [];
+      if (!analysis.safety_scorecard) {
+        safetyErrors.push({ field: 'safety_scorecard', message: '"safety_scorecard" is required for this session' });
+      }
+      if (analysis.skill_scores.crisis_management.score === null) {
+        safetyErrors.push({ field: 'skill_scores.crisis_management.score', message: 'must be scored in a crisis scenario' });
+      }
+      if (safetyErrors.length > 0) {
+        throw new ValidationError('Missing safety scorecard', safetyErrors);
+      }
+
+      analysis.safety_scorecard = {
+        ...analysis.safety_scorecard,
+        scenario: crisisScenario,
+        score: scoreSafetyChecks(analysis.safety_scorecard.checks)
+      };
+    }
+
+    const knownIds = new Set(therapistMessageIds);
+    const seenIds = new Set();
+    const annotationErrors = [];
+    analysis.annotations.forEach((annotation, index) => {
+      if (!knownIds.has(annotation.message_id)) {
+        annotationErrors.push({ field: `annotations.${index}.message_id`, message: `${annotation.message_id} is not a therapist message id` });
+      } else if (seenIds.has(annotation.message_id)) {
+        annotationErrors.push({ field: `annotations.${index}.message_id`, message: `${annotation.message_id} is annotated twice` });
+      }
+      seenIds.add(annotation.message_id);
+    });
+
+    if (annotationErrors.length > 0) {
+      throw new ValidationError('Invalid analysis annotations', annotationErrors);
+    }
+
+    return analysis;
+  }
+
+  buildAnalysisRepairPrompt(errors) {
+    const errorList = errors.map(detail => `- ${detail.field || 'ответ'}: ${detail.message}`).join('\n');
+
+    return `Твой ответ не соответствует требуемому формату анализа:
+${errorList}
+
+Исправь ошибки и пришли анализ заново. Ответ должен содержать только JSON-объект в указанном ранее формате, без пояснений до или после него.`;
+  }
+
+  async saveFailedAnalysis(sessionId, analysisType, rawContent, errors) {
+    try {
+      await dbManager.run(`
+        INSERT INTO session_analyses 
+        (session_id, analysis_type, content, status, validation_errors, raw_response)
+        VALUES (?, ?, '{}', 'failed', ?, ?)
+      `, [
+        sessionId,
+        analysisType,
+        JSON.stringify(errors),
+        securityManager.encryptField((rawContent || '').substring(0, 10000))
+      ]);
 
     } catch (error) {
-      logger.error('Error analyzing session', { error: error.message, sessionId });
-      throw error;
+      logger.error('Error saving failed analysis', { error: error.message, sessionId });
     }
   }
 
   async saveAnalysis(sessionId, analysisType, analysisData) {
     try {
-      await dbManager.run(`
+      // Annotations and skill scores live in their own tables
+      const { annotations, skill_scores, ...content } = analysisData;
+
+      const result = await dbManager.run(`
         INSERT INTO session_analyses 
-        (session_id, analysis_type, content, recommendations, rating, strengths, areas_for_improvement)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        (session_id, analysis_type, content, recommendations, rating, strengths, areas_for_improvement,
+         modality_score, safety_score)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         sessionId,
         analysisType,
-        JSON.stringify(analysisData),
+        JSON.stringify(content),
         JSON.stringify(analysisData.recommendations || []),
         analysisData.overall_rating || null,
         JSON.stringify(analysisData.strengths || []),
-        JSON.stringify(analysisData.areas_for_improvement || [])
+        JSON.stringify(analysisData.areas_for_improvement || []),
+        analysisData.modality_fidelity?.score || null,
+        analysisData.safety_scorecard ? analysisData.safety_scorecard.score : null
       ]);
 
+      return result.lastID;
+
     } catch (error) {
       logger.error('Error saving analysis', { error: error.message, sessionId });
       throw error;
     }
   }
 
+  async saveAnnotations(analysisId, sessionId, annotations = []) {
+    try {
+      for (const annotation of annotations) {
+        await dbManager.run(`
+          INSERT INTO message_annotations 
+          (analysis_id, session_id, message_id, intervention_type, quality, comment, suggested_alternative)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+          analysisId,
+          sessionId,
+          annotation.message_id,
+          annotation.intervention_type,
+          annotation.quality,
+          securityManager.encryptField(annotation.comment || null),
+          securityManager.encryptField(annotation.suggested_alternative || null)
+        ]);
+      }
+
+    } catch (error) {
+      logger.error('Error saving message annotations', { error: error.message, sessionId, analysisId });
+      throw error;
+    }
+  }
+
+  async saveSkillScores(analysisId, sessionId, skillScores = {}) {
+    try {
+      for (const [skill, { score, evidence }] of Object.entries(skillScores)) {
+        await dbManager.run(`
+          INSERT INTO session_skill_scores 
+          (analysis_id, session_id, skill, score, evidence)
+          VALUES (?, ?, ?, ?, ?)
+        `, [analysisId, sessionId, skill, score, securityManager.encryptField(evidence || null)]);
+      }
+
+    } catch (error) {
+      logger.error('Error saving skill scores', { error: error.message, sessionId, analysisId });
+      throw error;
+    }
+  }
+
+  async hasValidAnalysis(sessionId) {
+    const row = await dbManager.get(`
+      SELECT 1 AS found
+      FROM session_analyses
+      WHERE session_id = ? AND analysis_type = 'supervisor' AND status = 'valid'
+      LIMIT 1
+    `, [sessionId]);
+
+    return Boolean(row);
+  }
+
+  // Transcript of a session with the annotations of its latest valid supervisor analysis
+  async getSessionReview(sessionId, userId) {
+    try {
+      const session = await dbManager.get(`
+        SELECT s.id, s.started_at, s.duration_minutes, p.name as patient_name
+        FROM sessions s
+        JOIN patients p ON s.patient_id = p.id
+        WHERE s.id = ? AND s.user_id = ?
+      `, [sessionId, userId]);
+
+      if (!session) {
+        return null;
+      }
+
+      const analysis = await dbManager.get(`
+        SELECT id, rating
+        FROM session_analyses 
+        WHERE session_id = ? AND analysis_type = 'supervisor' AND status = 'valid'
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+      `, [sessionId]);
+
+      const messages = await branchService.getLineMessages(sessionId, 'id, sender, content, created_at');
+
+      const annotations = analysis ? await dbManager.all(`
+        SELECT message_id, intervention_type, quality, comment, suggested_alternative
+        FROM message_annotations 
+        WHERE analysis_id = ?
+      `, [analysis.id]) : [];
+
+      const annotationsByMessage = new Map(annotations.map(annotation => [annotation.message_id, {
+        ...annotation,
+        comment: securityManager.decryptField(annotation.comment),
+        suggested_alternative: securityManager.decryptField(annotation.suggested_alternative)
+      }]));
+
+      return {
+        session,
+        rating: analysis?.rating || null,
+        analyzed: Boolean(analysis),
+        messages: messages.map(message => ({
+          ...message,
+          content: securityManager.decryptField(message.content),
+          annotation: annotationsByMessage.get(message.id) || null
+        }))
+      };
+    } catch (error) {
+      logger.error('Error fetching session review', { error: error.message, sessionId, userId });
+      return null;
+    }
+  }
+
+  // Most recent session of the user that has a valid supervisor analysis
+  async getLastAnalyzedSessionId(userId) {
+    try {
+      const row = await dbManager.get(`
+        SELECT s.id
+        FROM sessions s
+        JOIN session_analyses sa ON sa.session_id = s.id
+        WHERE s.user_id = ? AND sa.analysis_type = 'supervisor' AND sa.status = 'valid'
+        ORDER BY sa.created_at DESC, sa.id DESC
+        LIMIT 1
+      `, [userId]);
+
+      return row?.id || null;
+    } catch (error) {
+      logger.error('Error fetching last analyzed session', { error: error.message, userId });
+      return null;
+    }
+  }
+
   getActiveSession(userId) {
     for (const [uuid, session] of this.activeSessions.entries()) {
       if (session.userId === userId) {
@@ -372,14 +907,18 @@ ${this.supervisorPrompt}`;
     try {
       const sessions = await dbManager.all(`
         SELECT 
-          s.id, s.uuid, s.status, s.started_at, s.ended_at, s.duration_minutes, s.message_count,
+          s.id, s.uuid, s.status, s.started_at, s.ended_at, s.duration_minutes, s.message_count, s.modality,
           p.name as patient_name, p.presenting_problem,
-          sa.rating, sa.analysis_type
+          (
+            SELECT sa.rating FROM session_analyses sa
+            WHERE sa.session_id = s.id AND sa.analysis_type = 'supervisor' AND sa.status = 'valid'
+            ORDER BY sa.created_at DESC, sa.id DESC
+            LIMIT 1
+          ) as rating
         FROM sessions s
         JOIN patients p ON s.patient_id = p.id
-        LEFT JOIN session_analyses sa ON s.id = sa.session_id AND sa.analysis_type = 'supervisor'
         WHERE s.user_id = ?
-        ORDER BY s.started_at DESC
+        ORDER BY s.started_at DESC, s.id DESC
         LIMIT ? OFFSET ?
       `, [userId, limit, offset]);
 
@@ -390,6 +929,52 @@ ${this.supervisorPrompt}`;
     }
   }
 
+  // Most recent session with a patient; withMessages skips sessions that
+  // ended before anything was said
+  async getLatestPatientSession(userId, patientId, { withMessages = false } = {}) {
+    try {
+      return await dbManager.get(`
+        SELECT id, uuid, status, started_at
+        FROM sessions 
+        WHERE user_id = ? AND patient_id = ?
+          ${withMessages ? 'AND EXISTS (SELECT 1 FROM messages WHERE session_id = sessions.id)' : ''}
+        ORDER BY started_at DESC, id DESC
+        LIMIT 1
+      `, [userId, patientId]);
+    } catch (error) {
+      logger.error('Error fetching latest patient session', { error: error.message, userId, patientId });
+      return null;
+    }
+  }
+
+  async updateSessionNotes(sessionId, userId, notes) {
+    try {
+      const result = await dbManager.run(`
+        UPDATE sessions 
+        SET therapist_notes = ?
+        WHERE id = ? AND user_id = ?
+      `, [notes || null, sessionId, userId]);
+
+      return result.changes > 0;
+    } catch (error) {
+      logger.error('Error updating session notes', { error: error.message, sessionId });
+      return false;
+    }
+  }
+
+  async countSessions(userId) {
+    try {
+      const row = await dbManager.get(`
+        SELECT COUNT(*) as count FROM sessions WHERE user_id = ?
+      `, [userId]);
+
+      return row.count;
+    } catch (error) {
+      logger.error('Error counting sessions', { error: error.message, userId });
+      return 0;
+    }
+  }
+
   async getSessionDetails(sessionId, userId) {
     try {
       const session = await dbManager.get(`
@@ -406,18 +991,15 @@ ${this.supervisorPrompt}`;
         return null;
       }
 
-      const messages = await dbManager.all(`
-        SELECT sender, content, created_at, tokens_used, response_time_ms
-        FROM messages 
-        WHERE session_id = ? 
-        ORDER BY created_at ASC
-      `, [sessionId]);
+      const messages = await branchService.getLineMessages(
+        sessionId, 'id, sender, content, created_at, tokens_used, response_time_ms'
+      );
 
       const analysis = await dbManager.get(`
         SELECT content, rating, strengths, areas_for_improvement, recommendations, created_at
         FROM session_analyses 
-        WHERE session_id = ? AND analysis_type = 'supervisor'
-        ORDER BY created_at DESC
+        WHERE session_id = ? AND analysis_type = 'supervisor' AND status = 'valid'
+        ORDER BY created_at DESC, id DESC
         LIMIT 1
       `, [sessionId]);
 
@@ -427,7 +1009,10 @@ ${this.supervisorPrompt}`;
           personality_traits: JSON.parse(session.personality_traits),
           psychological_profile: JSON.parse(session.psychological_profile)
         },
-        messages,
+        messages: messages.map(message => ({
+          ...message,
+          content: securityManager.decryptField(message.content)
+        })),
         analysis: analysis ? {
           ...analysis,
           content: JSON.parse(analysis.content),
@@ -443,29 +1028,46 @@ ${this.supervisorPrompt}`;
     }
   }
 
-  // Start inactivity monitoring for a session
+  // Start inactivity monitoring for a session; the caller persists the new deadlines
   startInactivityMonitoring(sessionUuid, userId) {
+    const now = Date.now();
+
+    this.scheduleInactivityTimers(sessionUuid, userId, {
+      warningAt: now + this.INACTIVITY_WARNING_TIME,
+      endAt: now + this.INACTIVITY_END_TIME
+    });
+  }
+
+  // Schedule warning/end timers for absolute deadlines (epoch ms)
+  scheduleInactivityTimers(sessionUuid, userId, { warningAt = null, endAt = null, pausedUntil = null } = {}) {
     // Clear any existing timers
     this.clearInactivityTimer(sessionUuid);
 
-    // Set warning timer
-    const warningTimer = setTimeout(() => {
-      this.handleInactivityWarning(sessionUuid, userId);
-    }, this.INACTIVITY_WARNING_TIME);
+    const now = Date.now();
+    const timers = { warningAt, endAt, pausedUntil };
+
+    if (warningAt) {
+      timers.warningTimer = setTimeout(() => {
+        this.handleInactivityWarning(sessionUuid, userId);
+      }, Math.max(warningAt - now, 0));
+    }
 
-    // Set end timer
-    const endTimer = setTimeout(() => {
-      this.handleInactivityEnd(sessionUuid, userId);
-    }, this.INACTIVITY_END_TIME);
+    if (endAt) {
+      timers.endTimer = setTimeout(() => {
+        this.handleInactivityEnd(sessionUuid, userId);
+      }, Math.max(endAt - now, 0));
+    }
 
-    this.inactivityTimers.set(sessionUuid, { warningTimer, endTimer });
+    this.inactivityTimers.set(sessionUuid, timers);
   }
 
-  // Reset inactivity timer when user is active
+  // Reset inactivity timer when user is active. Resolves once the new deadlines
+  // are persisted; turns do not wait for that, the writes are chained anyway.
   resetInactivityTimer(sessionUuid, userId) {
     this.clearInactivityTimer(sessionUuid);
     this.clearInactivityWarning(sessionUuid);
     this.startInactivityMonitoring(sessionUuid, userId);
+    return this.persistSessionState(sessionUuid);
   }
 
   // Clear inactivity timers
@@ -495,6 +1097,15 @@ ${this.supervisorPrompt}`;
         warningTime: Date.now()
       });
 
+      // A warning after a pause has no end deadline yet - keep the usual 5 minute grace
+      const timers = this.inactivityTimers.get(sessionUuid);
+      if (!timers?.endAt) {
+        this.scheduleInactivityTimers(sessionUuid, userId, {
+          endAt: Date.now() + (this.INACTIVITY_END_TIME - this.INACTIVITY_WARNING_TIME)
+        });
+      }
+      this.persistSessionState(sessionUuid);
+
       // Trigger warning callback if set
       if (this.onInactivityWarning) {
         await this.onInactivityWarning(sessionUuid, userId, session);
@@ -513,7 +1124,7 @@ ${this.supervisorPrompt}`;
       if (!session) return;
 
       // End session due to inactivity
-      await this.endSession(sessionUuid, 'Session ended due to inactivity');
+      await this.endSession(sessionUuid, 'inactivity');
 
       // Trigger end callback if set
       if (this.onInactivityEnd) {
@@ -541,8 +1152,7 @@ ${this.supervisorPrompt}`;
     const session = this.activeSessions.get(sessionUuid);
     if (session) {
       session.lastActivity = Date.now();
-      this.resetInactivityTimer(sessionUuid, session.userId);
-      this.clearInactivityWarning(sessionUuid);
+      await this.resetInactivityTimer(sessionUuid, session.userId);
       logger.info('Session continued by user', { sessionUuid });
       return true;
     }
@@ -558,11 +1168,13 @@ ${this.supervisorPrompt}`;
       this.clearInactivityWarning(sessionUuid);
       
       // Set extended timer for pause
-      const pauseTimer = setTimeout(() => {
-        this.handleInactivityWarning(sessionUuid, session.userId);
-      }, pauseDuration);
+      const pausedUntil = Date.now() + pauseDuration;
+      this.scheduleInactivityTimers(sessionUuid, session.userId, {
+        warningAt: pausedUntil,
+        pausedUntil
+      });
+      this.persistSessionState(sessionUuid);
 
-      this.inactivityTimers.set(sessionUuid, { pauseTimer });
       logger.info('Session paused by user', { sessionUuid, pauseDuration });
       return true;
     }
@@ -578,7 +1190,9 @@ ${this.supervisorPrompt}`;
       if (now - session.startTime > maxInactiveTime) {
         logger.info('Cleaning up inactive session', { sessionUuid: uuid });
         this.clearInactivityTimer(uuid);
+        this.clearInactivityWarning(uuid);
         this.activeSessions.delete(uuid);
+        this.persistSessionState(uuid);
         
         // Mark session as cancelled in database (cleanup is async now)
         (async () => {
@@ -599,6 +1213,233 @@ ${this.supervisorPrompt}`;
     }
   }
 
+  // Persist the runtime state of a session; removes the row once the session is gone.
+  // Writes for the same session are chained so the latest snapshot always wins.
+  persistSessionState(sessionUuid) {
+    const previous = this.stateWrites.get(sessionUuid) || Promise.resolve();
+    const write = previous
+      .then(() => this.writeSessionState(sessionUuid))
+      .catch(error => {
+        logger.error('Error persisting session state', { error: error.message, sessionUuid });
+      })
+      .finally(() => {
+        if (this.stateWrites.get(sessionUuid) === write) {
+          this.stateWrites.delete(sessionUuid);
+        }
+      });
+
+    this.stateWrites.set(sessionUuid, write);
+    return write;
+  }
+
+  async writeSessionState(sessionUuid) {
+    const session = this.activeSessions.get(sessionUuid);
+
+    if (!session) {
+      await dbManager.run(`
+        DELETE FROM active_session_state WHERE session_uuid = ?
+      `, [sessionUuid]);
+      return;
+    }
+
+    const timers = this.inactivityTimers.get(sessionUuid) || {};
+    const warning = this.inactivityWarnings.get(sessionUuid);
+
+    await dbManager.run(`
+      INSERT OR REPLACE INTO active_session_state
+      (session_id, session_uuid, user_id, is_new_week, context_messages, start_time, last_activity,
+       warning_deadline, end_deadline, warning_sent, paused_until, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `, [
+      session.id,
+      sessionUuid,
+      session.userId,
+      session.isNewWeek ? 1 : 0,
+      securityManager.encryptField(JSON.stringify(session.contextMessages || [])),
+      session.startTime,
+      session.lastActivity,
+      timers.warningAt || null,
+      timers.endAt || null,
+      warning?.warningSent ? 1 : 0,
+      timers.pausedUntil || null
+    ]);
+  }
+
+  // Wait for all pending state writes (used on graceful shutdown)
+  async flushSessionState() {
+    await Promise.all([...this.stateWrites.values()]);
+  }
+
+  // Case file of the patient formatted for the system prompt (null before the first session)
+  async loadPatientMemory(patientId) {
+    const caseFile = await caseFileService.getCaseFile(patientId);
+    return caseFileService.formatForPrompt(caseFile);
+  }
+
+  // Patient states of a session in order: the initial one, then the state after
+  // every therapist message of its current line. Empty for sessions started
+  // before state tracking.
+  async getEmotionalTrajectory(sessionId) {
+    try {
+      const session = await dbManager.get(`
+        SELECT initial_emotional_state FROM sessions WHERE id = ?
+      `, [sessionId]);
+
+      if (!session || !session.initial_emotional_state) {
+        return [];
+      }
+
+      const rows = (await branchService.getLineMessages(sessionId, 'id, intervention_type, emotional_state'))
+        .filter(row => row.emotional_state);
+
+      return [
+        { messageId: null, interventionType: null, state: JSON.parse(session.initial_emotional_state) },
+        ...rows.map(row => ({
+          messageId: row.id,
+          interventionType: row.intervention_type,
+          state: JSON.parse(row.emotional_state)
+        }))
+      ];
+
+    } catch (error) {
+      logger.error('Error fetching emotional trajectory', { error: error.message, sessionId });
+      return [];
+    }
+  }
+
+  // Latest patient state of a session (null for sessions without state tracking)
+  async loadEmotionalState(sessionId) {
+    const trajectory = await this.getEmotionalTrajectory(sessionId);
+    return trajectory.length > 0 ? trajectory[trajectory.length - 1].state : null;
+  }
+
+  // Rebuild the Claude message list of a session from the stored messages of its current line
+  async loadSessionMessages(sessionId) {
+    const rows = await branchService.getLineMessages(sessionId, 'sender, content');
+
+    return rows.map(row => ({
+      role: row.sender === 'therapist' ? 'user' : 'assistant',
+      content: securityManager.decryptField(row.content)
+    }));
+  }
+
+  // Rehydrate sessions that were active before a restart and reconcile
+  // inactivity deadlines that passed while the bot was down
+  async restoreActiveSessions() {
+    const summary = { restored: 0, warned: 0, ended: 0, cancelled: 0 };
+
+    try {
+      const rows = await dbManager.all(`
+        SELECT 
+          s.id, s.uuid, s.user_id, s.patient_id, s.started_at, s.modality,
+          st.session_id AS state_session_id, st.is_new_week, st.context_messages,
+          st.start_time, st.last_activity, st.warning_deadline, st.end_deadline,
+          st.warning_sent, st.paused_until,
+          (SELECT MAX(created_at) FROM messages WHERE session_id = s.id) AS last_message_at
+        FROM sessions s
+        LEFT JOIN active_session_state st ON st.session_id = s.id
+        WHERE s.status = 'active'
+        ORDER BY s.started_at DESC, s.id DESC
+      `);
+
+      const now = Date.now();
+      const restoredUsers = new Set();
+
+      for (const row of rows) {
+        if (this.activeSessions.has(row.uuid)) {
+          restoredUsers.add(row.user_id);
+          continue;
+        }
+
+        const patient = await patientService.getPatientById(row.patient_id);
+
+        // Only the most recent session per user can be resumed
+        if (restoredUsers.has(row.user_id) || !patient) {
+          await this.cancelOrphanedSession(row.id, row.uuid);
+          summary.cancelled++;
+          continue;
+        }
+        restoredUsers.add(row.user_id);
+
+        const contextMessages = row.context_messages ?
+          JSON.parse(securityManager.decryptField(row.context_messages)) : [];
+        const storedMessages = await this.loadSessionMessages(row.id);
+        const startTime = row.start_time || parseDbTimestamp(row.started_at) || now;
+        const lastActivity = row.last_activity || parseDbTimestamp(row.last_message_at) || startTime;
+
+        this.activeSessions.set(row.uuid, {
+          id: row.id,
+          userId: row.user_id,
+          patientId: row.patient_id,
+          patient,
+          patientMemory: await this.loadPatientMemory(row.patient_id),
+          emotionalState: await this.loadEmotionalState(row.id) || initialEmotionalState(patient),
+          modality: resolveModality(row.modality),
+          messages: [...contextMessages, ...storedMessages],
+          contextMessages,
+          startTime,
+          lastActivity,
+          isNewWeek: Boolean(row.is_new_week)
+        });
+
+        // Sessions without a state row (e.g. created before persistence existed)
+        // get deadlines derived from their last activity
+        const hasState = row.state_session_id !== null;
+        const deadlines = hasState ? {
+          warningAt: row.warning_deadline,
+          endAt: row.end_deadline,
+          pausedUntil: row.paused_until
+        } : {
+          warningAt: lastActivity + this.INACTIVITY_WARNING_TIME,
+          endAt: lastActivity + this.INACTIVITY_END_TIME,
+          pausedUntil: null
+        };
+        const warningSent = hasState && Boolean(row.warning_sent);
+
+        if (deadlines.endAt && deadlines.endAt <= now) {
+          await this.handleInactivityEnd(row.uuid, row.user_id);
+          summary.ended++;
+          continue;
+        }
+
+        if (warningSent) {
+          this.inactivityWarnings.set(row.uuid, { warningSent: true, warningTime: deadlines.warningAt });
+        } else if (deadlines.warningAt && deadlines.warningAt <= now) {
+          summary.warned++;
+        }
+
+        // Overdue warnings fire immediately (zero delay)
+        this.scheduleInactivityTimers(row.uuid, row.user_id, {
+          warningAt: warningSent ? null : deadlines.warningAt,
+          endAt: deadlines.endAt,
+          pausedUntil: deadlines.pausedUntil
+        });
+        await this.persistSessionState(row.uuid);
+        summary.restored++;
+      }
+
+      logger.info('Active sessions restored', summary);
+      return summary;
+
+    } catch (error) {
+      logger.error('Error restoring active sessions', { error: error.message });
+      return summary;
+    }
+  }
+
+  async cancelOrphanedSession(sessionId, sessionUuid) {
+    await dbManager.run(`
+      UPDATE sessions 
+      SET status = 'cancelled', ended_at = datetime('now')
+      WHERE id = ?
+    `, [sessionId]);
+    await dbManager.run(`
+      DELETE FROM active_session_state WHERE session_uuid = ?
+    `, [sessionUuid]);
+
+    logger.info('Orphaned session cancelled during restore', { sessionId, sessionUuid });
+  }
+
   // Start new week session with previous context
   async startNewWeekSession(userId, patientId, previousSessionId) {
     try {
@@ -612,12 +1453,13 @@ ${this.supervisorPrompt}`;
         throw new Error('Previous session not found');
       }
 
-      const previousMessages = await claudeService.loadConversationFromDB(previousSession.uuid);
+      const previousMessages = await this.loadSessionMessages(previousSessionId);
 
       // Create new session with previous context
       const newSession = await this.createSession(userId, patientId, { 
         isNewWeek: true,
-        previousMessages: previousMessages
+        previousMessages: previousMessages,
+        previousState: await this.loadEmotionalState(previousSessionId)
       });
 
       logger.info('New week session started', { 
@@ -642,58 +1484,71 @@ ${this.supervisorPrompt}`;
     }
   }
 
-  // Continue existing session (technical restore)
+  // Continue existing session (technical restore): the session is reopened
+  // with its stored transcript and its time keeps accumulating
   async continueSession(userId, sessionId) {
     try {
-      // Load session from database
       const sessionData = await dbManager.get(`
-        SELECT s.*, p.* FROM sessions s
-        JOIN patients p ON s.patient_id = p.id
-        WHERE s.id = ? AND s.user_id = ?
+        SELECT id, uuid, patient_id, status, duration_minutes, modality
+        FROM sessions 
+        WHERE id = ? AND user_id = ?
       `, [sessionId, userId]);
 
       if (!sessionData) {
         throw new Error('Session not found or access denied');
       }
 
-      // Load conversation history
-      const messages = await claudeService.loadConversationFromDB(sessionData.uuid);
+      const patient = await patientService.getPatientById(sessionData.patient_id);
+      if (!patient) {
+        throw new Error('Patient not found');
+      }
 
       const sessionUuid = sessionData.uuid;
-      const activeSession = {
-        id: sessionData.id,
-        uuid: sessionUuid,
-        userId,
-        patientId: sessionData.patient_id,
-        patient: {
-          id: sessionData.patient_id,
-          name: sessionData.name,
-          system_prompt: sessionData.system_prompt
-        },
-        messages: messages,
-        startTime: new Date(sessionData.started_at).getTime(),
-        lastActivity: Date.now(),
-        isNewWeek: false // Same session continuation
-      };
 
-      this.activeSessions.set(sessionUuid, activeSession);
-      this.startInactivityMonitoring(sessionUuid, userId);
+      if (!this.activeSessions.has(sessionUuid)) {
+        const messages = await this.loadSessionMessages(sessionData.id);
+
+        await dbManager.run(`
+          UPDATE sessions 
+          SET status = 'active', ended_at = NULL
+          WHERE id = ?
+        `, [sessionData.id]);
+
+        this.activeSessions.set(sessionUuid, {
+          id: sessionData.id,
+          userId,
+          patientId: patient.id,
+          patient,
+          patientMemory: await this.loadPatientMemory(patient.id),
+          emotionalState: await this.loadEmotionalState(sessionData.id) || initialEmotionalState(patient),
+          modality: resolveModality(sessionData.modality),
+          messages,
+          contextMessages: [],
+          startTime: Date.now() - (sessionData.duration_minutes || 0) * 60 * 1000,
+          lastActivity: Date.now(),
+          isNewWeek: false // Same session continuation
+        });
 
-      logger.info('Session continued', { 
-        sessionId, 
-        sessionUuid, 
-        userId, 
-        messageCount: messages.length 
-      });
+        this.startInactivityMonitoring(sessionUuid, userId);
+        await this.persistSessionState(sessionUuid);
+
+        logger.info('Session continued', { 
+          sessionId, 
+          sessionUuid, 
+          userId, 
+          previousStatus: sessionData.status,
+          messageCount: messages.length 
+        });
+      }
 
       return {
         id: sessionData.id,
         uuid: sessionUuid,
         patient: {
-          id: sessionData.patient_id,
-          name: sessionData.name,
-          age: sessionData.age,
-          presenting_problem: sessionData.presenting_problem
+          id: patient.id,
+          name: patient.name,
+          age: patient.age,
+          presenting_problem: patient.presenting_problem
         }
       };
       
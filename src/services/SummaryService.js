@@ -0,0 +1,134 @@
+import dbManager from '../database/Database.js';
+import claudeService from './ClaudeService.js';
+import logger from '../utils/logger.js';
+import securityManager from '../utils/security.js';
+
+const MAX_SUMMARY_LENGTH = 6000;
+
+// Rolling summaries of long sessions.
+//
+// Once a session reaches ClaudeService.SUMMARY_THRESHOLD messages, the part of
+// the conversation that leaves the verbatim window is summarized by the model.
+// The summary covers a prefix of the message list whose length is a multiple
+// of SUMMARY_STEP, so it is refreshed only when the window advances by a whole
+// step; each refresh extends the stored summary with the new messages instead
+// of summarizing the session from scratch. One row per session in
+// session_summaries.
+class SummaryService {
+  constructor() {
+    this.SUMMARY_STEP = 10;
+  }
+
+  // Number of leading messages the summary should cover (0 = no summary yet)
+  coverageFor(messageCount) {
+    if (messageCount < claudeService.SUMMARY_THRESHOLD) {
+      return 0;
+    }
+
+    const windowStart = messageCount - claudeService.RECENT_MESSAGES;
+    return Math.floor(windowStart / this.SUMMARY_STEP) * this.SUMMARY_STEP;
+  }
+
+  async loadSummary(sessionId) {
+    const row = await dbManager.get(`
+      SELECT summary, covered_messages FROM session_summaries WHERE session_id = ?
+    `, [sessionId]);
+
+    return row ? {
+      text: securityManager.decryptField(row.summary),
+      coveredCount: row.covered_messages
+    } : null;
+  }
+
+  async saveSummary(sessionId, summary) {
+    await dbManager.run(`
+      INSERT OR REPLACE INTO session_summaries
+      (session_id, summary, covered_messages, updated_at)
+      VALUES (?, ?, ?, datetime('now'))
+    `, [sessionId, securityManager.encryptField(summary.text), summary.coveredCount]);
+  }
+
+  // The session went back to an earlier point (/undo, another branch): a
+  // summary covering more than its first messageCount messages is dropped
+  async discardSummaryBeyond(sessionId, messageCount) {
+    await dbManager.run(`
+      DELETE FROM session_summaries WHERE session_id = ? AND covered_messages > ?
+    `, [sessionId, messageCount]);
+  }
+
+  buildSummaryPrompt(previousSummary, messages) {
+    const conversation = messages.map(msg =>
+      `${msg.role === 'user' ? 'Терапевт' : 'Пациент'}: ${msg.content}`
+    ).join('\n');
+
+    return `Ты ведешь конспект психотерапевтической сессии, по которому пациент продолжит диалог.
+
+${previousSummary ? `КОНСПЕКТ ПРЕДЫДУЩЕЙ ЧАСТИ:\n${previousSummary}\n\n` : ''}НОВЫЕ РЕПЛИКИ:
+${conversation}
+
+Напиши конспект всей сессии до этого места${previousSummary ? ', дополнив предыдущий новыми репликами' : ''}. Сохраняй клинически значимые детали:
+- факты, события и людей, о которых рассказал пациент (имена, даты, обстоятельства);
+- его чувства, телесные реакции и как они менялись;
+- темы, которых он избегает или которые отрицает;
+- ключевые вопросы и интервенции терапевта и реакцию пациента на них;
+- договоренности и домашние задания.
+Пиши по существу, от третьего лица, не более 400 слов. Ответ - только текст конспекта.`;
+  }
+
+  // Rolling summary for the message list of a session, or null while the
+  // session is short. If the refresh fails the last stored summary (covering
+  // fewer messages) is returned and the rest stays verbatim.
+  async getHistorySummary(sessionId, messages) {
+    const coveredCount = this.coverageFor(messages.length);
+    if (coveredCount === 0) {
+      return null;
+    }
+
+    let current = null;
+    try {
+      const stored = await this.loadSummary(sessionId);
+      // A summary longer than the transcript (e.g. a session rebuilt differently) is redone
+      current = stored && stored.coveredCount <= coveredCount ? stored : null;
+      if (current && current.coveredCount === coveredCount) {
+        return current;
+      }
+
+      const startTime = Date.now();
+      const newMessages = messages.slice(current ? current.coveredCount : 0, coveredCount);
+      const response = await claudeService.sendMessage([{
+        role: 'user',
+        content: this.buildSummaryPrompt(current ? current.text : null, newMessages)
+      }], null, {
+        cacheType: 'analysis',
+        purpose: 'summary',
+        enableCache: false,
+        ledgerSessionId: sessionId
+      });
+
+      const text = (response.content || '').trim().substring(0, MAX_SUMMARY_LENGTH);
+      if (!text) {
+        throw new Error('Empty summary');
+      }
+
+      const summary = { text, coveredCount };
+      await this.saveSummary(sessionId, summary);
+
+      logger.info('Conversation summary updated', {
+        sessionId,
+        coveredCount,
+        newMessages: newMessages.length,
+        summaryLength: text.length,
+        responseTime: Date.now() - startTime
+      });
+
+      return summary;
+
+    } catch (error) {
+      logger.error('Error updating conversation summary', { error: error.message, sessionId, coveredCount });
+      return current;
+    }
+  }
+}
+
+const summaryService = new SummaryService();
+export default summaryService;
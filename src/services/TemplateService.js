@@ -0,0 +1,315 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import dbManager from '../database/Database.js';
+import patientService from './PatientService.js';
+import userService from './UserService.js';
+import logger from '../utils/logger.js';
+import securityManager from '../utils/security.js';
+import {
+  patientTemplateSchema,
+  validateAndSanitize,
+  TEMPLATE_FORMAT,
+  TEMPLATE_FORMAT_VERSION
+} from '../utils/validation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CURATED_TEMPLATES_DIR = path.join(__dirname, '../data/templates');
+
+// Patient fields carried by a template (the system prompt is rebuilt per user)
+const TEMPLATE_PATIENT_FIELDS = [
+  'name',
+  'age',
+  'gender',
+  'background',
+  'personality_traits',
+  'psychological_profile',
+  'therapy_goals',
+  'interaction_patterns'
+];
+
+// Library of reusable patient cases.
+//
+// A template is identified by its slug; every change is stored as a new
+// (slug, version) row and patients keep the id of the exact version they were
+// created from. Templates come from three sources: curated presets in
+// data/templates/*.json (synced on startup), patients promoted by their
+// owners and files imported through the bot. All of them share one file
+// format (see patientTemplateSchema) and are visible to every user, so a
+// training group can practise with the same case.
+class TemplateService {
+  constructor(curatedDir = CURATED_TEMPLATES_DIR) {
+    this.curatedDir = curatedDir;
+  }
+
+  parseTemplate(data) {
+    return validateAndSanitize(data, patientTemplateSchema);
+  }
+
+  toTemplate(row) {
+    if (!row) {
+      return null;
+    }
+
+    const { patient_data: patientData, ...template } = row;
+    return {
+      ...template,
+      patient: JSON.parse(securityManager.decryptField(patientData))
+    };
+  }
+
+  async getTemplateById(templateId) {
+    try {
+      const row = await dbManager.get(`
+        SELECT * FROM patient_templates WHERE id = ? AND is_active = 1
+      `, [templateId]);
+
+      return this.toTemplate(row);
+    } catch (error) {
+      logger.error('Error fetching template', { error: error.message, templateId });
+      return null;
+    }
+  }
+
+  async getTemplateVersion(slug, version) {
+    const row = await dbManager.get(`
+      SELECT * FROM patient_templates WHERE slug = ? AND version = ?
+    `, [slug, version]);
+
+    return this.toTemplate(row);
+  }
+
+  async getLatestVersion(slug) {
+    const row = await dbManager.get(`
+      SELECT * FROM patient_templates
+      WHERE slug = ? AND is_active = 1
+      ORDER BY version DESC
+      LIMIT 1
+    `, [slug]);
+
+    return this.toTemplate(row);
+  }
+
+  // Stores one version of a template. An existing (slug, version) is reused;
+  // conflict is set when its content differs from the given template.
+  async saveVersion(template, options = {}) {
+    const existing = await this.getTemplateVersion(template.slug, template.version);
+    if (existing) {
+      return {
+        template: existing,
+        created: false,
+        conflict: JSON.stringify(existing.patient) !== JSON.stringify(template.patient)
+      };
+    }
+
+    const result = await dbManager.run(`
+      INSERT INTO patient_templates
+      (slug, version, title, description, patient_data, source, created_by, source_patient_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      template.slug,
+      template.version,
+      template.title,
+      template.description || '',
+      securityManager.encryptField(JSON.stringify(template.patient)),
+      options.source,
+      options.createdBy || null,
+      options.sourcePatientId || null
+    ]);
+
+    logger.info('Template version saved', {
+      templateId: result.lastID,
+      slug: template.slug,
+      version: template.version,
+      source: options.source
+    });
+
+    return { template: await this.getTemplateById(result.lastID), created: true, conflict: false };
+  }
+
+  // Loads data/templates/*.json into the library; bump "version" in a file to
+  // publish a changed case
+  async syncCuratedTemplates() {
+    const summary = { created: 0, unchanged: 0, failed: 0 };
+
+    let files = [];
+    try {
+      files = fs.readdirSync(this.curatedDir).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      logger.error('Error reading curated templates', { error: error.message, dir: this.curatedDir });
+      return summary;
+    }
+
+    for (const file of files) {
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(this.curatedDir, file), 'utf8'));
+        const result = await this.saveVersion(this.parseTemplate(data), { source: 'curated' });
+
+        if (result.conflict) {
+          logger.warn('Curated template changed without a version bump', { file, slug: data.slug });
+        }
+        summary[result.created ? 'created' : 'unchanged']++;
+      } catch (error) {
+        logger.error('Error loading curated template', { error: error.message, file });
+        summary.failed++;
+      }
+    }
+
+    logger.info('Curated templates synced', summary);
+    return summary;
+  }
+
+  // Latest active version of every template: curated presets by title, then the newest
+  async listTemplates(limit = 10, offset = 0) {
+    try {
+      return await dbManager.all(`
+        SELECT
+          t.id, t.slug, t.version, t.title, t.source, t.created_at,
+          (SELECT COUNT(*) FROM patients p
+           JOIN patient_templates v ON v.id = p.template_id
+           WHERE v.slug = t.slug) as usage_count
+        FROM patient_templates t
+        WHERE t.is_active = 1
+          AND t.version = (
+            SELECT MAX(version) FROM patient_templates
+            WHERE slug = t.slug AND is_active = 1
+          )
+        ORDER BY t.source = 'curated' DESC,
+          CASE WHEN t.source = 'curated' THEN t.title END,
+          t.created_at DESC, t.id DESC
+        LIMIT ? OFFSET ?
+      `, [limit, offset]);
+    } catch (error) {
+      logger.error('Error listing templates', { error: error.message });
+      return [];
+    }
+  }
+
+  async countTemplates() {
+    try {
+      const row = await dbManager.get(`
+        SELECT COUNT(DISTINCT slug) as count FROM patient_templates WHERE is_active = 1
+      `);
+      return row.count;
+    } catch (error) {
+      logger.error('Error counting templates', { error: error.message });
+      return 0;
+    }
+  }
+
+  async getTemplateStats(slug) {
+    return dbManager.get(`
+      SELECT
+        (SELECT COUNT(*) FROM patient_templates WHERE slug = ? AND is_active = 1) as version_count,
+        (SELECT COUNT(*) FROM patients p
+         JOIN patient_templates v ON v.id = p.template_id
+         WHERE v.slug = ?) as usage_count
+    `, [slug, slug]);
+  }
+
+  // Creates a new patient of userId from the exact template version
+  async instantiateTemplate(templateId, userId) {
+    try {
+      const template = await this.getTemplateById(templateId);
+      if (!template) {
+        throw new Error('Template not found');
+      }
+
+      // The case itself stays as published; the patient speaks the user's language
+      const locale = await userService.getLocale(userId);
+      const systemPrompt = await patientService.generateSystemPrompt(template.patient, userId, locale);
+      const patient = await patientService.savePatient(randomUUID(), userId, template.patient, systemPrompt, {
+        templateId: template.id
+      });
+
+      logger.info('Patient created from template', {
+        userId,
+        patientId: patient.id,
+        templateId: template.id,
+        slug: template.slug,
+        version: template.version
+      });
+
+      return patient;
+
+    } catch (error) {
+      logger.error('Error instantiating template', { error: error.message, templateId, userId });
+      throw error;
+    }
+  }
+
+  // Promotes a patient of userId to a template. A patient created from a
+  // template returns that template; promoting the same patient twice reuses
+  // the stored version instead of adding an identical one.
+  async promotePatient(patientId, userId) {
+    try {
+      const patient = await patientService.getPatientById(patientId);
+      if (!patient || patient.created_by !== userId) {
+        throw new Error('Patient not found');
+      }
+
+      if (patient.template_id) {
+        const sourceTemplate = await this.getTemplateById(patient.template_id);
+        if (sourceTemplate) {
+          return { template: sourceTemplate, created: false, fromTemplate: true };
+        }
+      }
+
+      const slug = `patient-${patient.uuid.substring(0, 8)}`;
+      const latest = await this.getLatestVersion(slug);
+
+      const template = this.parseTemplate({
+        format: TEMPLATE_FORMAT,
+        format_version: TEMPLATE_FORMAT_VERSION,
+        slug,
+        version: latest ? latest.version + 1 : 1,
+        title: `${patient.name}, ${patient.age} - ${patient.presenting_problem}`.substring(0, 100),
+        description: '',
+        patient: Object.fromEntries(
+          TEMPLATE_PATIENT_FIELDS
+            .filter(field => patient[field] !== undefined && patient[field] !== null)
+            .map(field => [field, patient[field]])
+        )
+      });
+
+      if (latest && JSON.stringify(latest.patient) === JSON.stringify(template.patient)) {
+        return { template: latest, created: false };
+      }
+
+      return await this.saveVersion(template, {
+        source: 'user',
+        createdBy: userId,
+        sourcePatientId: patient.id
+      });
+
+    } catch (error) {
+      logger.error('Error promoting patient to template', { error: error.message, patientId, userId });
+      throw error;
+    }
+  }
+
+  // File representation shared by export, import and the curated presets
+  exportTemplate(template) {
+    return {
+      format: TEMPLATE_FORMAT,
+      format_version: TEMPLATE_FORMAT_VERSION,
+      slug: template.slug,
+      version: template.version,
+      title: template.title,
+      description: template.description || '',
+      patient: template.patient
+    };
+  }
+
+  // Throws ValidationError for files that do not match the format
+  async importTemplate(data, userId) {
+    const template = this.parseTemplate(data);
+    return this.saveVersion(template, { source: 'import', createdBy: userId });
+  }
+}
+
+const templateService = new TemplateService();
+export default templateService;
@@ -1,7 +1,15 @@
 import dbManager from '../database/Database.js';
 import logger from '../utils/logger.js';
+import { computeSkillProfile, computeSkillLevel } from '../utils/skillModel.js';
+import { DEFAULT_MODALITY, isModality, resolveModality } from '../data/modalities.js';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES, resolveLocale } from '../i18n/index.js';
 
 class UserService {
+  constructor() {
+    // userId -> locale; every handler looks the locale up, so keep it off the DB
+    this.localeCache = new Map();
+  }
+
   async registerUser(telegramUser) {
     try {
       const { id: telegramId, username, first_name, last_name, language_code } = telegramUser;
@@ -21,7 +29,7 @@ class UserService {
       const result = await dbManager.run(`
         INSERT INTO users (telegram_id, username, first_name, last_name, language_code)
         VALUES (?, ?, ?, ?, ?)
-      `, [telegramId, username || null, first_name || null, last_name || null, language_code || 'ru']);
+      `, [telegramId, username || null, first_name || null, last_name || null, resolveLocale(language_code)]);
 
       const userId = result.lastID;
 
@@ -136,6 +144,35 @@ class UserService {
     }
   }
 
+  // Auto hints: a supervisor whisper every few therapist messages instead of the fixed tips
+  async getAutoHintsSetting(userId) {
+    try {
+      const user = await dbManager.get(`
+        SELECT auto_hints FROM users WHERE id = ? AND is_active = 1
+      `, [userId]);
+
+      return user ? Boolean(user.auto_hints) : false;
+    } catch (error) {
+      logger.error('Error fetching auto hints setting', { error: error.message, userId });
+      return false;
+    }
+  }
+
+  async updateAutoHintsSetting(userId, enabled) {
+    try {
+      const result = await dbManager.run(`
+        UPDATE users 
+        SET auto_hints = ? 
+        WHERE id = ?
+      `, [enabled ? 1 : 0, userId]);
+
+      return result.changes > 0;
+    } catch (error) {
+      logger.error('Error updating auto hints setting', { error: error.message, userId });
+      return false;
+    }
+  }
+
   async getUserVoiceSetting(userId) {
     try {
       const user = await dbManager.get(`
@@ -164,10 +201,86 @@ class UserService {
     }
   }
 
+  async updateLanguageSetting(userId, languageCode) {
+    try {
+      if (!SUPPORTED_LOCALES.includes(languageCode)) {
+        throw new Error(`Unsupported language: ${languageCode}`);
+      }
+
+      const result = await dbManager.run(`
+        UPDATE users 
+        SET language_code = ? 
+        WHERE id = ?
+      `, [languageCode, userId]);
+
+      this.localeCache.set(userId, languageCode);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error('Error updating language setting', { error: error.message, userId });
+      return false;
+    }
+  }
+
+  // Locale for the bot text, patients and supervisor; unknown users and
+  // unsupported Telegram languages get the default one
+  async getLocale(userId) {
+    if (this.localeCache.has(userId)) {
+      return this.localeCache.get(userId);
+    }
+
+    try {
+      const user = await dbManager.get(`
+        SELECT language_code FROM users WHERE id = ?
+      `, [userId]);
+
+      const locale = resolveLocale(user?.language_code);
+      if (user) {
+        this.localeCache.set(userId, locale);
+      }
+      return locale;
+    } catch (error) {
+      logger.error('Error fetching user locale', { error: error.message, userId });
+      return DEFAULT_LOCALE;
+    }
+  }
+
+  // Modality of the next session and of newly generated patients
+  async updateModalitySetting(userId, modality) {
+    try {
+      if (!isModality(modality)) {
+        throw new Error(`Unknown modality: ${modality}`);
+      }
+
+      const result = await dbManager.run(`
+        UPDATE users 
+        SET modality = ? 
+        WHERE id = ?
+      `, [modality, userId]);
+
+      return result.changes > 0;
+    } catch (error) {
+      logger.error('Error updating modality setting', { error: error.message, userId });
+      return false;
+    }
+  }
+
+  async getModality(userId) {
+    try {
+      const user = await dbManager.get(`
+        SELECT modality FROM users WHERE id = ?
+      `, [userId]);
+
+      return resolveModality(user?.modality);
+    } catch (error) {
+      logger.error('Error fetching user modality', { error: error.message, userId });
+      return DEFAULT_MODALITY;
+    }
+  }
+
   async getUserSettings(userId) {
     try {
       const user = await dbManager.get(`
-        SELECT show_nonverbal, voice_enabled, language_code 
+        SELECT show_nonverbal, voice_enabled, language_code, modality, auto_hints 
         FROM users WHERE id = ? AND is_active = 1
       `, [userId]);
       
@@ -175,21 +288,27 @@ class UserService {
         return {
           show_nonverbal: true,
           voice_enabled: false,
-          language_code: 'ru'
+          language_code: DEFAULT_LOCALE,
+          modality: DEFAULT_MODALITY,
+          auto_hints: false
         };
       }
       
       return {
         show_nonverbal: Boolean(user.show_nonverbal),
         voice_enabled: Boolean(user.voice_enabled),
-        language_code: user.language_code || 'ru'
+        language_code: resolveLocale(user.language_code),
+        modality: resolveModality(user.modality),
+        auto_hints: Boolean(user.auto_hints)
       };
     } catch (error) {
       logger.error('Error fetching user settings', { error: error.message, userId });
       return {
         show_nonverbal: true,
         voice_enabled: false,
-        language_code: 'ru'
+        language_code: DEFAULT_LOCALE,
+        modality: DEFAULT_MODALITY,
+        auto_hints: false
       };
     }
   }
@@ -237,11 +356,11 @@ class UserService {
         ((currentStats.average_session_rating * currentStats.completed_sessions) + sessionData.rating) / 
         newCompletedSessions : currentStats.average_session_rating;
 
-      // Update skill areas based on session analysis
-      const updatedSkillAreas = this.updateSkillAreas(
-        currentStats.skill_areas, 
-        sessionData.analysis
-      );
+      // Skill levels are recomputed from the stored rubric scores
+      const skillProfile = await this.getSkillProfile(userId);
+      const updatedSkillAreas = skillProfile ?
+        Object.fromEntries(Object.entries(skillProfile).map(([skill, { level }]) => [skill, level || 0])) :
+        currentStats.skill_areas;
 
       // Check for new achievements
       const updatedAchievements = this.checkAchievements(
@@ -277,29 +396,122 @@ class UserService {
     }
   }
 
-  updateSkillAreas(currentSkills, analysis) {
-    if (!analysis || !analysis.specific_feedback) {
-      return currentSkills;
+  // Skill levels follow the latest analysis of each session, so they are
+  // recomputed when a session is analyzed again
+  async refreshSkillAreas(userId) {
+    try {
+      const skillProfile = await this.getSkillProfile(userId);
+      if (!skillProfile) {
+        return false;
+      }
+
+      const skillAreas = Object.fromEntries(
+        Object.entries(skillProfile).map(([skill, { level }]) => [skill, level || 0])
+      );
+
+      await dbManager.run(`
+        UPDATE user_stats SET skill_areas = ?, last_updated = datetime('now') WHERE user_id = ?
+      `, [JSON.stringify(skillAreas), userId]);
+
+      return true;
+
+    } catch (error) {
+      logger.error('Error refreshing skill areas', { error: error.message, userId });
+      return false;
+    }
+  }
+
+  // Recency-weighted skill levels from the rubric scores of each session's
+  // latest valid supervisor analysis (see utils/skillModel.js); modality
+  // limits the profile to sessions practised in that modality
+  async getSkillProfile(userId, modality = null) {
+    try {
+      const rows = await dbManager.all(`
+        SELECT sc.skill, sc.score
+        FROM session_skill_scores sc
+        JOIN sessions s ON s.id = sc.session_id
+        WHERE s.user_id = ? AND (? IS NULL OR s.modality = ?) AND sc.analysis_id = (
+          SELECT MAX(a.id) FROM session_analyses a
+          WHERE a.session_id = sc.session_id AND a.analysis_type = 'supervisor' AND a.status = 'valid'
+        )
+        ORDER BY s.started_at ASC, s.id ASC
+      `, [userId, modality, modality]);
+
+      return computeSkillProfile(rows);
+    } catch (error) {
+      logger.error('Error computing skill profile', { error: error.message, userId, modality });
+      return null;
     }
+  }
 
-    const skillMapping = {
-      rapport_building: 'empathy',
-      intervention_quality: 'intervention_skills',
-      therapeutic_technique: 'questioning_techniques',
-      ethical_considerations: 'boundary_setting'
-    };
+  // Per-modality totals of a user: sessions, average rating and the fidelity
+  // level (same recency-weighted model as the skills) from the latest valid
+  // supervisor analysis of each session
+  async getModalityStats(userId) {
+    try {
+      const rows = await dbManager.all(`
+        SELECT s.modality, s.status, a.rating, a.modality_score
+        FROM sessions s
+        LEFT JOIN session_analyses a ON a.id = (
+          SELECT MAX(id) FROM session_analyses
+          WHERE session_id = s.id AND analysis_type = 'supervisor' AND status = 'valid'
+        )
+        WHERE s.user_id = ?
+        ORDER BY s.started_at ASC, s.id ASC
+      `, [userId]);
 
-    const updatedSkills = { ...currentSkills };
+      const stats = {};
+      rows.forEach(row => {
+        const modality = resolveModality(row.modality);
+        const entry = stats[modality] || (stats[modality] = { sessions: 0, completed: 0, ratings: [], fidelityScores: [] });
 
-    // Increment skills based on positive feedback
-    Object.entries(skillMapping).forEach(([feedbackKey, skillKey]) => {
-      if (analysis.specific_feedback[feedbackKey] && 
-          analysis.specific_feedback[feedbackKey].includes('хорошо')) {
-        updatedSkills[skillKey] = Math.min(updatedSkills[skillKey] + 1, 100);
-      }
-    });
+        entry.sessions++;
+        if (row.status === 'completed') {
+          entry.completed++;
+        }
+        if (row.rating) {
+          entry.ratings.push(row.rating);
+        }
+        entry.fidelityScores.push(row.modality_score);
+      });
 
-    return updatedSkills;
+      return Object.fromEntries(Object.entries(stats).map(([modality, entry]) => [modality, {
+        sessions: entry.sessions,
+        completed: entry.completed,
+        averageRating: entry.ratings.length > 0 ?
+          entry.ratings.reduce((sum, rating) => sum + rating, 0) / entry.ratings.length : null,
+        fidelity: computeSkillLevel(entry.fidelityScores)
+      }]));
+    } catch (error) {
+      logger.error('Error computing modality stats', { error: error.message, userId });
+      return null;
+    }
+  }
+
+  // Crisis scenario sessions of a user and the average share of the safety
+  // protocol performed (latest valid supervisor analysis of each session)
+  async getSafetyStats(userId) {
+    try {
+      const row = await dbManager.get(`
+        SELECT COUNT(*) AS sessions, COUNT(a.safety_score) AS scored, AVG(a.safety_score) AS average_score
+        FROM sessions s
+        JOIN patients p ON p.id = s.patient_id
+        LEFT JOIN session_analyses a ON a.id = (
+          SELECT MAX(id) FROM session_analyses
+          WHERE session_id = s.id AND analysis_type = 'supervisor' AND status = 'valid'
+        )
+        WHERE s.user_id = ? AND p.crisis_scenario IS NOT NULL
+      `, [userId]);
+
+      return {
+        sessions: row.sessions,
+        scored: row.scored,
+        averageScore: row.scored > 0 ? Math.round(row.average_score) : null
+      };
+    } catch (error) {
+      logger.error('Error computing safety stats', { error: error.message, userId });
+      return null;
+    }
   }
 
   checkAchievements(currentStats, newStats) {
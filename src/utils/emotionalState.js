@@ -0,0 +1,207 @@
+// Emotional state model of a patient within a session.
+//
+// The state has four dimensions on a 0-100 scale: distress, trust (the
+// alliance with the therapist), openness and resistance. The baseline comes
+// from the patient profile; after every therapist message the intervention is
+// classified with a few Russian phrase patterns (no model call) and its effect
+// is added to the state. The state is shown to the patient model every turn,
+// stored with the therapist message and charted after the session.
+
+export const STATE_DIMENSIONS = ['distress', 'trust', 'openness', 'resistance'];
+
+export const DIMENSION_LABELS = {
+  distress: 'Дистресс',
+  trust: 'Доверие',
+  openness: 'Открытость',
+  resistance: 'Сопротивление'
+};
+
+// How the patient model should behave at a low / medium / high value
+const DIMENSION_GUIDANCE = {
+  distress: [
+    'ты относительно спокоен(на), можешь рассуждать',
+    'ты заметно напряжен(а), эмоции прорываются',
+    'тебе очень плохо, трудно собраться с мыслями'
+  ],
+  trust: [
+    'ты не доверяешь терапевту, держишь дистанцию',
+    'ты осторожно присматриваешься к терапевту',
+    'ты доверяешь терапевту и чувствуешь себя в безопасности'
+  ],
+  openness: [
+    'отвечаешь коротко, о важном молчишь',
+    'рассказываешь, но не о самом болезненном',
+    'готов(а) говорить о сокровенном и о чувствах'
+  ],
+  resistance: [
+    'охотно принимаешь вопросы и предложения',
+    'иногда споришь или уходишь от темы',
+    'защищаешься: споришь, обесцениваешь, уходишь от темы'
+  ]
+};
+
+// Effect of one intervention on the state. Interpretations depend on the
+// alliance: with trust below TRUST_FOR_INTERPRETATION they raise resistance.
+export const INTERVENTION_EFFECTS = {
+  open_question: { distress: -1, trust: 2, openness: 3, resistance: -1 },
+  closed_question: { distress: 0, trust: 0, openness: -2, resistance: 1 },
+  reflection: { distress: -3, trust: 4, openness: 4, resistance: -3 },
+  summary: { distress: -2, trust: 3, openness: 2, resistance: -2 },
+  interpretation: { distress: 1, trust: 1, openness: 4, resistance: -1 },
+  interpretation_early: { distress: 3, trust: -3, openness: -2, resistance: 5 },
+  advice_giving: { distress: 1, trust: -2, openness: -3, resistance: 4 },
+  other: { distress: 0, trust: 0, openness: 0, resistance: 0 }
+};
+
+export const TRUST_FOR_INTERPRETATION = 50;
+
+const SEVERITY_DISTRESS = { mild: 40, moderate: 60, severe: 80 };
+const MOTIVATION_BASELINE = {
+  low: { openness: 25, resistance: 65 },
+  medium: { openness: 40, resistance: 45 },
+  high: { openness: 55, resistance: 30 }
+};
+const INITIAL_TRUST = 30;
+
+const QUESTION_START = /^(что|чем|как|каким|какой|какая|какие|каково|почему|зачем|когда|где|о ч[её]м|в ч[её]м|расскажите|опишите)/;
+
+// Checked in order; reflections that start like a question count as questions
+const INTERVENTION_PATTERNS = [
+  ['summary', /(^итак|подвед|подытож|если я (вас )?правильно понял|правильно ли я (вас )?понимаю)/],
+  ['advice_giving', /(вам (нужно|надо|стоит|следует)|попробуйте|советую|рекомендую|вы должны|почему бы вам не)/],
+  ['interpretation', /((возможно|может быть), (это|дело|за этим)|это (может быть )?связано с|мне кажется, (это|что это|за этим))/],
+  ['reflection', /(вы (чувствуете|ощущаете|испытываете)|вам (тяжело|больно|страшно|грустно|тревожно|обидно|одиноко)|похоже, вы|кажется, вы|я слышу|звучит так|вы говорите, что)/]
+];
+
+function clamp(value) {
+  return Math.min(100, Math.max(0, Math.round(value)));
+}
+
+function level(value) {
+  if (value < 35) {
+    return 0;
+  }
+  return value < 65 ? 1 : 2;
+}
+
+function normalizeSeverity(severity) {
+  const text = String(severity || '').toLowerCase();
+  if (/sev|тяж/.test(text)) {
+    return 'severe';
+  }
+  return /mild|лег/.test(text) ? 'mild' : 'moderate';
+}
+
+function normalizeMotivation(motivation) {
+  const text = String(motivation || '').toLowerCase();
+  if (/low|низ/.test(text)) {
+    return 'low';
+  }
+  return /high|выс/.test(text) ? 'high' : 'medium';
+}
+
+// Baseline at the first meeting, from psychological_profile severity and motivation_level
+export function initialEmotionalState(patient = {}) {
+  const profile = patient.psychological_profile || {};
+  const motivation = MOTIVATION_BASELINE[normalizeMotivation(profile.motivation_level)];
+
+  return {
+    distress: SEVERITY_DISTRESS[normalizeSeverity(profile.severity)],
+    trust: INITIAL_TRUST,
+    openness: motivation.openness,
+    resistance: motivation.resistance
+  };
+}
+
+// Start of a later meeting: the alliance carries over, the rest settles
+// halfway back towards the baseline over the week
+export function carryOverState(previous, baseline) {
+  if (!previous) {
+    return { ...baseline };
+  }
+
+  return Object.fromEntries(STATE_DIMENSIONS.map(dimension => [
+    dimension,
+    dimension === 'trust' ? previous.trust : clamp((previous[dimension] + baseline[dimension]) / 2)
+  ]));
+}
+
+// One of INTERVENTION_TYPES (utils/validation.js) for a therapist message
+export function classifyIntervention(text) {
+  const normalized = String(text || '').toLowerCase().replace(/ё/g, 'е').trim();
+  if (!normalized) {
+    return 'other';
+  }
+
+  const startsLikeQuestion = QUESTION_START.test(normalized);
+  const match = INTERVENTION_PATTERNS.find(([type, pattern]) =>
+    pattern.test(normalized) && !(type === 'reflection' && startsLikeQuestion)
+  );
+  if (match) {
+    return match[0];
+  }
+
+  if (startsLikeQuestion) {
+    return 'open_question';
+  }
+  return normalized.includes('?') ? 'closed_question' : 'other';
+}
+
+// New state after an intervention; openness grows slower against high resistance
+export function updateEmotionalState(state, interventionType) {
+  const effectKey = interventionType === 'interpretation' && state.trust < TRUST_FOR_INTERPRETATION ?
+    'interpretation_early' : interventionType;
+  const effect = INTERVENTION_EFFECTS[effectKey] || INTERVENTION_EFFECTS.other;
+
+  return Object.fromEntries(STATE_DIMENSIONS.map(dimension => {
+    let delta = effect[dimension];
+    if (dimension === 'openness' && delta > 0) {
+      delta *= 1 - state.resistance / 200;
+    }
+    return [dimension, clamp(state[dimension] + delta)];
+  }));
+}
+
+// Per-turn block for the patient prompt
+export function describeStateForPrompt(state) {
+  const lines = STATE_DIMENSIONS.map(dimension =>
+    `- ${DIMENSION_LABELS[dimension]}: ${state[dimension]}/100 - ${DIMENSION_GUIDANCE[dimension][level(state[dimension])]}`
+  );
+
+  return `ТВОЕ СОСТОЯНИЕ СЕЙЧАС (меняется от того, как с тобой работает терапевт; отвечай в соответствии с ним, не называя цифр):
+${lines.join('\n')}`;
+}
+
+export function formatStateValues(state) {
+  return STATE_DIMENSIONS.map(dimension => `${DIMENSION_LABELS[dimension].toLowerCase()} ${state[dimension]}`).join(', ');
+}
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+export function sparkline(values) {
+  return values.map(value => SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, Math.floor(clamp(value) / 100 * SPARK_CHARS.length))]).join('');
+}
+
+// Text chart of a session: states is the chronological list starting with the
+// initial state; long sessions are sampled down to maxPoints. labels names the
+// dimensions in the reader's language (DIMENSION_LABELS stay for prompts)
+export function formatStateChart(states, labels = DIMENSION_LABELS, maxPoints = 20) {
+  if (!states || states.length < 2) {
+    return null;
+  }
+
+  const step = Math.max(1, Math.ceil((states.length - 1) / (maxPoints - 1)));
+  const sampled = states.filter((state, index) => index % step === 0);
+  if (sampled[sampled.length - 1] !== states[states.length - 1]) {
+    sampled.push(states[states.length - 1]);
+  }
+
+  const width = Math.max(...STATE_DIMENSIONS.map(dimension => labels[dimension].length));
+  const first = states[0];
+  const last = states[states.length - 1];
+
+  // Trust (the alliance) goes first: it is what the chart is mostly read for
+  return ['trust', 'distress', 'openness', 'resistance'].map(dimension =>
+    `${labels[dimension].padEnd(width)} ${sparkline(sampled.map(state => state[dimension]))} ${first[dimension]}→${last[dimension]}`
+  ).join('\n');
+}
@@ -0,0 +1,8 @@
+// Escapes user/model text for Telegram legacy Markdown
+export function escapeMarkdown(text) {
+  return String(text || '').replace(/([_*`[])/g, '\\$1');
+}
+
+export function truncate(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength) + '…' : text;
+}
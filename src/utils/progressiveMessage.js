@@ -0,0 +1,135 @@
+import logger from './logger.js';
+
+const TELEGRAM_MAX_LENGTH = 4096;
+
+// Telegram message that is progressively edited while a reply is being streamed.
+// Intermediate edits are plain text (partial Markdown may not parse) and throttled
+// to stay within Telegram's per-chat edit limits; the final edit applies formatting.
+export class ProgressiveMessage {
+  constructor(bot, chatId, options = {}) {
+    this.bot = bot;
+    this.chatId = chatId;
+    this.prefix = options.prefix || '';
+    this.placeholder = options.placeholder || '…';
+    this.intervalMs = options.intervalMs || 1500;
+
+    this.messageId = null;
+    this.latestText = '';
+    this.lastSentText = null;
+    this.lastEditAt = 0;
+    this.timer = null;
+    this.pendingEdit = Promise.resolve();
+    this.finished = false;
+  }
+
+  // Send the placeholder message that will be edited later
+  async start() {
+    const text = this.prefix + this.placeholder;
+    const sent = await this.bot.sendMessage(this.chatId, text);
+
+    this.messageId = sent.message_id;
+    this.lastSentText = text;
+    this.lastEditAt = Date.now();
+  }
+
+  // Register a new text snapshot; the edit happens on the next throttle tick
+  update(text) {
+    if (this.finished || !text) {
+      return;
+    }
+
+    this.latestText = text;
+
+    if (!this.timer) {
+      const wait = Math.max(this.lastEditAt + this.intervalMs - Date.now(), 0);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.pendingEdit = this.pendingEdit.then(() => this.flush());
+      }, wait);
+    }
+  }
+
+  async flush() {
+    if (this.finished || !this.messageId) {
+      return;
+    }
+
+    const text = this.truncate(this.prefix + this.latestText + ' ✍️');
+    if (text === this.lastSentText) {
+      return;
+    }
+
+    await this.edit(text);
+  }
+
+  // Replace the message with the final formatted text
+  async finish(text, options = {}) {
+    this.finished = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.pendingEdit;
+
+    if (!this.messageId) {
+      await this.bot.sendMessage(this.chatId, text, options);
+      return;
+    }
+
+    const finalText = this.truncate(text);
+    const edited = await this.edit(finalText, options);
+
+    // Model output can break Markdown parsing - fall back to plain text
+    if (!edited && options.parse_mode) {
+      const { parse_mode, ...plainOptions } = options;
+      await this.edit(finalText, plainOptions);
+    }
+  }
+
+  // Remove the placeholder (e.g. when generation failed)
+  async discard() {
+    this.finished = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.pendingEdit;
+
+    if (!this.messageId) {
+      return;
+    }
+
+    try {
+      await this.bot.deleteMessage(this.chatId, this.messageId);
+    } catch (error) {
+      logger.warn('Failed to delete streaming placeholder', { error: error.message, chatId: this.chatId });
+    }
+  }
+
+  async edit(text, options = {}) {
+    try {
+      await this.bot.editMessageText(text, {
+        chat_id: this.chatId,
+        message_id: this.messageId,
+        ...options
+      });
+      this.lastSentText = text;
+      this.lastEditAt = Date.now();
+      return true;
+    } catch (error) {
+      if (error.message?.includes('message is not modified')) {
+        return true;
+      }
+
+      logger.warn('Streaming message edit failed', {
+        error: error.message,
+        chatId: this.chatId,
+        messageId: this.messageId
+      });
+      return false;
+    }
+  }
+
+  truncate(text) {
+    return text.length > TELEGRAM_MAX_LENGTH ?
+      text.substring(0, TELEGRAM_MAX_LENGTH - 1) + '…' : text;
+  }
+}
+
+export default ProgressiveMessage;
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+
+// Seeded pseudo-random numbers for reproducible patient generation.
+//
+// The same seed always yields the same sequence (mulberry32), so a patient
+// generated with a seed can be recreated: the seed drives the demographic
+// choices and the prompt text, and is passed to providers that support
+// seeded sampling.
+
+export const MAX_SEED = 4294967295; // 2^32 - 1
+
+export function generateSeed() {
+  return crypto.randomInt(1, MAX_SEED);
+}
+
+// Accepts a decimal seed from user input; returns null when it is not one
+export function parseSeed(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (!/^\d{1,10}$/.test(text)) {
+    return null;
+  }
+
+  const seed = parseInt(text, 10);
+  return seed >= 1 && seed <= MAX_SEED ? seed : null;
+}
+
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    seed,
+    next,
+    // Integer in [min, max]
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    chance: (probability) => next() < probability
+  };
+}
@@ -0,0 +1,156 @@
+// Retries with jittered exponential backoff and a circuit breaker for calls to
+// the LLM API.
+//
+// Transient failures (429, 408, 409, 5xx, 529 overloaded, network errors) are
+// retried; a Retry-After header from the API wins over the computed backoff.
+// The circuit breaker is shared by all users: after a run of consecutive
+// transient failures it opens and calls fail fast until a cooldown passes,
+// then a single probe call decides whether it closes again.
+
+const RETRYABLE_STATUSES = [408, 409, 429, 529];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+const NETWORK_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError', 'AbortError', 'TimeoutError'];
+
+export function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+
+  if (error.status) {
+    return RETRYABLE_STATUSES.includes(error.status) || error.status >= 500;
+  }
+
+  const code = error.code || error.cause?.code;
+  return NETWORK_ERROR_CODES.includes(code) ||
+    NETWORK_ERROR_NAMES.includes(error.name) ||
+    error.message === 'fetch failed';
+}
+
+// Retry-After as milliseconds: delay-seconds or an HTTP date; null when absent
+export function parseRetryAfter(headers, now = Date.now()) {
+  if (!headers) {
+    return null;
+  }
+
+  const value = typeof headers.get === 'function' ?
+    headers.get('retry-after') :
+    headers['retry-after'] || headers['Retry-After'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// "Full jitter": a random delay up to the exponential step, capped at maxDelayMs
+export function computeBackoff(attempt, options = {}, random = Math.random) {
+  const { baseDelayMs = 1000, maxDelayMs = 20000 } = options;
+  const step = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(random() * step);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs fn(attempt) up to maxAttempts times. onRetry({ attempt, delayMs, error })
+// is called before every wait; a Retry-After longer than maxDelayMs is not
+// waited for and the last error is thrown instead.
+export async function withRetry(fn, options = {}) {
+  const {
+    maxAttempts = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 20000,
+    shouldRetry = isRetryableError,
+    onRetry = null,
+    wait = sleep
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const retryAfterMs = parseRetryAfter(error.headers);
+      if (retryAfterMs !== null && retryAfterMs > maxDelayMs) {
+        throw error;
+      }
+
+      const delayMs = retryAfterMs !== null ? retryAfterMs : computeBackoff(attempt, { baseDelayMs, maxDelayMs });
+      if (onRetry) {
+        onRetry({ attempt, delayMs, error });
+      }
+      await wait(delayMs);
+    }
+  }
+}
+
+export class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.now = options.now || Date.now;
+
+    this.state = 'closed'; // closed | open | half_open
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  // Whether a call may go out now; in half-open state only one probe at a time
+  canRequest() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  // Milliseconds until the breaker lets a probe through (0 when not open)
+  retryInMs() {
+    return this.state === 'open' ? Math.max(0, this.cooldownMs - (this.now() - this.openedAt)) : 0;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+    this.probeInFlight = false;
+  }
+
+  // A call that ended without a verdict on the API (e.g. a client-side error)
+  release() {
+    this.probeInFlight = false;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryInMs: this.retryInMs()
+    };
+  }
+}
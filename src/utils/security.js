@@ -2,12 +2,78 @@ import crypto from 'crypto';
 import config from '../config/index.js';
 import logger from './logger.js';
 
+const ENVELOPE_PREFIX = 'enc:v1:';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Rate limiting with sliding window
+class RateLimiter {
+  constructor(windowMs = 60000, maxRequests = 100) {
+    this.windowMs = windowMs;
+    this.maxRequests = maxRequests;
+    this.requests = new Map();
+  }
+
+  isAllowed(identifier) {
+    const now = Date.now();
+    const userRequests = this.requests.get(identifier) || [];
+    
+    // Remove old requests outside the window
+    const validRequests = userRequests.filter(timestamp => now - timestamp < this.windowMs);
+    
+    if (validRequests.length >= this.maxRequests) {
+      return false;
+    }
+    
+    validRequests.push(now);
+    this.requests.set(identifier, validRequests);
+    
+    return true;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [identifier, requests] of this.requests.entries()) {
+      const validRequests = requests.filter(timestamp => now - timestamp < this.windowMs);
+      if (validRequests.length === 0) {
+        this.requests.delete(identifier);
+      } else {
+        this.requests.set(identifier, validRequests);
+      }
+    }
+  }
+}
+
 class SecurityManager {
   constructor() {
     this.algorithm = 'aes-256-gcm';
     this.keyLength = 32;
-    this.ivLength = 16;
+    this.ivLength = 12; // 96-bit nonce recommended for GCM
     this.tagLength = 16;
+    this.aad = Buffer.from('psycho-trainer-v3', 'utf-8');
+    this.keys = null; // keyId -> Buffer, built lazily from config
+  }
+
+  // Current key plus previous keys that are still accepted for decryption
+  getKeyring() {
+    if (!this.keys) {
+      const { encryptionKey, encryptionKeyId, previousEncryptionKeys } = config.database;
+      const secrets = { ...previousEncryptionKeys, [encryptionKeyId]: encryptionKey };
+
+      this.keys = new Map();
+      for (const [keyId, secret] of Object.entries(secrets)) {
+        if (!KEY_ID_PATTERN.test(keyId)) {
+          throw new Error(`Invalid encryption key id: ${keyId}`);
+        }
+        // Hashing normalizes any 32-character secret to exactly 32 key bytes
+        this.keys.set(keyId, crypto.createHash('sha256').update(secret, 'utf-8').digest());
+      }
+    }
+
+    return this.keys;
+  }
+
+  get currentKeyId() {
+    return config.database.encryptionKeyId;
   }
 
   // Generate a secure random key
@@ -20,24 +86,22 @@ class SecurityManager {
     return crypto.randomBytes(this.ivLength);
   }
 
-  // Encrypt sensitive data
-  encrypt(data, key = null) {
+  // Encrypt sensitive data into an envelope: enc:v1:<keyId>:<iv>:<tag>:<ciphertext> (base64 parts)
+  encrypt(data, keyId = this.currentKeyId) {
     try {
-      const encryptionKey = key || Buffer.from(config.database.encryptionKey, 'utf-8');
+      const key = this.getKeyring().get(keyId);
+      if (!key) {
+        throw new Error(`Unknown encryption key id: ${keyId}`);
+      }
+
       const iv = this.generateIV();
+      const cipher = crypto.createCipheriv(this.algorithm, key, iv, { authTagLength: this.tagLength });
+      cipher.setAAD(this.aad);
       
-      const cipher = crypto.createCipher(this.algorithm, encryptionKey);
-      cipher.setAAD(Buffer.from('psycho-trainer-v3', 'utf-8'));
-      
-      let encrypted = cipher.update(data, 'utf-8', 'hex');
-      encrypted += cipher.final('hex');
-      
+      const encrypted = Buffer.concat([cipher.update(String(data), 'utf-8'), cipher.final()]);
       const tag = cipher.getAuthTag();
       
-      // Combine IV, tag, and encrypted data
-      const result = iv.toString('hex') + tag.toString('hex') + encrypted;
-      
-      return result;
+      return `${ENVELOPE_PREFIX}${keyId}:${iv.toString('base64')}:${tag.toString('base64')}:${encrypted.toString('base64')}`;
       
     } catch (error) {
       logger.error('Encryption failed', { error: error.message });
@@ -45,24 +109,20 @@ class SecurityManager {
     }
   }
 
-  // Decrypt sensitive data
-  decrypt(encryptedData, key = null) {
+  // Decrypt an envelope produced by encrypt(), with whichever key it names
+  decrypt(envelope) {
     try {
-      const decryptionKey = key || Buffer.from(config.database.encryptionKey, 'utf-8');
-      
-      // Extract IV, tag, and encrypted content
-      const iv = Buffer.from(encryptedData.slice(0, this.ivLength * 2), 'hex');
-      const tag = Buffer.from(encryptedData.slice(this.ivLength * 2, (this.ivLength + this.tagLength) * 2), 'hex');
-      const encrypted = encryptedData.slice((this.ivLength + this.tagLength) * 2);
+      const [keyId, iv, tag, encrypted] = this.parseEnvelope(envelope);
+      const key = this.getKeyring().get(keyId);
+      if (!key) {
+        throw new Error(`Unknown encryption key id: ${keyId}`);
+      }
       
-      const decipher = crypto.createDecipher(this.algorithm, decryptionKey);
-      decipher.setAAD(Buffer.from('psycho-trainer-v3', 'utf-8'));
+      const decipher = crypto.createDecipheriv(this.algorithm, key, iv, { authTagLength: this.tagLength });
+      decipher.setAAD(this.aad);
       decipher.setAuthTag(tag);
       
-      let decrypted = decipher.update(encrypted, 'hex', 'utf-8');
-      decrypted += decipher.final('utf-8');
-      
-      return decrypted;
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf-8');
       
     } catch (error) {
       logger.error('Decryption failed', { error: error.message });
@@ -70,6 +130,53 @@ class SecurityManager {
     }
   }
 
+  parseEnvelope(envelope) {
+    if (!this.isEncrypted(envelope)) {
+      throw new Error('Value is not an encryption envelope');
+    }
+
+    const parts = envelope.slice(ENVELOPE_PREFIX.length).split(':');
+    if (parts.length !== 4) {
+      throw new Error('Malformed encryption envelope');
+    }
+
+    const [keyId, iv, tag, encrypted] = parts;
+    return [keyId, Buffer.from(iv, 'base64'), Buffer.from(tag, 'base64'), Buffer.from(encrypted, 'base64')];
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+  }
+
+  getEnvelopeKeyId(value) {
+    return this.isEncrypted(value) ? value.slice(ENVELOPE_PREFIX.length).split(':')[0] : null;
+  }
+
+  // Column helpers for the data-access path. null stays null, already
+  // encrypted values are not wrapped twice, and plaintext rows written before
+  // encryption was enabled are returned unchanged.
+  encryptField(value) {
+    if (value === null || value === undefined || this.isEncrypted(value)) {
+      return value;
+    }
+    return this.encrypt(value);
+  }
+
+  decryptField(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+    return this.decrypt(value);
+  }
+
+  // Re-wraps a value with the current key; returns it unchanged when already current
+  reencryptField(value) {
+    if (value === null || value === undefined || this.getEnvelopeKeyId(value) === this.currentKeyId) {
+      return value;
+    }
+    return this.encrypt(this.decryptField(value));
+  }
+
   // Hash sensitive data (one-way)
   hash(data, salt = null) {
     try {
@@ -125,47 +232,9 @@ class SecurityManager {
       .trim();
   }
 
-  // Rate limiting with sliding window
-  class RateLimiter {
-    constructor(windowMs = 60000, maxRequests = 100) {
-      this.windowMs = windowMs;
-      this.maxRequests = maxRequests;
-      this.requests = new Map();
-    }
-
-    isAllowed(identifier) {
-      const now = Date.now();
-      const userRequests = this.requests.get(identifier) || [];
-      
-      // Remove old requests outside the window
-      const validRequests = userRequests.filter(timestamp => now - timestamp < this.windowMs);
-      
-      if (validRequests.length >= this.maxRequests) {
-        return false;
-      }
-      
-      validRequests.push(now);
-      this.requests.set(identifier, validRequests);
-      
-      return true;
-    }
-
-    cleanup() {
-      const now = Date.now();
-      for (const [identifier, requests] of this.requests.entries()) {
-        const validRequests = requests.filter(timestamp => now - timestamp < this.windowMs);
-        if (validRequests.length === 0) {
-          this.requests.delete(identifier);
-        } else {
-          this.requests.set(identifier, validRequests);
-        }
-      }
-    }
-  }
-
   // Create rate limiter instance
   createRateLimiter(windowMs, maxRequests) {
-    return new this.RateLimiter(windowMs, maxRequests);
+    return new RateLimiter(windowMs, maxRequests);
   }
 
   // Secure random number generation
@@ -313,4 +382,5 @@ class SecurityManager {
 // Singleton instance
 const securityManager = new SecurityManager();
 
+export { RateLimiter };
 export default securityManager;
\ No newline at end of file
@@ -0,0 +1,59 @@
+// Session branches.
+//
+// The messages of a session form a tree: the main line (messages.branch_id
+// NULL) and branches forked from it or from each other after some message
+// (session_branches.fork_message_id, NULL for the start of the session). A
+// branch owns only the messages written in it; its line is the parent's line
+// up to the fork message followed by its own messages. Message ids only grow,
+// so "up to the fork" is an upper bound on the id.
+
+// Parts of the line of branchId (null = the main line), from the branch up to
+// the main line: [{ branchId, maxMessageId }], maxMessageId null = all of the
+// branch's own messages. branches: session_branches rows of the session.
+export function getLineSegments(branches, branchId) {
+  const branchesById = new Map(branches.map(branch => [branch.id, branch]));
+  const segments = [];
+  let current = branchId ?? null;
+  let maxMessageId = null;
+
+  for (;;) {
+    segments.push({ branchId: current, maxMessageId });
+
+    if (current === null) {
+      return segments;
+    }
+
+    const branch = branchesById.get(current);
+    if (!branch || segments.length > branches.length + 1) {
+      throw new Error(`Unknown session branch ${current}`);
+    }
+
+    // A branch forked at the very start inherits nothing
+    const forkId = branch.fork_message_id ?? 0;
+    maxMessageId = maxMessageId === null ? forkId : Math.min(maxMessageId, forkId);
+    if (maxMessageId === 0) {
+      return segments;
+    }
+    current = branch.parent_branch_id ?? null;
+  }
+}
+
+// SQL condition on messages selecting a line built by getLineSegments
+export function buildLineFilter(segments) {
+  const params = [];
+  const conditions = segments.map(({ branchId, maxMessageId }) => {
+    let condition = 'branch_id IS NULL';
+    if (branchId !== null) {
+      condition = 'branch_id = ?';
+      params.push(branchId);
+    }
+
+    if (maxMessageId === null) {
+      return condition;
+    }
+    params.push(maxMessageId);
+    return `(${condition} AND id <= ?)`;
+  });
+
+  return { clause: `(${conditions.join(' OR ')})`, params };
+}
@@ -0,0 +1,82 @@
+// Recency-weighted skill model.
+//
+// Each supervisor analysis scores the therapist's skills on a 1-10 rubric
+// (see SessionService.buildSupervisorPrompt). A skill level is the
+// bias-corrected exponential moving average of those scores over sessions,
+// scaled to 0-100, so recent sessions weigh more than old ones and a single
+// first score is not dragged towards zero. Confidence is the share of the EMA
+// weight backed by observations: 1 - (1 - alpha)^n.
+
+export const SKILL_AREAS = [
+  'active_listening',
+  'empathy',
+  'questioning_techniques',
+  'intervention_skills',
+  'boundary_setting',
+  'crisis_management'
+];
+
+export const DEFAULT_ALPHA = 0.35;
+export const TREND_WINDOW = 3; // Trend compares with the level this many observations ago
+export const TREND_THRESHOLD = 5; // Level points below which the trend counts as flat
+
+function emaLevels(scores, alpha) {
+  const levels = [];
+  let average = 0;
+  let weight = 0;
+
+  scores.forEach(score => {
+    average = alpha * score + (1 - alpha) * average;
+    weight = alpha + (1 - alpha) * weight;
+    levels.push((average / weight) * 10);
+  });
+
+  return levels;
+}
+
+// scores: chronological list of 1-10 scores of a single skill
+export function computeSkillLevel(scores, options = {}) {
+  const alpha = options.alpha || DEFAULT_ALPHA;
+  const window = options.trendWindow || TREND_WINDOW;
+  const observed = scores.filter(score => Number.isFinite(score));
+
+  if (observed.length === 0) {
+    return { level: null, confidence: 0, trend: 0, sessions: 0 };
+  }
+
+  const levels = emaLevels(observed, alpha);
+  const level = levels[levels.length - 1];
+  const baseline = levels[Math.max(levels.length - 1 - window, 0)];
+
+  return {
+    level: Math.round(level),
+    confidence: Math.round((1 - Math.pow(1 - alpha, observed.length)) * 100) / 100,
+    trend: Math.round(level) - Math.round(baseline),
+    sessions: observed.length
+  };
+}
+
+// rows: [{ skill, score }] in chronological order (oldest first)
+export function computeSkillProfile(rows, options = {}) {
+  const scoresBySkill = Object.fromEntries(SKILL_AREAS.map(skill => [skill, []]));
+
+  rows.forEach(row => {
+    if (scoresBySkill[row.skill] && row.score !== null && row.score !== undefined) {
+      scoresBySkill[row.skill].push(Number(row.score));
+    }
+  });
+
+  return Object.fromEntries(
+    Object.entries(scoresBySkill).map(([skill, scores]) => [skill, computeSkillLevel(scores, options)])
+  );
+}
+
+export function trendDirection(trend, threshold = TREND_THRESHOLD) {
+  if (trend >= threshold) {
+    return 'up';
+  }
+  if (trend <= -threshold) {
+    return 'down';
+  }
+  return 'flat';
+}
@@ -1,5 +1,12 @@
 import Joi from 'joi';
 import logger from './logger.js';
+import { SKILL_AREAS } from './skillModel.js';
+import {
+  PARAMETER_CATALOGS,
+  DEFENSE_MECHANISMS,
+  MAX_DEFENSE_MECHANISMS
+} from '../data/patientParameters.js';
+import { SAFETY_CHECKS, SAFETY_CHECK_MAX } from '../data/crisisScenarios.js';
 
 // User validation schemas
 export const userSchema = Joi.object({
@@ -22,6 +29,42 @@ export const patientCreationSchema = Joi.object({
   therapy_goals: Joi.object().optional()
 });
 
+// Choices of the guided /custom builder (see data/patientParameters.js)
+export const patientParametersSchema = Joi.object({
+  ...Object.fromEntries(Object.entries(PARAMETER_CATALOGS).map(([field, catalog]) => 
+    [field, Joi.string().valid(...Object.keys(catalog))]
+  )),
+  defense_mechanisms: Joi.array()
+    .items(Joi.string().valid(...Object.keys(DEFENSE_MECHANISMS)))
+    .unique()
+    .max(MAX_DEFENSE_MECHANISMS)
+});
+
+// Template file format (data/templates/*.json, /templates export and import)
+export const TEMPLATE_FORMAT = 'psychotrainer-patient-template';
+export const TEMPLATE_FORMAT_VERSION = 1;
+
+export const patientTemplateSchema = Joi.object({
+  format: Joi.string().valid(TEMPLATE_FORMAT).required(),
+  format_version: Joi.number().integer().valid(TEMPLATE_FORMAT_VERSION).required(),
+  slug: Joi.string().pattern(/^[a-z0-9][a-z0-9-]{2,63}$/).required(),
+  version: Joi.number().integer().min(1).required(),
+  title: Joi.string().trim().min(3).max(100).required(),
+  description: Joi.string().trim().max(500).allow('').default(''),
+  patient: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    age: Joi.number().integer().min(16).max(90).required(),
+    gender: Joi.string().valid('male', 'female', 'other').required(),
+    background: Joi.string().trim().min(50).max(4000).required(),
+    personality_traits: Joi.object().required(),
+    psychological_profile: Joi.object({
+      presenting_problem: Joi.string().trim().min(3).max(500).required()
+    }).unknown(true).required(),
+    therapy_goals: Joi.object().default({}),
+    interaction_patterns: Joi.object()
+  }).required()
+});
+
 // Session validation schemas
 export const messageSchema = Joi.object({
   content: Joi.string().min(1).max(1000).required(),
@@ -32,6 +75,114 @@ export const sessionNotesSchema = Joi.object({
   notes: Joi.string().max(2000).allow('', null)
 });
 
+// Supervisor analysis returned by the model (see SessionService.buildSupervisorPrompt)
+const feedbackText = Joi.string().trim().min(1).max(2000).required();
+const feedbackList = Joi.array().items(Joi.string().trim().min(1).max(1000)).max(10);
+
+export const INTERVENTION_TYPES = [
+  'open_question',
+  'closed_question',
+  'reflection',
+  'summary',
+  'interpretation',
+  'advice_giving',
+  'other'
+];
+
+// Per-utterance annotation of a therapist message (message_id = messages.id)
+export const messageAnnotationSchema = Joi.object({
+  message_id: Joi.number().integer().positive().required(),
+  intervention_type: Joi.string().valid(...INTERVENTION_TYPES).required(),
+  quality: Joi.number().integer().min(1).max(5).required(),
+  comment: Joi.string().trim().max(1000).allow('').default(''),
+  suggested_alternative: Joi.string().trim().max(1000).allow('', null).default(null)
+});
+
+// Rubric score of one skill; score is null when the session gave no evidence
+// for it (e.g. crisis_management in a session without a crisis)
+const skillScoreSchema = Joi.object({
+  score: Joi.number().integer().min(1).max(10).allow(null).required(),
+  evidence: Joi.string().trim().max(1000).allow('').default('')
+});
+
+export const skillScoresSchema = Joi.object(
+  Object.fromEntries(SKILL_AREAS.map(skill => [skill, skillScoreSchema.required()]))
+);
+
+// Fidelity to the therapy modality of the session (see data/modalities.js);
+// requested only for sessions practised in a specific modality. checks maps
+// a modality criterion to whether it was met (null: nothing to judge)
+const modalityCheckSchema = Joi.object({
+  met: Joi.boolean().allow(null).required(),
+  evidence: Joi.string().trim().max(1000).allow('').default('')
+});
+
+export const modalityFidelitySchema = Joi.object({
+  score: Joi.number().integer().min(1).max(10).required(),
+  checks: Joi.object().pattern(/^[a-z_]+$/, modalityCheckSchema).max(10).default({}),
+  comment: Joi.string().trim().max(2000).allow('').default('')
+});
+
+// Safety scorecard of a crisis scenario session (see data/crisisScenarios.js):
+// every protocol step scored 0 (not done) to 2 (done)
+const safetyCheckSchema = Joi.object({
+  score: Joi.number().integer().min(0).max(SAFETY_CHECK_MAX).required(),
+  evidence: Joi.string().trim().max(1000).allow('').default('')
+});
+
+export const safetyScorecardSchema = Joi.object({
+  checks: Joi.object(
+    Object.fromEntries(SAFETY_CHECKS.map(check => [check, safetyCheckSchema.required()]))
+  ).required(),
+  missed_signals: Joi.array().items(Joi.string().trim().min(1).max(500)).max(10).default([]),
+  comment: Joi.string().trim().max(2000).allow('').default('')
+});
+
+export const supervisorAnalysisSchema = Joi.object({
+  overall_rating: Joi.number().min(1).max(10).required(),
+  strengths: feedbackList.min(1).required(),
+  areas_for_improvement: feedbackList.min(1).required(),
+  specific_feedback: Joi.object({
+    rapport_building: feedbackText,
+    intervention_quality: feedbackText,
+    therapeutic_technique: feedbackText,
+    ethical_considerations: feedbackText
+  }).required(),
+  recommendations: feedbackList.min(1).required(),
+  key_moments: feedbackList.default([]),
+  skill_scores: skillScoresSchema.required(),
+  annotations: Joi.array().items(messageAnnotationSchema).max(200).required(),
+  modality_fidelity: modalityFidelitySchema,
+  safety_scorecard: safetyScorecardSchema
+});
+
+// Longitudinal case file of a patient, rewritten by the model after every
+// session (see CaseFileService); "session" fields are 1-based session numbers
+export const HOMEWORK_STATUSES = ['assigned', 'done', 'partial', 'not_done'];
+export const STATE_TRENDS = ['improving', 'stable', 'worsening'];
+
+export const caseFileSchema = Joi.object({
+  summary: Joi.string().trim().min(1).max(2000).required(),
+  disclosures: Joi.array().items(Joi.object({
+    session: Joi.number().integer().min(1).required(),
+    content: Joi.string().trim().min(1).max(500).required()
+  })).max(40).default([]),
+  homework: Joi.array().items(Joi.object({
+    session: Joi.number().integer().min(1).required(),
+    task: Joi.string().trim().min(1).max(500).required(),
+    status: Joi.string().valid(...HOMEWORK_STATUSES).required()
+  })).max(20).default([]),
+  patient_state: Joi.object({
+    description: Joi.string().trim().min(1).max(1000).required(),
+    trend: Joi.string().valid(...STATE_TRENDS).required()
+  }).required(),
+  alliance: Joi.object({
+    quality: Joi.number().integer().min(1).max(5).required(),
+    notes: Joi.string().trim().max(1000).allow('').default('')
+  }).required(),
+  open_topics: Joi.array().items(Joi.string().trim().min(1).max(300)).max(10).default([])
+});
+
 // Configuration validation schemas
 export const configSchema = Joi.object({
   telegram: Joi.object({
@@ -93,6 +244,24 @@ export function validateAndSanitize(data, schema, options = {}) {
   return value;
 }
 
+// Extracts the JSON object from a model answer, tolerating code fences and
+// surrounding text
+export function parseJsonObject(content) {
+  const text = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  const jsonStart = text.indexOf('{');
+  const jsonEnd = text.lastIndexOf('}') + 1;
+
+  if (jsonStart < 0 || jsonEnd <= jsonStart) {
+    throw new ValidationError('Answer is not a JSON object', [{ field: '', message: 'no JSON object found in the answer' }]);
+  }
+
+  try {
+    return JSON.parse(text.substring(jsonStart, jsonEnd));
+  } catch (parseError) {
+    throw new ValidationError('Answer is not valid JSON', [{ field: '', message: parseError.message }]);
+  }
+}
+
 // Sanitize user input to prevent injection attacks
 export function sanitizeInput(input) {
   if (typeof input !== 'string') {
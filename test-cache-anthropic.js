@@ -5,14 +5,11 @@
  * Проверяет работу официального кеширования Claude API
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import dotenv from 'dotenv';
+import config from './src/config/index.js';
+import { createProvider } from './src/providers/index.js';
 
-dotenv.config();
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// Goes through the configured LLM provider (LLM_PROVIDER=mock runs offline)
+const provider = createProvider(config.anthropic);
 
 class AnthropicCacheTest {
   constructor() {
@@ -109,8 +106,8 @@ class AnthropicCacheTest {
     const startTime = Date.now();
     
     try {
-      const response = await anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
+      const response = await provider.createMessage({
+        model: config.anthropic.model,
         max_tokens: 500,
         system: [{
           type: 'text',
@@ -150,8 +147,8 @@ class AnthropicCacheTest {
     const startTime = Date.now();
     
     try {
-      const response = await anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
+      const response = await provider.createMessage({
+        model: config.anthropic.model,
         max_tokens: 500,
         system: [{
           type: 'text',
@@ -218,8 +215,8 @@ class AnthropicCacheTest {
     const startTime = Date.now();
     
     try {
-      const response = await anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
+      const response = await provider.createMessage({
+        model: config.anthropic.model,
         max_tokens: 500,
         system: [{
           type: 'text',
@@ -263,8 +260,8 @@ class AnthropicCacheTest {
       const startTime = Date.now();
       
       try {
-        const response = await anthropic.messages.create({
-          model: 'claude-3-5-sonnet-20241022',
+        const response = await provider.createMessage({
+          model: config.anthropic.model,
           max_tokens: 300,
           system: [{
             type: 'text',
@@ -5,14 +5,11 @@
  * Быстрая проверка работы Anthropic API и кеша
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import dotenv from 'dotenv';
+import config from './src/config/index.js';
+import { createProvider } from './src/providers/index.js';
 
-dotenv.config();
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// Goes through the configured LLM provider (LLM_PROVIDER=mock runs offline)
+const provider = createProvider(config.anthropic);
 
 async function simpleTest() {
   console.log('🚀 ПРОСТОЙ ТЕСТ ANTHROPIC API\n');
@@ -44,8 +41,8 @@ async function simpleTest() {
     console.log('\n1️⃣ Первый запрос (создание кеша)...');
     const start1 = Date.now();
     
-    const response1 = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
+    const response1 = await provider.createMessage({
+      model: config.anthropic.model,
       max_tokens: 300,
       system: [{
         type: 'text',
@@ -73,8 +70,8 @@ async function simpleTest() {
     console.log('\n2️⃣ Второй запрос (использование кеша)...');
     const start2 = Date.now();
     
-    const response2 = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
+    const response2 = await provider.createMessage({
+      model: config.anthropic.model,
       max_tokens: 300,
       system: [{
         type: 'text',
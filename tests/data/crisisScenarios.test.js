@@ -0,0 +1,56 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  CRISIS_SCENARIOS,
+  CRISIS_SCENARIO_IDS,
+  SAFETY_CHECKS,
+  isCrisisScenario,
+  getDisclosureStage,
+  buildCrisisGenerationPrompt,
+  describeCrisisForPrompt,
+  buildSafetyRubric,
+  scoreSafetyChecks
+} from '../../src/data/crisisScenarios.js';
+import ru from '../../src/i18n/locales/ru.js';
+
+describe('Crisis scenarios', () => {
+  test('should disclose the risk at the scenario turns', () => {
+    const { hintTurn, disclosureTurn } = CRISIS_SCENARIOS.suicidal_ideation;
+
+    expect(getDisclosureStage('suicidal_ideation', hintTurn - 1)).toBe('hidden');
+    expect(getDisclosureStage('suicidal_ideation', hintTurn)).toBe('hint');
+    expect(getDisclosureStage('suicidal_ideation', disclosureTurn)).toBe('disclosure');
+    expect(describeCrisisForPrompt('suicidal_ideation', disclosureTurn))
+      .toContain(CRISIS_SCENARIOS.suicidal_ideation.disclosure);
+  });
+
+  test('should leave ordinary patients untouched', () => {
+    expect(isCrisisScenario('toString')).toBe(false);
+    expect(describeCrisisForPrompt(null, 10)).toBeNull();
+    expect(buildCrisisGenerationPrompt(null)).toBe('');
+    expect(buildSafetyRubric('unknown')).toBe('');
+  });
+
+  test('should list every protocol step in the safety rubric', () => {
+    CRISIS_SCENARIO_IDS.forEach(scenario => {
+      const rubric = buildSafetyRubric(scenario);
+
+      expect(rubric).toContain('"safety_scorecard"');
+      SAFETY_CHECKS.forEach(check => {
+        expect(rubric).toContain(`- ${check}: ${CRISIS_SCENARIOS[scenario].protocol[check]}`);
+      });
+      expect(ru.labels.crisis[scenario]).toBeDefined();
+    });
+  });
+
+  test('should score the share of the protocol performed', () => {
+    const checks = {
+      recognition: { score: 2 },
+      risk_assessment: { score: 1 },
+      safety_planning: { score: 0 },
+      escalation: { score: 0 }
+    };
+
+    expect(scoreSafetyChecks(checks)).toBe(38);
+    expect(scoreSafetyChecks(Object.fromEntries(SAFETY_CHECKS.map(check => [check, { score: 2 }])))).toBe(100);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  DEFAULT_MODALITY,
+  MODALITY_IDS,
+  isModality,
+  resolveModality,
+  getModalityChecks,
+  buildModalityGenerationPrompt,
+  buildModalityRubric
+} from '../../src/data/modalities.js';
+import ru from '../../src/i18n/locales/ru.js';
+
+describe('Therapy modalities', () => {
+  test('should fall back to the general modality', () => {
+    expect(MODALITY_IDS).toEqual(['general', 'cbt', 'mi', 'psychodynamic', 'person_centred']);
+    expect(isModality('cbt')).toBe(true);
+    expect(isModality('toString')).toBe(false);
+    expect(resolveModality('mi')).toBe('mi');
+    expect(resolveModality('gestalt')).toBe(DEFAULT_MODALITY);
+    expect(resolveModality(null)).toBe(DEFAULT_MODALITY);
+  });
+
+  test('should add nothing to the prompts of the general modality', () => {
+    expect(getModalityChecks(DEFAULT_MODALITY)).toEqual([]);
+    expect(buildModalityGenerationPrompt(DEFAULT_MODALITY)).toBe('');
+    expect(buildModalityRubric(DEFAULT_MODALITY)).toBe('');
+  });
+
+  test('should list every check of a modality in its rubric', () => {
+    const rubric = buildModalityRubric('cbt');
+
+    expect(rubric).toContain('"modality_fidelity"');
+    getModalityChecks('cbt').forEach(check => {
+      expect(rubric).toContain(`- ${check}: `);
+    });
+    expect(buildModalityGenerationPrompt('mi')).toMatch(/^ТЕРАПЕВТИЧЕСКИЙ ПОДХОД: /);
+  });
+
+  test('should have a label and check names for every modality', () => {
+    MODALITY_IDS.forEach(modality => {
+      expect(ru.labels.modality[modality]).toBeDefined();
+      getModalityChecks(modality).forEach(check => {
+        expect(ru.modality.checks[modality][check]).toBeDefined();
+      });
+    });
+  });
+});
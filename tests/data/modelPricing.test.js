@@ -0,0 +1,55 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  MODEL_PRICING,
+  getModelPricing,
+  calculateCost,
+  formatUsd
+} from '../../src/data/modelPricing.js';
+
+describe('Model pricing', () => {
+  test('should match dated snapshots by the longest model prefix', () => {
+    expect(getModelPricing('claude-3-5-sonnet-20241022')).toBe(MODEL_PRICING['claude-3-5-sonnet']);
+    expect(getModelPricing('gpt-4o-mini-2024-07-18')).toBe(MODEL_PRICING['gpt-4o-mini']);
+    expect(getModelPricing('gpt-4o-2024-08-06')).toBe(MODEL_PRICING['gpt-4o']);
+    expect(getModelPricing('llama-3-70b')).toBeNull();
+  });
+
+  test('should prefer configured prices with Anthropic cache multipliers', () => {
+    const pricing = getModelPricing('llama-3-70b', { input: 2, output: 6 });
+
+    expect(pricing.input).toBe(2);
+    expect(pricing.output).toBe(6);
+    expect(pricing.cacheWrite).toBeCloseTo(2.5);
+    expect(pricing.cacheRead).toBeCloseTo(0.2);
+    expect(getModelPricing('gpt-4o', { input: null, output: null })).toBe(MODEL_PRICING['gpt-4o']);
+  });
+
+  test('should price every token kind per million', () => {
+    const { costUsd } = calculateCost({
+      input_tokens: 1000000,
+      output_tokens: 100000,
+      cache_creation_input_tokens: 200000,
+      cache_read_input_tokens: 500000
+    }, MODEL_PRICING['claude-3-5-sonnet']);
+
+    // 3 + 1.5 + 0.75 + 0.15
+    expect(costUsd).toBeCloseTo(5.4);
+  });
+
+  test('should net cache read savings against the cache write premium', () => {
+    const pricing = MODEL_PRICING['claude-3-5-sonnet'];
+
+    const written = calculateCost({ cache_creation_input_tokens: 1000000 }, pricing);
+    expect(written.cacheSavingsUsd).toBeCloseTo(-0.75);
+
+    const reused = calculateCost({ cache_read_input_tokens: 1000000 }, pricing);
+    expect(reused.cacheSavingsUsd).toBeCloseTo(2.7);
+    expect(calculateCost({}, pricing)).toEqual({ costUsd: 0, cacheSavingsUsd: 0 });
+  });
+
+  test('should format small amounts with more precision', () => {
+    expect(formatUsd(0.01234)).toBe('$0.0123');
+    expect(formatUsd(12.345)).toBe('$12.35');
+    expect(formatUsd(null)).toBe('$0.0000');
+  });
+});
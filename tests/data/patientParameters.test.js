@@ -0,0 +1,93 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  applyPatientParameters,
+  buildParametersPrompt,
+  describePatientParameters,
+  findParameterOption
+} from '../../src/data/patientParameters.js';
+
+const generatedPatient = {
+  name: 'Анна Петрова',
+  age: 34,
+  gender: 'female',
+  background: 'Бухгалтер, замужем, есть дочь.',
+  personality_traits: {
+    core_traits: ['ответственная'],
+    defense_mechanisms: ['рационализация', 'избегание']
+  },
+  psychological_profile: {
+    presenting_problem: 'Панические атаки',
+    severity: 'moderate',
+    motivation_level: 'high'
+  }
+};
+
+describe('Patient builder parameters', () => {
+  test('should keep the generated patient when nothing was chosen', () => {
+    expect(applyPatientParameters(generatedPatient, {})).toEqual(generatedPatient);
+    expect(buildParametersPrompt({})).toBe('');
+    expect(describePatientParameters({})).toEqual([]);
+  });
+
+  test('should write the choices into the profile fields', () => {
+    const patient = applyPatientParameters(generatedPatient, {
+      gender: 'male',
+      problem_category: 'depression',
+      severity: 'severe',
+      motivation_level: 'low',
+      defense_mechanisms: ['denial', 'humor'],
+      resistance_style: 'hostile'
+    });
+
+    expect(patient.gender).toBe('male');
+    expect(patient.psychological_profile).toMatchObject({
+      presenting_problem: 'Панические атаки',
+      problem_category: 'Депрессия',
+      severity: 'severe',
+      motivation_level: 'low'
+    });
+    expect(patient.personality_traits.defense_mechanisms).toEqual(['отрицание', 'юмор']);
+    expect(patient.personality_traits.resistance_style).toContain('враждебное');
+    expect(patient.personality_traits.core_traits).toEqual(['ответственная']);
+  });
+
+  test('should clamp the age into the chosen range', () => {
+    expect(applyPatientParameters(generatedPatient, { age_range: 'youth' }).age).toBe(24);
+    expect(applyPatientParameters(generatedPatient, { age_range: 'senior' }).age).toBe(65);
+    expect(applyPatientParameters(generatedPatient, { age_range: 'young_adult' }).age).toBe(34);
+  });
+
+  test('should not mutate the generated patient', () => {
+    applyPatientParameters(generatedPatient, { severity: 'mild', defense_mechanisms: ['projection'] });
+
+    expect(generatedPatient.psychological_profile.severity).toBe('moderate');
+    expect(generatedPatient.personality_traits.defense_mechanisms).toEqual(['рационализация', 'избегание']);
+  });
+
+  test('should describe the chosen parameters for the prompt and the summary', () => {
+    const parameters = { age_range: 'adult', severity: 'mild', defense_mechanisms: ['avoidance'] };
+
+    expect(buildParametersPrompt(parameters)).toContain('от 35 до 49 лет');
+    expect(buildParametersPrompt(parameters)).toContain('severity: "mild"');
+    expect(describePatientParameters(parameters)).toEqual([
+      'Возраст: 35–49',
+      'Тяжесть: Легкая',
+      'Защиты: Избегание'
+    ]);
+  });
+
+  test('should describe and match the choices in the user language', () => {
+    const parameters = { age_range: 'adult', severity: 'mild', defense_mechanisms: ['avoidance'] };
+
+    expect(describePatientParameters(parameters, 'en')).toEqual([
+      'Age: 35–49',
+      'Severity: Mild',
+      'Defenses: Avoidance'
+    ]);
+    expect(findParameterOption('severity', 'mild', 'en')).toBe('mild');
+    expect(findParameterOption('severity', 'Severe', 'en')).toBe('severe');
+    expect(findParameterOption('severity', 'тяжелая', 'en')).toBe('severe');
+    expect(findParameterOption('defense_mechanisms', 'humor', 'en')).toBe('humor');
+    expect(findParameterOption('severity', 'extreme', 'en')).toBeNull();
+  });
+});
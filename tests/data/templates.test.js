@@ -0,0 +1,50 @@
+import { describe, test, expect } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  patientTemplateSchema,
+  validateAndSanitize,
+  ValidationError
+} from '../../src/utils/validation.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const templatesDir = path.join(__dirname, '../../src/data/templates');
+const templateFiles = fs.readdirSync(templatesDir).filter(file => file.endsWith('.json'));
+
+function readTemplate(file) {
+  return JSON.parse(fs.readFileSync(path.join(templatesDir, file), 'utf8'));
+}
+
+describe('Curated patient templates', () => {
+  test('should ship at least one template', () => {
+    expect(templateFiles.length).toBeGreaterThan(0);
+  });
+
+  test.each(templateFiles)('%s should match the template format', (file) => {
+    const template = readTemplate(file);
+
+    expect(() => validateAndSanitize(template, patientTemplateSchema)).not.toThrow();
+    expect(`${template.slug}.json`).toBe(file);
+  });
+
+  test('should keep profile fields the schema does not list', () => {
+    const template = validateAndSanitize(readTemplate(templateFiles[0]), patientTemplateSchema);
+
+    expect(template.patient.psychological_profile.symptoms.length).toBeGreaterThan(0);
+    expect(template.patient.interaction_patterns).toBeDefined();
+  });
+
+  test('should reject files of another format', () => {
+    const template = { ...readTemplate(templateFiles[0]), format: 'something-else' };
+
+    expect(() => validateAndSanitize(template, patientTemplateSchema)).toThrow(ValidationError);
+  });
+
+  test('should reject a patient without a presenting problem', () => {
+    const template = readTemplate(templateFiles[0]);
+    delete template.patient.psychological_profile.presenting_problem;
+
+    expect(() => validateAndSanitize(template, patientTemplateSchema)).toThrow(ValidationError);
+  });
+});
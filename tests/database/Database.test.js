@@ -0,0 +1,136 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { DatabaseManager } from '../../src/database/Database.js';
+
+// A promise the test resolves by hand, to hold a transaction open
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+async function count(db, table) {
+  return (await db.get(`SELECT COUNT(*) as count FROM ${table}`)).count;
+}
+
+describe('DatabaseManager', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new DatabaseManager();
+    await db.initialize({ migrate: false }); // DATABASE_PATH is :memory: in tests
+    await db.exec(`
+      CREATE TABLE analyses (id INTEGER PRIMARY KEY, content TEXT NOT NULL);
+      CREATE TABLE annotations (id INTEGER PRIMARY KEY, label TEXT NOT NULL CHECK (label IN ('good', 'missed')));
+      CREATE TABLE messages (id INTEGER PRIMARY KEY, content TEXT NOT NULL);
+    `);
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  describe('transaction', () => {
+    test('should commit the statements and return the result', async () => {
+      const result = await db.transaction(async () => {
+        await db.run(`INSERT INTO analyses (content) VALUES ('ok')`);
+        await db.run(`INSERT INTO annotations (label) VALUES ('good')`);
+        return 'saved';
+      });
+
+      expect(result).toBe('saved');
+      expect(await count(db, 'analyses')).toBe(1);
+      expect(await count(db, 'annotations')).toBe(1);
+    });
+
+    test('should roll everything back when a statement fails', async () => {
+      await expect(db.transaction(async () => {
+        await db.run(`INSERT INTO analyses (content) VALUES ('ok')`);
+        await db.run(`INSERT INTO annotations (label) VALUES ('unknown')`);
+      })).rejects.toThrow(/CHECK/);
+
+      expect(await count(db, 'analyses')).toBe(0);
+    });
+
+    test('should keep writes from outside a rolled-back transaction', async () => {
+      const opened = deferred();
+      const proceed = deferred();
+
+      // An analysis whose annotation breaks the CHECK constraint...
+      const analysis = db.transaction(async () => {
+        await db.run(`INSERT INTO analyses (content) VALUES ('draft')`);
+        opened.resolve();
+        await proceed.promise;
+        await db.run(`INSERT INTO annotations (label) VALUES ('unknown')`);
+      });
+
+      // ...while another trainee's message is saved
+      await opened.promise;
+      const message = db.run(`INSERT INTO messages (content) VALUES ('from another session')`);
+      proceed.resolve();
+
+      await expect(analysis).rejects.toThrow(/CHECK/);
+      await message;
+
+      expect(await count(db, 'analyses')).toBe(0);
+      expect(await db.all('SELECT content FROM messages')).toEqual([{ content: 'from another session' }]);
+    });
+
+    test('should hold reads from outside until the transaction commits', async () => {
+      const opened = deferred();
+      const proceed = deferred();
+
+      const analysis = db.transaction(async () => {
+        await db.run(`INSERT INTO analyses (content) VALUES ('first')`);
+        opened.resolve();
+        await proceed.promise;
+        await db.run(`INSERT INTO analyses (content) VALUES ('second')`);
+      });
+
+      await opened.promise;
+      const read = count(db, 'analyses');
+      proceed.resolve();
+
+      expect(await read).toBe(2);
+      await analysis;
+    });
+
+    test('should run transactions one after another', async () => {
+      const order = [];
+      const slow = db.transaction(async () => {
+        order.push('slow:begin');
+        await db.run(`INSERT INTO analyses (content) VALUES ('slow')`);
+        order.push('slow:end');
+      });
+      const fast = db.transaction(async () => {
+        order.push('fast:begin');
+        await db.run(`INSERT INTO analyses (content) VALUES ('fast')`);
+        order.push('fast:end');
+      });
+
+      await Promise.all([slow, fast]);
+
+      expect(order).toEqual(['slow:begin', 'slow:end', 'fast:begin', 'fast:end']);
+      expect(await count(db, 'analyses')).toBe(2);
+    });
+
+    test('should let a failed transaction release the queue', async () => {
+      await expect(db.transaction(async () => {
+        throw new Error('model answer is not valid JSON');
+      })).rejects.toThrow('model answer is not valid JSON');
+
+      await db.transaction(() => db.run(`INSERT INTO analyses (content) VALUES ('retry')`));
+
+      expect(await count(db, 'analyses')).toBe(1);
+    });
+
+    test('should join the open transaction when nested', async () => {
+      await expect(db.transaction(async () => {
+        await db.run(`INSERT INTO analyses (content) VALUES ('outer')`);
+        await db.transaction(() => db.run(`INSERT INTO analyses (content) VALUES ('inner')`));
+        throw new Error('outer failed');
+      })).rejects.toThrow('outer failed');
+
+      expect(await count(db, 'analyses')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DatabaseManager } from '../../src/database/Database.js';
+import MigrationRunner from '../../src/database/MigrationRunner.js';
+
+// Fresh in-memory database (DATABASE_PATH is :memory: in tests) without the schema
+async function openMemoryDatabase() {
+  const db = new DatabaseManager();
+  await db.initialize({ migrate: false });
+  return db;
+}
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'migrations');
+const BASIC_DIR = path.join(FIXTURES_DIR, 'basic');
+
+async function tableNames(db) {
+  const rows = await db.all(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'
+    ORDER BY name
+  `);
+  return rows.map(row => row.name);
+}
+
+async function columnNames(db, table) {
+  return (await db.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+}
+
+describe('MigrationRunner', () => {
+  let db;
+  let runner;
+
+  beforeEach(async () => {
+    db = await openMemoryDatabase();
+    runner = new MigrationRunner(db, BASIC_DIR);
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  describe('loadMigrations', () => {
+    test('should load numbered migrations in order', async () => {
+      const migrations = await runner.loadMigrations();
+
+      expect(migrations.map(({ version, name, description }) => ({ version, name, description }))).toEqual([
+        { version: 1, name: 'notes', description: 'Notes table' },
+        { version: 2, name: 'note_author', description: 'note_author' },
+        { version: 3, name: 'tags', description: 'Tags table' }
+      ]);
+    });
+
+    test('should reject migrations without down()', async () => {
+      const broken = new MigrationRunner(db, path.join(FIXTURES_DIR, 'missing-down'));
+
+      await expect(broken.loadMigrations()).rejects.toThrow('Migration 001_broken.js must export up() and down()');
+    });
+
+    test('should reject duplicate versions', async () => {
+      const duplicate = new MigrationRunner(db, path.join(FIXTURES_DIR, 'duplicate'));
+
+      await expect(duplicate.loadMigrations()).rejects.toThrow('Duplicate migration version 001');
+    });
+  });
+
+  describe('migrate', () => {
+    test('should apply pending migrations and record them', async () => {
+      const results = await runner.migrate();
+
+      expect(results).toEqual([
+        { version: 1, name: 'notes', direction: 'up' },
+        { version: 2, name: 'note_author', direction: 'up' },
+        { version: 3, name: 'tags', direction: 'up' }
+      ]);
+      expect(await tableNames(db)).toEqual(['notes', 'tags']);
+      expect(await db.all('SELECT text, author FROM notes')).toEqual([{ text: 'hello', author: 'system' }]);
+      expect(await runner.getAppliedVersions()).toEqual([1, 2, 3]);
+    });
+
+    test('should do nothing when the schema is up to date', async () => {
+      await runner.migrate();
+
+      expect(await runner.migrate()).toEqual([]);
+    });
+
+    test('should stop at the target version', async () => {
+      const results = await runner.migrate({ to: 2 });
+
+      expect(results.map(result => result.version)).toEqual([1, 2]);
+      expect(await tableNames(db)).toEqual(['notes']);
+
+      expect((await runner.migrate()).map(result => result.version)).toEqual([3]);
+    });
+
+    test('should roll back a failing migration and keep the earlier ones', async () => {
+      const migrations = await runner.loadMigrations();
+      jest.spyOn(runner, 'loadMigrations').mockResolvedValue([...migrations, {
+        version: 4,
+        name: 'broken',
+        up: async (migrationDb) => {
+          await migrationDb.exec('CREATE TABLE half (id INTEGER)');
+          await migrationDb.exec('INSERT INTO missing VALUES (1)');
+        },
+        down: async () => {}
+      }]);
+
+      await expect(runner.migrate()).rejects.toThrow('no such table: missing');
+
+      expect(await tableNames(db)).toEqual(['notes', 'tags']);
+      expect(await runner.getAppliedVersions()).toEqual([1, 2, 3]);
+    });
+
+    test('should only record statements in a dry run', async () => {
+      await runner.migrate({ to: 1 });
+
+      const results = await runner.migrate({ dryRun: true });
+
+      expect(results).toEqual([
+        {
+          version: 2,
+          name: 'note_author',
+          direction: 'up',
+          statements: [
+            'ALTER TABLE notes ADD COLUMN author TEXT',
+            'INSERT INTO notes (text, author) VALUES (?, ?) -- ["hello","system"]'
+          ]
+        },
+        { version: 3, name: 'tags', direction: 'up', statements: ['CREATE TABLE tags (id INTEGER PRIMARY KEY, name TEXT)'] }
+      ]);
+      expect(await tableNames(db)).toEqual(['notes']);
+      expect(await columnNames(db, 'notes')).toEqual(['id', 'text']);
+      expect(await runner.getAppliedVersions()).toEqual([1]);
+    });
+  });
+
+  describe('rollback', () => {
+    beforeEach(async () => {
+      await runner.migrate();
+    });
+
+    test('should roll back the latest migration by default', async () => {
+      const results = await runner.rollback();
+
+      expect(results).toEqual([{ version: 3, name: 'tags', direction: 'down' }]);
+      expect(await tableNames(db)).toEqual(['notes']);
+      expect(await runner.getAppliedVersions()).toEqual([1, 2]);
+    });
+
+    test('should roll back several steps newest first', async () => {
+      const results = await runner.rollback({ steps: 2 });
+
+      expect(results.map(result => result.version)).toEqual([3, 2]);
+      expect(await columnNames(db, 'notes')).toEqual(['id', 'text']);
+      expect(await db.all('SELECT * FROM notes')).toEqual([]);
+      expect(await runner.getAppliedVersions()).toEqual([1]);
+    });
+
+    test('should only record statements in a dry run', async () => {
+      const results = await runner.rollback({ steps: 2, dryRun: true });
+
+      expect(results).toEqual([
+        { version: 3, name: 'tags', direction: 'down', statements: ['DROP TABLE tags'] },
+        {
+          version: 2,
+          name: 'note_author',
+          direction: 'down',
+          statements: [
+            'DELETE FROM notes WHERE author = ? -- ["system"]',
+            'ALTER TABLE notes DROP COLUMN author'
+          ]
+        }
+      ]);
+      expect(await tableNames(db)).toEqual(['notes', 'tags']);
+      expect(await runner.getAppliedVersions()).toEqual([1, 2, 3]);
+    });
+
+    test('should refuse to roll back a migration without a file', async () => {
+      const migrations = await runner.loadMigrations();
+      jest.spyOn(runner, 'loadMigrations').mockResolvedValue(migrations.slice(0, 2));
+
+      await expect(runner.rollback()).rejects.toThrow('Applied migration 3 has no file');
+      expect(await runner.getAppliedVersions()).toEqual([1, 2, 3]);
+    });
+  });
+
+  test('should report the status of every migration', async () => {
+    await runner.migrate({ to: 2 });
+
+    const status = await runner.status();
+
+    expect(status.map(({ version, name, applied }) => ({ version, name, applied }))).toEqual([
+      { version: 1, name: 'notes', applied: true },
+      { version: 2, name: 'note_author', applied: true },
+      { version: 3, name: 'tags', applied: false }
+    ]);
+    expect(status[0].appliedAt).toEqual(expect.any(String));
+    expect(status[2].appliedAt).toBeNull();
+    expect(status[2].description).toBe('Tags table');
+  });
+
+  test('should apply and roll back the bundled migrations', async () => {
+    const bundled = new MigrationRunner(db);
+    const count = (await bundled.loadMigrations()).length;
+
+    await bundled.migrate();
+    expect(await tableNames(db)).toEqual(expect.arrayContaining(['users', 'patients', 'sessions', 'messages']));
+
+    await bundled.rollback({ steps: count });
+    expect(await tableNames(db)).toEqual([]);
+    expect(await bundled.getAppliedVersions()).toEqual([]);
+
+    await bundled.migrate();
+    expect(await bundled.getAppliedVersions()).toHaveLength(count);
+  });
+});
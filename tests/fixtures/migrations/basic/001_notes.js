@@ -0,0 +1,9 @@
+export const description = 'Notes table';
+
+export async function up(db) {
+  await db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, text TEXT)');
+}
+
+export async function down(db) {
+  await db.exec('DROP TABLE notes');
+}
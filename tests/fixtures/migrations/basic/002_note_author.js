@@ -0,0 +1,9 @@
+export async function up(db) {
+  await db.exec('ALTER TABLE notes ADD COLUMN author TEXT');
+  await db.run('INSERT INTO notes (text, author) VALUES (?, ?)', ['hello', 'system']);
+}
+
+export async function down(db) {
+  await db.run('DELETE FROM notes WHERE author = ?', ['system']);
+  await db.exec('ALTER TABLE notes DROP COLUMN author');
+}
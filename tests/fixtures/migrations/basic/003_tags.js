@@ -0,0 +1,9 @@
+export const description = 'Tags table';
+
+export async function up(db) {
+  await db.exec('CREATE TABLE tags (id INTEGER PRIMARY KEY, name TEXT)');
+}
+
+export async function down(db) {
+  await db.exec('DROP TABLE tags');
+}
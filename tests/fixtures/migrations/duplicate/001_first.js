@@ -0,0 +1,3 @@
+export async function up() {}
+
+export async function down() {}
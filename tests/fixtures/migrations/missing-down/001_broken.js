@@ -0,0 +1 @@
+export async function up() {}
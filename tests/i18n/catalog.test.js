@@ -0,0 +1,63 @@
+import { describe, test, expect } from '@jest/globals';
+import ru from '../../src/i18n/locales/ru.js';
+import en from '../../src/i18n/locales/en.js';
+import {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  t,
+  getTranslator,
+  getLocaleName
+} from '../../src/i18n/index.js';
+
+// key -> value for every leaf of a catalog; arrays are leaves
+function flatten(catalog, prefix = '') {
+  return Object.entries(catalog).flatMap(([key, value]) =>
+    value && typeof value === 'object' && !Array.isArray(value) ?
+      flatten(value, `${prefix}${key}.`) :
+      [[`${prefix}${key}`, value]]
+  );
+}
+
+function placeholders(value) {
+  return [...String(value).matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+}
+
+describe('Message catalogs', () => {
+  test('should translate every key with the same placeholders', () => {
+    const russian = new Map(flatten(ru));
+    const english = new Map(flatten(en));
+
+    expect([...english.keys()].sort()).toEqual([...russian.keys()].sort());
+    russian.forEach((value, key) => {
+      expect({ key, placeholders: placeholders(english.get(key)) }).toEqual({ key, placeholders: placeholders(value) });
+    });
+  });
+
+  test('should resolve Telegram language codes to supported locales', () => {
+    expect(SUPPORTED_LOCALES).toEqual(expect.arrayContaining(['ru', 'en']));
+    expect(resolveLocale('en-US')).toBe('en');
+    expect(resolveLocale('EN')).toBe('en');
+    expect(resolveLocale('uk')).toBe(DEFAULT_LOCALE);
+    expect(resolveLocale(null)).toBe(DEFAULT_LOCALE);
+  });
+
+  test('should interpolate parameters and fall back to Russian', () => {
+    expect(t('en', 'common.years', { age: 34 })).toBe('34 y.o.');
+    expect(t('ru', 'common.years', { age: 34 })).toBe('34 лет');
+    expect(t('de', 'common.back')).toBe(ru.common.back);
+    expect(t('en', 'no.such.key')).toBe('no.such.key');
+    expect(t('en', 'menu')).toBe(en.menu);
+    expect(getLocaleName('en')).toBe(en.meta.name);
+  });
+
+  test('should translate labels and dates through a translator', () => {
+    const translate = getTranslator('en');
+    const date = new Date(2025, 5, 12);
+
+    expect(translate.locale).toBe('en');
+    expect(translate.label('labels.gender', 'female')).toBe(en.labels.gender.female);
+    expect(translate.label('labels.gender', 'unknown')).toBe('unknown');
+    expect(translate.date(date)).toBe(date.toLocaleDateString(en.meta.dateLocale));
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockProvider } from '../../src/providers/MockProvider.js';
+import { createProvider } from '../../src/providers/index.js';
+
+const fixtures = {
+  patient_turn: [
+    { match: 'тревог', response: 'Мне все время тревожно.' },
+    { match: 'сон|спите', response: 'Сплю плохо.' },
+    { response: 'Не знаю.' },
+    { response: 'Может быть.' },
+    { response: 'Сложно сказать.' }
+  ],
+  analysis: [
+    { response: { overall_score: 7, strengths: ['эмпатия'] } }
+  ],
+  default: [
+    { response: 'По умолчанию.' }
+  ]
+};
+
+function request(text, extra = {}) {
+  return {
+    model: 'mock-model',
+    system: 'Ты пациент.',
+    messages: [
+      { role: 'assistant', content: 'Здравствуйте.' },
+      { role: 'user', content: text }
+    ],
+    ...extra
+  };
+}
+
+describe('MockProvider', () => {
+  let dir;
+  let fixturesPath;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-provider-'));
+    fixturesPath = path.join(dir, 'fixtures.json');
+    fs.writeFileSync(fixturesPath, JSON.stringify(fixtures));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should be created by the provider factory', () => {
+    expect(createProvider({ provider: 'mock' })).toBeInstanceOf(MockProvider);
+    expect(() => createProvider({ provider: 'nope' })).toThrow('Unknown LLM provider: nope');
+  });
+
+  test('should load the bundled fixtures by default', async () => {
+    const provider = new MockProvider();
+    const message = await provider.createMessage(request('Здравствуйте'), { purpose: 'patient_turn' });
+
+    expect(message.content[0].text.length).toBeGreaterThan(0);
+  });
+
+  describe('fixture matching', () => {
+    test('should pick the first rule matching the last user message', async () => {
+      const provider = new MockProvider({ mockFixtures: fixturesPath });
+
+      const anxious = await provider.createMessage(request('Расскажите о вашей ТРЕВОГЕ'), { purpose: 'patient_turn' });
+      const sleep = await provider.createMessage(request('Как вы спите?'), { purpose: 'patient_turn' });
+
+      expect(anxious.content[0].text).toBe('Мне все время тревожно.');
+      expect(sleep.content[0].text).toBe('Сплю плохо.');
+    });
+
+    test('should read the text of content blocks', async () => {
+      const provider = new MockProvider({ mockFixtures: fixturesPath });
+      const params = {
+        messages: [{ role: 'user', content: [{ type: 'text', text: 'Про сон' }, { type: 'image' }] }]
+      };
+
+      const message = await provider.createMessage(params, { purpose: 'patient_turn' });
+
+      expect(message.content[0].text).toBe('Сплю плохо.');
+    });
+
+    test('should pick the same fallback for the same conversation', async () => {
+      const provider = new MockProvider({ mockFixtures: fixturesPath });
+      const fallbacks = ['Не знаю.', 'Может быть.', 'Сложно сказать.'];
+
+      const first = await provider.createMessage(request('Что вы чувствуете?'), { purpose: 'patient_turn' });
+      const second = await provider.createMessage(request('Что вы чувствуете?'), { purpose: 'patient_turn' });
+
+      expect(fallbacks).toContain(first.content[0].text);
+      expect(second.content[0].text).toBe(first.content[0].text);
+    });
+
+    test('should serialize JSON responses', async () => {
+      const provider = new MockProvider({ mockFixtures: fixturesPath });
+
+      const message = await provider.createMessage(request('Проанализируй'), { purpose: 'analysis' });
+
+      expect(JSON.parse(message.content[0].text)).toEqual(fixtures.analysis[0].response);
+    });
+
+    test('should fall back to the default rules for unknown purposes', async () => {
+      const provider = new MockProvider({ mockFixtures: fixturesPath });
+
+      const message = await provider.createMessage(request('Привет'), { purpose: 'summary' });
+
+      expect(message.content[0].text).toBe('По умолчанию.');
+    });
+
+    test('should fail when no rule applies', async () => {
+      fs.writeFileSync(path.join(dir, 'empty.json'), JSON.stringify({ analysis: [{ match: 'x', response: 'y' }] }));
+      const provider = new MockProvider({ mockFixtures: path.join(dir, 'empty.json') });
+
+      await expect(provider.createMessage(request('Привет'), { purpose: 'analysis' }))
+        .rejects.toThrow('No mock fixture for purpose "analysis"');
+    });
+  });
+
+  test('should answer in the Anthropic message shape and record calls', async () => {
+    const provider = new MockProvider({ mockFixtures: fixturesPath });
+    const params = request('Тревога', { system: [{ type: 'text', text: 'Ты пациент.' }] });
+
+    const message = await provider.createMessage(params, { purpose: 'patient_turn' });
+
+    expect(message).toMatchObject({
+      role: 'assistant',
+      model: 'mock-model',
+      content: [{ type: 'text', text: 'Мне все время тревожно.' }],
+      usage: { cache_read_input_tokens: 0, cache_creation_input_tokens: 0 }
+    });
+    expect(message.usage.input_tokens).toBeGreaterThan(0);
+    expect(message.usage.output_tokens).toBe(Math.ceil('Мне все время тревожно.'.length / 4));
+    expect(provider.calls).toEqual([{ purpose: 'patient_turn', params }]);
+  });
+
+  describe('failNext', () => {
+    test('should fail the next calls with the given status and headers', async () => {
+      const provider = new MockProvider({ mockFixtures: fixturesPath });
+      provider.failNext(2, 429, { 'retry-after': '3' });
+
+      for (let i = 0; i < 2; i++) {
+        const error = await provider.createMessage(request('Тревога'), { purpose: 'patient_turn' })
+          .catch(caught => caught);
+        expect(error.message).toBe('Mock API error 429');
+        expect(error.status).toBe(429);
+        expect(error.headers).toEqual({ 'retry-after': '3' });
+      }
+
+      const message = await provider.createMessage(request('Тревога'), { purpose: 'patient_turn' });
+      expect(message.content[0].text).toBe('Мне все время тревожно.');
+      expect(provider.calls).toHaveLength(1);
+    });
+
+    test('should default to one overloaded error', async () => {
+      const provider = new MockProvider({ mockFixtures: fixturesPath });
+      provider.failNext();
+
+      await expect(provider.createMessage(request('Тревога'), { purpose: 'patient_turn' }))
+        .rejects.toMatchObject({ status: 529 });
+      await expect(provider.createMessage(request('Тревога'), { purpose: 'patient_turn' }))
+        .resolves.toBeDefined();
+    });
+
+    test('should fail streaming calls before any text', async () => {
+      const provider = new MockProvider({ mockFixtures: fixturesPath });
+      const snapshots = [];
+      provider.failNext(1, 503);
+
+      await expect(provider.streamMessage(request('Тревога'), text => snapshots.push(text), { purpose: 'patient_turn' }))
+        .rejects.toMatchObject({ status: 503 });
+      expect(snapshots).toEqual([]);
+    });
+  });
+
+  test('should stream accumulated snapshots word by word', async () => {
+    const provider = new MockProvider({ mockFixtures: fixturesPath });
+    const snapshots = [];
+
+    const message = await provider.streamMessage(
+      request('Тревога'), text => snapshots.push(text), { purpose: 'patient_turn' }
+    );
+
+    expect(snapshots[0]).toBe('Мне');
+    expect(snapshots[snapshots.length - 1]).toBe('Мне все время тревожно.');
+    snapshots.forEach((snapshot, index) => {
+      if (index > 0) {
+        expect(snapshot.startsWith(snapshots[index - 1])).toBe(true);
+      }
+    });
+    expect(message.content[0].text).toBe('Мне все время тревожно.');
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { OpenAICompatibleProvider } from '../../src/providers/OpenAICompatibleProvider.js';
+
+const encoder = new TextEncoder();
+
+// A fetch Response whose body arrives in the given chunks
+function streamResponse(chunks) {
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+function sse(event) {
+  return `data: ${JSON.stringify(event)}\n\n`;
+}
+
+const params = {
+  model: 'gpt-test',
+  max_tokens: 100,
+  temperature: 0.5,
+  system: [{ type: 'text', text: 'Ты пациент.', cache_control: { type: 'ephemeral' } }, { type: 'text', text: 'Память.' }],
+  messages: [
+    { role: 'user', content: 'Здравствуйте' },
+    { role: 'assistant', content: [{ type: 'text', text: 'Добрый день' }] }
+  ]
+};
+
+describe('OpenAICompatibleProvider', () => {
+  let provider;
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    global.fetch = jest.fn();
+    provider = new OpenAICompatibleProvider({ baseUrl: 'http://llm.local/v1/', providerApiKey: 'key' });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should require a base URL', () => {
+    expect(() => new OpenAICompatibleProvider({})).toThrow('LLM_BASE_URL is required');
+  });
+
+  test('should convert Anthropic requests to chat completions', () => {
+    const body = provider.buildBody(params, true, { seed: 42 });
+
+    expect(body).toEqual({
+      model: 'gpt-test',
+      max_tokens: 100,
+      temperature: 0.5,
+      messages: [
+        { role: 'system', content: 'Ты пациент.\n\nПамять.' },
+        { role: 'user', content: 'Здравствуйте' },
+        { role: 'assistant', content: 'Добрый день' }
+      ],
+      seed: 42,
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+    expect(provider.buildBody({ ...params, system: undefined }).messages[0].role).toBe('user');
+  });
+
+  test('should normalize a completion to the Anthropic message shape', async () => {
+    global.fetch.mockResolvedValue(new Response(JSON.stringify({
+      model: 'gpt-test-0613',
+      choices: [{ message: { content: 'Мне тревожно.' } }],
+      usage: { prompt_tokens: 120, completion_tokens: 7, prompt_tokens_details: { cached_tokens: 100 } }
+    }), { status: 200 }));
+
+    const message = await provider.createMessage(params);
+
+    expect(global.fetch).toHaveBeenCalledWith('http://llm.local/v1/chat/completions', expect.objectContaining({
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer key' }
+    }));
+    expect(message).toEqual({
+      role: 'assistant',
+      model: 'gpt-test-0613',
+      content: [{ type: 'text', text: 'Мне тревожно.' }],
+      usage: { input_tokens: 20, output_tokens: 7, cache_read_input_tokens: 100, cache_creation_input_tokens: 0 }
+    });
+  });
+
+  test('should carry the status and headers of failed requests', async () => {
+    global.fetch.mockResolvedValue(new Response('overloaded', { status: 503, headers: { 'Retry-After': '5' } }));
+
+    const error = await provider.createMessage(params).catch(caught => caught);
+
+    expect(error.message).toBe('OpenAI-compatible API error 503: overloaded');
+    expect(error.status).toBe(503);
+    expect(error.headers['retry-after']).toBe('5');
+  });
+
+  describe('streaming', () => {
+    test('should accumulate deltas and read the final usage', async () => {
+      global.fetch.mockResolvedValue(streamResponse([
+        sse({ model: 'gpt-test-0613', choices: [{ delta: { role: 'assistant' } }] }),
+        sse({ choices: [{ delta: { content: 'Мне ' } }] }),
+        sse({ choices: [{ delta: { content: 'тревожно.' } }] }),
+        sse({ choices: [], usage: { prompt_tokens: 50, completion_tokens: 4 } }),
+        'data: [DONE]\n\n'
+      ]));
+      const snapshots = [];
+
+      const message = await provider.streamMessage(params, text => snapshots.push(text));
+
+      expect(snapshots).toEqual(['Мне ', 'Мне тревожно.']);
+      expect(message).toEqual({
+        role: 'assistant',
+        model: 'gpt-test-0613',
+        content: [{ type: 'text', text: 'Мне тревожно.' }],
+        usage: { input_tokens: 50, output_tokens: 4, cache_read_input_tokens: 0, cache_creation_input_tokens: 0 }
+      });
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+    });
+
+    test('should reassemble events split across chunks', async () => {
+      const first = sse({ choices: [{ delta: { content: 'Сплю' } }] });
+      const second = sse({ choices: [{ delta: { content: ' плохо' } }] });
+      const multibyte = encoder.encode(second);
+      const cut = multibyte.indexOf(encoder.encode('л')[0]) + 1; // Inside a two-byte character
+
+      const body = new ReadableStream({
+        start(controller) {
+          controller.enqueue(encoder.encode(first.slice(0, 10)));
+          controller.enqueue(encoder.encode(first.slice(10)));
+          controller.enqueue(multibyte.slice(0, cut));
+          controller.enqueue(multibyte.slice(cut));
+          controller.close();
+        }
+      });
+      global.fetch.mockResolvedValue(new Response(body, { status: 200 }));
+      const snapshots = [];
+
+      const message = await provider.streamMessage(params, text => snapshots.push(text));
+
+      expect(snapshots).toEqual(['Сплю', 'Сплю плохо']);
+      expect(message.content[0].text).toBe('Сплю плохо');
+      expect(message.model).toBe('gpt-test');
+    });
+
+    test('should ignore comments and non-data lines', async () => {
+      global.fetch.mockResolvedValue(streamResponse([
+        ': keep-alive\n\n',
+        'event: message\n',
+        sse({ choices: [{ delta: { content: 'Да.' } }] })
+      ]));
+      const snapshots = [];
+
+      const message = await provider.streamMessage(params, text => snapshots.push(text));
+
+      expect(snapshots).toEqual(['Да.']);
+      expect(message.content[0].text).toBe('Да.');
+    });
+  });
+});
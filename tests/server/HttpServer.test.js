@@ -0,0 +1,174 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
+import { fileURLToPath } from 'url';
+
+// Module paths resolved here: tests/setup.js replaces the global jest object,
+// whose mocks resolve relative paths from the setup file
+const src = file => fileURLToPath(new URL(`../../src/${file}`, import.meta.url));
+
+jest.unstable_mockModule(src('utils/logger.js'), () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { default: HttpServer, formatPrometheus } = await import('../../src/server/HttpServer.js');
+
+const SECRET = 'webhook-secret_1';
+
+describe('formatPrometheus', () => {
+  test('should group samples of one metric under a single header', () => {
+    expect(formatPrometheus([
+      { name: 'requests_total', help: 'Requests', type: 'counter', labels: { result: 'ok' }, value: 3 },
+      { name: 'requests_total', help: 'Requests', type: 'counter', labels: { result: 'failed' }, value: 1 },
+      { name: 'sessions', help: 'Active sessions', value: 2 }
+    ])).toBe([
+      '# HELP requests_total Requests',
+      '# TYPE requests_total counter',
+      'requests_total{result="ok"} 3',
+      'requests_total{result="failed"} 1',
+      '# HELP sessions Active sessions',
+      '# TYPE sessions gauge',
+      'sessions 2',
+      ''
+    ].join('\n'));
+  });
+
+  test('should escape backslashes, quotes and newlines in label values', () => {
+    const output = formatPrometheus([
+      { name: 'errors', help: 'Errors', labels: { message: 'path C:\\tmp "quoted"\nsecond line' }, value: 1 }
+    ]);
+
+    expect(output).toContain('errors{message="path C:\\\\tmp \\"quoted\\"\\nsecond line"} 1');
+  });
+
+  test('should skip samples without a value', () => {
+    const output = formatPrometheus([
+      { name: 'missing', help: 'Missing', value: null },
+      { name: 'not_a_number', help: 'NaN', value: NaN },
+      { name: 'zero', help: 'Zero', value: 0 }
+    ]);
+
+    expect(output).not.toContain('missing');
+    expect(output).not.toContain('not_a_number');
+    expect(output).toContain('zero 0');
+  });
+});
+
+describe('HttpServer', () => {
+  describe('verifySecretToken', () => {
+    const server = new HttpServer({ secretToken: SECRET });
+
+    test('should accept the configured token', () => {
+      expect(server.verifySecretToken(SECRET)).toBe(true);
+    });
+
+    test('should reject a missing token', () => {
+      expect(server.verifySecretToken(undefined)).toBe(false);
+    });
+
+    test('should reject a wrong token of any length', () => {
+      expect(server.verifySecretToken('webhook-secret_2')).toBe(false);
+      expect(server.verifySecretToken('short')).toBe(false);
+    });
+
+    test('should reject every token when none is configured', () => {
+      expect(new HttpServer({ secretToken: null }).verifySecretToken('')).toBe(false);
+    });
+  });
+
+  describe('requests', () => {
+    const onUpdate = jest.fn();
+    const healthCheck = jest.fn();
+    let server;
+    let baseUrl;
+
+    const postUpdate = (body, headers = { 'X-Telegram-Bot-Api-Secret-Token': SECRET }) => (
+      fetch(`${baseUrl}/telegram/webhook`, { method: 'POST', headers, body })
+    );
+
+    beforeAll(async () => {
+      server = new HttpServer({
+        host: '127.0.0.1',
+        port: 0,
+        webhookPath: '/telegram/webhook',
+        secretToken: SECRET,
+        onUpdate,
+        healthCheck,
+        collectMetrics: async () => [{ name: 'psycho_trainer_up', help: 'Whether the bot is running', value: 1 }]
+      });
+      await server.start();
+      baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await server.stop();
+    });
+
+    beforeEach(() => {
+      healthCheck.mockResolvedValue({ status: 'healthy' });
+    });
+
+    test('should pass a valid update on and answer 200', async () => {
+      const response = await postUpdate('{"update_id":1}');
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ ok: true });
+      expect(onUpdate).toHaveBeenCalledWith({ update_id: 1 });
+    });
+
+    test('should answer 401 without the secret token', async () => {
+      const response = await postUpdate('{"update_id":2}', {});
+
+      expect(response.status).toBe(401);
+      expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should answer 401 with a wrong secret token', async () => {
+      const response = await postUpdate('{"update_id":3}', { 'X-Telegram-Bot-Api-Secret-Token': 'guess' });
+
+      expect(response.status).toBe(401);
+      expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should answer 400 to a payload that is not JSON', async () => {
+      const response = await postUpdate('not json');
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ error: 'Invalid payload' });
+    });
+
+    test('should answer 413 to an oversized payload', async () => {
+      const response = await postUpdate(`{"text":"${'x'.repeat(1024 * 1024)}"}`);
+
+      expect(response.status).toBe(413);
+      expect(await response.json()).toEqual({ error: 'Payload too large' });
+      expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should answer 405 to other methods', async () => {
+      expect((await fetch(`${baseUrl}/telegram/webhook`)).status).toBe(405);
+      expect((await fetch(`${baseUrl}/healthz`, { method: 'POST' })).status).toBe(405);
+    });
+
+    test('should answer 404 to unknown paths', async () => {
+      expect((await fetch(`${baseUrl}/unknown`)).status).toBe(404);
+    });
+
+    test('should report health with 200 or 503', async () => {
+      const healthy = await fetch(`${baseUrl}/healthz`);
+      expect(healthy.status).toBe(200);
+      expect(await healthy.json()).toEqual({ status: 'healthy' });
+
+      healthCheck.mockResolvedValue({ status: 'unhealthy' });
+      expect((await fetch(`${baseUrl}/healthz`)).status).toBe(503);
+    });
+
+    test('should expose metrics with the webhook counters', async () => {
+      const response = await fetch(`${baseUrl}/metrics`);
+      const body = await response.text();
+
+      expect(response.headers.get('content-type')).toContain('text/plain');
+      expect(body).toContain('psycho_trainer_up 1');
+      expect(body).toMatch(/psycho_trainer_webhook_updates_total\{result="accepted"\} \d+/);
+      expect(body).toMatch(/psycho_trainer_webhook_updates_total\{result="rejected"\} [1-9]/);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+// Module paths resolved here: tests/setup.js replaces the global jest object,
+// whose mocks resolve relative paths from the setup file
+const src = file => fileURLToPath(new URL(`../../src/${file}`, import.meta.url));
+
+jest.unstable_mockModule(src('services/ClaudeService.js'), () => ({
+  default: { sendMessage: jest.fn() }
+}));
+jest.unstable_mockModule(src('utils/logger.js'), () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { default: dbManager } = await import('../../src/database/Database.js');
+const { default: claudeService } = await import('../../src/services/ClaudeService.js');
+const { default: caseFileService } = await import('../../src/services/CaseFileService.js');
+const { default: userService } = await import('../../src/services/UserService.js');
+const { default: patientService } = await import('../../src/services/PatientService.js');
+const { default: securityManager } = await import('../../src/utils/security.js');
+
+function caseFile(overrides = {}) {
+  return {
+    summary: 'Клиентка обратилась с бессонницей',
+    disclosures: [{ session: 1, content: 'Плохо спит с тех пор, как сменила работу' }],
+    homework: [{ session: 1, task: 'Дневник сна', status: 'assigned' }],
+    patient_state: { description: 'Тревожна, устала', trend: 'stable' },
+    alliance: { quality: 3, notes: 'Осторожна, но открыта' },
+    open_topics: ['Отношения с начальником'],
+    ...overrides
+  };
+}
+
+// The model answers with the given case file
+function answerWith(content) {
+  claudeService.sendMessage.mockResolvedValueOnce({ content: JSON.stringify(content) });
+}
+
+const lastPrompt = () => claudeService.sendMessage.mock.calls.at(-1)[0][0].content;
+
+describe('CaseFileService', () => {
+  let userId;
+  let patientId;
+
+  async function createSession(lines = [['therapist', 'Как вы спали?'], ['patient', 'Плохо']]) {
+    const { lastID } = await dbManager.run(`
+      INSERT INTO sessions (uuid, user_id, patient_id, status) VALUES (?, ?, ?, 'completed')
+    `, [randomUUID(), userId, patientId]);
+
+    for (const [sender, content] of lines) {
+      await dbManager.run(`
+        INSERT INTO messages (session_id, sender, content) VALUES (?, ?, ?)
+      `, [lastID, sender, securityManager.encryptField(content)]);
+    }
+    return lastID;
+  }
+
+  beforeAll(async () => {
+    await dbManager.initialize(); // DATABASE_PATH is :memory: in tests
+    userId = await userService.registerUser({ id: 6001, first_name: 'Test', username: 'trainee' });
+    const patient = await patientService.savePatient(randomUUID(), userId, {
+      name: 'Анна',
+      age: 34,
+      gender: 'female',
+      background: 'Работает бухгалтером',
+      personality_traits: {},
+      psychological_profile: { presenting_problem: 'Бессонница' },
+      therapy_goals: {}
+    }, 'Ты играешь роль клиента');
+    patientId = patient.id;
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    claudeService.sendMessage.mockReset();
+    await dbManager.run('DELETE FROM patient_case_files');
+    await dbManager.run('DELETE FROM sessions');
+  });
+
+  describe('updateFromSession', () => {
+    test('should start the case file with the first session', async () => {
+      const sessionId = await createSession();
+      answerWith(caseFile());
+
+      const updated = await caseFileService.updateFromSession(sessionId, patientId);
+
+      expect(lastPrompt()).toContain('Карты еще нет, это первая сессия.');
+      expect(lastPrompt()).toContain('СЕССИЯ №1:\nТерапевт: Как вы спали?\n\nКлиент: Плохо');
+      expect(claudeService.sendMessage.mock.calls[0][2]).toMatchObject({ purpose: 'case_file', ledgerSessionId: sessionId });
+      expect(updated).toMatchObject({ summary: 'Клиентка обратилась с бессонницей', sessionIds: [sessionId], sessionsCount: 1 });
+      expect(await caseFileService.getCaseFile(patientId)).toMatchObject({ sessionIds: [sessionId], sessionsCount: 1 });
+    });
+
+    test('should merge the next session into the previous version', async () => {
+      const first = await createSession();
+      answerWith(caseFile());
+      await caseFileService.updateFromSession(first, patientId);
+
+      const second = await createSession([['therapist', 'Получилось вести дневник?']]);
+      answerWith(caseFile({ homework: [{ session: 1, task: 'Дневник сна', status: 'done' }] }));
+      const updated = await caseFileService.updateFromSession(second, patientId);
+
+      // The previous version goes to the model without the bookkeeping fields
+      const previousVersion = lastPrompt().split('\n\nСЕССИЯ')[0];
+      expect(previousVersion).toContain('"status": "assigned"');
+      expect(previousVersion).not.toContain('sessionIds');
+      expect(previousVersion).not.toContain('updatedAt');
+      expect(lastPrompt()).toContain('СЕССИЯ №2:');
+      expect(updated.sessionIds).toEqual([first, second]);
+      expect((await caseFileService.getCaseFile(patientId)).homework[0].status).toBe('done');
+    });
+
+    test('should merge a reopened session again under its original number', async () => {
+      const first = await createSession();
+      const second = await createSession();
+      answerWith(caseFile());
+      await caseFileService.updateFromSession(first, patientId);
+      answerWith(caseFile());
+      await caseFileService.updateFromSession(second, patientId);
+
+      answerWith(caseFile({ summary: 'Сессия продолжена' }));
+      const updated = await caseFileService.updateFromSession(first, patientId);
+
+      expect(lastPrompt()).toContain('СЕССИЯ №1 (продолжение сессии, уже учтенной в карте):');
+      expect(updated).toMatchObject({ summary: 'Сессия продолжена', sessionIds: [first, second], sessionsCount: 2 });
+    });
+
+    test('should skip sessions without therapist messages', async () => {
+      const sessionId = await createSession([['patient', 'Здравствуйте']]);
+
+      expect(await caseFileService.updateFromSession(sessionId, patientId)).toBeNull();
+      expect(claudeService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should keep the previous version when the answer is invalid', async () => {
+      const first = await createSession();
+      answerWith(caseFile());
+      await caseFileService.updateFromSession(first, patientId);
+
+      const second = await createSession();
+      answerWith(caseFile({ alliance: { quality: 9 } }));
+
+      expect(await caseFileService.updateFromSession(second, patientId)).toBeNull();
+      expect(await caseFileService.getCaseFile(patientId)).toMatchObject({
+        summary: 'Клиентка обратилась с бессонницей',
+        sessionIds: [first]
+      });
+    });
+  });
+
+  describe('scheduleUpdate', () => {
+    test('should merge the sessions of a patient one after another', async () => {
+      const first = await createSession();
+      const second = await createSession();
+      answerWith(caseFile({ summary: 'После первой сессии' }));
+      answerWith(caseFile({ summary: 'После второй сессии' }));
+
+      caseFileService.scheduleUpdate(first, patientId);
+      caseFileService.scheduleUpdate(second, patientId);
+
+      // Reads wait for the pending updates
+      expect(await caseFileService.getCaseFile(patientId)).toMatchObject({
+        summary: 'После второй сессии',
+        sessionIds: [first, second]
+      });
+      expect(claudeService.sendMessage.mock.calls[1][0][0].content).toContain('"summary": "После первой сессии"');
+      expect(caseFileService.updates.size).toBe(0);
+    });
+
+    test('should go on with the next session after a failed update', async () => {
+      const first = await createSession();
+      const second = await createSession();
+      claudeService.sendMessage.mockRejectedValueOnce(new Error('API unavailable'));
+      answerWith(caseFile());
+
+      caseFileService.scheduleUpdate(first, patientId);
+      await caseFileService.scheduleUpdate(second, patientId);
+
+      expect((await caseFileService.getCaseFile(patientId)).sessionIds).toEqual([second]);
+    });
+  });
+
+  describe('formatForPrompt', () => {
+    test('should return null without a case file', () => {
+      expect(caseFileService.formatForPrompt(null)).toBeNull();
+    });
+
+    test('should render the memory block with labels', () => {
+      const text = caseFileService.formatForPrompt({ ...caseFile(), sessionsCount: 2 });
+
+      expect(text).toContain('проведено сессий: 2');
+      expect(text).toContain('- [сессия 1] Плохо спит с тех пор, как сменила работу');
+      expect(text).toContain('- [сессия 1] Дневник сна (задано)');
+      expect(text).toContain('Твое состояние: Тревожна, устала (динамика: без изменений)');
+      expect(text).toContain('Отношения с терапевтом: 3/5 - Осторожна, но открыта');
+      expect(text).toContain('- Отношения с начальником');
+    });
+
+    test('should leave out empty sections', () => {
+      const text = caseFileService.formatForPrompt({
+        ...caseFile({ disclosures: [], homework: [], open_topics: [], alliance: { quality: 2, notes: '' } }),
+        sessionsCount: 1
+      });
+
+      expect(text).not.toContain('Что ты уже рассказывал');
+      expect(text).not.toContain('Домашние задания');
+      expect(text).not.toContain('Незакрытые темы');
+      expect(text).toContain('Отношения с терапевтом: 2/5\n');
+    });
+  });
+});
@@ -0,0 +1,278 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { fileURLToPath } from 'url';
+
+// Module paths resolved here: tests/setup.js replaces the global jest object,
+// whose mocks resolve relative paths from the setup file
+const src = file => fileURLToPath(new URL(`../../src/${file}`, import.meta.url));
+
+// Mock dependencies: dialogue_states lives in a map keyed by user id
+const rows = new Map();
+
+jest.unstable_mockModule(src('database/Database.js'), () => ({
+  default: {
+    get: jest.fn(async (sql, [userId]) => rows.get(userId)),
+    run: jest.fn(async (sql, params) => {
+      if (sql.includes('INSERT OR REPLACE INTO dialogue_states')) {
+        const [userId, flow, state, data, history, expiresAt] = params;
+        rows.set(userId, { flow, state, data, history, expires_at: expiresAt });
+        return { changes: 1 };
+      }
+      if (sql.includes('DELETE FROM dialogue_states WHERE user_id')) {
+        return { changes: rows.delete(params[0]) ? 1 : 0 };
+      }
+      return { changes: 0 };
+    })
+  }
+}));
+jest.unstable_mockModule(src('services/UserService.js'), () => ({
+  default: { getLocale: jest.fn(async () => 'ru') }
+}));
+jest.unstable_mockModule(src('utils/logger.js'), () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { default: dialogueManager } = await import('../../src/services/DialogueManager.js');
+
+const USER_ID = 7;
+const CHAT_ID = 700;
+
+function createBot() {
+  return {
+    sendMessage: jest.fn(async () => ({ message_id: 1 })),
+    editMessageText: jest.fn(async () => true),
+    answerCallbackQuery: jest.fn(async () => true)
+  };
+}
+
+function textMessage(text) {
+  return { text, chat: { id: CHAT_ID } };
+}
+
+function callback(data, messageId = 55) {
+  return { id: 'cb', data, message: { chat: { id: CHAT_ID }, message_id: messageId } };
+}
+
+// name -> goal (multi-select, refreshes in place) -> confirm
+const onCancel = jest.fn();
+const intakeFlow = {
+  initialState: 'name',
+  init: arg => ({ source: arg }),
+  states: {
+    name: {
+      prompt: ctx => ctx.bot.sendMessage(ctx.chatId, 'Имя?', { reply_markup: ctx.controls() }),
+      handle: (ctx, input) => {
+        if (input.length < 2) {
+          ctx.data.attempts = (ctx.data.attempts || 0) + 1;
+          return null;
+        }
+        ctx.data.name = input;
+        return { next: 'goal' };
+      }
+    },
+    goal: {
+      prompt: ctx => ctx.render(`Цели: ${(ctx.data.goals || []).join(', ')}`, { reply_markup: ctx.controls() }),
+      handle: (ctx, input) => {
+        if (input === 'next') {
+          return { next: 'confirm' };
+        }
+        ctx.data.goals = [...(ctx.data.goals || []), input];
+        return { refresh: true };
+      }
+    },
+    confirm: {
+      prompt: ctx => ctx.bot.sendMessage(ctx.chatId, 'Сохранить?'),
+      handle: (ctx, input) => (input === 'да' ? { done: true } : { next: 'missing' })
+    }
+  },
+  onCancel
+};
+
+describe('DialogueManager', () => {
+  let bot;
+
+  beforeEach(() => {
+    rows.clear();
+    bot = createBot();
+    dialogueManager.register('intake', intakeFlow);
+  });
+
+  test('should reject flows without their initial state', () => {
+    expect(() => dialogueManager.register('broken', { initialState: 'a', states: {} }))
+      .toThrow('Dialogue flow broken has no initial state');
+  });
+
+  test('should start a flow in its initial state and persist it', async () => {
+    await dialogueManager.start(bot, CHAT_ID, USER_ID, 'intake', { source: 'menu' });
+
+    expect(bot.sendMessage).toHaveBeenCalledWith(CHAT_ID, 'Имя?', {
+      reply_markup: { inline_keyboard: [[{ text: '✖️ Отмена', callback_data: 'fsm:cancel' }]] }
+    });
+    expect(rows.get(USER_ID).data).not.toContain('menu'); // Collected data is encrypted
+
+    const dialogue = await dialogueManager.getActive(USER_ID);
+    expect(dialogue).toMatchObject({ flow: 'intake', state: 'name', data: { source: 'menu' }, history: [] });
+  });
+
+  test('should start flows from buttons with the init argument', async () => {
+    await dialogueManager.handleCallback(bot, callback('fsm:start:intake:card'), USER_ID);
+
+    expect((await dialogueManager.getActive(USER_ID)).data).toEqual({ source: 'card' });
+  });
+
+  test('should refuse to start unknown flows', async () => {
+    await expect(dialogueManager.start(bot, CHAT_ID, USER_ID, 'missing')).rejects.toThrow('Unknown dialogue flow: missing');
+  });
+
+  describe('transitions', () => {
+    beforeEach(async () => {
+      await dialogueManager.start(bot, CHAT_ID, USER_ID, 'intake');
+      bot.sendMessage.mockClear();
+    });
+
+    test('should move to the next state and remember the previous one', async () => {
+      expect(await dialogueManager.handleMessage(bot, textMessage('  Анна  '), USER_ID)).toBe(true);
+
+      const dialogue = await dialogueManager.getActive(USER_ID);
+      expect(dialogue).toMatchObject({ state: 'goal', data: { name: 'Анна' }, history: ['name'] });
+      expect(bot.sendMessage).toHaveBeenCalledWith(CHAT_ID, 'Цели: ', {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '◀️ Назад', callback_data: 'fsm:back' },
+            { text: '✖️ Отмена', callback_data: 'fsm:cancel' }
+          ]]
+        }
+      });
+    });
+
+    test('should stay in the state and keep the data when no transition is returned', async () => {
+      await dialogueManager.handleMessage(bot, textMessage('А'), USER_ID);
+
+      const dialogue = await dialogueManager.getActive(USER_ID);
+      expect(dialogue).toMatchObject({ state: 'name', data: { attempts: 1 } });
+      expect(bot.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should redraw the pressed prompt on refresh', async () => {
+      await dialogueManager.handleMessage(bot, textMessage('Анна'), USER_ID);
+
+      await dialogueManager.handleCallback(bot, callback('fsm:input:sleep:well', 91), USER_ID);
+
+      expect(bot.editMessageText).toHaveBeenCalledWith('Цели: sleep:well', expect.objectContaining({
+        chat_id: CHAT_ID,
+        message_id: 91
+      }));
+      expect((await dialogueManager.getActive(USER_ID)).state).toBe('goal');
+    });
+
+    test('should clear the dialogue when the flow is done', async () => {
+      await dialogueManager.handleMessage(bot, textMessage('Анна'), USER_ID);
+      await dialogueManager.handleCallback(bot, callback('fsm:input:next'), USER_ID);
+
+      expect(await dialogueManager.handleMessage(bot, textMessage('да'), USER_ID)).toBe(true);
+
+      expect(await dialogueManager.getActive(USER_ID)).toBeNull();
+      expect(await dialogueManager.handleMessage(bot, textMessage('да'), USER_ID)).toBe(false);
+    });
+
+    test('should reject transitions to unknown states', async () => {
+      await dialogueManager.handleMessage(bot, textMessage('Анна'), USER_ID);
+      await dialogueManager.handleCallback(bot, callback('fsm:input:next'), USER_ID);
+
+      await expect(dialogueManager.handleMessage(bot, textMessage('нет'), USER_ID))
+        .rejects.toThrow('Dialogue flow intake has no state missing');
+    });
+
+    test('should ignore messages without text', async () => {
+      expect(await dialogueManager.handleMessage(bot, { chat: { id: CHAT_ID }, photo: [] }, USER_ID)).toBe(false);
+    });
+  });
+
+  describe('back navigation', () => {
+    beforeEach(async () => {
+      await dialogueManager.start(bot, CHAT_ID, USER_ID, 'intake');
+      await dialogueManager.handleMessage(bot, textMessage('Анна'), USER_ID);
+      await dialogueManager.handleCallback(bot, callback('fsm:input:next'), USER_ID);
+      bot.sendMessage.mockClear();
+    });
+
+    test('should walk the back stack state by state', async () => {
+      await dialogueManager.handleCallback(bot, callback('fsm:back'), USER_ID);
+      expect(await dialogueManager.getActive(USER_ID)).toMatchObject({ state: 'goal', history: ['name'] });
+
+      await dialogueManager.handleCallback(bot, callback('fsm:back'), USER_ID);
+      expect(await dialogueManager.getActive(USER_ID)).toMatchObject({ state: 'name', history: [], data: { name: 'Анна' } });
+      expect(bot.sendMessage).toHaveBeenLastCalledWith(CHAT_ID, 'Имя?', expect.anything());
+    });
+
+    test('should not go back from the initial state', async () => {
+      await dialogueManager.back(bot, CHAT_ID, USER_ID);
+      await dialogueManager.back(bot, CHAT_ID, USER_ID);
+
+      await dialogueManager.handleCallback(bot, callback('fsm:back'), USER_ID);
+
+      expect(bot.answerCallbackQuery).toHaveBeenLastCalledWith('cb', { text: 'Назад вернуться нельзя' });
+      expect((await dialogueManager.getActive(USER_ID)).state).toBe('name');
+    });
+  });
+
+  describe('cancel', () => {
+    test('should clear the dialogue and run onCancel', async () => {
+      await dialogueManager.start(bot, CHAT_ID, USER_ID, 'intake', { source: 'menu' });
+
+      await dialogueManager.handleCallback(bot, callback('fsm:cancel'), USER_ID);
+
+      expect(onCancel).toHaveBeenCalledWith(expect.objectContaining({
+        userId: USER_ID,
+        flow: 'intake',
+        state: 'name',
+        data: { source: 'menu' }
+      }));
+      expect(await dialogueManager.getActive(USER_ID)).toBeNull();
+      expect(bot.answerCallbackQuery).toHaveBeenCalledWith('cb', { text: 'Отменено' });
+      expect(bot.sendMessage).toHaveBeenLastCalledWith(CHAT_ID, '✖️ Действие отменено.');
+    });
+
+    test('should report when there is nothing to cancel', async () => {
+      expect(await dialogueManager.cancel(bot, CHAT_ID, USER_ID)).toBe(false);
+      expect(onCancel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expiry', () => {
+    beforeEach(async () => {
+      await dialogueManager.start(bot, CHAT_ID, USER_ID, 'intake');
+      rows.get(USER_ID).expires_at = Date.now() - 1;
+      bot.sendMessage.mockClear();
+    });
+
+    test('should refresh the timeout on every step', async () => {
+      rows.get(USER_ID).expires_at = Date.now() + 1000;
+
+      await dialogueManager.handleMessage(bot, textMessage('А'), USER_ID);
+
+      expect(rows.get(USER_ID).expires_at).toBe(Date.now() + 10 * 60 * 1000);
+    });
+
+    test('should let the message through after notifying', async () => {
+      expect(await dialogueManager.handleMessage(bot, textMessage('Как вы себя чувствуете?'), USER_ID)).toBe(false);
+
+      expect(bot.sendMessage).toHaveBeenCalledWith(CHAT_ID, expect.stringContaining('Время ввода истекло'));
+      expect(rows.has(USER_ID)).toBe(false);
+    });
+
+    test('should treat buttons of an expired dialogue as stale', async () => {
+      await dialogueManager.handleCallback(bot, callback('fsm:input:next'), USER_ID);
+
+      expect(bot.answerCallbackQuery).toHaveBeenCalledWith('cb', { text: 'Это действие уже неактуально', show_alert: true });
+      expect(await dialogueManager.cancel(bot, CHAT_ID, USER_ID)).toBe(false);
+      expect(onCancel).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should drop dialogues of flows that no longer exist', async () => {
+    rows.set(USER_ID, { flow: 'removed', state: 'x', data: null, history: '[]', expires_at: Date.now() + 1000 });
+
+    expect(await dialogueManager.getActive(USER_ID)).toBeNull();
+    expect(rows.has(USER_ID)).toBe(false);
+  });
+});
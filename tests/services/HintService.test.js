@@ -0,0 +1,198 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+// Module paths resolved here: tests/setup.js replaces the global jest object,
+// whose mocks resolve relative paths from the setup file
+const src = file => fileURLToPath(new URL(`../../src/${file}`, import.meta.url));
+
+jest.unstable_mockModule(src('services/ClaudeService.js'), () => ({
+  default: { sendMessage: jest.fn() }
+}));
+jest.unstable_mockModule(src('utils/logger.js'), () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { default: dbManager } = await import('../../src/database/Database.js');
+const { default: claudeService } = await import('../../src/services/ClaudeService.js');
+const { default: hintService } = await import('../../src/services/HintService.js');
+const { default: branchService } = await import('../../src/services/BranchService.js');
+const { default: userService } = await import('../../src/services/UserService.js');
+const { default: patientService } = await import('../../src/services/PatientService.js');
+const { default: securityManager } = await import('../../src/utils/security.js');
+
+const lastPrompt = () => claudeService.sendMessage.mock.calls.at(-1)[0][0].content;
+
+describe('HintService', () => {
+  let userId;
+  let patientId;
+  let session;
+
+  // Adds a message to the line the session continues in
+  async function addMessage(sender, content) {
+    const branchId = await branchService.getCurrentBranchId(session.id);
+    const { lastID } = await dbManager.run(`
+      INSERT INTO messages (session_id, sender, content, branch_id) VALUES (?, ?, ?, ?)
+    `, [session.id, sender, securityManager.encryptField(content), branchId]);
+
+    session.messages.push({ role: sender === 'therapist' ? 'user' : 'assistant', content });
+    return lastID;
+  }
+
+  beforeAll(async () => {
+    await dbManager.initialize(); // DATABASE_PATH is :memory: in tests
+    userId = await userService.registerUser({ id: 8001, first_name: 'Test', username: 'trainee' });
+    const patient = await patientService.savePatient(randomUUID(), userId, {
+      name: 'Анна',
+      age: 34,
+      gender: 'female',
+      background: 'Работает бухгалтером',
+      personality_traits: {},
+      psychological_profile: { presenting_problem: 'Бессонница' },
+      therapy_goals: {}
+    }, 'Ты играешь роль клиента');
+    patientId = patient.id;
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    claudeService.sendMessage.mockReset();
+    claudeService.sendMessage.mockResolvedValue({ content: 'Клиентка дважды упомянула начальника - стоит исследовать.' });
+    await dbManager.run('DELETE FROM sessions');
+
+    const { lastID } = await dbManager.run(`
+      INSERT INTO sessions (uuid, user_id, patient_id) VALUES (?, ?, ?)
+    `, [randomUUID(), userId, patientId]);
+    // getActiveSession() snapshot
+    session = {
+      id: lastID,
+      userId,
+      modality: 'general',
+      patient: { name: 'Анна', age: 34, presenting_problem: 'Бессонница' },
+      messages: []
+    };
+  });
+
+  describe('isAutoHintTurn', () => {
+    test('should give an auto hint every AUTO_HINT_INTERVAL therapist messages', () => {
+      expect(hintService.isAutoHintTurn(0)).toBe(false);
+      expect(hintService.isAutoHintTurn(3)).toBe(false);
+      expect(hintService.isAutoHintTurn(4)).toBe(true);
+      expect(hintService.isAutoHintTurn(5)).toBe(false);
+      expect(hintService.isAutoHintTurn(8)).toBe(true);
+    });
+  });
+
+  describe('buildHintPrompt', () => {
+    test('should show the supervisor the last HINT_WINDOW messages only', () => {
+      session.messages = Array.from({ length: 10 }, (_, index) => ({
+        role: index % 2 === 0 ? 'user' : 'assistant',
+        content: `Реплика ${index + 1}`
+      }));
+
+      const prompt = hintService.buildHintPrompt(session);
+
+      expect(prompt).toContain('КЛИЕНТ: Анна, 34 лет. Обратился с проблемой: Бессонница');
+      expect(prompt).toContain('Терапевт: Реплика 3\nКлиент: Реплика 4');
+      expect(prompt).toContain('Клиент: Реплика 10');
+      expect(prompt).not.toContain('Реплика 2\n');
+      expect(prompt).not.toContain('ПОДХОД ТЕРАПЕВТА');
+      expect(prompt).toContain('подсказку пиши на русском языке');
+    });
+
+    test('should name the modality of the therapist and the hint language', () => {
+      const prompt = hintService.buildHintPrompt({ ...session, modality: 'cbt' }, 'en');
+
+      expect(prompt).toContain('ПОДХОД ТЕРАПЕВТА: КПТ');
+      expect(prompt).toContain('подсказку пиши на английском языке');
+    });
+  });
+
+  describe('requestHint', () => {
+    test('should store the hint with the last message it saw', async () => {
+      await addMessage('therapist', 'Как вы спали?');
+      const lastMessageId = await addMessage('patient', 'Плохо, опять думала о начальнике');
+
+      const hint = await hintService.requestHint(session, 'auto');
+
+      expect(hint).toEqual({ content: 'Клиентка дважды упомянула начальника - стоит исследовать.', repeated: false });
+      expect(claudeService.sendMessage.mock.calls[0][2]).toMatchObject({ purpose: 'hint', userId, ledgerSessionId: session.id });
+      const stored = await dbManager.get('SELECT after_message_id, trigger, content FROM session_hints WHERE session_id = ?', [session.id]);
+      expect(stored).toMatchObject({ after_message_id: lastMessageId, trigger: 'auto' });
+      expect(securityManager.decryptField(stored.content)).toBe(hint.content);
+    });
+
+    test('should repeat the stored hint until something new is said', async () => {
+      await addMessage('therapist', 'Как вы спали?');
+      await hintService.requestHint(session);
+
+      expect(await hintService.requestHint(session)).toEqual({
+        content: 'Клиентка дважды упомянула начальника - стоит исследовать.',
+        repeated: true
+      });
+      expect(claudeService.sendMessage).toHaveBeenCalledTimes(1);
+
+      await addMessage('patient', 'Плохо');
+      claudeService.sendMessage.mockResolvedValue({ content: 'Спросите, что мешает заснуть.' });
+
+      expect(await hintService.requestHint(session)).toEqual({ content: 'Спросите, что мешает заснуть.', repeated: false });
+      expect(claudeService.sendMessage).toHaveBeenCalledTimes(2);
+    });
+
+    test('should repeat a hint asked for before the first message', async () => {
+      await hintService.requestHint(session);
+
+      expect((await hintService.requestHint(session)).repeated).toBe(true);
+      expect(claudeService.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not store an empty hint', async () => {
+      claudeService.sendMessage.mockResolvedValue({ content: ' ' });
+
+      await expect(hintService.requestHint(session)).rejects.toThrow('Empty hint');
+      expect(await hintService.getSessionHints(session.id)).toEqual([]);
+    });
+
+    test('should cut overlong hints', async () => {
+      claudeService.sendMessage.mockResolvedValue({ content: 'а'.repeat(1000) });
+
+      expect((await hintService.requestHint(session)).content).toHaveLength(600);
+    });
+  });
+
+  describe('getSessionHints', () => {
+    test('should link every hint to the therapist message it preceded', async () => {
+      await hintService.requestHint(session, 'manual');
+      const firstTurn = await addMessage('therapist', 'Как вы спали?');
+      await addMessage('patient', 'Плохо');
+      claudeService.sendMessage.mockResolvedValue({ content: 'Отразите чувство.' });
+      await hintService.requestHint(session, 'auto');
+
+      expect(await hintService.getSessionHints(session.id)).toEqual([
+        expect.objectContaining({ trigger: 'manual', afterMessageId: null, assistedMessageId: firstTurn }),
+        expect.objectContaining({ trigger: 'auto', content: 'Отразите чувство.', assistedMessageId: null })
+      ]);
+    });
+
+    test('should leave out hints of undone exchanges', async () => {
+      await addMessage('therapist', 'Как вы спали?');
+      const kept = await addMessage('patient', 'Плохо');
+      await hintService.requestHint(session);
+      await addMessage('therapist', 'Почему?');
+      await addMessage('patient', 'Не знаю');
+      claudeService.sendMessage.mockResolvedValue({ content: 'Подсказка для отмененной реплики.' });
+      await hintService.requestHint(session);
+
+      // /undo continues the session in a branch forked before the last exchange
+      await branchService.createBranch(session.id, kept);
+      const retry = await addMessage('therapist', 'Что вам мешает заснуть?');
+
+      const hints = await hintService.getSessionHints(session.id);
+      expect(hints).toHaveLength(1);
+      expect(hints[0]).toMatchObject({ afterMessageId: kept, assistedMessageId: retry });
+    });
+  });
+});
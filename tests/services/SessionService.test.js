@@ -0,0 +1,205 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach, jest } from '@jest/globals';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+// Module paths resolved here: tests/setup.js replaces the global jest object,
+// whose mocks resolve relative paths from the setup file
+const src = file => fileURLToPath(new URL(`../../src/${file}`, import.meta.url));
+
+jest.unstable_mockModule(src('utils/logger.js'), () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Inactivity deadlines are timers; the services also schedule periodic cleanups
+jest.useFakeTimers({ doNotFake: ['Date', 'setImmediate', 'nextTick', 'queueMicrotask'] });
+
+const { default: dbManager } = await import('../../src/database/Database.js');
+const { default: sessionService } = await import('../../src/services/SessionService.js');
+const { default: userService } = await import('../../src/services/UserService.js');
+const { default: patientService } = await import('../../src/services/PatientService.js');
+const { default: caseFileService } = await import('../../src/services/CaseFileService.js');
+const { default: securityManager } = await import('../../src/utils/security.js');
+
+const NOW = Date.now(); // Fixed by tests/setup.js
+const MINUTE = 60 * 1000;
+
+// SQLite DATETIME text for an epoch time
+const dbTime = time => new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+
+describe('SessionService session state after a restart', () => {
+  let userId;
+  let patientId;
+
+  async function createActiveSession({ startedAt = NOW - 20 * MINUTE, lastMessageAt = null } = {}) {
+    const uuid = randomUUID();
+    const { lastID } = await dbManager.run(`
+      INSERT INTO sessions (uuid, user_id, patient_id, status, started_at) VALUES (?, ?, ?, 'active', ?)
+    `, [uuid, userId, patientId, dbTime(startedAt)]);
+
+    if (lastMessageAt) {
+      await dbManager.run(`
+        INSERT INTO messages (session_id, sender, content, created_at) VALUES (?, 'therapist', ?, ?)
+      `, [lastID, securityManager.encryptField('Здравствуйте'), dbTime(lastMessageAt)]);
+    }
+
+    return { id: lastID, uuid };
+  }
+
+  async function saveState(session, state = {}) {
+    await dbManager.run(`
+      INSERT INTO active_session_state
+      (session_id, session_uuid, user_id, context_messages, start_time, last_activity,
+       warning_deadline, end_deadline, warning_sent, paused_until)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      session.id, session.uuid, userId,
+      securityManager.encryptField(JSON.stringify(state.contextMessages || [])),
+      NOW - 20 * MINUTE, state.lastActivity || NOW - MINUTE,
+      state.warningAt ?? null, state.endAt ?? null, state.warningSent ? 1 : 0, state.pausedUntil ?? null
+    ]);
+  }
+
+  const loadState = uuid => dbManager.get('SELECT * FROM active_session_state WHERE session_uuid = ?', [uuid]);
+
+  beforeAll(async () => {
+    await dbManager.initialize(); // DATABASE_PATH is :memory: in tests
+    userId = await userService.registerUser({ id: 5001, first_name: 'Test', username: 'trainee' });
+
+    const patient = await patientService.savePatient(randomUUID(), userId, {
+      name: 'Анна',
+      age: 34,
+      gender: 'female',
+      background: 'Работает бухгалтером',
+      personality_traits: { core_traits: ['тревожная'] },
+      psychological_profile: { presenting_problem: 'Бессонница' },
+      therapy_goals: { primary: 'Спать' }
+    }, 'Ты играешь роль клиента');
+    patientId = patient.id;
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(caseFileService, 'scheduleUpdate').mockImplementation(() => {});
+    sessionService.setInactivityWarningCallback(jest.fn());
+    sessionService.setInactivityEndCallback(jest.fn());
+    await dbManager.run('DELETE FROM sessions');
+  });
+
+  afterEach(async () => {
+    await sessionService.flushSessionState();
+    for (const uuid of sessionService.activeSessions.keys()) {
+      sessionService.clearInactivityTimer(uuid);
+      sessionService.clearInactivityWarning(uuid);
+    }
+    sessionService.activeSessions.clear();
+    jest.clearAllTimers();
+  });
+
+  test('should restore a session with its saved deadlines and carried-over context', async () => {
+    const session = await createActiveSession({ lastMessageAt: NOW - MINUTE });
+    const contextMessages = [{ role: 'assistant', content: 'Прошлый раз мы говорили о сне' }];
+    await saveState(session, { contextMessages, warningAt: NOW + 4 * MINUTE, endAt: NOW + 9 * MINUTE });
+
+    expect(await sessionService.restoreActiveSessions()).toEqual({ restored: 1, warned: 0, ended: 0, cancelled: 0 });
+
+    const restored = sessionService.activeSessions.get(session.uuid);
+    expect(restored).toMatchObject({ id: session.id, userId, patientId, contextMessages });
+    expect(restored.messages).toEqual([...contextMessages, { role: 'user', content: 'Здравствуйте' }]);
+    expect(sessionService.inactivityTimers.get(session.uuid)).toMatchObject({
+      warningAt: NOW + 4 * MINUTE,
+      endAt: NOW + 9 * MINUTE
+    });
+  });
+
+  test('should send a warning that fell due while the bot was down', async () => {
+    const session = await createActiveSession();
+    await saveState(session, { warningAt: NOW - MINUTE, endAt: NOW + 4 * MINUTE });
+
+    expect((await sessionService.restoreActiveSessions()).warned).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(0);
+    await sessionService.flushSessionState();
+
+    expect(sessionService.onInactivityWarning).toHaveBeenCalledWith(session.uuid, userId, expect.anything());
+    expect(await loadState(session.uuid)).toMatchObject({ warning_sent: 1, end_deadline: NOW + 4 * MINUTE });
+  });
+
+  test('should not repeat a warning that was already sent', async () => {
+    const session = await createActiveSession();
+    await saveState(session, { warningAt: NOW - 2 * MINUTE, endAt: NOW + 3 * MINUTE, warningSent: true });
+
+    expect((await sessionService.restoreActiveSessions()).warned).toBe(0);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(sessionService.onInactivityWarning).not.toHaveBeenCalled();
+    expect(sessionService.inactivityWarnings.get(session.uuid)).toEqual({ warningSent: true, warningTime: NOW - 2 * MINUTE });
+    expect(sessionService.inactivityTimers.get(session.uuid)).toMatchObject({ warningAt: null, endAt: NOW + 3 * MINUTE });
+  });
+
+  test('should end a session whose deadline passed while the bot was down', async () => {
+    const session = await createActiveSession();
+    await saveState(session, { warningAt: NOW - 6 * MINUTE, endAt: NOW - MINUTE, warningSent: true });
+
+    expect(await sessionService.restoreActiveSessions()).toEqual({ restored: 0, warned: 0, ended: 1, cancelled: 0 });
+
+    expect(sessionService.activeSessions.has(session.uuid)).toBe(false);
+    expect(sessionService.onInactivityEnd).toHaveBeenCalledWith(session.uuid, userId, expect.anything());
+    expect(await dbManager.get('SELECT status, end_reason FROM sessions WHERE id = ?', [session.id]))
+      .toEqual({ status: 'completed', end_reason: 'inactivity' });
+    expect(await loadState(session.uuid)).toBeUndefined();
+  });
+
+  test('should keep a pause and warn only when it is over', async () => {
+    const session = await createActiveSession();
+    const pausedUntil = NOW + 10 * MINUTE;
+    await saveState(session, { warningAt: pausedUntil, pausedUntil });
+
+    expect((await sessionService.restoreActiveSessions()).restored).toBe(1);
+    expect(sessionService.inactivityTimers.get(session.uuid)).toMatchObject({ warningAt: pausedUntil, endAt: null, pausedUntil });
+
+    await jest.advanceTimersByTimeAsync(10 * MINUTE - 1);
+    expect(sessionService.onInactivityWarning).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    await sessionService.flushSessionState();
+
+    expect(sessionService.onInactivityWarning).toHaveBeenCalledTimes(1);
+    // The warning after a pause gets the usual grace period before the end
+    expect(await loadState(session.uuid)).toMatchObject({ warning_sent: 1, end_deadline: NOW + 5 * MINUTE });
+  });
+
+  test('should derive deadlines from the last message of a session without saved state', async () => {
+    const session = await createActiveSession({ lastMessageAt: NOW - 7 * MINUTE });
+
+    expect((await sessionService.restoreActiveSessions()).warned).toBe(1);
+
+    expect(sessionService.inactivityTimers.get(session.uuid)).toMatchObject({
+      warningAt: NOW - 2 * MINUTE,
+      endAt: NOW + 3 * MINUTE
+    });
+    expect(await loadState(session.uuid)).toMatchObject({ last_activity: NOW - 7 * MINUTE, end_deadline: NOW + 3 * MINUTE });
+  });
+
+  test('should end a session without saved state that has been idle too long', async () => {
+    const session = await createActiveSession({ startedAt: NOW - 60 * MINUTE });
+
+    expect((await sessionService.restoreActiveSessions()).ended).toBe(1);
+    expect((await dbManager.get('SELECT status FROM sessions WHERE id = ?', [session.id])).status).toBe('completed');
+  });
+
+  test('should resume only the latest session of a user and cancel the older ones', async () => {
+    const older = await createActiveSession({ startedAt: NOW - 40 * MINUTE });
+    const latest = await createActiveSession({ startedAt: NOW - 5 * MINUTE });
+    await saveState(older, { warningAt: NOW + MINUTE, endAt: NOW + 6 * MINUTE });
+    await saveState(latest, { warningAt: NOW + MINUTE, endAt: NOW + 6 * MINUTE });
+
+    expect(await sessionService.restoreActiveSessions()).toEqual({ restored: 1, warned: 0, ended: 0, cancelled: 1 });
+
+    expect([...sessionService.activeSessions.keys()]).toEqual([latest.uuid]);
+    expect((await dbManager.get('SELECT status FROM sessions WHERE id = ?', [older.id])).status).toBe('cancelled');
+    expect(await loadState(older.uuid)).toBeUndefined();
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+// Module paths resolved here: tests/setup.js replaces the global jest object,
+// whose mocks resolve relative paths from the setup file
+const src = file => fileURLToPath(new URL(`../../src/${file}`, import.meta.url));
+
+jest.unstable_mockModule(src('services/ClaudeService.js'), () => ({
+  default: { sendMessage: jest.fn(), RECENT_MESSAGES: 6, SUMMARY_THRESHOLD: 30 }
+}));
+jest.unstable_mockModule(src('utils/logger.js'), () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { default: dbManager } = await import('../../src/database/Database.js');
+const { default: claudeService } = await import('../../src/services/ClaudeService.js');
+const { default: summaryService } = await import('../../src/services/SummaryService.js');
+const { default: userService } = await import('../../src/services/UserService.js');
+const { default: patientService } = await import('../../src/services/PatientService.js');
+
+// Session message list: therapist and patient take turns
+function conversation(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: `Реплика ${index + 1}`
+  }));
+}
+
+const lastPrompt = () => claudeService.sendMessage.mock.calls.at(-1)[0][0].content;
+
+describe('SummaryService', () => {
+  let userId;
+  let patientId;
+  let sessionId;
+
+  beforeAll(async () => {
+    await dbManager.initialize(); // DATABASE_PATH is :memory: in tests
+    userId = await userService.registerUser({ id: 7001, first_name: 'Test', username: 'trainee' });
+    const patient = await patientService.savePatient(randomUUID(), userId, {
+      name: 'Анна',
+      age: 34,
+      gender: 'female',
+      background: 'Работает бухгалтером',
+      personality_traits: {},
+      psychological_profile: { presenting_problem: 'Бессонница' },
+      therapy_goals: {}
+    }, 'Ты играешь роль клиента');
+    patientId = patient.id;
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    claudeService.sendMessage.mockReset();
+    claudeService.sendMessage.mockResolvedValue({ content: 'Конспект' });
+    await dbManager.run('DELETE FROM sessions');
+    ({ lastID: sessionId } = await dbManager.run(`
+      INSERT INTO sessions (uuid, user_id, patient_id) VALUES (?, ?, ?)
+    `, [randomUUID(), userId, patientId]));
+  });
+
+  describe('coverageFor', () => {
+    test('should not summarize sessions below the threshold', () => {
+      expect(summaryService.coverageFor(0)).toBe(0);
+      expect(summaryService.coverageFor(29)).toBe(0);
+    });
+
+    test('should cover whole steps before the verbatim window', () => {
+      expect(summaryService.coverageFor(30)).toBe(20);
+      expect(summaryService.coverageFor(35)).toBe(20);
+      expect(summaryService.coverageFor(36)).toBe(30);
+      expect(summaryService.coverageFor(51)).toBe(40);
+    });
+  });
+
+  describe('getHistorySummary', () => {
+    test('should return null for short sessions without asking the model', async () => {
+      expect(await summaryService.getHistorySummary(sessionId, conversation(29))).toBeNull();
+      expect(claudeService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should summarize the messages before the window once the threshold is reached', async () => {
+      const summary = await summaryService.getHistorySummary(sessionId, conversation(30));
+
+      expect(summary).toEqual({ text: 'Конспект', coveredCount: 20 });
+      expect(lastPrompt()).not.toContain('КОНСПЕКТ ПРЕДЫДУЩЕЙ ЧАСТИ');
+      expect(lastPrompt()).toContain('Терапевт: Реплика 1\nПациент: Реплика 2');
+      expect(lastPrompt()).toContain('Пациент: Реплика 20');
+      expect(lastPrompt()).not.toContain('Реплика 21');
+      expect(claudeService.sendMessage.mock.calls[0][2]).toMatchObject({ purpose: 'summary', ledgerSessionId: sessionId });
+      expect(await summaryService.loadSummary(sessionId)).toEqual({ text: 'Конспект', coveredCount: 20 });
+    });
+
+    test('should reuse the stored summary until the window advances a whole step', async () => {
+      await summaryService.getHistorySummary(sessionId, conversation(30));
+
+      expect(await summaryService.getHistorySummary(sessionId, conversation(35))).toEqual({ text: 'Конспект', coveredCount: 20 });
+      expect(claudeService.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should extend the stored summary with the next step only', async () => {
+      await summaryService.getHistorySummary(sessionId, conversation(30));
+      claudeService.sendMessage.mockResolvedValue({ content: 'Расширенный конспект' });
+
+      const summary = await summaryService.getHistorySummary(sessionId, conversation(36));
+
+      expect(summary).toEqual({ text: 'Расширенный конспект', coveredCount: 30 });
+      expect(lastPrompt()).toContain('КОНСПЕКТ ПРЕДЫДУЩЕЙ ЧАСТИ:\nКонспект');
+      expect(lastPrompt()).toContain('Терапевт: Реплика 21');
+      expect(lastPrompt()).toContain('Пациент: Реплика 30');
+      expect(lastPrompt()).not.toContain('Реплика 20\n');
+      expect(lastPrompt()).not.toContain('Реплика 31');
+    });
+
+    test('should redo a summary that covers more than the current transcript', async () => {
+      await summaryService.saveSummary(sessionId, { text: 'Конспект отмененной ветки', coveredCount: 40 });
+
+      const summary = await summaryService.getHistorySummary(sessionId, conversation(30));
+
+      expect(summary).toEqual({ text: 'Конспект', coveredCount: 20 });
+      expect(lastPrompt()).not.toContain('Конспект отмененной ветки');
+      expect(lastPrompt()).toContain('Реплика 1\n');
+    });
+
+    test('should keep the last stored summary when the refresh fails', async () => {
+      await summaryService.getHistorySummary(sessionId, conversation(30));
+      claudeService.sendMessage.mockRejectedValue(new Error('API unavailable'));
+
+      expect(await summaryService.getHistorySummary(sessionId, conversation(36))).toEqual({ text: 'Конспект', coveredCount: 20 });
+      expect(await summaryService.loadSummary(sessionId)).toEqual({ text: 'Конспект', coveredCount: 20 });
+    });
+
+    test('should not store an empty answer', async () => {
+      claudeService.sendMessage.mockResolvedValue({ content: '  ' });
+
+      expect(await summaryService.getHistorySummary(sessionId, conversation(30))).toBeNull();
+      expect(await summaryService.loadSummary(sessionId)).toBeNull();
+    });
+
+    test('should cut overlong answers', async () => {
+      claudeService.sendMessage.mockResolvedValue({ content: 'а'.repeat(7000) });
+
+      expect((await summaryService.getHistorySummary(sessionId, conversation(30))).text).toHaveLength(6000);
+    });
+  });
+
+  describe('discardSummaryBeyond', () => {
+    test('should drop a summary that covers messages after the point the session went back to', async () => {
+      await summaryService.saveSummary(sessionId, { text: 'Конспект', coveredCount: 30 });
+
+      await summaryService.discardSummaryBeyond(sessionId, 30);
+      expect(await summaryService.loadSummary(sessionId)).not.toBeNull();
+
+      await summaryService.discardSummaryBeyond(sessionId, 25);
+      expect(await summaryService.loadSummary(sessionId)).toBeNull();
+    });
+  });
+});
@@ -7,7 +7,7 @@ global.jest = jest;
 process.env.NODE_ENV = 'test';
 process.env.TELEGRAM_BOT_TOKEN = 'test_bot_token';
 process.env.ANTHROPIC_API_KEY = 'test_api_key';
-process.env.DATABASE_ENCRYPTION_KEY = 'test_encryption_key_32_chars_!!';
+process.env.DATABASE_ENCRYPTION_KEY = 'test_encryption_key_32_chars_!!!';
 process.env.SESSION_SECRET = 'test_session_secret_for_testing_purposes';
 process.env.DATABASE_PATH = ':memory:';
 
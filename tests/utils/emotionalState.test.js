@@ -0,0 +1,89 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  STATE_DIMENSIONS,
+  initialEmotionalState,
+  carryOverState,
+  classifyIntervention,
+  updateEmotionalState,
+  describeStateForPrompt,
+  sparkline,
+  formatStateChart
+} from '../../src/utils/emotionalState.js';
+
+describe('Emotional state model', () => {
+  const baseline = { distress: 60, trust: 30, openness: 40, resistance: 45 };
+
+  test('should derive the baseline from severity and motivation', () => {
+    expect(initialEmotionalState({
+      psychological_profile: { severity: 'severe', motivation_level: 'low' }
+    })).toEqual({ distress: 80, trust: 30, openness: 25, resistance: 65 });
+
+    expect(initialEmotionalState({})).toEqual(baseline);
+  });
+
+  test('should classify common interventions', () => {
+    expect(classifyIntervention('Что привело вас ко мне?')).toBe('open_question');
+    expect(classifyIntervention('Расскажите, что вы чувствуете?')).toBe('open_question');
+    expect(classifyIntervention('Вы спали этой ночью?')).toBe('closed_question');
+    expect(classifyIntervention('Похоже, вы очень устали.')).toBe('reflection');
+    expect(classifyIntervention('Вам страшно?')).toBe('reflection');
+    expect(classifyIntervention('Итак, за неделю было три приступа.')).toBe('summary');
+    expect(classifyIntervention('Возможно, это связано с вашей мамой.')).toBe('interpretation');
+    expect(classifyIntervention('Попробуйте дышать медленнее.')).toBe('advice_giving');
+    expect(classifyIntervention('Хорошо.')).toBe('other');
+    expect(classifyIntervention('')).toBe('other');
+  });
+
+  test('should build trust with reflections and resistance with advice', () => {
+    const reflected = updateEmotionalState(baseline, 'reflection');
+    expect(reflected.trust).toBeGreaterThan(baseline.trust);
+    expect(reflected.distress).toBeLessThan(baseline.distress);
+    expect(reflected.resistance).toBeLessThan(baseline.resistance);
+
+    const advised = updateEmotionalState(baseline, 'advice_giving');
+    expect(advised.trust).toBeLessThan(baseline.trust);
+    expect(advised.resistance).toBeGreaterThan(baseline.resistance);
+  });
+
+  test('should make interpretations backfire without a working alliance', () => {
+    const early = updateEmotionalState(baseline, 'interpretation');
+    const late = updateEmotionalState({ ...baseline, trust: 70 }, 'interpretation');
+
+    expect(early.resistance).toBeGreaterThan(baseline.resistance);
+    expect(late.resistance).toBeLessThan(baseline.resistance);
+    expect(late.openness).toBeGreaterThan(baseline.openness);
+  });
+
+  test('should keep every dimension within 0-100', () => {
+    let state = { distress: 99, trust: 1, openness: 1, resistance: 99 };
+    for (let turn = 0; turn < 10; turn++) {
+      state = updateEmotionalState(state, 'advice_giving');
+    }
+
+    STATE_DIMENSIONS.forEach(dimension => {
+      expect(state[dimension]).toBeGreaterThanOrEqual(0);
+      expect(state[dimension]).toBeLessThanOrEqual(100);
+    });
+  });
+
+  test('should carry the alliance over to the next meeting', () => {
+    const ended = { distress: 20, trust: 80, openness: 80, resistance: 10 };
+
+    expect(carryOverState(ended, baseline)).toEqual({ distress: 40, trust: 80, openness: 60, resistance: 28 });
+    expect(carryOverState(null, baseline)).toEqual(baseline);
+  });
+
+  test('should describe the state for the patient prompt', () => {
+    const text = describeStateForPrompt(baseline);
+    expect(text).toContain('Доверие: 30/100');
+    expect(text).toContain('Дистресс: 60/100');
+  });
+
+  test('should chart the session', () => {
+    expect(sparkline([0, 50, 100])).toBe('▁▅█');
+    expect(formatStateChart([baseline])).toBeNull();
+
+    const chart = formatStateChart([baseline, updateEmotionalState(baseline, 'reflection')]);
+    expect(chart.split('\n')[0]).toMatch(/^Доверие\s+\S{2} 30→34$/);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, test, expect } from '@jest/globals';
+import { MAX_SEED, createRandom, generateSeed, parseSeed } from '../../src/utils/random.js';
+
+describe('Seeded random', () => {
+  test('should repeat the sequence for the same seed', () => {
+    const first = createRandom(123456);
+    const second = createRandom(123456);
+
+    const sequence = Array.from({ length: 5 }, () => first.next());
+    expect(Array.from({ length: 5 }, () => second.next())).toEqual(sequence);
+  });
+
+  test('should differ between seeds', () => {
+    expect(createRandom(1).next()).not.toBe(createRandom(2).next());
+  });
+
+  test('should keep values in range', () => {
+    const random = createRandom(42);
+
+    for (let i = 0; i < 200; i++) {
+      const value = random.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+
+      const age = random.int(16, 89);
+      expect(age).toBeGreaterThanOrEqual(16);
+      expect(age).toBeLessThanOrEqual(89);
+    }
+
+    expect(['a', 'b', 'c']).toContain(random.pick(['a', 'b', 'c']));
+  });
+
+  test('should generate valid seeds', () => {
+    const seed = generateSeed();
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(parseSeed(String(seed))).toBe(seed);
+  });
+
+  test('should parse only positive 32-bit integers', () => {
+    expect(parseSeed('123456')).toBe(123456);
+    expect(parseSeed(' 42 ')).toBe(42);
+    expect(parseSeed(String(MAX_SEED))).toBe(MAX_SEED);
+    expect(parseSeed(String(MAX_SEED + 1))).toBeNull();
+    expect(parseSeed('0')).toBeNull();
+    expect(parseSeed('-5')).toBeNull();
+    expect(parseSeed('12abc')).toBeNull();
+    expect(parseSeed('')).toBeNull();
+    expect(parseSeed(null)).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import {
+  isRetryableError,
+  parseRetryAfter,
+  computeBackoff,
+  withRetry,
+  CircuitBreaker
+} from '../../src/utils/retry.js';
+
+function apiError(status, headers = {}) {
+  const error = new Error(`API error ${status}`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+const noWait = () => Promise.resolve();
+
+describe('Retry utils', () => {
+  describe('isRetryableError', () => {
+    test('should retry rate limits, overload, server and network errors', () => {
+      [408, 409, 429, 500, 502, 503, 529].forEach(status => {
+        expect(isRetryableError(apiError(status))).toBe(true);
+      });
+      expect(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+      expect(isRetryableError(new Error('fetch failed'))).toBe(true);
+    });
+
+    test('should not retry client errors', () => {
+      [400, 401, 403, 404, 413].forEach(status => {
+        expect(isRetryableError(apiError(status))).toBe(false);
+      });
+      expect(isRetryableError(new Error('Unexpected token'))).toBe(false);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    test('should read delay-seconds and HTTP dates', () => {
+      const now = Date.parse('2025-06-12T10:00:00Z');
+
+      expect(parseRetryAfter({ 'retry-after': '7' })).toBe(7000);
+      expect(parseRetryAfter(new Headers({ 'Retry-After': '0.5' }))).toBe(500);
+      expect(parseRetryAfter({ 'retry-after': 'Thu, 12 Jun 2025 10:00:30 GMT' }, now)).toBe(30000);
+      expect(parseRetryAfter({})).toBeNull();
+      expect(parseRetryAfter(null)).toBeNull();
+    });
+  });
+
+  describe('computeBackoff', () => {
+    test('should grow exponentially with full jitter up to the cap', () => {
+      const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+      expect(computeBackoff(1, options, () => 1)).toBe(1000);
+      expect(computeBackoff(3, options, () => 1)).toBe(4000);
+      expect(computeBackoff(10, options, () => 1)).toBe(5000);
+      expect(computeBackoff(3, options, () => 0.5)).toBe(2000);
+    });
+  });
+
+  describe('withRetry', () => {
+    test('should retry transient errors and honor Retry-After', async () => {
+      const wait = jest.fn(noWait);
+      const fn = jest.fn()
+        .mockRejectedValueOnce(apiError(529, { 'retry-after': '2' }))
+        .mockResolvedValueOnce('ok');
+
+      await expect(withRetry(fn, { wait })).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(wait).toHaveBeenCalledWith(2000);
+    });
+
+    test('should give up after maxAttempts or on a permanent error', async () => {
+      const failing = jest.fn().mockRejectedValue(apiError(503));
+      await expect(withRetry(failing, { maxAttempts: 3, wait: noWait })).rejects.toThrow('API error 503');
+      expect(failing).toHaveBeenCalledTimes(3);
+
+      const unauthorized = jest.fn().mockRejectedValue(apiError(401));
+      await expect(withRetry(unauthorized, { wait: noWait })).rejects.toThrow('API error 401');
+      expect(unauthorized).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not wait for a Retry-After beyond maxDelayMs', async () => {
+      const wait = jest.fn(noWait);
+      const fn = jest.fn().mockRejectedValue(apiError(429, { 'retry-after': '120' }));
+
+      await expect(withRetry(fn, { maxDelayMs: 20000, wait })).rejects.toThrow('API error 429');
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(wait).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('CircuitBreaker', () => {
+    test('should open after consecutive failures and fail fast', () => {
+      let now = 0;
+      const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now: () => now });
+
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordSuccess();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      expect(breaker.canRequest()).toBe(true);
+
+      breaker.recordFailure();
+      expect(breaker.state).toBe('open');
+      expect(breaker.canRequest()).toBe(false);
+
+      now = 400;
+      expect(breaker.retryInMs()).toBe(600);
+    });
+
+    test('should let one probe through after the cooldown', () => {
+      let now = 0;
+      const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => now });
+      breaker.recordFailure();
+
+      now = 1000;
+      expect(breaker.canRequest()).toBe(true);
+      expect(breaker.canRequest()).toBe(false);
+
+      breaker.recordFailure();
+      expect(breaker.state).toBe('open');
+
+      now = 2000;
+      expect(breaker.canRequest()).toBe(true);
+      breaker.recordSuccess();
+      expect(breaker.getState()).toEqual({ state: 'closed', failures: 0, retryInMs: 0 });
+      expect(breaker.canRequest()).toBe(true);
+    });
+  });
+});
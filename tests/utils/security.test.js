@@ -0,0 +1,82 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import config from '../../src/config/index.js';
+import securityManager, { RateLimiter } from '../../src/utils/security.js';
+
+describe('SecurityManager encryption', () => {
+  const originalKeyId = config.database.encryptionKeyId;
+  const originalKey = config.database.encryptionKey;
+  const originalPreviousKeys = config.database.previousEncryptionKeys;
+
+  afterEach(() => {
+    config.database.encryptionKeyId = originalKeyId;
+    config.database.encryptionKey = originalKey;
+    config.database.previousEncryptionKeys = originalPreviousKeys;
+    securityManager.keys = null;
+  });
+
+  test('should round-trip text through an envelope', () => {
+    const plaintext = 'Терапевт: Что вы сейчас чувствуете?';
+    const envelope = securityManager.encrypt(plaintext);
+
+    expect(envelope).toMatch(/^enc:v1:k1:[^:]+:[^:]+:[^:]+$/);
+    expect(envelope).not.toContain('чувствуете');
+    expect(securityManager.decrypt(envelope)).toBe(plaintext);
+  });
+
+  test('should use a fresh IV for every encryption', () => {
+    expect(securityManager.encrypt('same text')).not.toBe(securityManager.encrypt('same text'));
+  });
+
+  test('should reject tampered ciphertext', () => {
+    const envelope = securityManager.encrypt('sensitive');
+    const parts = envelope.split(':');
+    const ciphertext = Buffer.from(parts[5], 'base64');
+    ciphertext[0] ^= 0xff;
+    parts[5] = ciphertext.toString('base64');
+
+    expect(() => securityManager.decrypt(parts.join(':'))).toThrow('Decryption failed');
+  });
+
+  test('should pass plaintext and null values through field helpers', () => {
+    expect(securityManager.decryptField('legacy plaintext row')).toBe('legacy plaintext row');
+    expect(securityManager.encryptField(null)).toBeNull();
+    expect(securityManager.decryptField(null)).toBeNull();
+  });
+
+  test('should not encrypt a field twice', () => {
+    const envelope = securityManager.encryptField('text');
+    expect(securityManager.encryptField(envelope)).toBe(envelope);
+  });
+
+  test('should decrypt with previous keys and re-encrypt with the current one', () => {
+    const oldEnvelope = securityManager.encryptField('rotated text');
+
+    config.database.previousEncryptionKeys = { k1: originalKey };
+    config.database.encryptionKeyId = 'k2';
+    config.database.encryptionKey = 'another_test_key_of_32_chars_!!!';
+    securityManager.keys = null;
+
+    expect(securityManager.decryptField(oldEnvelope)).toBe('rotated text');
+
+    const newEnvelope = securityManager.reencryptField(oldEnvelope);
+    expect(securityManager.getEnvelopeKeyId(newEnvelope)).toBe('k2');
+    expect(securityManager.decryptField(newEnvelope)).toBe('rotated text');
+    expect(securityManager.reencryptField(newEnvelope)).toBe(newEnvelope);
+  });
+
+  test('should fail on envelopes with an unknown key id', () => {
+    const envelope = securityManager.encrypt('text').replace('enc:v1:k1:', 'enc:v1:k9:');
+    expect(() => securityManager.decrypt(envelope)).toThrow('Decryption failed');
+  });
+});
+
+describe('RateLimiter', () => {
+  test('should block requests over the limit within the window', () => {
+    const limiter = new RateLimiter(60000, 2);
+
+    expect(limiter.isAllowed('user')).toBe(true);
+    expect(limiter.isAllowed('user')).toBe(true);
+    expect(limiter.isAllowed('user')).toBe(false);
+    expect(limiter.isAllowed('other')).toBe(true);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, test, expect } from '@jest/globals';
+import { getLineSegments, buildLineFilter } from '../../src/utils/sessionBranches.js';
+
+// main: 1 2 3 4; branch 10 forked after 2: 5 6; branch 11 forked from 10 after 5: 7 8;
+// branch 12 forked from 11 after 1 (an inherited message): 9; branch 13 forked at the start
+const branches = [
+  { id: 10, parent_branch_id: null, fork_message_id: 2 },
+  { id: 11, parent_branch_id: 10, fork_message_id: 5 },
+  { id: 12, parent_branch_id: 11, fork_message_id: 1 },
+  { id: 13, parent_branch_id: null, fork_message_id: null }
+];
+
+describe('Session branches', () => {
+  test('should read the whole main line', () => {
+    expect(getLineSegments(branches, null)).toEqual([{ branchId: null, maxMessageId: null }]);
+    expect(getLineSegments([], undefined)).toEqual([{ branchId: null, maxMessageId: null }]);
+  });
+
+  test('should inherit the parent lines up to the fork', () => {
+    expect(getLineSegments(branches, 11)).toEqual([
+      { branchId: 11, maxMessageId: null },
+      { branchId: 10, maxMessageId: 5 },
+      { branchId: null, maxMessageId: 2 }
+    ]);
+  });
+
+  test('should keep the lowest fork bound for the older ancestors', () => {
+    expect(getLineSegments(branches, 12)).toEqual([
+      { branchId: 12, maxMessageId: null },
+      { branchId: 11, maxMessageId: 1 },
+      { branchId: 10, maxMessageId: 1 },
+      { branchId: null, maxMessageId: 1 }
+    ]);
+  });
+
+  test('should inherit nothing when forked at the start', () => {
+    expect(getLineSegments(branches, 13)).toEqual([{ branchId: 13, maxMessageId: null }]);
+  });
+
+  test('should reject unknown branches', () => {
+    expect(() => getLineSegments(branches, 99)).toThrow('Unknown session branch 99');
+  });
+
+  test('should build a parameterized message filter', () => {
+    expect(buildLineFilter(getLineSegments(branches, 10))).toEqual({
+      clause: '(branch_id = ? OR (branch_id IS NULL AND id <= ?))',
+      params: [10, 2]
+    });
+    expect(buildLineFilter(getLineSegments(branches, null))).toEqual({
+      clause: '(branch_id IS NULL)',
+      params: []
+    });
+  });
+});
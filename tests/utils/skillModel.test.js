@@ -0,0 +1,60 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  SKILL_AREAS,
+  computeSkillLevel,
+  computeSkillProfile,
+  trendDirection
+} from '../../src/utils/skillModel.js';
+
+describe('Skill model', () => {
+  test('should report no level without scores', () => {
+    expect(computeSkillLevel([])).toEqual({ level: null, confidence: 0, trend: 0, sessions: 0 });
+  });
+
+  test('should not drag a single score towards zero', () => {
+    const result = computeSkillLevel([7]);
+    expect(result.level).toBe(70);
+    expect(result.sessions).toBe(1);
+    expect(result.confidence).toBeCloseTo(0.35);
+  });
+
+  test('should weigh recent sessions more than old ones', () => {
+    const improving = computeSkillLevel([3, 3, 3, 8, 8]);
+    const declining = computeSkillLevel([8, 8, 3, 3, 3]);
+
+    expect(improving.level).toBeGreaterThan(55);
+    expect(declining.level).toBeLessThan(55);
+    expect(improving.trend).toBeGreaterThan(0);
+    expect(declining.trend).toBeLessThan(0);
+  });
+
+  test('should grow confidence with the number of sessions', () => {
+    const few = computeSkillLevel([6, 6]);
+    const many = computeSkillLevel([6, 6, 6, 6, 6, 6, 6, 6]);
+
+    expect(many.confidence).toBeGreaterThan(few.confidence);
+    expect(many.confidence).toBeLessThanOrEqual(1);
+    expect(many.level).toBe(60);
+    expect(many.trend).toBe(0);
+  });
+
+  test('should build a profile for every skill and skip null scores', () => {
+    const profile = computeSkillProfile([
+      { skill: 'empathy', score: 6 },
+      { skill: 'crisis_management', score: null },
+      { skill: 'empathy', score: 8 },
+      { skill: 'unknown_skill', score: 10 }
+    ]);
+
+    expect(Object.keys(profile)).toEqual(SKILL_AREAS);
+    expect(profile.empathy.sessions).toBe(2);
+    expect(profile.crisis_management.level).toBeNull();
+    expect(profile.active_listening.level).toBeNull();
+  });
+
+  test('should classify trends with a dead zone', () => {
+    expect(trendDirection(12)).toBe('up');
+    expect(trendDirection(-7)).toBe('down');
+    expect(trendDirection(3)).toBe('flat');
+  });
+});
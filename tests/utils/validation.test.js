@@ -2,8 +2,12 @@ import { describe, test, expect } from '@jest/globals';
 import {
   userSchema,
   patientCreationSchema,
+  patientParametersSchema,
   messageSchema,
+  supervisorAnalysisSchema,
+  caseFileSchema,
   validateAndSanitize,
+  parseJsonObject,
   ValidationError,
   sanitizeInput,
   isValidTelegramId,
@@ -120,6 +124,32 @@ describe('Validation Utils', () => {
     });
   });
 
+  describe('patientParametersSchema', () => {
+    test('should accept catalog choices and leave the rest open', () => {
+      const parameters = {
+        age_range: 'youth',
+        severity: 'moderate',
+        defense_mechanisms: ['denial', 'humor']
+      };
+
+      expect(validateAndSanitize(parameters, patientParametersSchema)).toEqual(parameters);
+    });
+
+    test('should reject values outside the catalog', () => {
+      expect(() => validateAndSanitize({ severity: 'extreme' }, patientParametersSchema))
+        .toThrow(ValidationError);
+    });
+
+    test('should reject more than three defense mechanisms', () => {
+      const parameters = {
+        defense_mechanisms: ['denial', 'humor', 'projection', 'avoidance']
+      };
+
+      expect(() => validateAndSanitize(parameters, patientParametersSchema))
+        .toThrow(ValidationError);
+    });
+  });
+
   describe('messageSchema', () => {
     test('should validate correct message', () => {
       const validMessage = {
@@ -162,6 +192,171 @@ describe('Validation Utils', () => {
     });
   });
 
+  describe('supervisorAnalysisSchema', () => {
+    const validAnalysis = {
+      overall_rating: 8,
+      strengths: ['Теплое начало сессии'],
+      areas_for_improvement: ['Больше отражать чувства'],
+      specific_feedback: {
+        rapport_building: 'Раппорт установлен',
+        intervention_quality: 'Интервенции уместны',
+        therapeutic_technique: 'Открытые вопросы',
+        ethical_considerations: 'Границы соблюдены'
+      },
+      recommendations: ['Подводить итоги'],
+      key_moments: ['Клиент назвал эмоцию'],
+      skill_scores: {
+        active_listening: { score: 6, evidence: 'Мало перефразирования' },
+        empathy: { score: 7, evidence: 'Принимающий тон' },
+        questioning_techniques: { score: 5, evidence: 'Много закрытых вопросов' },
+        intervention_skills: { score: 6, evidence: 'Интервенции уместны' },
+        boundary_setting: { score: 8, evidence: 'Рамки соблюдены' },
+        crisis_management: { score: null, evidence: '' }
+      },
+      annotations: [
+        {
+          message_id: 12,
+          intervention_type: 'closed_question',
+          quality: 2,
+          comment: 'Закрытый вопрос сузил ответ',
+          suggested_alternative: 'Что вы чувствовали в тот момент?'
+        }
+      ]
+    };
+
+    test('should validate correct analysis', () => {
+      const result = validateAndSanitize(validAnalysis, supervisorAnalysisSchema);
+      expect(result).toMatchObject(validAnalysis);
+    });
+
+    test('should default missing key_moments to an empty list', () => {
+      const { key_moments, ...analysis } = validAnalysis;
+      const result = validateAndSanitize(analysis, supervisorAnalysisSchema);
+      expect(result.key_moments).toEqual([]);
+    });
+
+    test('should reject rating outside 1-10', () => {
+      expect(() => validateAndSanitize({ ...validAnalysis, overall_rating: 11 }, supervisorAnalysisSchema))
+        .toThrow(ValidationError);
+      expect(() => validateAndSanitize({ ...validAnalysis, overall_rating: '7' }, supervisorAnalysisSchema, { convert: false }))
+        .toThrow(ValidationError);
+    });
+
+    test('should require a rubric score for every skill', () => {
+      const { empathy, ...skillScores } = validAnalysis.skill_scores;
+
+      expect(() => validateAndSanitize({ ...validAnalysis, skill_scores: skillScores }, supervisorAnalysisSchema))
+        .toThrow(ValidationError);
+      expect(() => validateAndSanitize({ ...validAnalysis, skill_scores: { ...skillScores, empathy: { score: 11 } } }, supervisorAnalysisSchema))
+        .toThrow(ValidationError);
+    });
+
+    test('should reject unknown intervention types and out-of-range quality', () => {
+      const annotation = validAnalysis.annotations[0];
+
+      expect(() => validateAndSanitize({ ...validAnalysis, annotations: [{ ...annotation, intervention_type: 'lecture' }] }, supervisorAnalysisSchema))
+        .toThrow(ValidationError);
+      expect(() => validateAndSanitize({ ...validAnalysis, annotations: [{ ...annotation, quality: 0 }] }, supervisorAnalysisSchema))
+        .toThrow(ValidationError);
+    });
+
+    test('should validate the modality fidelity block when present', () => {
+      const modalityFidelity = {
+        score: 6,
+        checks: { agenda: { met: true, evidence: 'Согласовали тему' }, homework_review: { met: null } },
+        comment: 'Структура соблюдена частично'
+      };
+
+      const result = validateAndSanitize({ ...validAnalysis, modality_fidelity: modalityFidelity }, supervisorAnalysisSchema);
+      expect(result.modality_fidelity).toMatchObject(modalityFidelity);
+      expect(() => validateAndSanitize({ ...validAnalysis, modality_fidelity: { ...modalityFidelity, score: 0 } }, supervisorAnalysisSchema))
+        .toThrow(ValidationError);
+      expect(() => validateAndSanitize({ ...validAnalysis, modality_fidelity: { checks: {} } }, supervisorAnalysisSchema))
+        .toThrow(ValidationError);
+    });
+
+    test('should require every safety protocol step in a scorecard', () => {
+      const checks = {
+        recognition: { score: 2, evidence: 'Заметил слова о бессмысленности' },
+        risk_assessment: { score: 1 },
+        safety_planning: { score: 0 },
+        escalation: { score: 0 }
+      };
+
+      const result = validateAndSanitize({ ...validAnalysis, safety_scorecard: { checks } }, supervisorAnalysisSchema);
+      expect(result.safety_scorecard.missed_signals).toEqual([]);
+      expect(() => validateAndSanitize({ ...validAnalysis, safety_scorecard: { checks: { ...checks, escalation: { score: 3 } } } }, supervisorAnalysisSchema))
+        .toThrow(ValidationError);
+
+      const { escalation, ...incomplete } = checks;
+      expect(() => validateAndSanitize({ ...validAnalysis, safety_scorecard: { checks: incomplete } }, supervisorAnalysisSchema))
+        .toThrow(ValidationError);
+    });
+
+    test('should report every missing field', () => {
+      try {
+        validateAndSanitize({ overall_rating: 5, specific_feedback: {} }, supervisorAnalysisSchema);
+        throw new Error('expected validation to fail');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        const fields = error.details.map(detail => detail.field);
+        expect(fields).toEqual(expect.arrayContaining([
+          'strengths',
+          'areas_for_improvement',
+          'recommendations',
+          'specific_feedback.rapport_building'
+        ]));
+      }
+    });
+  });
+
+  describe('caseFileSchema', () => {
+    const validCaseFile = {
+      summary: 'Клиентка с паническими атаками, третья сессия',
+      disclosures: [{ session: 2, content: 'Рассказала о конфликте с матерью' }],
+      homework: [{ session: 2, task: 'Дневник тревоги', status: 'partial' }],
+      patient_state: { description: 'Тревога немного снизилась', trend: 'improving' },
+      alliance: { quality: 4, notes: 'Доверяет терапевту' },
+      open_topics: ['Отношения с мужем']
+    };
+
+    test('should validate correct case file', () => {
+      const result = validateAndSanitize(validCaseFile, caseFileSchema);
+      expect(result).toEqual(validCaseFile);
+    });
+
+    test('should default optional lists to empty', () => {
+      const { disclosures, homework, open_topics, ...caseFile } = validCaseFile;
+      const result = validateAndSanitize(caseFile, caseFileSchema);
+
+      expect(result.disclosures).toEqual([]);
+      expect(result.homework).toEqual([]);
+      expect(result.open_topics).toEqual([]);
+    });
+
+    test('should reject unknown homework status, trend and alliance outside 1-5', () => {
+      expect(() => validateAndSanitize({ ...validCaseFile, homework: [{ ...validCaseFile.homework[0], status: 'forgotten' }] }, caseFileSchema))
+        .toThrow(ValidationError);
+      expect(() => validateAndSanitize({ ...validCaseFile, patient_state: { ...validCaseFile.patient_state, trend: 'better' } }, caseFileSchema))
+        .toThrow(ValidationError);
+      expect(() => validateAndSanitize({ ...validCaseFile, alliance: { quality: 6 } }, caseFileSchema))
+        .toThrow(ValidationError);
+    });
+  });
+
+  describe('parseJsonObject', () => {
+    test('should extract the object from fenced answers with surrounding text', () => {
+      expect(parseJsonObject('Вот анализ:\n```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+      expect(parseJsonObject('Ответ: {"a": {"b": 2}} готово')).toEqual({ a: { b: 2 } });
+    });
+
+    test('should throw ValidationError without a valid object', () => {
+      expect(() => parseJsonObject('Нет JSON')).toThrow(ValidationError);
+      expect(() => parseJsonObject('{"a": }')).toThrow(ValidationError);
+      expect(() => parseJsonObject(null)).toThrow(ValidationError);
+    });
+  });
+
   describe('sanitizeInput', () => {
     test('should remove dangerous characters', () => {
       const input = '<script>alert("xss")</script>';